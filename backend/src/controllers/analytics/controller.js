@@ -0,0 +1,87 @@
+const SearchStat = require('../../models/searchStat');
+const { catchAsync } = require('../../middleware/errorHandler');
+const { validate } = require('../../middleware/validation');
+const { searchAnalyticsQuerySchema, searchVolumeQuerySchema } = require('../../validation/schemas');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Start of a report of the last days
+const sinceDaysAgo = (days) => new Date(Date.now() - days * DAY_MS);
+
+/**
+ * Report the most searched queries
+ * @route GET /analytics/searches/top
+ * @access Private (Admin)
+ */
+const getTopQueries = [
+  validate(searchAnalyticsQuerySchema, 'query'),
+  catchAsync(async (req, res) => {
+    const { days, limit, lang } = req.query;
+    const since = sinceDaysAgo(days);
+
+    res.json({
+      data: await SearchStat.topQueries({ since, limit, language: lang }),
+      meta: {
+        days,
+        since: since.toISOString(),
+        language: lang || null,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * Report the queries that found nothing
+ * @route GET /analytics/searches/zero-results
+ * @access Private (Admin)
+ */
+const getZeroResultQueries = [
+  validate(searchAnalyticsQuerySchema, 'query'),
+  catchAsync(async (req, res) => {
+    const { days, limit, lang } = req.query;
+    const since = sinceDaysAgo(days);
+
+    res.json({
+      data: await SearchStat.zeroResultQueries({ since, limit, language: lang }),
+      meta: {
+        days,
+        since: since.toISOString(),
+        language: lang || null,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * Report the number of searches per day or hour
+ * @route GET /analytics/searches/volume
+ * @access Private (Admin)
+ */
+const getSearchVolume = [
+  validate(searchVolumeQuerySchema, 'query'),
+  catchAsync(async (req, res) => {
+    const { days, interval } = req.query;
+    const since = sinceDaysAgo(days);
+    const periods = await SearchStat.volume({ since, interval });
+
+    res.json({
+      data: periods,
+      meta: {
+        days,
+        interval,
+        since: since.toISOString(),
+        totalSearches: periods.reduce((total, period) => total + period.searches, 0),
+        totalZeroResults: periods.reduce((total, period) => total + period.zeroResults, 0),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+module.exports = {
+  getTopQueries,
+  getZeroResultQueries,
+  getSearchVolume,
+};
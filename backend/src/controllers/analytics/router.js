@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../../models/auth/authenticate');
+const controller = require('./controller');
+
+// Search analytics, for admins only
+router.use(authenticate, authorize([3]));
+
+// Most searched queries
+router.get('/searches/top', controller.getTopQueries);
+
+// Queries that found nothing
+router.get('/searches/zero-results', controller.getZeroResultQueries);
+
+// Searches per day or hour
+router.get('/searches/volume', controller.getSearchVolume);
+
+module.exports = router;
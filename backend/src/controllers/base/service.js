@@ -5,7 +5,8 @@ module.exports = (model, populateList = []) => {
         const searchParams = {};
         Object.keys(params).forEach((key) => {
           searchParams[key] = {
-            $regex: '.*' + params[key] + '.*',
+            // Searched text is matched literally, not as a pattern
+            $regex: String(params[key]).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'),
             $options: 'i',
           };
         });
@@ -0,0 +1,305 @@
+const Comment = require('../../models/comment');
+const Entry = require('../../models/entry');
+const User = require('../../models/user');
+const {
+  catchAsync,
+  createNotFoundError,
+  createForbiddenError,
+  createValidationError,
+} = require('../../middleware/errorHandler');
+const { validate, sanitize } = require('../../middleware/validation');
+const {
+  commentSchema,
+  commentUpdateSchema,
+  commentParamsSchema,
+  commentQuerySchema,
+  idSchema,
+} = require('../../validation/schemas');
+const logger = require('../../logger/logger');
+
+/**
+ * Active entry the comments belong to
+ * @param {string} id - Entry ID
+ * @returns {Promise<object>} Entry with its headword
+ */
+const findEntry = async (id) => {
+  const entry = await Entry.findOne({ _id: id, isActive: true }).select('hungarian').lean();
+  if (!entry) {
+    throw createNotFoundError('Entry');
+  }
+  return entry;
+};
+
+/**
+ * Comment of an entry
+ * @param {string} entryId - Entry ID
+ * @param {string} commentId - Comment ID
+ * @returns {Promise<Document>} Comment
+ */
+const findComment = async (entryId, commentId) => {
+  const comment = await Comment.findOne({ _id: commentId, entry: entryId });
+  if (!comment) {
+    throw createNotFoundError('Comment');
+  }
+  return comment;
+};
+
+/**
+ * Editors mentioned in a comment body, the author is left out
+ * @param {string} body - Comment text
+ * @param {string} authorId - Author of the comment
+ * @returns {Promise<Array>} Users: { _id, firstName, lastName, email }
+ */
+const resolveMentions = async (body, authorId) => {
+  const handles = Comment.mentionHandles(body);
+  if (handles.length === 0) return [];
+
+  const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const users = await User.find({
+    isActive: true,
+    role: { $gte: 2 },
+    $or: handles.map((handle) =>
+      handle.includes('@') ? { email: handle } : { email: new RegExp(`^${escape(handle)}@`, 'i') }
+    ),
+  })
+    .select('firstName lastName email')
+    .lean();
+
+  return users.filter((user) => String(user._id) !== String(authorId));
+};
+
+/**
+ * Push a comment change to the other editors watching the entry
+ * @param {object} req - Request of the change
+ * @param {string} entryId - Entry ID
+ * @param {string} type - Message type
+ * @param {object} payload - Message payload
+ */
+const broadcast = (req, entryId, type, payload) => {
+  const { webSocketManager } = req.app.locals;
+  if (!webSocketManager) return;
+
+  // The sessions of the author already show the change
+  const ownSessions = [...(webSocketManager.userSessions.get(String(req.user.userId)) || [])];
+  webSocketManager.broadcastToSubscribers(
+    `entries:${entryId}`,
+    { type, payload: { entryId, ...payload }, timestamp: new Date().toISOString() },
+    ownSessions
+  );
+};
+
+/**
+ * Tell mentioned editors about a comment
+ * @param {object} req - Request of the change
+ * @param {object} entry - Entry of the comment
+ * @param {Document} comment - Comment
+ * @param {Array} users - Mentioned users to notify
+ */
+const notifyMentions = async (req, entry, comment, users) => {
+  const { notificationService } = req.app.locals;
+  if (!notificationService || users.length === 0) return;
+
+  try {
+    await notificationService.sendNotification({
+      recipients: users.map((user) => ({ userId: String(user._id), email: user.email })),
+      template: 'comment_mention',
+      data: {
+        entry: { _id: String(entry._id), title: entry.hungarian },
+        user: { userId: req.user.userId, name: req.user.email },
+        comment: { _id: String(comment._id), excerpt: comment.body.slice(0, 140) },
+      },
+      channels: ['websocket'],
+      context: { event: 'comment_mention' },
+    });
+  } catch (error) {
+    // The comment is saved, a failed notification must not fail the request
+    logger.error('Failed to send mention notifications', {
+      commentId: comment._id,
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get the comment threads of an entry
+ * @route GET /entries/:id/comments
+ * @access Private (Editor+)
+ */
+const getComments = [
+  validate(idSchema, 'params'),
+  validate(commentQuerySchema, 'query'),
+  catchAsync(async (req, res) => {
+    await findEntry(req.params.id);
+
+    const threads = await Comment.getThreads(req.params.id, { resolved: req.query.resolved });
+
+    res.json({
+      data: threads,
+      meta: {
+        totalThreads: threads.length,
+        unresolvedThreads: threads.filter((thread) => !thread.resolved).length,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * Comment on an entry or reply to a thread
+ * @route POST /entries/:id/comments
+ * @access Private (Editor+)
+ */
+const createComment = [
+  validate(idSchema, 'params'),
+  sanitize('body'),
+  validate(commentSchema),
+  catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const entry = await findEntry(id);
+
+    let parent = null;
+    if (req.body.parent) {
+      const replyTo = await findComment(id, req.body.parent);
+      // Threads are one level deep, replies to a reply join the same thread
+      parent = replyTo.parent || replyTo._id;
+    }
+
+    const mentioned = await resolveMentions(req.body.body, req.user.userId);
+    const comment = await Comment.create({
+      entry: id,
+      parent,
+      body: req.body.body,
+      author: req.user.userId,
+      mentions: mentioned.map((user) => user._id),
+    });
+    await comment.populate('author', 'firstName lastName email');
+
+    broadcast(req, id, 'comment_created', { comment });
+    await notifyMentions(req, entry, comment, mentioned);
+
+    logger.audit('Comment created', {
+      entryId: id,
+      commentId: comment._id,
+      parent,
+      mentions: mentioned.map((user) => user.email),
+      createdBy: req.user.email,
+    });
+
+    res.status(201).json({
+      data: comment,
+      meta: {
+        message: parent ? 'Reply added successfully' : 'Comment added successfully',
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * Edit a comment or mark its thread resolved. Only the author may change the text.
+ * @route PATCH /entries/:id/comments/:commentId
+ * @access Private (Editor+)
+ */
+const updateComment = [
+  validate(commentParamsSchema, 'params'),
+  sanitize('body'),
+  validate(commentUpdateSchema),
+  catchAsync(async (req, res) => {
+    const { id, commentId } = req.params;
+    const { body, resolved } = req.body;
+    const entry = await findEntry(id);
+    const comment = await findComment(id, commentId);
+
+    let newlyMentioned = [];
+    if (body !== undefined && body !== comment.body) {
+      if (String(comment.author) !== String(req.user.userId)) {
+        throw createForbiddenError('Only the author can edit a comment');
+      }
+
+      const mentioned = await resolveMentions(body, req.user.userId);
+      const alreadyMentioned = comment.mentions.map(String);
+      newlyMentioned = mentioned.filter((user) => !alreadyMentioned.includes(String(user._id)));
+
+      comment.body = body;
+      comment.mentions = mentioned.map((user) => user._id);
+      comment.editedAt = new Date();
+    }
+
+    if (resolved !== undefined) {
+      if (comment.parent) {
+        throw createValidationError('Only the comment opening a thread can be resolved');
+      }
+      comment.resolved = resolved;
+      comment.resolvedBy = resolved ? req.user.userId : null;
+      comment.resolvedAt = resolved ? new Date() : null;
+    }
+
+    await comment.save();
+    await comment.populate('author', 'firstName lastName email');
+
+    broadcast(req, id, 'comment_updated', { comment });
+    await notifyMentions(req, entry, comment, newlyMentioned);
+
+    logger.audit('Comment updated', {
+      entryId: id,
+      commentId,
+      changes: Object.keys(req.body),
+      resolved: comment.resolved,
+      updatedBy: req.user.email,
+    });
+
+    res.json({
+      data: comment,
+      meta: {
+        message: 'Comment updated successfully',
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * Delete a comment, deleting the comment opening a thread removes its replies too
+ * @route DELETE /entries/:id/comments/:commentId
+ * @access Private (Author or Admin)
+ */
+const deleteComment = [
+  validate(commentParamsSchema, 'params'),
+  catchAsync(async (req, res) => {
+    const { id, commentId } = req.params;
+    const comment = await findComment(id, commentId);
+
+    if (String(comment.author) !== String(req.user.userId) && req.user.role < 3) {
+      throw createForbiddenError('Only the author or an admin can delete a comment');
+    }
+
+    const { deletedCount } = await Comment.deleteMany({
+      $or: [{ _id: comment._id }, { parent: comment._id }],
+    });
+
+    broadcast(req, id, 'comment_deleted', { commentId, parent: comment.parent });
+
+    logger.audit('Comment deleted', {
+      entryId: id,
+      commentId,
+      repliesDeleted: deletedCount - 1,
+      deletedBy: req.user.email,
+    });
+
+    res.json({
+      meta: {
+        message: 'Comment deleted successfully',
+        commentId,
+        repliesDeleted: deletedCount - 1,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+module.exports = {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+};
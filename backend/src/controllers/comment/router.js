@@ -0,0 +1,22 @@
+const express = require('express');
+// Mounted below /entries/:id, the entry ID comes from the parent route
+const router = express.Router({ mergeParams: true });
+const { authenticate, authorize } = require('../../models/auth/authenticate');
+const controller = require('./controller');
+
+// Discussion of the editors, not visible to the public
+router.use(authenticate, authorize([2, 3])); // Editor or Admin
+
+// Get comment threads of entry
+router.get('/', controller.getComments);
+
+// Comment on entry or reply to a thread
+router.post('/', controller.createComment);
+
+// Edit comment or resolve its thread
+router.patch('/:commentId', controller.updateComment);
+
+// Delete comment (author or admin)
+router.delete('/:commentId', controller.deleteComment);
+
+module.exports = router;
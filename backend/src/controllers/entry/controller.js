@@ -1,13 +1,217 @@
 const Entry = require('../../models/entry');
+const SearchStat = require('../../models/searchStat');
+const TermOfTheDay = require('../../models/termOfTheDay');
+const SynonymSet = require('../../models/synonymSet');
 const {
   catchAsync,
   createNotFoundError,
   createValidationError,
+  createConflictError,
 } = require('../../middleware/errorHandler');
 const { validate, sanitize } = require('../../middleware/validation');
-const { entrySchema, entryUpdateSchema, idSchema } = require('../../validation/schemas');
+const {
+  entrySchema,
+  entryUpdateSchema,
+  relationSchema,
+  relationParamsSchema,
+  revisionParamsSchema,
+  entryApprovalSchema,
+  entryRejectionSchema,
+  suggestQuerySchema,
+  browseIndexQuerySchema,
+  browseQuerySchema,
+  browseParamsSchema,
+  randomEntryQuerySchema,
+  termOfTheDayQuerySchema,
+  termOfTheDayParamsSchema,
+  termOfTheDayPinSchema,
+  duplicateQuerySchema,
+  entryMergeSchema,
+  similarEntriesQuerySchema,
+  trashQuerySchema,
+  trashPurgeSchema,
+  idSchema,
+} = require('../../validation/schemas');
 const { presets: cachePresets, invalidateCache } = require('../../middleware/cache');
 const logger = require('../../logger/logger');
+const {
+  REVERTIBLE_FIELDS,
+  snapshotOf,
+  diffSnapshots,
+  recordRevision,
+  getRevisions,
+  getRevisionEvent,
+} = require('../../cqrs/events/entryRevisions');
+const { TRASH_RETENTION_DAYS, purgeDateOf } = require('../../jobs/trashRetention');
+const { similarityIndex } = require('../../jobs/similarityIndex');
+const { FEW_RESULTS } = require('../../search/spelling');
+const { parseQuery, QuerySyntaxError } = require('../../search/querySyntax');
+const { CursorError } = require('../../search/cursor');
+
+// Editors and admins may see entries that are not published yet
+const canSeeUnpublished = (req) => (req.user?.role || 0) >= 2;
+
+// Reviewed entries; editing their content sends them back to draft for another review
+const REVIEWED_STATUSES = ['approved', 'published'];
+
+/**
+ * Whether an edit changes the reviewed content of an entry
+ * @param {object} before - Snapshot before the edit
+ * @param {object} after - Snapshot after the edit
+ * @returns {boolean} Needs another review
+ */
+const needsReview = (before, after) =>
+  REVIEWED_STATUSES.includes(before.status) &&
+  diffSnapshots(before, after).some((change) => REVERTIBLE_FIELDS.includes(change.field));
+
+/**
+ * Fields that move an entry to the trash
+ * @param {object} req - Request of the deleting user
+ * @returns {object} Soft delete changes
+ */
+const trashChanges = (req) => ({
+  isActive: false,
+  deletedAt: new Date(),
+  deletedBy: req.user?.userId || null,
+  updatedBy: req.user?.userId || null,
+});
+
+/**
+ * Short form of a duplicate match for responses
+ * @param {object} match - { entry, score, reasons }
+ * @returns {object} Entry summary with the score and the reasons
+ */
+const toDuplicate = ({ entry, score, reasons }) => ({
+  _id: entry._id,
+  hungarian: entry.hungarian,
+  english: entry.english,
+  status: entry.status,
+  score,
+  reasons,
+});
+
+/**
+ * Parse a query in the search syntax, telling where a malformed one goes wrong
+ * @param {string} q - Query
+ * @returns {object} Syntax tree
+ */
+const parseSearchQuery = (q) => {
+  try {
+    return parseQuery(q);
+  } catch (error) {
+    if (!(error instanceof QuerySyntaxError)) throw error;
+    throw createValidationError(`Invalid query: ${error.message}`, [
+      { field: 'q', message: error.reason, position: error.position },
+    ]);
+  }
+};
+
+/**
+ * Start a paged read, telling a client whose cursor cannot be used
+ * @param {Function} read - Starts the read, may throw a CursorError
+ * @returns {*} Result of the read
+ */
+const readPage = (read) => {
+  try {
+    return read();
+  } catch (error) {
+    if (!(error instanceof CursorError)) throw error;
+    throw createValidationError(`Invalid cursor: ${error.message}`, [
+      { field: 'cursor', message: error.message },
+    ]);
+  }
+};
+
+/**
+ * Values of a query parameter that may be repeated
+ * @param {string|Array} value - Parameter value
+ * @returns {Array} Non-empty values
+ */
+const listOf = (value) =>
+  []
+    .concat(value ?? [])
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+/**
+ * Synonym expansions of the searched texts: the search term in any language,
+ * the Hungarian and English column filters in their own
+ * @param {object} texts - { search, hungarian, english, byColumn }
+ * @returns {Promise<object>} { applied, queries } of SynonymSet.expand
+ */
+const expansionsOf = async ({ search, hungarian, english, byColumn }) => {
+  const texts = byColumn
+    ? [
+        [hungarian, ['hu']],
+        [english, ['en']],
+      ]
+    : [[search, ['hu', 'en']]];
+  const results = await Promise.all(
+    texts.filter(([text]) => text).map(([text, languages]) => SynonymSet.expand(text, languages))
+  );
+  return {
+    applied: results.flatMap((result) => result.applied),
+    queries: results.flatMap((result) => result.queries),
+  };
+};
+
+// Most entries a semantic search ranks
+const SEMANTIC_MAX_RESULTS = 200;
+
+const SIMILAR_FIELDS = 'hungarian english fieldOfExpertise senses wordType';
+
+/**
+ * Published entries of similarity hits, in the order of the hits
+ * @param {Array} hits - Hits of the similarity index as { id, score }
+ * @returns {Promise<Array>} Entries with their similarity; entries withdrawn since are skipped
+ */
+const similarEntriesOf = async (hits) => {
+  const entries = await Entry.find({
+    _id: { $in: hits.map((hit) => hit.id) },
+    isActive: true,
+    status: 'published',
+  })
+    .select(SIMILAR_FIELDS)
+    .lean();
+  const byId = new Map(entries.map((entry) => [String(entry._id), entry]));
+  return hits
+    .filter((hit) => byId.has(hit.id))
+    .map((hit) => ({ ...byId.get(hit.id), similarity: hit.score }));
+};
+
+/**
+ * Count public text searches for the search analytics, once per search rather than
+ * per page and without anything identifying the searcher. Mounted before the search
+ * cache, so searches answered from the cache count too: the count is taken from the
+ * response, cached or not.
+ */
+const countSearch = (req, res, next) => {
+  const { q, search, hungarian, english, page, after, before } = req.query;
+  const searchedText = search || hungarian || english;
+  if (!(q || searchedText) || (parseInt(page, 10) || 1) !== 1 || after || before) {
+    return next();
+  }
+
+  const json = res.json;
+  res.json = function (body) {
+    const { meta, pagination } = body || {};
+    if (res.statusCode < 300 && meta?.status === 'published' && pagination) {
+      const { fieldOfExpertise, wordType, facetField, facetWordType } = req.query;
+      SearchStat.record({
+        query: q || searchedText,
+        column: (q && 'syntax') || (search && 'all') || (hungarian ? 'hungarian' : 'english'),
+        filters: {
+          fieldOfExpertise: [...listOf(fieldOfExpertise), ...listOf(facetField)],
+          wordType: [...listOf(wordType), ...listOf(facetWordType)],
+        },
+        language: meta.direction && meta.direction.slice(0, 2),
+        resultCount: pagination.totalItems,
+      }).catch((error) => logger.warn('Search not counted', { error: error.message }));
+    }
+    return json.call(this, body);
+  };
+  next();
+};
 
 /**
  * Get all entries with advanced filtering, search, and pagination
@@ -19,18 +223,75 @@ const getAllEntries = catchAsync(async (req, res) => {
     page = 1,
     limit = 20,
     search,
+    q,
     hungarian,
     english,
     fieldOfExpertise,
     wordType,
     sortBy = 'relevance',
+    status,
     includeStats = false,
+    explain = false,
+    lang,
+    scope,
+    facets = false,
+    facetField,
+    facetWordType,
+    after,
+    before,
+    expand = true,
+    semantic = false,
   } = req.query;
 
   // Validate pagination parameters
   const pageNum = Math.max(1, parseInt(page, 10) || 1);
   const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
 
+  // Searched texts also find the entries of their synonyms, unless expand=false
+  const expansions =
+    expand === 'false' || expand === false
+      ? { applied: [], queries: [] }
+      : await expansionsOf({
+          search,
+          hungarian,
+          english,
+          byColumn: Boolean(hungarian || english || fieldOfExpertise || wordType),
+        });
+
+  // Semantic search ranks the published entries by how similar their texts are to
+  // the search term and its synonyms; the other filters and the sort order do not apply
+  if ((semantic === 'true' || semantic === true) && search) {
+    const text = [search, ...expansions.applied.flatMap((expansion) => expansion.expansions)];
+    const index = await similarityIndex();
+    const ranked = await similarEntriesOf(
+      index.search(text.join('\n'), { limit: SEMANTIC_MAX_RESULTS })
+    );
+    const totalPages = Math.ceil(ranked.length / limitNum);
+
+    const response = {
+      data: ranked.slice((pageNum - 1) * limitNum, pageNum * limitNum),
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalItems: ranked.length,
+        itemsPerPage: limitNum,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1,
+        nextPage: pageNum < totalPages ? pageNum + 1 : null,
+        prevPage: pageNum > 1 ? pageNum - 1 : null,
+      },
+      meta: {
+        searchTerm: search,
+        semantic: true,
+        timestamp: new Date().toISOString(),
+      },
+    };
+    if (expansions.applied.length > 0) {
+      response.expansions = expansions.applied;
+    }
+    return res.json(response);
+  }
+
   // Build search options
   const searchOptions = {
     page: pageNum,
@@ -40,51 +301,97 @@ const getAllEntries = catchAsync(async (req, res) => {
     fieldOfExpertise,
     wordType,
     sortBy,
+    status: canSeeUnpublished(req) && status ? status : 'published',
+    explain: explain === 'true' || explain === true,
+    language: lang,
+    scope,
+    advanced: q ? parseSearchQuery(q) : undefined,
+    facets: facets === 'true' || facets === true,
+    // Field names may contain commas, so selections are repeated parameters
+    facetFilters: { fieldOfExpertise: listOf(facetField), wordType: listOf(facetWordType) },
+    after,
+    before,
+    expansions: expansions.queries,
   };
 
   logger.performance('Entry search request', {
     search: search || 'none',
+    query: q || 'none',
     filters: { hungarian, english, fieldOfExpertise, wordType },
+    facets: searchOptions.facetFilters,
     sortBy,
-    pagination: { page: pageNum, limit: limitNum },
+    pagination: { page: pageNum, limit: limitNum, cursor: Boolean(after || before) },
     userRole: req.user?.role || 'anonymous',
   });
 
   // Execute search with optimized queries
-  const { query, countQuery } = Entry.searchEntries(search, searchOptions);
+  const { query, countQuery, facetQuery, cursorsOf, direction } = readPage(() =>
+    Entry.searchEntries(search, searchOptions)
+  );
 
-  // Execute both queries in parallel
-  const [entries, totalCount] = await Promise.all([query, countQuery]);
+  // Execute the queries in parallel
+  const [entries, totalCount, facetCounts] = await Promise.all([query, countQuery, facetQuery]);
 
-  // Calculate pagination metadata
+  // Calculate pagination metadata. Pages read by cursor have no number, there is
+  // more to read as long as there is a cursor to read it with.
+  const byCursor = Boolean(after || before);
+  const cursors = cursorsOf(entries);
   const totalPages = Math.ceil(totalCount / limitNum);
-  const hasNextPage = pageNum < totalPages;
-  const hasPrevPage = pageNum > 1;
+  const hasNextPage = byCursor ? Boolean(cursors.next) : pageNum < totalPages;
+  const hasPrevPage = byCursor ? Boolean(cursors.previous) : pageNum > 1;
 
   // Prepare response
   const response = {
     data: entries,
     pagination: {
-      currentPage: pageNum,
+      currentPage: byCursor ? null : pageNum,
       totalPages,
       totalItems: totalCount,
       itemsPerPage: limitNum,
       hasNextPage,
       hasPrevPage,
-      nextPage: hasNextPage ? pageNum + 1 : null,
-      prevPage: hasPrevPage ? pageNum - 1 : null,
+      nextPage: hasNextPage && !byCursor ? pageNum + 1 : null,
+      prevPage: hasPrevPage && !byCursor ? pageNum - 1 : null,
+      nextCursor: hasNextPage ? cursors.next : null,
+      prevCursor: hasPrevPage ? cursors.previous : null,
     },
     meta: {
       searchTerm: search || null,
+      query: q || null,
       filters: {
         fieldOfExpertise: fieldOfExpertise || null,
         wordType: wordType || null,
+        facetField: searchOptions.facetFilters.fieldOfExpertise,
+        facetWordType: searchOptions.facetFilters.wordType,
       },
       sortBy,
+      status: searchOptions.status,
+      explain: searchOptions.explain,
+      // 'hu-en' or 'en-hu' for text searches, so clients can put the query language first
+      direction: direction || null,
       timestamp: new Date().toISOString(),
     },
   };
 
+  // Entries per field of expertise and word type, for narrowing the results
+  if (facetCounts) {
+    response.facets = facetCounts;
+  }
+
+  // Synonyms the search was expanded with
+  if (expansions.applied.length > 0) {
+    response.expansions = expansions.applied;
+  }
+
+  // Spelling suggestions when the searched text finds little
+  const searchedText = search || hungarian || english;
+  if (searchedText && totalCount < FEW_RESULTS) {
+    const didYouMean = await Entry.didYouMean(searchedText);
+    if (didYouMean.length > 0) {
+      response.didYouMean = didYouMean;
+    }
+  }
+
   // Include statistics if requested
   if (includeStats === 'true' || includeStats === true) {
     const stats = await Entry.getStatistics();
@@ -101,6 +408,257 @@ const getAllEntries = catchAsync(async (req, res) => {
   res.json(response);
 });
 
+/**
+ * Autocomplete: published headwords and English equivalents starting with the typed text
+ * @route GET /entries/suggest
+ * @access Public
+ */
+const getSuggestions = [
+  validate(suggestQuerySchema, 'query'),
+  catchAsync(async (req, res) => {
+    const { q, lang, limit } = req.query;
+
+    res.json({
+      data: Entry.suggest(q, { language: lang, limit }),
+      meta: {
+        query: q,
+        language: lang || null,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * Count the published headwords per initial letter
+ * @route GET /entries/browse
+ * @access Public
+ */
+const getLetterIndex = [
+  validate(browseIndexQuerySchema, 'query'),
+  catchAsync(async (req, res) => {
+    const { lang } = req.query;
+    const { letters, other } = await Entry.letterCounts(lang);
+
+    res.json({
+      data: letters,
+      meta: {
+        language: lang,
+        other,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * List the published headwords starting with a letter, in alphabetical order
+ * @route GET /entries/browse/:letter
+ * @access Public
+ */
+const browseByLetter = [
+  validate(browseParamsSchema, 'params'),
+  validate(browseQuerySchema, 'query'),
+  catchAsync(async (req, res) => {
+    const { letter } = req.params;
+    const { lang, page, limit } = req.query;
+
+    if (!Entry.browseLetters(lang).includes(letter)) {
+      throw createValidationError(`Invalid letter: ${letter}`, [
+        { field: 'letter', message: 'Not a letter of the alphabet', value: letter },
+      ]);
+    }
+
+    const { data, total } = await Entry.browse(letter, { language: lang, page, limit });
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      data,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        nextPage: page < totalPages ? page + 1 : null,
+        prevPage: page > 1 ? page - 1 : null,
+      },
+      meta: {
+        letter,
+        language: lang,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * Get a published entry at random
+ * @route GET /entries/random
+ * @access Public
+ */
+const getRandomEntry = [
+  validate(randomEntryQuerySchema, 'query'),
+  catchAsync(async (req, res) => {
+    const { fieldOfExpertise, wordType } = req.query;
+    const entry = await Entry.randomEntry({ fieldOfExpertise, wordType });
+
+    if (!entry) {
+      throw createNotFoundError('Entry');
+    }
+
+    res.json({
+      data: entry,
+      meta: {
+        filters: {
+          fieldOfExpertise: fieldOfExpertise || null,
+          wordType: wordType || null,
+        },
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * Day of a term of the day request, the requested date or today, for the daily cache
+ */
+const resolveDay = (req, res, next) => {
+  req.day = req.query.date || TermOfTheDay.today();
+  next();
+};
+
+/**
+ * Get the term of the day: an entry chosen for the calendar day, or pinned for it
+ * @route GET /entries/term-of-the-day
+ * @access Public
+ */
+const getTermOfTheDay = [
+  validate(termOfTheDayQuerySchema, 'query'),
+  catchAsync(async (req, res) => {
+    const date = req.query.date || TermOfTheDay.today();
+    const term = await TermOfTheDay.forDay(date);
+
+    if (!term) {
+      throw createNotFoundError('Entry');
+    }
+
+    res.json({
+      data: term.entry,
+      meta: {
+        date,
+        pinned: term.pinned,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * Pin a published entry as the term of a day
+ * @route PUT /entries/term-of-the-day/:date
+ * @access Private (Editor+)
+ */
+const pinTermOfTheDay = [
+  validate(termOfTheDayParamsSchema, 'params'),
+  validate(termOfTheDayPinSchema),
+  catchAsync(async (req, res) => {
+    const { date } = req.params;
+    const { entryId } = req.body;
+
+    const entry = await Entry.exists({ _id: entryId, isActive: true, status: 'published' });
+    if (!entry) {
+      throw createNotFoundError('Entry');
+    }
+
+    const term = await TermOfTheDay.pin(date, entryId, req.user?.userId || null);
+    invalidateCache.termOfTheDay();
+
+    logger.audit('Term of the day pinned', {
+      date,
+      entryId,
+      pinnedBy: req.user?.email,
+    });
+
+    res.json({
+      data: term,
+      meta: {
+        message: 'Term of the day pinned successfully',
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * Remove the pin of a day, so its term is chosen again
+ * @route DELETE /entries/term-of-the-day/:date
+ * @access Private (Editor+)
+ */
+const unpinTermOfTheDay = [
+  validate(termOfTheDayParamsSchema, 'params'),
+  catchAsync(async (req, res) => {
+    const { date } = req.params;
+
+    const { deletedCount } = await TermOfTheDay.deleteOne({ date, pinned: true });
+    if (deletedCount === 0) {
+      throw createNotFoundError('Pinned term of the day');
+    }
+    invalidateCache.termOfTheDay();
+
+    logger.audit('Term of the day unpinned', {
+      date,
+      unpinnedBy: req.user?.email,
+    });
+
+    res.json({
+      data: { date },
+      meta: {
+        message: 'Term of the day unpinned successfully',
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * Published entries most similar to an entry, by the words and spelling of their
+ * headwords, English equivalents, definitions and fields
+ * @route GET /entries/:id/similar
+ * @access Public (editors may ask for unpublished entries)
+ */
+const getSimilarEntries = [
+  validate(idSchema, 'params'),
+  validate(similarEntriesQuerySchema, 'query'),
+  catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const { limit } = req.query;
+
+    const [document] = await Entry.similarityCorpus({
+      _id: id,
+      isActive: true,
+      ...(!canSeeUnpublished(req) && { status: 'published' }),
+    });
+
+    if (!document) {
+      throw createNotFoundError('Entry');
+    }
+
+    const index = await similarityIndex();
+    const similar = await similarEntriesOf(index.search(document.text, { limit, exclude: [id] }));
+
+    res.json({
+      data: similar,
+      meta: {
+        entryId: id,
+        total: similar.length,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
 /**
  * Get single entry by ID
  * @route GET /entries/:id
@@ -110,7 +668,11 @@ const getEntryById = catchAsync(async (req, res) => {
   const { id } = req.params;
 
   // Find entry with lean query for better performance
-  const entry = await Entry.findOne({ _id: id, isActive: true })
+  const entry = await Entry.findOne({
+    _id: id,
+    isActive: true,
+    ...(!canSeeUnpublished(req) && { status: 'published' }),
+  })
     .populate('createdBy', 'firstName lastName')
     .populate('updatedBy', 'firstName lastName')
     .lean();
@@ -119,15 +681,13 @@ const getEntryById = catchAsync(async (req, res) => {
     throw createNotFoundError('Entry');
   }
 
+  // Links are returned resolved, links to entries deleted since are skipped.
+  // Entries stored before examples and sources existed lack the arrays.
+  const { relations = [], examples = [], sources = [], ...entryData } = entry;
+  const related = await Entry.getRelated(relations);
+
   // Increment view count asynchronously (fire and forget)
-  Entry.findByIdAndUpdate(
-    id,
-    {
-      $inc: { views: 1 },
-      $set: { lastViewed: new Date() },
-    },
-    { new: false }
-  ).catch((err) => {
+  Entry.recordView(id).catch((err) => {
     logger.warn('Failed to increment view count', {
       entryId: id,
       error: err.message,
@@ -144,7 +704,7 @@ const getEntryById = catchAsync(async (req, res) => {
   });
 
   res.json({
-    data: entry,
+    data: { ...entryData, examples, sources, related },
     meta: {
       timestamp: new Date().toISOString(),
       viewed: true,
@@ -169,6 +729,17 @@ const createEntry = [
     const entry = new Entry(entryData);
     const savedEntry = await entry.save();
 
+    await recordRevision({
+      eventType: 'EntryCreated',
+      entry: savedEntry,
+      before: null,
+      after: snapshotOf(savedEntry),
+      user: req.user,
+    });
+
+    // The entry is created anyway, the editor decides whether to merge it
+    const duplicates = (await Entry.findLikelyDuplicates(savedEntry)).map(toDuplicate);
+
     // Populate creator info
     await savedEntry.populate('createdBy', 'firstName lastName');
 
@@ -180,21 +751,30 @@ const createEntry = [
       entryId: savedEntry._id,
       hungarian: savedEntry.hungarian,
       english: savedEntry.english,
+      likelyDuplicates: duplicates.map((duplicate) => duplicate._id),
       createdBy: req.user?.email,
     });
 
+    const meta = {
+      message: 'Entry created successfully',
+      timestamp: new Date().toISOString(),
+    };
+    if (duplicates.length > 0) {
+      meta.warning = `Entry "${savedEntry.hungarian}" is likely a duplicate of ${duplicates
+        .map((duplicate) => `"${duplicate.hungarian}"`)
+        .join(', ')}`;
+      meta.duplicates = duplicates;
+    }
+
     res.status(201).json({
       data: savedEntry,
-      meta: {
-        message: 'Entry created successfully',
-        timestamp: new Date().toISOString(),
-      },
+      meta,
     });
   }),
 ];
 
 /**
- * Update entry
+ * Update entry. Content edits of an approved or published entry return it to draft.
  * @route PUT /entries/:id
  * @access Private (Editor+)
  */
@@ -209,6 +789,12 @@ const updateEntry = [
       updatedBy: req.user?.userId || null,
     };
 
+    const previous = await Entry.findOne({ _id: id, isActive: true }).lean();
+
+    if (!previous) {
+      throw createNotFoundError('Entry');
+    }
+
     const entry = await Entry.findOneAndUpdate({ _id: id, isActive: true }, updateData, {
       new: true,
       runValidators: true,
@@ -218,8 +804,24 @@ const updateEntry = [
       throw createNotFoundError('Entry');
     }
 
+    // The edit is not public until it is approved and published again
+    const before = snapshotOf(previous);
+    if (needsReview(before, snapshotOf(entry))) {
+      await Entry.updateOne({ _id: entry._id }, { $set: { status: 'draft' } });
+      entry.status = 'draft';
+    }
+
+    await recordRevision({
+      eventType: 'EntryUpdated',
+      entry,
+      before,
+      after: snapshotOf(entry),
+      user: req.user,
+    });
+
     // Invalidate relevant caches
     invalidateCache.entries();
+    invalidateCache.termOfTheDay();
 
     // Log entry update
     logger.audit('Entry updated', {
@@ -257,34 +859,46 @@ const deleteEntry = [
   catchAsync(async (req, res) => {
     const { id } = req.params;
 
-    const entry = await Entry.findOneAndUpdate(
-      { _id: id, isActive: true },
-      {
-        isActive: false,
-        updatedBy: req.user?.userId || null,
-      },
-      { new: true }
-    );
+    const entry = await Entry.findOneAndUpdate({ _id: id, isActive: true }, trashChanges(req), {
+      new: true,
+    });
 
     if (!entry) {
       throw createNotFoundError('Entry');
     }
 
+    const after = snapshotOf(entry);
+    await recordRevision({
+      eventType: 'EntryDeleted',
+      entry,
+      before: { ...after, isActive: true },
+      after,
+      user: req.user,
+    });
+
+    // Links from other entries would now point to an inactive entry
+    const unlinkedEntries = await Entry.removeRelationsTo([entry._id]);
+
     // Invalidate relevant caches
     invalidateCache.entries();
+    invalidateCache.termOfTheDay();
 
     // Log entry deletion
     logger.audit('Entry deleted (soft)', {
       entryId: id,
       hungarian: entry.hungarian,
       english: entry.english,
+      relationsRemoved: unlinkedEntries.length,
       deletedBy: req.user?.email,
     });
 
     res.json({
       meta: {
-        message: 'Entry deleted successfully',
+        message: 'Entry moved to the trash',
+        purgeAt: purgeDateOf(entry.deletedAt),
         entryId: id,
+        relationsRemoved: unlinkedEntries.length,
+        unlinkedEntries,
         timestamp: new Date().toISOString(),
       },
     });
@@ -292,39 +906,690 @@ const deleteEntry = [
 ];
 
 /**
- * Get popular entries
- * @route GET /entries/popular
- * @access Public
+ * Link an entry to another active entry
+ * @route POST /entries/:id/relations
+ * @access Private (Editor+)
  */
-const getPopularEntries = catchAsync(async (req, res) => {
-  const { limit = 10 } = req.query;
-  const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
+const addRelation = [
+  validate(idSchema, 'params'),
+  validate(relationSchema),
+  catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const { type, target, bidirectional } = req.body;
 
-  const popularEntries = await Entry.getPopularEntries(limitNum);
+    if (id === target) {
+      throw createValidationError('An entry cannot be related to itself');
+    }
 
-  res.json({
-    data: popularEntries,
-    meta: {
-      type: 'popular',
-      limit: limitNum,
-      timestamp: new Date().toISOString(),
-    },
-  });
-});
+    const [source, targetEntry] = await Promise.all([
+      Entry.exists({ _id: id, isActive: true }),
+      Entry.findById(target).select('hungarian isActive').lean(),
+    ]);
 
-/**
- * Get recent entries
+    if (!source) {
+      throw createNotFoundError('Entry');
+    }
+    if (!targetEntry) {
+      throw createNotFoundError('Target entry');
+    }
+    if (!targetEntry.isActive) {
+      throw createValidationError('Relations cannot point to an inactive entry');
+    }
+
+    const { added, inverseAdded } = await Entry.addRelation(
+      id,
+      { type, target, createdBy: req.user?.userId },
+      bidirectional
+    );
+
+    if (!added && !inverseAdded) {
+      throw createConflictError(`The entries are already linked as ${type}`);
+    }
+
+    invalidateCache.entries();
+
+    logger.audit('Entry relation added', {
+      entryId: id,
+      target,
+      type,
+      bidirectional,
+      createdBy: req.user?.email,
+    });
+
+    const { relations } = await Entry.findById(id).select('relations').lean();
+
+    res.status(201).json({
+      data: {
+        related: await Entry.getRelated(relations),
+      },
+      meta: {
+        message: 'Relation added successfully',
+        added,
+        inverseAdded,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * Remove a link, by default together with its inverse
+ * @route DELETE /entries/:id/relations/:relationId
+ * @access Private (Editor+)
+ */
+const removeRelation = [
+  validate(relationParamsSchema, 'params'),
+  catchAsync(async (req, res) => {
+    const { id, relationId } = req.params;
+    const bidirectional = req.query.bidirectional !== 'false';
+
+    const relation = await Entry.removeRelation(id, relationId, bidirectional);
+
+    if (!relation) {
+      throw createNotFoundError('Relation');
+    }
+
+    invalidateCache.entries();
+
+    logger.audit('Entry relation removed', {
+      entryId: id,
+      target: relation.target,
+      type: relation.type,
+      bidirectional,
+      removedBy: req.user?.email,
+    });
+
+    res.json({
+      meta: {
+        message: 'Relation removed successfully',
+        relationId,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * Get the revision history of an entry with field-level diffs
+ * @route GET /entries/:id/revisions
+ * @access Private (Editor+)
+ */
+const getEntryRevisions = [
+  validate(idSchema, 'params'),
+  catchAsync(async (req, res) => {
+    const { id } = req.params;
+
+    // Deleted entries keep their history
+    if (!(await Entry.exists({ _id: id }))) {
+      throw createNotFoundError('Entry');
+    }
+
+    const revisions = await getRevisions(id);
+
+    res.json({
+      data: revisions,
+      meta: {
+        entryId: id,
+        total: revisions.length,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * Restore the content an entry had right after the given revision.
+ * The revert itself is recorded as a new revision; like an edit, it returns an
+ * approved or published entry to draft.
+ * @route POST /entries/:id/revisions/:rev/revert
+ * @access Private (Editor+)
+ */
+const revertEntry = [
+  validate(revisionParamsSchema, 'params'),
+  catchAsync(async (req, res) => {
+    const { id, rev } = req.params;
+
+    const entry = await Entry.findOne({ _id: id, isActive: true });
+    if (!entry) {
+      throw createNotFoundError('Entry');
+    }
+
+    const revision = await getRevisionEvent(id, rev);
+    if (!revision) {
+      throw createNotFoundError('Revision');
+    }
+
+    const before = snapshotOf(entry);
+    const target = revision.eventData.after;
+
+    REVERTIBLE_FIELDS.forEach((field) => entry.set(field, target[field]));
+    if (needsReview(before, snapshotOf(entry))) {
+      entry.status = 'draft';
+    }
+    entry.updatedBy = req.user?.userId || null;
+    await entry.save();
+
+    const after = snapshotOf(entry);
+    const changedFields = diffSnapshots(before, after).map((change) => change.field);
+
+    await recordRevision({
+      eventType: 'EntryReverted',
+      entry,
+      before,
+      after,
+      user: req.user,
+      details: { revertedTo: rev },
+    });
+
+    invalidateCache.entries();
+    invalidateCache.termOfTheDay();
+
+    logger.audit('Entry reverted', {
+      entryId: id,
+      hungarian: entry.hungarian,
+      revertedTo: rev,
+      changes: changedFields,
+      revertedBy: req.user?.email,
+    });
+
+    res.json({
+      data: entry,
+      meta: {
+        message: changedFields.length
+          ? `Entry reverted to revision ${rev}`
+          : `Entry already matches revision ${rev}`,
+        revertedTo: rev,
+        changedFields,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * Move an entry along the editorial workflow and record the domain event
+ * @param {object} req - Express request object
+ * @param {string} action - submit, approve, reject or publish
+ * @param {object} changes - Additional fields to set
+ * @param {object} details - Event details for the notification handlers
+ * @returns {Promise<Document>} Updated entry
+ */
+const changeEntryStatus = async (req, action, changes = {}, details = {}) => {
+  const { id } = req.params;
+  const { from, event } = Entry.statusTransition(action);
+
+  const previous = await Entry.findOne({ _id: id, isActive: true }).lean();
+  if (!previous) {
+    throw createNotFoundError('Entry');
+  }
+
+  const entry = await Entry.changeStatus(id, action, {
+    ...changes,
+    updatedBy: req.user?.userId || null,
+  });
+
+  // Checked after the update so two reviewers cannot decide at the same time
+  if (!entry) {
+    throw createConflictError(
+      `Cannot ${action} an entry with status "${previous.status}", it must be ${from.join(' or ')}`
+    );
+  }
+
+  await recordRevision({
+    eventType: event,
+    entry,
+    before: snapshotOf(previous),
+    after: snapshotOf(entry),
+    user: req.user,
+    details,
+  });
+
+  invalidateCache.entries();
+  invalidateCache.termOfTheDay();
+
+  logger.audit(`Entry status changed (${action})`, {
+    entryId: id,
+    hungarian: entry.hungarian,
+    from: previous.status,
+    to: entry.status,
+    changedBy: req.user?.email,
+  });
+
+  return entry;
+};
+
+/**
+ * Submit an entry for review
+ * @route POST /entries/:id/submit
+ * @access Private (Editor+)
+ */
+const submitEntry = [
+  validate(idSchema, 'params'),
+  catchAsync(async (req, res) => {
+    const entry = await changeEntryStatus(req, 'submit', {
+      submittedBy: req.user?.userId || null,
+      submittedAt: new Date(),
+    });
+
+    res.json({
+      data: entry,
+      meta: {
+        message: 'Entry submitted for review',
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * Approve an entry in review
+ * @route POST /entries/:id/approve
+ * @access Private (Admin)
+ */
+const approveEntry = [
+  validate(idSchema, 'params'),
+  sanitize('body'),
+  validate(entryApprovalSchema),
+  catchAsync(async (req, res) => {
+    const { comment = '' } = req.body;
+    const reviewer = { userId: req.user?.userId || null, name: req.user?.email || null };
+
+    const entry = await changeEntryStatus(
+      req,
+      'approve',
+      {
+        review: { reviewedBy: reviewer.userId, reviewedAt: new Date(), comment },
+      },
+      { approver: reviewer, comment }
+    );
+
+    res.json({
+      data: entry,
+      meta: {
+        message: 'Entry approved',
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * Reject an entry in review, the author can submit it again after editing
+ * @route POST /entries/:id/reject
+ * @access Private (Admin)
+ */
+const rejectEntry = [
+  validate(idSchema, 'params'),
+  sanitize('body'),
+  validate(entryRejectionSchema),
+  catchAsync(async (req, res) => {
+    const { reason } = req.body;
+    const reviewer = { userId: req.user?.userId || null, name: req.user?.email || null };
+
+    const entry = await changeEntryStatus(
+      req,
+      'reject',
+      {
+        review: { reviewedBy: reviewer.userId, reviewedAt: new Date(), reason },
+      },
+      { reviewer, reason }
+    );
+
+    res.json({
+      data: entry,
+      meta: {
+        message: 'Entry rejected',
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * Publish an approved entry
+ * @route POST /entries/:id/publish
+ * @access Private (Admin)
+ */
+const publishEntry = [
+  validate(idSchema, 'params'),
+  catchAsync(async (req, res) => {
+    const entry = await changeEntryStatus(req, 'publish', { publishedAt: new Date() });
+
+    res.json({
+      data: entry,
+      meta: {
+        message: 'Entry published',
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * List soft-deleted entries, most recently deleted first
+ * @route GET /entries/trash
+ * @access Private (Editor+)
+ */
+const getTrash = [
+  validate(trashQuerySchema, 'query'),
+  catchAsync(async (req, res) => {
+    const { page, limit } = req.query;
+    const filter = { isActive: false };
+
+    const [entries, totalCount] = await Promise.all([
+      Entry.find(filter)
+        .select('hungarian english fieldOfExpertise status deletedAt deletedBy mergedInto')
+        .populate('deletedBy', 'firstName lastName')
+        .sort({ deletedAt: -1, updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Entry.countDocuments(filter),
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limit);
+
+    res.json({
+      data: entries.map((entry) => ({ ...entry, purgeAt: purgeDateOf(entry.deletedAt) })),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: totalCount,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        nextPage: page < totalPages ? page + 1 : null,
+        prevPage: page > 1 ? page - 1 : null,
+      },
+      meta: {
+        retentionDays: TRASH_RETENTION_DAYS,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * Restore an entry from the trash. Links removed on deletion are not restored.
+ * @route POST /entries/:id/restore
+ * @access Private (Editor+)
+ */
+const restoreEntry = [
+  validate(idSchema, 'params'),
+  catchAsync(async (req, res) => {
+    const { id } = req.params;
+
+    const entry = await Entry.findOneAndUpdate(
+      { _id: id, isActive: false },
+      {
+        $set: {
+          isActive: true,
+          deletedAt: null,
+          deletedBy: null,
+          mergedInto: null,
+          updatedBy: req.user?.userId || null,
+        },
+      },
+      { new: true }
+    );
+
+    if (!entry) {
+      throw createNotFoundError('Entry in the trash');
+    }
+
+    const after = snapshotOf(entry);
+    await recordRevision({
+      eventType: 'EntryRestored',
+      entry,
+      before: { ...after, isActive: false },
+      after,
+      user: req.user,
+    });
+
+    invalidateCache.entries();
+
+    logger.audit('Entry restored', {
+      entryId: id,
+      hungarian: entry.hungarian,
+      status: entry.status,
+      restoredBy: req.user?.email,
+    });
+
+    res.json({
+      data: entry,
+      meta: {
+        message: 'Entry restored successfully',
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * Permanently remove an entry from the trash
+ * @route DELETE /entries/trash/:id
+ * @access Private (Admin)
+ */
+const purgeEntry = [
+  validate(idSchema, 'params'),
+  catchAsync(async (req, res) => {
+    const [entry] = await Entry.purgeDeleted({ _id: req.params.id });
+
+    if (!entry) {
+      throw createNotFoundError('Entry in the trash');
+    }
+
+    logger.audit('Entry purged', {
+      entryId: entry._id,
+      hungarian: entry.hungarian,
+      deletedAt: entry.deletedAt,
+      purgedBy: req.user?.email,
+    });
+
+    res.json({
+      meta: {
+        message: 'Entry permanently deleted',
+        entryId: entry._id,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * Permanently remove the entries in the trash, optionally only older ones
+ * @route DELETE /entries/trash
+ * @access Private (Admin)
+ */
+const emptyTrash = [
+  validate(trashPurgeSchema, 'query'),
+  catchAsync(async (req, res) => {
+    const { olderThanDays } = req.query;
+    const filter =
+      olderThanDays > 0
+        ? { deletedAt: { $lte: new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000) } }
+        : {};
+
+    const purged = await Entry.purgeDeleted(filter);
+
+    logger.audit('Trash emptied', {
+      olderThanDays,
+      entriesPurged: purged.length,
+      entries: purged.map(({ _id, hungarian }) => ({ entryId: _id, hungarian })),
+      purgedBy: req.user?.email,
+    });
+
+    res.json({
+      data: purged.map(({ _id, hungarian }) => ({ _id, hungarian })),
+      meta: {
+        message: `${purged.length} entries permanently deleted`,
+        entriesPurged: purged.length,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * Report clusters of likely duplicate entries
+ * @route GET /entries/duplicates
+ * @access Private (Admin)
+ */
+const getDuplicates = [
+  validate(duplicateQuerySchema, 'query'),
+  catchAsync(async (req, res) => {
+    const { minScore, limit } = req.query;
+
+    const clusters = await Entry.findDuplicateClusters(minScore);
+
+    res.json({
+      data: clusters.slice(0, limit).map((cluster) => ({
+        score: cluster.score,
+        entries: cluster.entries.map(({ _id, hungarian, english, status }) => ({
+          _id,
+          hungarian,
+          english,
+          status,
+        })),
+        pairs: cluster.pairs,
+      })),
+      meta: {
+        totalClusters: clusters.length,
+        minScore,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * Merge a duplicate entry into this entry
+ * @route POST /entries/:id/merge
+ * @access Private (Admin)
+ */
+const mergeEntry = [
+  validate(idSchema, 'params'),
+  validate(entryMergeSchema),
+  catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const { from } = req.body;
+
+    if (id === from) {
+      throw createValidationError('An entry cannot be merged into itself');
+    }
+
+    const [target, source] = await Promise.all([
+      Entry.findOne({ _id: id, isActive: true }).lean(),
+      Entry.findOne({ _id: from, isActive: true }).lean(),
+    ]);
+    if (!target) {
+      throw createNotFoundError('Entry');
+    }
+    if (!source) {
+      throw createNotFoundError('Duplicate entry');
+    }
+
+    const { entry, merged, entriesRelinked } = await Entry.mergeEntries(
+      id,
+      from,
+      req.user?.userId || null
+    );
+
+    await recordRevision({
+      eventType: 'EntryMerged',
+      entry,
+      before: snapshotOf(target),
+      after: snapshotOf(entry),
+      user: req.user,
+      details: { mergedFrom: from },
+    });
+    await recordRevision({
+      eventType: 'EntryDeleted',
+      entry: merged,
+      before: snapshotOf(source),
+      after: snapshotOf(merged),
+      user: req.user,
+      details: { mergedInto: id },
+    });
+
+    invalidateCache.entries();
+    invalidateCache.termOfTheDay();
+
+    logger.audit('Entries merged', {
+      merged: { entryId: from, hungarian: source.hungarian },
+      into: { entryId: id, hungarian: target.hungarian },
+      entriesRelinked,
+      mergedBy: req.user?.email,
+    });
+
+    res.json({
+      data: entry,
+      meta: {
+        message: `Entry "${source.hungarian}" merged into "${target.hungarian}"`,
+        mergedFrom: from,
+        entriesRelinked,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * Get popular entries
+ * @route GET /entries/popular
+ * @access Public
+ */
+const getPopularEntries = catchAsync(async (req, res) => {
+  const { limit = 10, after, before } = req.query;
+  const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
+
+  const { query, cursorsOf } = readPage(() =>
+    Entry.listingPage('popular', { limit: limitNum, after, before })
+  );
+  const popularEntries = await query;
+  const cursors = cursorsOf(popularEntries);
+
+  res.json({
+    data: popularEntries,
+    pagination: {
+      itemsPerPage: limitNum,
+      hasNextPage: Boolean(cursors.next),
+      hasPrevPage: Boolean(cursors.previous),
+      nextCursor: cursors.next,
+      prevCursor: cursors.previous,
+    },
+    meta: {
+      type: 'popular',
+      limit: limitNum,
+      timestamp: new Date().toISOString(),
+    },
+  });
+});
+
+/**
+ * Get recent entries
  * @route GET /entries/recent
  * @access Public
  */
 const getRecentEntries = catchAsync(async (req, res) => {
-  const { limit = 10 } = req.query;
+  const { limit = 10, after, before } = req.query;
   const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
 
-  const recentEntries = await Entry.getRecentEntries(limitNum);
+  const { query, cursorsOf } = readPage(() =>
+    Entry.listingPage('recent', { limit: limitNum, after, before })
+  );
+  const recentEntries = await query;
+  const cursors = cursorsOf(recentEntries);
 
   res.json({
     data: recentEntries,
+    pagination: {
+      itemsPerPage: limitNum,
+      hasNextPage: Boolean(cursors.next),
+      hasPrevPage: Boolean(cursors.previous),
+      nextCursor: cursors.next,
+      prevCursor: cursors.previous,
+    },
     meta: {
       type: 'recent',
       limit: limitNum,
@@ -375,31 +1640,39 @@ const bulkOperations = catchAsync(async (req, res) => {
   let result;
 
   switch (operation) {
-    case 'delete':
+    case 'delete': {
+      let deleteFilter;
       if (entries && entries.length > 0) {
         // Delete specific entries
-        result = await Entry.updateMany(
-          { _id: { $in: entries }, isActive: true },
-          {
-            isActive: false,
-            updatedBy: req.user?.userId,
-          }
-        );
+        deleteFilter = { _id: { $in: entries }, isActive: true };
       } else if (filters) {
         // Delete by filters
-        result = await Entry.updateMany(
-          { ...filters, isActive: true },
-          {
-            isActive: false,
-            updatedBy: req.user?.userId,
-          }
-        );
+        deleteFilter = { ...filters, isActive: true };
       } else {
         throw createValidationError('Either entries array or filters must be provided');
       }
+
+      const deleted = await Entry.find(deleteFilter).lean();
+      const deletedIds = deleted.map((entry) => entry._id);
+      result = await Entry.updateMany({ _id: { $in: deletedIds } }, trashChanges(req));
+
+      for (const entry of deleted) {
+        const before = snapshotOf(entry);
+        await recordRevision({
+          eventType: 'EntryDeleted',
+          entry,
+          before,
+          after: { ...before, isActive: false },
+          user: req.user,
+        });
+      }
+
+      // Drop links pointing to the deleted entries
+      result.relationsRemoved = (await Entry.removeRelationsTo(deletedIds)).length;
       break;
+    }
 
-    case 'update':
+    case 'update': {
       if (!req.body.updateData) {
         throw createValidationError('Update data is required');
       }
@@ -409,14 +1682,32 @@ const bulkOperations = catchAsync(async (req, res) => {
         updatedBy: req.user?.userId,
       };
 
+      let updateFilter;
       if (entries && entries.length > 0) {
-        result = await Entry.updateMany({ _id: { $in: entries }, isActive: true }, updateData);
+        updateFilter = { _id: { $in: entries }, isActive: true };
       } else if (filters) {
-        result = await Entry.updateMany({ ...filters, isActive: true }, updateData);
+        updateFilter = { ...filters, isActive: true };
       } else {
         throw createValidationError('Either entries array or filters must be provided');
       }
+
+      const previous = await Entry.find(updateFilter).lean();
+      const updatedIds = previous.map((entry) => entry._id);
+      result = await Entry.updateMany({ _id: { $in: updatedIds } }, updateData);
+
+      const updated = await Entry.find({ _id: { $in: updatedIds } }).lean();
+      const updatedById = new Map(updated.map((entry) => [String(entry._id), entry]));
+      for (const entry of previous) {
+        await recordRevision({
+          eventType: 'EntryUpdated',
+          entry,
+          before: snapshotOf(entry),
+          after: snapshotOf(updatedById.get(String(entry._id))),
+          user: req.user,
+        });
+      }
       break;
+    }
 
     default:
       throw createValidationError('Invalid operation type');
@@ -424,6 +1715,7 @@ const bulkOperations = catchAsync(async (req, res) => {
 
   // Invalidate caches after bulk operations
   invalidateCache.entries();
+  invalidateCache.termOfTheDay();
 
   // Log bulk operation
   logger.audit('Bulk operation performed', {
@@ -438,6 +1730,7 @@ const bulkOperations = catchAsync(async (req, res) => {
       matched: result.matchedCount || 0,
       modified: result.modifiedCount || 0,
       acknowledged: result.acknowledged,
+      ...(result.relationsRemoved !== undefined && { relationsRemoved: result.relationsRemoved }),
     },
     meta: {
       message: `Bulk ${operation} completed successfully`,
@@ -447,12 +1740,36 @@ const bulkOperations = catchAsync(async (req, res) => {
 });
 
 module.exports = {
+  countSearch,
   getAllEntries,
+  getSuggestions,
+  getLetterIndex,
+  browseByLetter,
+  getRandomEntry,
+  resolveDay,
+  getTermOfTheDay,
+  pinTermOfTheDay,
+  unpinTermOfTheDay,
+  getSimilarEntries,
   getEntryById,
   createEntry,
   updateEntry,
   patchEntry,
   deleteEntry,
+  addRelation,
+  removeRelation,
+  getEntryRevisions,
+  revertEntry,
+  submitEntry,
+  approveEntry,
+  rejectEntry,
+  publishEntry,
+  getDuplicates,
+  mergeEntry,
+  getTrash,
+  restoreEntry,
+  purgeEntry,
+  emptyTrash,
   getPopularEntries,
   getRecentEntries,
   getStatistics,
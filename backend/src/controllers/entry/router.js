@@ -1,13 +1,55 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate, authorize } = require('../../models/auth/authenticate');
+const { authenticate, optionalAuthenticate, authorize } = require('../../models/auth/authenticate');
 const { presets: cachePresets } = require('../../middleware/cache');
 const controller = require('./controller');
 
-// Public routes with caching
+// Public routes with caching, editors signed in also see unpublished entries
 
-// Get all entries with search and filtering
-router.get('/', cachePresets.search, controller.getAllEntries);
+// Get all entries with search and filtering, searches are counted before the cache
+router.get(
+  '/',
+  optionalAuthenticate,
+  controller.countSearch,
+  cachePresets.search,
+  controller.getAllEntries
+);
+
+// Autocomplete headwords and English equivalents
+router.get('/suggest', controller.getSuggestions);
+
+// Number of headwords per initial letter
+router.get('/browse', cachePresets.entries, controller.getLetterIndex);
+
+// Headwords starting with a letter
+router.get('/browse/:letter', cachePresets.entries, controller.browseByLetter);
+
+// A published entry at random, not cached
+router.get('/random', controller.getRandomEntry);
+
+// Entry of the calendar day, cached for the day
+router.get(
+  '/term-of-the-day',
+  controller.resolveDay,
+  cachePresets.daily,
+  controller.getTermOfTheDay
+);
+
+// Pin an entry as the term of a day
+router.put(
+  '/term-of-the-day/:date',
+  authenticate,
+  authorize([2, 3]), // Editor or Admin
+  controller.pinTermOfTheDay
+);
+
+// Remove the pin of a day
+router.delete(
+  '/term-of-the-day/:date',
+  authenticate,
+  authorize([2, 3]), // Editor or Admin
+  controller.unpinTermOfTheDay
+);
 
 // Get popular entries
 router.get('/popular', cachePresets.public, controller.getPopularEntries);
@@ -18,8 +60,32 @@ router.get('/recent', cachePresets.public, controller.getRecentEntries);
 // Get statistics
 router.get('/statistics', cachePresets.statistics, controller.getStatistics);
 
+// Report likely duplicate entries (Admin only)
+router.get(
+  '/duplicates',
+  authenticate,
+  authorize([3]), // Admin only
+  controller.getDuplicates
+);
+
+// List deleted entries
+router.get(
+  '/trash',
+  authenticate,
+  authorize([2, 3]), // Editor or Admin
+  controller.getTrash
+);
+
+// Published entries similar to an entry
+router.get(
+  '/:id/similar',
+  optionalAuthenticate,
+  cachePresets.entries,
+  controller.getSimilarEntries
+);
+
 // Get single entry by ID
-router.get('/:id', cachePresets.entries, controller.getEntryById);
+router.get('/:id', optionalAuthenticate, cachePresets.entries, controller.getEntryById);
 
 // Protected routes (Editor+ required)
 
@@ -55,6 +121,105 @@ router.patch(
   controller.patchEntry
 );
 
+// Link entry to another entry
+router.post(
+  '/:id/relations',
+  authenticate,
+  authorize([2, 3]), // Editor or Admin
+  controller.addRelation
+);
+
+// Remove link between entries
+router.delete(
+  '/:id/relations/:relationId',
+  authenticate,
+  authorize([2, 3]), // Editor or Admin
+  controller.removeRelation
+);
+
+// Get revision history of entry
+router.get(
+  '/:id/revisions',
+  authenticate,
+  authorize([2, 3]), // Editor or Admin
+  controller.getEntryRevisions
+);
+
+// Revert entry to a revision
+router.post(
+  '/:id/revisions/:rev/revert',
+  authenticate,
+  authorize([2, 3]), // Editor or Admin
+  controller.revertEntry
+);
+
+// Submit entry for review
+router.post(
+  '/:id/submit',
+  authenticate,
+  authorize([2, 3]), // Editor or Admin
+  controller.submitEntry
+);
+
+// Approve entry in review (Admin only)
+router.post(
+  '/:id/approve',
+  authenticate,
+  authorize([3]), // Admin only
+  controller.approveEntry
+);
+
+// Reject entry in review (Admin only)
+router.post(
+  '/:id/reject',
+  authenticate,
+  authorize([3]), // Admin only
+  controller.rejectEntry
+);
+
+// Publish approved entry (Admin only)
+router.post(
+  '/:id/publish',
+  authenticate,
+  authorize([3]), // Admin only
+  controller.publishEntry
+);
+
+// Merge a duplicate into entry (Admin only)
+router.post(
+  '/:id/merge',
+  authenticate,
+  authorize([3]), // Admin only
+  controller.mergeEntry
+);
+
+// Restore deleted entry
+router.post(
+  '/:id/restore',
+  authenticate,
+  authorize([2, 3]), // Editor or Admin
+  controller.restoreEntry
+);
+
+// Empty the trash (Admin only)
+router.delete(
+  '/trash',
+  authenticate,
+  authorize([3]), // Admin only
+  controller.emptyTrash
+);
+
+// Permanently delete entry from the trash (Admin only)
+router.delete(
+  '/trash/:id',
+  authenticate,
+  authorize([3]), // Admin only
+  controller.purgeEntry
+);
+
+// Comment threads of entry (Editor+)
+router.use('/:id/comments', require('../comment/router'));
+
 // Delete entry (soft delete)
 router.delete(
   '/:id',
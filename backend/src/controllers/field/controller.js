@@ -0,0 +1,282 @@
+const Field = require('../../models/field');
+const Entry = require('../../models/entry');
+const {
+  catchAsync,
+  createNotFoundError,
+  createConflictError,
+  createValidationError,
+} = require('../../middleware/errorHandler');
+const { validate, sanitize } = require('../../middleware/validation');
+const { compareHungarian } = require('../../search/collation');
+const {
+  fieldSchema,
+  fieldUpdateSchema,
+  fieldMergeSchema,
+  idSchema,
+} = require('../../validation/schemas');
+const { invalidateCache } = require('../../middleware/cache');
+const logger = require('../../logger/logger');
+
+/**
+ * Drop cached responses that contain field names or counts
+ */
+const taxonomyChanged = () => {
+  invalidateCache.fields();
+  invalidateCache.entries();
+};
+
+/**
+ * Make sure a field can be placed below the given parent
+ * @param {string} parentId - New parent ID
+ * @param {string} fieldId - Field being moved (omit for new fields)
+ */
+const assertValidParent = async (parentId, fieldId) => {
+  if (!parentId) return;
+
+  if (fieldId && String(parentId) === String(fieldId)) {
+    throw createValidationError('A field cannot be its own parent');
+  }
+  if (!(await Field.exists({ _id: parentId }))) {
+    throw createNotFoundError('Parent field');
+  }
+  if (fieldId && (await Field.exists({ _id: parentId, ancestors: fieldId }))) {
+    throw createValidationError('A field cannot be moved below one of its descendants');
+  }
+};
+
+/**
+ * Get the field tree with entry counts per node, of the published entries unless
+ * an editor asks
+ * @route GET /fields
+ * @access Public
+ */
+const getFieldTree = catchAsync(async (req, res) => {
+  const tree = await Field.getTree({ includeUnpublished: (req.user?.role || 0) >= 2 });
+
+  res.json({
+    data: tree,
+    meta: {
+      totalFields: Field.getTaxonomy().length,
+      timestamp: new Date().toISOString(),
+    },
+  });
+});
+
+/**
+ * Get single field with its path and direct children
+ * @route GET /fields/:id
+ * @access Public
+ */
+const getFieldById = [
+  validate(idSchema, 'params'),
+  catchAsync(async (req, res) => {
+    const field = await Field.findById(req.params.id).populate('ancestors', 'nameHu nameEn').lean();
+
+    if (!field) {
+      throw createNotFoundError('Field');
+    }
+
+    const children = await Field.find({ parent: field._id })
+      .select('nameHu nameEn description')
+      .lean();
+    children.sort((a, b) => compareHungarian(a.nameHu, b.nameHu));
+
+    res.json({
+      data: { ...field, children },
+      meta: {
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * Create new field
+ * @route POST /fields
+ * @access Private (Admin)
+ */
+const createField = [
+  sanitize('body'),
+  validate(fieldSchema),
+  catchAsync(async (req, res) => {
+    await assertValidParent(req.body.parent);
+
+    if (await Field.exists({ nameHu: req.body.nameHu })) {
+      throw createConflictError(`Field "${req.body.nameHu}" already exists`);
+    }
+
+    const field = await Field.create(req.body);
+    await Field.refreshTaxonomy();
+    taxonomyChanged();
+
+    logger.audit('Field created', {
+      fieldId: field._id,
+      nameHu: field.nameHu,
+      parent: field.parent,
+      createdBy: req.user?.email,
+    });
+
+    res.status(201).json({
+      data: field,
+      meta: {
+        message: 'Field created successfully',
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * Update, rename or move a field. Renaming rewrites every entry sense
+ * that refers to the old name in the same transaction.
+ * @route PUT /fields/:id
+ * @access Private (Admin)
+ */
+const updateField = [
+  validate(idSchema, 'params'),
+  sanitize('body'),
+  validate(fieldUpdateSchema),
+  catchAsync(async (req, res) => {
+    const { id } = req.params;
+
+    if (req.body.parent !== undefined) {
+      await assertValidParent(req.body.parent, id);
+    }
+    if (req.body.nameHu && (await Field.exists({ _id: { $ne: id }, nameHu: req.body.nameHu }))) {
+      throw createConflictError(
+        `Field "${req.body.nameHu}" already exists, merge the two fields instead`
+      );
+    }
+
+    const { field, entriesUpdated } = await Field.updateField(id, req.body);
+
+    if (!field) {
+      throw createNotFoundError('Field');
+    }
+
+    taxonomyChanged();
+
+    logger.audit('Field updated', {
+      fieldId: id,
+      nameHu: field.nameHu,
+      entriesUpdated,
+      updatedBy: req.user?.email,
+      changes: Object.keys(req.body),
+    });
+
+    res.json({
+      data: field,
+      meta: {
+        message: 'Field updated successfully',
+        entriesUpdated,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * Merge a field into another one
+ * @route POST /fields/:id/merge
+ * @access Private (Admin)
+ */
+const mergeField = [
+  validate(idSchema, 'params'),
+  validate(fieldMergeSchema),
+  catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const { into } = req.body;
+
+    if (id === into) {
+      throw createValidationError('A field cannot be merged into itself');
+    }
+
+    const [source, target] = await Promise.all([Field.findById(id), Field.findById(into)]);
+    if (!source) {
+      throw createNotFoundError('Field');
+    }
+    if (!target) {
+      throw createNotFoundError('Target field');
+    }
+    if (target.ancestors.some((ancestor) => ancestor.equals(source._id))) {
+      throw createValidationError('A field cannot be merged into one of its descendants');
+    }
+
+    const { field, entriesUpdated, childrenMoved } = await Field.mergeFields(id, into);
+
+    taxonomyChanged();
+
+    logger.audit('Fields merged', {
+      merged: { fieldId: id, nameHu: source.nameHu },
+      into: { fieldId: into, nameHu: target.nameHu },
+      entriesUpdated,
+      childrenMoved,
+      mergedBy: req.user?.email,
+    });
+
+    res.json({
+      data: field,
+      meta: {
+        message: `Field "${source.nameHu}" merged into "${target.nameHu}"`,
+        entriesUpdated,
+        childrenMoved,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * Delete a field without children and entries
+ * @route DELETE /fields/:id
+ * @access Private (Admin)
+ */
+const deleteField = [
+  validate(idSchema, 'params'),
+  catchAsync(async (req, res) => {
+    const field = await Field.findById(req.params.id);
+
+    if (!field) {
+      throw createNotFoundError('Field');
+    }
+
+    if (await Field.exists({ parent: field._id })) {
+      throw createConflictError(`Field "${field.nameHu}" has child fields and cannot be deleted`);
+    }
+
+    // Inactive entries count as well, they can still be restored
+    const usage = await Entry.countDocuments({ 'senses.fieldOfExpertise': field.nameHu });
+    if (usage > 0) {
+      throw createConflictError(
+        `Field "${field.nameHu}" is used by ${usage} entries, merge it into another field instead`
+      );
+    }
+
+    await field.deleteOne();
+    await Field.refreshTaxonomy();
+    taxonomyChanged();
+
+    logger.audit('Field deleted', {
+      fieldId: field._id,
+      nameHu: field.nameHu,
+      deletedBy: req.user?.email,
+    });
+
+    res.json({
+      meta: {
+        message: 'Field deleted successfully',
+        fieldId: req.params.id,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+module.exports = {
+  getFieldTree,
+  getFieldById,
+  createField,
+  updateField,
+  mergeField,
+  deleteField,
+};
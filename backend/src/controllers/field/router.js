@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, optionalAuthenticate, authorize } = require('../../models/auth/authenticate');
+const { presets: cachePresets } = require('../../middleware/cache');
+const controller = require('./controller');
+
+// Public routes
+
+// Get the field tree with entry counts, editors signed in also count unpublished entries
+router.get('/', optionalAuthenticate, cachePresets.public, controller.getFieldTree);
+
+// Get single field with its path and children
+router.get('/:id', controller.getFieldById);
+
+// Protected routes (Admin only)
+
+// Create new field
+router.post('/', authenticate, authorize([3]), controller.createField);
+
+// Merge field into another one
+router.post('/:id/merge', authenticate, authorize([3]), controller.mergeField);
+
+// Update, rename or move field
+router.put('/:id', authenticate, authorize([3]), controller.updateField);
+
+// Partial update field
+router.patch('/:id', authenticate, authorize([3]), controller.updateField);
+
+// Delete field without children and entries
+router.delete('/:id', authenticate, authorize([3]), controller.deleteField);
+
+module.exports = router;
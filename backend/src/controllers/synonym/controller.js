@@ -0,0 +1,200 @@
+const SynonymSet = require('../../models/synonymSet');
+const { catchAsync, createNotFoundError } = require('../../middleware/errorHandler');
+const { validate, sanitize } = require('../../middleware/validation');
+const {
+  synonymSetSchema,
+  synonymSetUpdateSchema,
+  synonymQuerySchema,
+  idSchema,
+} = require('../../validation/schemas');
+const { invalidateCache } = require('../../middleware/cache');
+const logger = require('../../logger/logger');
+
+/**
+ * Reload the index used by query expansion and drop cached search responses
+ */
+const synonymsChanged = async () => {
+  await SynonymSet.refreshIndex();
+  invalidateCache.entries();
+};
+
+/**
+ * Get synonym sets, optionally by language, type or a contained term
+ * @route GET /synonyms
+ * @access Private (Editor+)
+ */
+const getAllSynonymSets = [
+  validate(synonymQuerySchema, 'query'),
+  catchAsync(async (req, res) => {
+    const { lang, type, search, page, limit } = req.query;
+    const filter = {};
+    if (lang) filter.language = lang;
+    if (type) filter.type = type;
+    if (search) {
+      const term = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ terms: term }, { from: term }];
+    }
+
+    const [synonymSets, totalCount] = await Promise.all([
+      SynonymSet.find(filter)
+        .sort({ language: 1, terms: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      SynonymSet.countDocuments(filter),
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limit);
+
+    res.json({
+      data: synonymSets,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: totalCount,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        nextPage: page < totalPages ? page + 1 : null,
+        prevPage: page > 1 ? page - 1 : null,
+      },
+      meta: {
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * Get single synonym set by ID
+ * @route GET /synonyms/:id
+ * @access Private (Editor+)
+ */
+const getSynonymSetById = [
+  validate(idSchema, 'params'),
+  catchAsync(async (req, res) => {
+    const synonymSet = await SynonymSet.findById(req.params.id).lean();
+
+    if (!synonymSet) {
+      throw createNotFoundError('Synonym set');
+    }
+
+    res.json({
+      data: synonymSet,
+      meta: {
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * Create new synonym set
+ * @route POST /synonyms
+ * @access Private (Editor+)
+ */
+const createSynonymSet = [
+  sanitize('body'),
+  validate(synonymSetSchema),
+  catchAsync(async (req, res) => {
+    const synonymSet = await SynonymSet.create({
+      ...req.body,
+      createdBy: req.user?.userId,
+      updatedBy: req.user?.userId,
+    });
+    await synonymsChanged();
+
+    logger.audit('Synonym set created', {
+      synonymSetId: synonymSet._id,
+      language: synonymSet.language,
+      type: synonymSet.type,
+      createdBy: req.user?.email,
+    });
+
+    res.status(201).json({
+      data: synonymSet,
+      meta: {
+        message: 'Synonym set created successfully',
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * Update synonym set. Saved as a document, so the set is validated as a whole.
+ * @route PUT /synonyms/:id
+ * @access Private (Editor+)
+ */
+const updateSynonymSet = [
+  validate(idSchema, 'params'),
+  sanitize('body'),
+  validate(synonymSetUpdateSchema),
+  catchAsync(async (req, res) => {
+    const synonymSet = await SynonymSet.findById(req.params.id);
+
+    if (!synonymSet) {
+      throw createNotFoundError('Synonym set');
+    }
+
+    synonymSet.set({ ...req.body, updatedBy: req.user?.userId });
+    await synonymSet.save();
+    await synonymsChanged();
+
+    logger.audit('Synonym set updated', {
+      synonymSetId: synonymSet._id,
+      language: synonymSet.language,
+      updatedBy: req.user?.email,
+      changes: Object.keys(req.body),
+    });
+
+    res.json({
+      data: synonymSet,
+      meta: {
+        message: 'Synonym set updated successfully',
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * Delete synonym set
+ * @route DELETE /synonyms/:id
+ * @access Private (Editor+)
+ */
+const deleteSynonymSet = [
+  validate(idSchema, 'params'),
+  catchAsync(async (req, res) => {
+    const synonymSet = await SynonymSet.findByIdAndDelete(req.params.id);
+
+    if (!synonymSet) {
+      throw createNotFoundError('Synonym set');
+    }
+
+    await synonymsChanged();
+
+    logger.audit('Synonym set deleted', {
+      synonymSetId: synonymSet._id,
+      language: synonymSet.language,
+      terms: synonymSet.terms,
+      deletedBy: req.user?.email,
+    });
+
+    res.json({
+      meta: {
+        message: 'Synonym set deleted successfully',
+        synonymSetId: req.params.id,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+module.exports = {
+  getAllSynonymSets,
+  getSynonymSetById,
+  createSynonymSet,
+  updateSynonymSet,
+  deleteSynonymSet,
+};
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../../models/auth/authenticate');
+const controller = require('./controller');
+
+// Protected routes (Editor or Admin)
+router.use(authenticate, authorize([2, 3]));
+
+// Get synonym sets
+router.get('/', controller.getAllSynonymSets);
+
+// Get single synonym set by ID
+router.get('/:id', controller.getSynonymSetById);
+
+// Create new synonym set
+router.post('/', controller.createSynonymSet);
+
+// Update synonym set
+router.put('/:id', controller.updateSynonymSet);
+
+// Partial update synonym set
+router.patch('/:id', controller.updateSynonymSet);
+
+// Delete synonym set
+router.delete('/:id', controller.deleteSynonymSet);
+
+module.exports = router;
@@ -0,0 +1,179 @@
+const WordType = require('../../models/wordType');
+const Entry = require('../../models/entry');
+const {
+  catchAsync,
+  createNotFoundError,
+  createConflictError,
+} = require('../../middleware/errorHandler');
+const { validate, sanitize } = require('../../middleware/validation');
+const { wordTypeSchema, wordTypeUpdateSchema, idSchema } = require('../../validation/schemas');
+const { invalidateCache } = require('../../middleware/cache');
+const logger = require('../../logger/logger');
+
+/**
+ * Reload the vocabulary used by entry validation and drop cached responses
+ */
+const vocabularyChanged = async () => {
+  await WordType.refreshVocabulary();
+  invalidateCache.wordTypes();
+  invalidateCache.entries();
+};
+
+/**
+ * Get the word type vocabulary
+ * @route GET /word-types
+ * @access Public
+ */
+const getAllWordTypes = catchAsync(async (req, res) => {
+  const wordTypes = await WordType.refreshVocabulary();
+
+  res.json({
+    data: wordTypes,
+    meta: {
+      total: wordTypes.length,
+      timestamp: new Date().toISOString(),
+    },
+  });
+});
+
+/**
+ * Get single word type by ID
+ * @route GET /word-types/:id
+ * @access Public
+ */
+const getWordTypeById = [
+  validate(idSchema, 'params'),
+  catchAsync(async (req, res) => {
+    const wordType = await WordType.findById(req.params.id).lean();
+
+    if (!wordType) {
+      throw createNotFoundError('Word type');
+    }
+
+    res.json({
+      data: wordType,
+      meta: {
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * Create new word type
+ * @route POST /word-types
+ * @access Private (Admin)
+ */
+const createWordType = [
+  sanitize('body'),
+  validate(wordTypeSchema),
+  catchAsync(async (req, res) => {
+    if (await WordType.exists({ code: req.body.code })) {
+      throw createConflictError(`Word type "${req.body.code}" already exists`);
+    }
+
+    const wordType = await WordType.create(req.body);
+    await vocabularyChanged();
+
+    logger.audit('Word type created', {
+      wordTypeId: wordType._id,
+      code: wordType.code,
+      createdBy: req.user?.email,
+    });
+
+    res.status(201).json({
+      data: wordType,
+      meta: {
+        message: 'Word type created successfully',
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * Update word type labels (the code is immutable)
+ * @route PUT /word-types/:id
+ * @access Private (Admin)
+ */
+const updateWordType = [
+  validate(idSchema, 'params'),
+  sanitize('body'),
+  validate(wordTypeUpdateSchema),
+  catchAsync(async (req, res) => {
+    const wordType = await WordType.findByIdAndUpdate(req.params.id, req.body, {
+      new: true,
+      runValidators: true,
+    });
+
+    if (!wordType) {
+      throw createNotFoundError('Word type');
+    }
+
+    await vocabularyChanged();
+
+    logger.audit('Word type updated', {
+      wordTypeId: wordType._id,
+      code: wordType.code,
+      updatedBy: req.user?.email,
+      changes: Object.keys(req.body),
+    });
+
+    res.json({
+      data: wordType,
+      meta: {
+        message: 'Word type updated successfully',
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+/**
+ * Delete word type that no entry uses
+ * @route DELETE /word-types/:id
+ * @access Private (Admin)
+ */
+const deleteWordType = [
+  validate(idSchema, 'params'),
+  catchAsync(async (req, res) => {
+    const wordType = await WordType.findById(req.params.id);
+
+    if (!wordType) {
+      throw createNotFoundError('Word type');
+    }
+
+    // Inactive entries count as well, they can still be restored
+    const usage = await Entry.countDocuments({ wordType: wordType.code });
+    if (usage > 0) {
+      throw createConflictError(
+        `Word type "${wordType.code}" is used by ${usage} entries and cannot be deleted`
+      );
+    }
+
+    await wordType.deleteOne();
+    await vocabularyChanged();
+
+    logger.audit('Word type deleted', {
+      wordTypeId: wordType._id,
+      code: wordType.code,
+      deletedBy: req.user?.email,
+    });
+
+    res.json({
+      meta: {
+        message: 'Word type deleted successfully',
+        wordTypeId: req.params.id,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }),
+];
+
+module.exports = {
+  getAllWordTypes,
+  getWordTypeById,
+  createWordType,
+  updateWordType,
+  deleteWordType,
+};
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../../models/auth/authenticate');
+const { presets: cachePresets } = require('../../middleware/cache');
+const controller = require('./controller');
+
+// Public routes
+
+// Get the word type vocabulary
+router.get('/', cachePresets.public, controller.getAllWordTypes);
+
+// Get single word type by ID
+router.get('/:id', controller.getWordTypeById);
+
+// Protected routes (Admin only)
+
+// Create new word type
+router.post('/', authenticate, authorize([3]), controller.createWordType);
+
+// Update word type
+router.put('/:id', authenticate, authorize([3]), controller.updateWordType);
+
+// Partial update word type
+router.patch('/:id', authenticate, authorize([3]), controller.updateWordType);
+
+// Delete unused word type
+router.delete('/:id', authenticate, authorize([3]), controller.deleteWordType);
+
+module.exports = router;
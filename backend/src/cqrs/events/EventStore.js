@@ -1,6 +1,7 @@
 const { EventEmitter } = require('events');
 const mongoose = require('mongoose');
 const logger = require('../../logger/logger');
+const { withTransaction } = require('../../models/transaction');
 
 /**
  * STATE-OF-THE-ART EVENT SOURCING IMPLEMENTATION
@@ -130,10 +131,10 @@ class EventStore extends EventEmitter {
    * @returns {Promise<Array>} Persisted events
    */
   async appendToStream(streamId, events, expectedVersion = -1, metadata = {}) {
-    const session = await mongoose.startSession();
-
     try {
-      await session.withTransaction(async () => {
+      // The unique stream and sequence number index keeps concurrent appends apart
+      // where there is no transaction
+      const { insertedEvents, currentVersion } = await withTransaction(async (session) => {
         // Get current stream version
         const lastEvent = await Event.findOne(
           { streamId },
@@ -169,24 +170,25 @@ class EventStore extends EventEmitter {
         }));
 
         // Insert events atomically
-        const insertedEvents = await Event.insertMany(eventsToInsert, { session });
-
-        // Emit events for real-time processing
-        insertedEvents.forEach((event) => {
-          this.emit('eventAppended', event.toObject());
-          this.emit(`event:${event.eventType}`, event.toObject());
-          this.emit(`stream:${streamId}`, event.toObject());
-        });
+        const inserted = await Event.insertMany(eventsToInsert, { session });
+        return { insertedEvents: inserted, currentVersion };
+      });
 
-        logger.performance('Events appended to stream', {
-          streamId,
-          eventCount: insertedEvents.length,
-          newVersion: currentVersion + events.length,
-          correlationId: metadata.correlationId,
-        });
+      // Emit events for real-time processing, once they are stored
+      insertedEvents.forEach((event) => {
+        this.emit('eventAppended', event.toObject());
+        this.emit(`event:${event.eventType}`, event.toObject());
+        this.emit(`stream:${streamId}`, event.toObject());
+      });
 
-        return insertedEvents;
+      logger.performance('Events appended to stream', {
+        streamId,
+        eventCount: insertedEvents.length,
+        newVersion: currentVersion + events.length,
+        correlationId: metadata.correlationId,
       });
+
+      return insertedEvents;
     } catch (error) {
       logger.error('Failed to append events to stream', {
         error: error.message,
@@ -195,8 +197,6 @@ class EventStore extends EventEmitter {
         metadata,
       });
       throw error;
-    } finally {
-      await session.endSession();
     }
   }
 
@@ -484,8 +484,12 @@ class ConcurrencyError extends Error {
   }
 }
 
+// Shared instance, so events appended by the REST API reach the real-time subscribers
+const eventStore = new EventStore();
+
 module.exports = {
   EventStore,
+  eventStore,
   Event,
   Snapshot,
   ConcurrencyError,
@@ -0,0 +1,187 @@
+const { eventStore } = require('./EventStore');
+const logger = require('../../logger/logger');
+
+/**
+ * Revision history of entries on top of the event store. Every write appends
+ * an event to the `entry-<id>` stream holding the entry before and after the
+ * change; the sequence number of the event is the revision number.
+ */
+
+// Fields a revision records; summaries derived from the senses are left out
+const REVISION_FIELDS = [
+  'hungarian',
+  'senses',
+  'wordType',
+  'examples',
+  'sources',
+  'status',
+  'isActive',
+];
+
+// Fields a revert restores, the workflow and deleting entries have their own routes
+const REVERTIBLE_FIELDS = REVISION_FIELDS.filter(
+  (field) => field !== 'status' && field !== 'isActive'
+);
+
+const REVISION_EVENTS = [
+  'EntryCreated',
+  'EntryUpdated',
+  'EntryDeleted',
+  'EntryRestored',
+  'EntryReverted',
+  'EntrySubmitted',
+  'EntryApproved',
+  'EntryRejected',
+  'EntryPublished',
+  'EntryMerged',
+];
+
+// Event details shown with a revision
+const REVISION_DETAILS = ['revertedTo', 'comment', 'reason', 'mergedFrom', 'mergedInto'];
+
+const streamOf = (entryId) => `entry-${entryId}`;
+
+/**
+ * Plain copy of the recorded fields of an entry
+ * @param {object} entry - Entry document or lean object
+ * @returns {object|null} Snapshot
+ */
+const snapshotOf = (entry) => {
+  if (!entry) return null;
+
+  const source = typeof entry.toObject === 'function' ? entry.toObject() : entry;
+  const snapshot = {};
+  REVISION_FIELDS.forEach((field) => {
+    if (source[field] !== undefined) {
+      snapshot[field] = source[field];
+    }
+  });
+  // Round trip through JSON so ObjectIds and dates are stored as strings
+  return JSON.parse(JSON.stringify(snapshot));
+};
+
+/**
+ * Field-level differences between two snapshots
+ * @param {object|null} before - Snapshot before the change
+ * @param {object|null} after - Snapshot after the change
+ * @returns {Array} Changed fields as { field, before, after }
+ */
+const diffSnapshots = (before, after) =>
+  REVISION_FIELDS.filter(
+    (field) => JSON.stringify(before?.[field]) !== JSON.stringify(after?.[field])
+  ).map((field) => ({
+    field,
+    before: before?.[field] ?? null,
+    after: after?.[field] ?? null,
+  }));
+
+/**
+ * Append a revision to the stream of an entry. Updates that change nothing
+ * are skipped. A failure is logged and does not undo the write itself.
+ * @param {object} revision - { eventType, entry, before, after, user, details }
+ * @returns {Promise<boolean>} Whether a revision was recorded
+ */
+const recordRevision = async ({ eventType, entry, before, after, user, details = {} }) => {
+  const changes = diffSnapshots(before, after);
+  if (eventType !== 'EntryCreated' && changes.length === 0) {
+    return false;
+  }
+
+  const author = { userId: user?.userId || null, name: user?.email || null };
+  const createdBy = entry.createdBy?._id || entry.createdBy;
+
+  try {
+    await eventStore.appendToStream(
+      streamOf(entry._id),
+      [
+        {
+          eventType,
+          aggregateId: String(entry._id),
+          aggregateType: 'Entry',
+          eventData: {
+            // entry, user and the details are the fields the notification handlers use
+            entry: {
+              _id: String(entry._id),
+              title: entry.hungarian,
+              authorId: createdBy ? String(createdBy) : null,
+            },
+            user: author,
+            before,
+            after,
+            changedFields: changes.map((change) => change.field),
+            ...details,
+          },
+        },
+      ],
+      -1,
+      { userId: author.userId ? String(author.userId) : undefined, source: 'api' }
+    );
+    return true;
+  } catch (error) {
+    logger.error('Failed to record entry revision', {
+      entryId: entry._id,
+      eventType,
+      error: error.message,
+    });
+    return false;
+  }
+};
+
+/**
+ * Format a stored revision event for the API
+ * @param {object} event - Event from the entry stream
+ * @returns {object} Revision with its field diffs
+ */
+const toRevision = (event) => {
+  const revision = {
+    revision: event.sequenceNumber,
+    type: event.eventType,
+    author: event.eventData.user,
+    timestamp: event.metadata?.timestamp,
+    changes: diffSnapshots(event.eventData.before, event.eventData.after),
+  };
+  REVISION_DETAILS.forEach((detail) => {
+    if (event.eventData[detail] !== undefined) {
+      revision[detail] = event.eventData[detail];
+    }
+  });
+  return revision;
+};
+
+/**
+ * Revision events of an entry, oldest first. The stream also holds real-time
+ * editing operations, those are not revisions.
+ * @param {string} entryId - Entry ID
+ * @returns {Promise<Array>} Revision events
+ */
+const readRevisionEvents = async (entryId) => {
+  const events = await eventStore.readStreamEvents(streamOf(entryId));
+  return events.filter((event) => REVISION_EVENTS.includes(event.eventType));
+};
+
+/**
+ * Revision history of an entry, newest first
+ * @param {string} entryId - Entry ID
+ * @returns {Promise<Array>} Revisions
+ */
+const getRevisions = async (entryId) =>
+  (await readRevisionEvents(entryId)).map(toRevision).reverse();
+
+/**
+ * Single revision event of an entry
+ * @param {string} entryId - Entry ID
+ * @param {number} revision - Revision number
+ * @returns {Promise<object|undefined>} Revision event
+ */
+const getRevisionEvent = async (entryId, revision) =>
+  (await readRevisionEvents(entryId)).find((event) => event.sequenceNumber === revision);
+
+module.exports = {
+  REVISION_FIELDS,
+  REVERTIBLE_FIELDS,
+  snapshotOf,
+  diffSnapshots,
+  recordRevision,
+  getRevisions,
+  getRevisionEvent,
+};
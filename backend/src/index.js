@@ -7,6 +7,8 @@ const app = require('./server');
 // Import real-time services
 const WebSocketManager = require('./realtime/WebSocketManager');
 const NotificationService = require('./realtime/NotificationService');
+const { startTrashRetention } = require('./jobs/trashRetention');
+const { startSimilarityIndex } = require('./jobs/similarityIndex');
 
 const port = process.env.PORT || 3000;
 
@@ -45,6 +47,12 @@ try {
   // Continue without real-time features for graceful degradation
 }
 
+// Permanently remove entries that stayed in the trash longer than the retention period
+startTrashRetention();
+
+// Load or build the index of similar entries and keep it up to date
+startSimilarityIndex();
+
 // Start server with WebSocket support
 server.listen(port, () => {
   logger.info('NyelvSzó server started', {
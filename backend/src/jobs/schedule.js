@@ -0,0 +1,49 @@
+const logger = require('../logger/logger');
+
+// Shortest interval of a periodic job
+const MIN_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Non-negative whole number from an environment variable
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when the variable is missing or invalid
+ * @returns {number} Value
+ */
+const readSetting = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+};
+
+/**
+ * Interval of a periodic job from an environment variable, at least a minute
+ * @param {string} name - Variable name
+ * @param {number} fallback - Interval in milliseconds when the variable is missing or invalid
+ * @returns {number} Interval in milliseconds
+ */
+const readInterval = (name, fallback) => Math.max(MIN_INTERVAL_MS, readSetting(name, fallback));
+
+/**
+ * Run a task now and then periodically. Failures are logged, the next run tries again,
+ * and the timer does not keep the process alive on its own.
+ * @param {Function} task - Async task
+ * @param {number} intervalMs - Time between runs
+ * @param {string} failure - Log message of a failed run
+ * @returns {object} Interval timer
+ */
+const runPeriodically = (task, intervalMs, failure) => {
+  const run = () =>
+    task().catch((error) => {
+      logger.error(failure, { error: error.message });
+    });
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  readSetting,
+  readInterval,
+  runPeriodically,
+};
@@ -0,0 +1,114 @@
+const fs = require('fs/promises');
+const path = require('path');
+const Entry = require('../models/entry');
+const logger = require('../logger/logger');
+const { VERSION, VectorIndex } = require('../search/vectorIndex');
+const { readInterval, runPeriodically } = require('./schedule');
+
+// File the index is saved to, so a restart does not rebuild it
+const SIMILARITY_INDEX_PATH = path.resolve(
+  process.env.SIMILARITY_INDEX_PATH || 'data/similarity-index.json'
+);
+
+// How often the index is compared with the published entries, at most once a minute
+const SIMILARITY_REFRESH_INTERVAL_MS = readInterval(
+  'SIMILARITY_REFRESH_INTERVAL_MS',
+  10 * 60 * 1000
+);
+
+let current = null;
+let refreshing = null;
+
+/**
+ * Read the saved index
+ * @returns {Promise<VectorIndex|null>} Index, null when missing, unreadable or of another format
+ */
+const readSaved = async () => {
+  try {
+    return VectorIndex.fromJSON(JSON.parse(await fs.readFile(SIMILARITY_INDEX_PATH, 'utf8')));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn('Saved similarity index not readable', { error: error.message });
+    }
+    return null;
+  }
+};
+
+/**
+ * Save the index, replacing the saved one at once so readers never see half a file
+ * @param {VectorIndex} index - Index
+ * @returns {Promise<void>}
+ */
+const save = async (index) => {
+  const temporary = `${SIMILARITY_INDEX_PATH}.${process.pid}.tmp`;
+  await fs.mkdir(path.dirname(SIMILARITY_INDEX_PATH), { recursive: true });
+  await fs.writeFile(temporary, JSON.stringify(index));
+  await fs.rename(temporary, SIMILARITY_INDEX_PATH);
+};
+
+/**
+ * Bring the index up to date with the published entries: keep it when they did
+ * not change, else use the saved index when it is current, else rebuild and save it
+ * @returns {Promise<VectorIndex>} Current index
+ */
+const refreshSimilarityIndex = () => {
+  refreshing =
+    refreshing ||
+    (async () => {
+      const signature = `${VERSION}:${await Entry.similarityVersion()}`;
+      if (current && current.signature === signature) return current;
+
+      const saved = await readSaved();
+      if (saved && saved.signature === signature) {
+        current = saved;
+        logger.info('Similarity index loaded', { entries: saved.size });
+        return current;
+      }
+
+      const startTime = Date.now();
+      current = VectorIndex.build(await Entry.similarityCorpus(), signature);
+      logger.performance('Similarity index built', {
+        entries: current.size,
+        buildTime: Date.now() - startTime,
+      });
+      await save(current).catch((error) =>
+        logger.warn('Similarity index not saved', { error: error.message })
+      );
+      return current;
+    })().finally(() => {
+      refreshing = null;
+    });
+  return refreshing;
+};
+
+/**
+ * The similarity index of the published entries, built or loaded on first use.
+ * Between refreshes it may miss the latest changes.
+ * @returns {Promise<VectorIndex>} Index
+ */
+const similarityIndex = async () => current || refreshSimilarityIndex();
+
+/**
+ * Load the index now and refresh it periodically
+ * @returns {object} Interval timer
+ */
+const startSimilarityIndex = () => {
+  const timer = runPeriodically(
+    refreshSimilarityIndex,
+    SIMILARITY_REFRESH_INTERVAL_MS,
+    'Similarity index refresh failed'
+  );
+
+  logger.info('Similarity index refresh started', {
+    path: SIMILARITY_INDEX_PATH,
+    intervalMs: SIMILARITY_REFRESH_INTERVAL_MS,
+  });
+  return timer;
+};
+
+module.exports = {
+  SIMILARITY_INDEX_PATH,
+  refreshSimilarityIndex,
+  similarityIndex,
+  startSimilarityIndex,
+};
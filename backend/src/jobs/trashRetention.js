@@ -0,0 +1,72 @@
+const Entry = require('../models/entry');
+const logger = require('../logger/logger');
+const { readSetting, readInterval, runPeriodically } = require('./schedule');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a soft-deleted entry stays in the trash, 0 keeps entries until an admin purges them
+const TRASH_RETENTION_DAYS = readSetting('TRASH_RETENTION_DAYS', 30);
+
+// How often the sweep looks for expired entries, at most once a minute
+const TRASH_SWEEP_INTERVAL_MS = readInterval('TRASH_SWEEP_INTERVAL_MS', 60 * 60 * 1000);
+
+/**
+ * When an entry deleted at the given time is purged by the sweep
+ * @param {Date} deletedAt - Deletion time
+ * @returns {Date|null} Purge time, or null when entries are kept
+ */
+const purgeDateOf = (deletedAt) =>
+  TRASH_RETENTION_DAYS > 0 && deletedAt
+    ? new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS)
+    : null;
+
+/**
+ * Permanently remove the entries whose retention period is over
+ * @param {Date} now - Current time
+ * @returns {Promise<Array>} Removed entries
+ */
+const sweepTrash = async (now = new Date()) => {
+  if (TRASH_RETENTION_DAYS === 0) return [];
+
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS);
+  const purged = await Entry.purgeDeleted({ deletedAt: { $lte: cutoff } });
+
+  if (purged.length > 0) {
+    logger.audit('Trash purged by retention', {
+      retentionDays: TRASH_RETENTION_DAYS,
+      entriesPurged: purged.length,
+      entries: purged.map(({ _id, hungarian }) => ({ entryId: _id, hungarian })),
+    });
+  }
+  return purged;
+};
+
+/**
+ * Run the retention sweep now and then periodically
+ * @returns {object|null} Interval timer, or null when the retention is disabled
+ */
+const startTrashRetention = () => {
+  if (TRASH_RETENTION_DAYS === 0) {
+    logger.info('Trash retention disabled, deleted entries are kept until purged');
+    return null;
+  }
+
+  const timer = runPeriodically(
+    () => sweepTrash(),
+    TRASH_SWEEP_INTERVAL_MS,
+    'Trash retention sweep failed'
+  );
+
+  logger.info('Trash retention started', {
+    retentionDays: TRASH_RETENTION_DAYS,
+    intervalMs: TRASH_SWEEP_INTERVAL_MS,
+  });
+  return timer;
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  purgeDateOf,
+  sweepTrash,
+  startTrashRetention,
+};
@@ -256,6 +256,27 @@ const invalidateCache = {
     return cleared;
   },
 
+  // Clear word type vocabulary cache
+  wordTypes: () => {
+    const cleared = invalidateCache.byPattern('/word-types', 'long');
+    logger.audit('Word types cache cleared', { count: cleared });
+    return cleared;
+  },
+
+  // Clear term of the day cache
+  termOfTheDay: () => {
+    const cleared = invalidateCache.byPattern('/entries/term-of-the-day', 'long');
+    logger.audit('Term of the day cache cleared', { count: cleared });
+    return cleared;
+  },
+
+  // Clear field taxonomy cache
+  fields: () => {
+    const cleared = invalidateCache.byPattern('/fields', 'long');
+    logger.audit('Fields cache cleared', { count: cleared });
+    return cleared;
+  },
+
   // Clear users-related cache
   users: () => {
     const cleared = invalidateCache.byPattern('/users');
@@ -327,6 +348,11 @@ const presets = {
   public: cacheMiddleware('long', {
     condition: (req) => !req.user || req.user.role === 1,
   }),
+  // For content of a calendar day: the day of the request, set as req.day before this
+  // middleware, is part of the key, so a new day never gets the previous day's response
+  daily: cacheMiddleware('long', {
+    varyBy: ['day'],
+  }),
 };
 
 module.exports = {
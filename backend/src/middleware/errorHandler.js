@@ -4,12 +4,14 @@ const logger = require('../logger/logger');
  * Custom error class for application-specific errors
  */
 class AppError extends Error {
-  constructor(message, statusCode = 500, type = 'ApplicationError') {
+  constructor(message, statusCode = 500, type = 'ApplicationError', extra = {}) {
     super(message);
     this.name = this.constructor.name;
     this.statusCode = statusCode;
     this.type = type;
     this.isOperational = true;
+    // Response fields of the error, like validation details
+    Object.assign(this, extra);
 
     Error.captureStackTrace(this, this.constructor);
   }
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+/**
+ * Fold flat entries (one hungarian + one english string per row) into
+ * multi-sense entries. Active rows sharing the same Hungarian headword are
+ * merged into the oldest row: rows with the same field of expertise become
+ * one sense with several English equivalents, other fields become separate
+ * senses. The remaining rows of the group are removed.
+ */
+
+const description = 'Fold flat hungarian/english rows into multi-sense entries';
+
+const clean = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const toSummary = (senses) => ({
+  english: [...new Set(senses.flatMap((sense) => sense.english))].join('; '),
+  fieldOfExpertise: senses[0].fieldOfExpertise,
+});
+
+/**
+ * Group legacy rows by headword and build the folded documents
+ * @param {Array} rows - Legacy rows sorted oldest first
+ * @returns {Array} One fold per headword: { keeperId, update, foldedIds }
+ */
+const foldEntries = (rows) => {
+  const groups = new Map();
+
+  for (const row of rows) {
+    const headword = clean(row.hungarian);
+    if (!groups.has(headword)) {
+      groups.set(headword, []);
+    }
+    groups.get(headword).push(row);
+  }
+
+  return [...groups.values()].map(([keeper, ...rest]) => {
+    const group = [keeper, ...rest];
+    const senses = [];
+
+    for (const row of group) {
+      const fieldOfExpertise = clean(row.fieldOfExpertise);
+      const english = clean(row.english);
+
+      let sense = senses.find((s) => s.fieldOfExpertise === fieldOfExpertise);
+      if (!sense) {
+        sense = { _id: new mongoose.Types.ObjectId(), english: [], fieldOfExpertise };
+        senses.push(sense);
+      }
+      if (english && !sense.english.includes(english)) {
+        sense.english.push(english);
+      }
+    }
+
+    const validSenses = senses.filter((sense) => sense.english.length > 0);
+
+    return {
+      keeperId: keeper._id,
+      foldedIds: rest.map((row) => row._id),
+      update: {
+        hungarian: clean(keeper.hungarian),
+        senses: validSenses,
+        ...(validSenses.length > 0 && toSummary(validSenses)),
+        wordType: group.map((row) => clean(row.wordType)).find(Boolean) || keeper.wordType,
+        views: group.reduce((sum, row) => sum + (row.views || 0), 0),
+      },
+    };
+  });
+};
+
+const up = async (db) => {
+  const entries = db.collection('entries');
+  const legacyFilter = { senses: { $exists: false } };
+
+  const activeRows = await entries
+    .find({ ...legacyFilter, isActive: { $ne: false } })
+    .sort({ createdAt: 1, _id: 1 })
+    .toArray();
+
+  const folds = foldEntries(activeRows);
+  const foldedIds = folds.flatMap((fold) => fold.foldedIds);
+
+  if (folds.length > 0) {
+    await entries.bulkWrite(
+      folds.map((fold) => ({
+        updateOne: {
+          filter: { _id: fold.keeperId },
+          update: { $set: fold.update },
+        },
+      })),
+      { ordered: false }
+    );
+  }
+
+  if (foldedIds.length > 0) {
+    await entries.deleteMany({ _id: { $in: foldedIds } });
+  }
+
+  // Inactive rows are converted one by one, they are never grouped
+  const inactiveRows = await entries.find(legacyFilter).toArray();
+  if (inactiveRows.length > 0) {
+    await entries.bulkWrite(
+      inactiveRows.map((row) => ({
+        updateOne: {
+          filter: { _id: row._id },
+          update: {
+            $set: {
+              senses: [
+                {
+                  _id: new mongoose.Types.ObjectId(),
+                  english: [clean(row.english)].filter(Boolean),
+                  fieldOfExpertise: clean(row.fieldOfExpertise),
+                },
+              ],
+            },
+          },
+        },
+      })),
+      { ordered: false }
+    );
+  }
+
+  return {
+    headwords: folds.length,
+    foldedRows: foldedIds.length,
+    convertedInactive: inactiveRows.length,
+  };
+};
+
+module.exports = { description, up, foldEntries };
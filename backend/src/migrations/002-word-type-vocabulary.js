@@ -0,0 +1,111 @@
+const defaultWordTypes = require('../seed/wordTypes.json');
+
+/**
+ * Seed the managed word type vocabulary and turn the free-text wordType
+ * strings ("fn", "mn, fn", "ige", "", "None", ...) into lists of vocabulary
+ * codes. Values that cannot be mapped are dropped from the entry and
+ * reported in the migration result so they can be fixed by hand.
+ */
+
+const description = 'Seed the word type vocabulary and normalize entry word types';
+
+// Misspellings found in the imported data, checked against the affected headwords
+const typos = {
+  előptag: 'prefix',
+  m: 'adjective',
+  nn: 'adjective',
+};
+
+const emptyValues = ['', 'none', 'null', '-'];
+
+const toKey = (value) => value.trim().toLowerCase();
+
+/**
+ * Build the lookup from every code, abbreviation and label to its code
+ * @param {Array} wordTypes - Vocabulary
+ * @returns {Map} Lowercase label -> code
+ */
+const buildLookup = (wordTypes) => {
+  const lookup = new Map(Object.entries(typos));
+  for (const wordType of wordTypes) {
+    for (const label of [
+      wordType.code,
+      wordType.abbreviation,
+      wordType.labelHu,
+      wordType.labelEn,
+    ]) {
+      lookup.set(toKey(label), wordType.code);
+    }
+  }
+  return lookup;
+};
+
+/**
+ * Map one legacy wordType string to vocabulary codes
+ * @param {string} value - Legacy value, possibly comma separated
+ * @param {Map} lookup - Lookup built by buildLookup
+ * @returns {object} { codes, unknown } with the unmappable parts
+ */
+const normalizeWordType = (value, lookup) => {
+  const codes = [];
+  const unknown = [];
+
+  for (const part of String(value).split(',').map(toKey)) {
+    if (emptyValues.includes(part)) continue;
+
+    const code = lookup.get(part);
+    if (!code) {
+      unknown.push(part);
+    } else if (!codes.includes(code)) {
+      codes.push(code);
+    }
+  }
+
+  return { codes, unknown };
+};
+
+const up = async (db) => {
+  const wordTypes = db.collection('wordtypes');
+  const entries = db.collection('entries');
+  const now = new Date();
+
+  await wordTypes.bulkWrite(
+    defaultWordTypes.map((wordType) => ({
+      updateOne: {
+        filter: { code: wordType.code },
+        update: { $setOnInsert: { ...wordType, createdAt: now, updatedAt: now } },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+
+  const lookup = buildLookup(await wordTypes.find().toArray());
+  // Plain strings only: arrays of strings would also match a bare $type check
+  const legacyFilter = (value) => ({ $eq: value, $not: { $type: 'array' } });
+  const legacyValues = await entries.distinct('wordType', {
+    wordType: { $type: 'string', $not: { $type: 'array' } },
+  });
+  const unknownValues = [];
+  let normalized = 0;
+
+  for (const value of legacyValues) {
+    const { codes, unknown } = normalizeWordType(value, lookup);
+    const update = codes.length > 0 ? { $set: { wordType: codes } } : { $unset: { wordType: '' } };
+
+    const result = await entries.updateMany({ wordType: legacyFilter(value) }, update);
+    normalized += result.modifiedCount;
+
+    if (unknown.length > 0) {
+      unknownValues.push({ value, entries: result.modifiedCount });
+    }
+  }
+
+  return {
+    distinctValues: legacyValues.length,
+    normalizedEntries: normalized,
+    unknownValues,
+  };
+};
+
+module.exports = { description, up, normalizeWordType, buildLookup };
@@ -0,0 +1,87 @@
+const fieldTree = require('../seed/fields.json');
+
+/**
+ * Seed the subject field taxonomy and fix the misspelled field names of the
+ * imported data so every sense refers to a field of the tree. Values that are
+ * not fields at all (word types, several fields in one string) are left as
+ * they are and reported in the migration result for manual review.
+ */
+
+const description = 'Seed the field of expertise taxonomy and fix misspelled field names';
+
+// Spelling variants found in the imported data and the field they stand for
+const aliases = {
+  'általános nyelvésze': 'általános nyelvészet',
+  'pszicho-lingvisztika': 'pszicholingvisztika',
+  'pszicholingvisztika} {fn': 'pszicholingvisztika',
+  '{mondattan': 'mondattan',
+  'kiadói-szerkesztői ismeretek': 'szerkesztői-kiadói ismeretek',
+  'szer-kesztői-kiadói ismeretek': 'szerkesztői-kiadói ismeretek',
+  'szerkesztői -kiadói ismeretek': 'szerkesztői-kiadói ismeretek',
+  'történeti-össze-has. nyelv.': 'történeti-összehasonlító nyelvészet',
+  'történe-ti-összehas. nyelv.': 'történeti-összehasonlító nyelvészet',
+  'történeti-összehasonlító nyelvészet} {fn': 'történeti-összehasonlító nyelvészet',
+  'számítógépes/net-nyelv.': 'számítógépes/netnyelvészet',
+  'számítógépes /netnyelvészet': 'számítógépes/netnyelvészet',
+  'számítógépes / net-nyelv.': 'számítógépes/netnyelvészet',
+  kutatósmódszertan: 'kutatásmódszertan',
+  névatan: 'névtan',
+  nyelvelsíjátítás: 'nyelvelsajátítás',
+  szövegtan: 'szövegnyelvészet',
+  szemantika: 'jelentéstan',
+  morfológia: 'alaktan',
+};
+
+/**
+ * Flatten the nested seed tree, parents first
+ * @param {Array} nodes - Nested fields
+ * @param {Array} path - Hungarian names of the ancestors
+ * @returns {Array} Fields with their ancestor names
+ */
+const flattenTree = (nodes, path = []) =>
+  nodes.flatMap(({ children = [], ...field }) => [
+    { ...field, path },
+    ...flattenTree(children, [...path, field.nameHu]),
+  ]);
+
+const up = async (db) => {
+  const fields = db.collection('fields');
+  const entries = db.collection('entries');
+  const now = new Date();
+  const ids = new Map((await fields.find().toArray()).map((f) => [f.nameHu, f._id]));
+  let created = 0;
+
+  for (const { path, ...field } of flattenTree(fieldTree)) {
+    if (ids.has(field.nameHu)) continue;
+
+    const ancestors = path.map((name) => ids.get(name));
+    const { insertedId } = await fields.insertOne({
+      ...field,
+      description: '',
+      parent: ancestors[ancestors.length - 1] || null,
+      ancestors,
+      createdAt: now,
+      updatedAt: now,
+    });
+    ids.set(field.nameHu, insertedId);
+    created += 1;
+  }
+
+  let renamedEntries = 0;
+  for (const [from, to] of Object.entries(aliases)) {
+    const result = await entries.updateMany(
+      { 'senses.fieldOfExpertise': from },
+      { $set: { 'senses.$[sense].fieldOfExpertise': to } },
+      { arrayFilters: [{ 'sense.fieldOfExpertise': from }] }
+    );
+    await entries.updateMany({ fieldOfExpertise: from }, { $set: { fieldOfExpertise: to } });
+    renamedEntries += result.modifiedCount;
+  }
+
+  const used = await entries.distinct('senses.fieldOfExpertise');
+  const unknownFields = used.filter((name) => !ids.has(name));
+
+  return { createdFields: created, renamedEntries, unknownFields };
+};
+
+module.exports = { description, up, flattenTree, aliases };
@@ -0,0 +1,24 @@
+/**
+ * Introduce the editorial workflow. Entries stored before it existed were
+ * public as soon as they were saved, so they become published; only entries
+ * created from now on start as drafts.
+ */
+
+const description = 'Mark existing entries as published for the editorial workflow';
+
+const up = async (db) => {
+  const entries = db.collection('entries');
+
+  const result = await entries.updateMany({ status: { $exists: false } }, [
+    {
+      $set: {
+        status: 'published',
+        publishedAt: { $ifNull: ['$updatedAt', '$$NOW'] },
+      },
+    },
+  ]);
+
+  return { publishedEntries: result.modifiedCount };
+};
+
+module.exports = { description, up };
@@ -0,0 +1,24 @@
+/**
+ * Introduce the trash. Entries deleted before it existed have no deletion
+ * time; their last update is the best estimate, so the retention period
+ * counts from then.
+ */
+
+const description = 'Record the deletion time of entries that are already deleted';
+
+const up = async (db) => {
+  const entries = db.collection('entries');
+
+  const result = await entries.updateMany({ isActive: false, deletedAt: { $exists: false } }, [
+    {
+      $set: {
+        deletedAt: { $ifNull: ['$updatedAt', '$$NOW'] },
+        deletedBy: { $ifNull: ['$updatedBy', null] },
+      },
+    },
+  ]);
+
+  return { deletedEntries: result.modifiedCount };
+};
+
+module.exports = { description, up };
@@ -0,0 +1,41 @@
+const { sortKey } = require('../search/collation');
+
+/**
+ * Store the Hungarian sort key of every headword. Alphabetical listings sort
+ * by it instead of the headword, whose byte order puts "á" after "z" and
+ * splits digraphs like "cs" and "sz".
+ */
+
+const description = 'Compute the Hungarian sort key of entries';
+
+const BATCH_SIZE = 1000;
+
+const up = async (db) => {
+  const entries = db.collection('entries');
+  const cursor = entries.find({}, { projection: { hungarian: 1, sortKey: 1 } });
+  let batch = [];
+  let updated = 0;
+
+  const flush = async () => {
+    if (batch.length > 0) {
+      const result = await entries.bulkWrite(batch, { ordered: false });
+      updated += result.modifiedCount;
+      batch = [];
+    }
+  };
+
+  for await (const entry of cursor) {
+    const key = sortKey(entry.hungarian);
+    if (entry.sortKey !== key) {
+      batch.push({ updateOne: { filter: { _id: entry._id }, update: { $set: { sortKey: key } } } });
+    }
+    if (batch.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  return { updatedEntries: updated };
+};
+
+module.exports = { description, up };
@@ -0,0 +1,42 @@
+const { foldText } = require('../search/text');
+
+/**
+ * Store the accent-folded form of every headword, so searches typed without
+ * accents ("beszed") match on an indexed field instead of folding per query.
+ */
+
+const description = 'Compute the accent-folded headword of entries';
+
+const BATCH_SIZE = 1000;
+
+const up = async (db) => {
+  const entries = db.collection('entries');
+  const cursor = entries.find({}, { projection: { hungarian: 1, hungarianFolded: 1 } });
+  let batch = [];
+  let updated = 0;
+
+  const flush = async () => {
+    if (batch.length > 0) {
+      const result = await entries.bulkWrite(batch, { ordered: false });
+      updated += result.modifiedCount;
+      batch = [];
+    }
+  };
+
+  for await (const entry of cursor) {
+    const folded = foldText(entry.hungarian);
+    if (entry.hungarianFolded !== folded) {
+      batch.push({
+        updateOne: { filter: { _id: entry._id }, update: { $set: { hungarianFolded: folded } } },
+      });
+    }
+    if (batch.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  return { updatedEntries: updated };
+};
+
+module.exports = { description, up };
@@ -0,0 +1,42 @@
+const { stemsOf } = require('../search/stemmer');
+
+/**
+ * Store the words of every headword with their suffix-stripped forms, so
+ * inflected searches ("mondatokban") find the dictionary form ("mondat").
+ */
+
+const description = 'Compute the stems of entry headwords';
+
+const BATCH_SIZE = 1000;
+
+const up = async (db) => {
+  const entries = db.collection('entries');
+  const cursor = entries.find({}, { projection: { hungarian: 1 } });
+  let batch = [];
+  let updated = 0;
+
+  const flush = async () => {
+    if (batch.length > 0) {
+      const result = await entries.bulkWrite(batch, { ordered: false });
+      updated += result.modifiedCount;
+      batch = [];
+    }
+  };
+
+  for await (const entry of cursor) {
+    batch.push({
+      updateOne: {
+        filter: { _id: entry._id },
+        update: { $set: { hungarianStems: stemsOf(entry.hungarian) } },
+      },
+    });
+    if (batch.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  return { updatedEntries: updated };
+};
+
+module.exports = { description, up };
@@ -0,0 +1,95 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const config = require('config');
+const mongoose = require('mongoose');
+const logger = require('../logger/logger');
+
+// Applied migrations are tracked by file name in their own collection
+const MigrationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'migrations',
+  }
+);
+
+const Migration = mongoose.model('Migration', MigrationSchema);
+
+/**
+ * Resolve the MongoDB connection string the same way the server does
+ * @returns {string} MongoDB URI
+ */
+const resolveMongoUri = () => {
+  if (process.env.MONGODB_URI) {
+    return process.env.MONGODB_URI;
+  }
+
+  const { host, user, pass, name = 'nyelvszo', protocol = 'mongodb+srv' } = config.get('database');
+  return user && pass
+    ? `${protocol}://${user}:${pass}@${host}/${name}`
+    : `${protocol}://${host}/${name}`;
+};
+
+/**
+ * Load migration modules (NNN-description.js) in file name order
+ * @returns {Array} Migrations with name, description and up function
+ */
+const loadMigrations = () =>
+  fs
+    .readdirSync(__dirname)
+    .filter((file) => /^\d{3}-[\w-]+\.js$/.test(file))
+    .sort()
+    .map((file) => ({
+      name: path.basename(file, '.js'),
+      ...require(path.join(__dirname, file)),
+    }));
+
+/**
+ * Apply every pending migration against the current connection
+ * @returns {Promise<Array>} Names of the migrations applied in this run
+ */
+const runMigrations = async () => {
+  const applied = new Set((await Migration.find().select('name').lean()).map((m) => m.name));
+  const appliedNow = [];
+
+  for (const migration of loadMigrations()) {
+    if (applied.has(migration.name)) continue;
+
+    logger.info(`Applying migration ${migration.name}`, { description: migration.description });
+
+    const result = (await migration.up(mongoose.connection.db)) || {};
+    await Migration.create({ name: migration.name, result });
+    appliedNow.push(migration.name);
+
+    logger.audit('Migration applied', { migration: migration.name, ...result });
+  }
+
+  logger.info('Migrations finished', { applied: appliedNow.length });
+  return appliedNow;
+};
+
+// Run migrations if called directly
+if (require.main === module) {
+  mongoose
+    .connect(resolveMongoUri())
+    .then(runMigrations)
+    .then(() => mongoose.disconnect())
+    .catch(async (error) => {
+      logger.error('Migration failed', { error: error.message, stack: error.stack });
+      await mongoose.disconnect();
+      process.exit(1);
+    });
+}
+
+module.exports = { runMigrations, loadMigrations, Migration };
@@ -2,6 +2,19 @@ const jwt = require('jsonwebtoken');
 const createError = require('http-errors');
 const logger = require('../../logger/logger');
 
+/**
+ * User info attached to the request from a verified token
+ * @param {object} decoded - Token payload
+ * @returns {object} Request user
+ */
+const toRequestUser = (decoded) => ({
+  userId: decoded.userId,
+  email: decoded.email,
+  role: decoded.role,
+  iat: decoded.iat,
+  exp: decoded.exp,
+});
+
 /**
  * JWT Authentication middleware
  * @param {object} req - Express request object
@@ -34,13 +47,7 @@ const authenticate = (req, res, next) => {
     }
 
     // Attach user info to request object
-    req.user = {
-      userId: decoded.userId,
-      email: decoded.email,
-      role: decoded.role,
-      iat: decoded.iat,
-      exp: decoded.exp,
-    };
+    req.user = toRequestUser(decoded);
 
     next();
   } catch (error) {
@@ -62,6 +69,30 @@ const authenticate = (req, res, next) => {
   }
 };
 
+/**
+ * Optional JWT authentication for public routes: attaches the user when a
+ * valid token is sent and continues anonymously otherwise
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next function
+ */
+const optionalAuthenticate = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  const jwtSecret = process.env.JWT_SECRET;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ') || !jwtSecret) {
+    return next();
+  }
+
+  try {
+    req.user = toRequestUser(jwt.verify(authHeader.slice(7), jwtSecret));
+  } catch (error) {
+    logger.debug(`Optional JWT verification failed: ${error.message}`, { ip: req.ip });
+  }
+
+  next();
+};
+
 /**
  * Role-based authorization middleware factory
  * @param {number|array} allowedRoles - Role(s) that are allowed to access the resource
@@ -95,5 +126,6 @@ const authorize = (allowedRoles) => {
 
 module.exports = {
   authenticate,
+  optionalAuthenticate,
   authorize,
 };
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+// Mentions in a comment: "@anna.kovacs" (the part of an e-mail address before the @)
+// or a full address such as "@anna.kovacs@example.com"
+const MENTION_PATTERN = /(?:^|[^\w@.])@([\w.+-]+(?:@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,})?)/gi;
+
+// A comment of the editors on an entry. Comments without a parent open a thread,
+// replies point to the comment opening their thread.
+const CommentSchema = mongoose.Schema(
+  {
+    entry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Entry',
+      required: true,
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment',
+      default: null,
+      index: true,
+    },
+    body: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 2000,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Users mentioned in the body, resolved when the comment is saved
+    mentions: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+      default: [],
+    },
+    // Whether the discussion is settled, only kept on the comment opening a thread
+    resolved: {
+      type: Boolean,
+      default: false,
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+CommentSchema.index({ entry: 1, createdAt: 1 }); // Comments of an entry in order
+
+/**
+ * Mention handles in a comment body, lowercase and without duplicates
+ * @param {string} body - Comment text
+ * @returns {Array} Handles without the leading @
+ */
+CommentSchema.statics.mentionHandles = function (body = '') {
+  const handles = [...String(body).matchAll(MENTION_PATTERN)].map((match) =>
+    // A mention may end a sentence
+    match[1].replace(/\.+$/, '').toLowerCase()
+  );
+  return [...new Set(handles.filter(Boolean))];
+};
+
+/**
+ * Comment threads of an entry, oldest first, each with its replies
+ * @param {ObjectId} entryId - Entry ID
+ * @param {object} options - { resolved } to list only resolved or unresolved threads
+ * @returns {Promise<Array>} Threads as comments with a replies array
+ */
+CommentSchema.statics.getThreads = async function (entryId, options = {}) {
+  const filter = { entry: entryId, parent: null };
+  if (options.resolved !== undefined) {
+    filter.resolved = options.resolved;
+  }
+
+  const threads = await this.find(filter)
+    .populate('author', 'firstName lastName email')
+    .populate('resolvedBy', 'firstName lastName')
+    .sort({ createdAt: 1 })
+    .lean();
+  const replies = await this.find({ parent: { $in: threads.map((thread) => thread._id) } })
+    .populate('author', 'firstName lastName email')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  return threads.map((thread) => ({
+    ...thread,
+    replies: replies.filter((reply) => reply.parent.equals(thread._id)),
+  }));
+};
+
+module.exports = mongoose.model('Comment', CommentSchema);
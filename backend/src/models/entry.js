@@ -1,4 +1,260 @@
 const mongoose = require('mongoose');
+const WordType = require('./wordType');
+const Field = require('./field');
+const Comment = require('./comment');
+const { withTransaction } = require('./transaction');
+const { foldText, termKey } = require('../search/text');
+const {
+  ALPHABET,
+  sortKey,
+  compareHungarian,
+  initialRange,
+  initialOf,
+} = require('../search/collation');
+const { stemsOf, wordStems } = require('../search/stemmer');
+const { buildVocabulary, suggestSpellings } = require('../search/spelling');
+const { headwordBlockOf, keysOf, findDuplicatesOf, findClusters } = require('../search/duplicates');
+const { PrefixIndex, termsOf } = require('../search/prefixIndex');
+const { detectLanguage, directionOf } = require('../search/language');
+const { compileQuery } = require('../search/querySyntax');
+const {
+  CursorError,
+  encodeCursor,
+  decodeCursor,
+  keysetCondition,
+  reversed,
+} = require('../search/cursor');
+const logger = require('../logger/logger');
+
+// A single meaning of a headword with its own English equivalents
+const SenseSchema = mongoose.Schema({
+  english: {
+    type: [{ type: String, trim: true, maxlength: 500 }],
+    validate: {
+      validator: (value) => Array.isArray(value) && value.length > 0,
+      message: 'A sense needs at least one English equivalent',
+    },
+  },
+  definition: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+  },
+  fieldOfExpertise: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200,
+  },
+});
+
+// A usage example of the headword with its English translation
+const ExampleSchema = mongoose.Schema({
+  hungarian: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000,
+  },
+  english: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000,
+  },
+});
+
+// A bibliographic source the entry is based on
+const SourceSchema = mongoose.Schema({
+  author: {
+    type: String,
+    trim: true,
+    maxlength: 300,
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500,
+  },
+  year: {
+    type: Number,
+    min: 1000,
+    max: 9999,
+  },
+  page: {
+    type: String,
+    trim: true,
+    maxlength: 50,
+  },
+  url: {
+    type: String,
+    trim: true,
+    maxlength: 2000,
+    match: [/^https?:\/\/\S+$/i, 'Source URL must be an http(s) address'],
+  },
+});
+
+// Relation types and the type used for the link in the opposite direction
+const RELATION_INVERSES = {
+  seeAlso: 'seeAlso',
+  synonym: 'synonym',
+  antonym: 'antonym',
+  broader: 'narrower',
+  narrower: 'broader',
+};
+
+// A typed link from an entry to another entry
+const RelationSchema = mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: Object.keys(RELATION_INVERSES),
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Entry',
+    required: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// An entry merged into this one, kept so the merge can be traced back
+const MergeSchema = mongoose.Schema({
+  entry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Entry',
+    required: true,
+  },
+  hungarian: {
+    type: String,
+    trim: true,
+  },
+  english: {
+    type: String,
+    trim: true,
+  },
+  mergedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  mergedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Editorial workflow: the statuses an action starts from, the resulting status
+// and the domain event recorded for it. Only published entries are public.
+const ENTRY_STATUSES = ['draft', 'in_review', 'approved', 'rejected', 'published'];
+
+const STATUS_TRANSITIONS = {
+  submit: { from: ['draft', 'rejected'], to: 'in_review', event: 'EntrySubmitted' },
+  approve: { from: ['in_review'], to: 'approved', event: 'EntryApproved' },
+  reject: { from: ['in_review'], to: 'rejected', event: 'EntryRejected' },
+  publish: { from: ['approved'], to: 'published', event: 'EntryPublished' },
+};
+
+// Relevance of a search result: each searched field adds its weight times how
+// well it matched, best first below. A headword matched only without its typed
+// accents counts a little less, and views add a small boost.
+const SEARCH_WEIGHTS = { hungarian: 10, english: 5 };
+const MATCH_LEVELS = ['exact', 'prefix', 'word', 'substring', 'lemma', 'none'];
+const MATCH_POINTS = [1, 0.75, 0.5, 0.25, 0.2, 0];
+const FOLDED_FACTOR = 0.9;
+const VIEWS_BOOST = 0.5;
+
+// Facets of search results by the path of their values, and the most values counted
+const FACET_PATHS = { fieldOfExpertise: 'senses.fieldOfExpertise', wordType: 'wordType' };
+const FACET_LIMIT = 50;
+
+/**
+ * Conditions of the selected facet values
+ * @param {object} selected - Values of each facet, e.g. { wordType: ['noun'] }
+ * @param {string} except - Facet left out
+ * @returns {Array} Conditions, one per facet with values selected
+ */
+const facetConditions = (selected, except) =>
+  Object.keys(FACET_PATHS)
+    .filter((facet) => facet !== except && selected[facet]?.length > 0)
+    .map((facet) => ({ [FACET_PATHS[facet]]: { $in: selected[facet] } }));
+
+// A filter narrowed by further conditions
+const narrowed = (query, conditions) =>
+  conditions.length > 0 ? { ...query, $and: [...(query.$and || []), ...conditions] } : query;
+
+// Sort values of a result; the alphabetical key is derived from the headword again
+const sortValuesOf = (order, doc) =>
+  Object.keys(order).map((field) => (field === 'sortKey' ? sortKey(doc.hungarian) : doc[field]));
+
+/**
+ * Reading of one page of a sort order, by page number or by cursor
+ * @param {object} order - Sort order, ending with _id
+ * @param {object} options - { page, limit, after, before: cursors }
+ * @returns {object} { condition: of the entries past the cursor or null, sort: reading
+ *   order, skip, backwards: whether the page is read in reverse, cursorsOf(results):
+ *   { next, previous } cursors of the pages around the results }
+ * @throws {CursorError} When a cursor is malformed or of another sort order
+ */
+const pageOf = (order, { page = 1, limit, after, before }) => {
+  if (after && before) throw new CursorError('Give either an after or a before cursor');
+
+  const cursor = after || before;
+  const position = cursor
+    ? decodeCursor(cursor, order).map((value, index) => {
+        if (Object.keys(order)[index] !== '_id') return value;
+        if (!mongoose.isValidObjectId(value)) throw new CursorError('Malformed cursor');
+        return new mongoose.Types.ObjectId(value);
+      })
+    : null;
+  const encode = (doc) => encodeCursor(order, sortValuesOf(order, doc));
+
+  return {
+    condition: position && keysetCondition(order, position, Boolean(before)),
+    sort: before ? reversed(order) : order,
+    skip: cursor ? 0 : (page - 1) * limit,
+    backwards: Boolean(before),
+    // A full page may be followed by more; an empty one points back to its cursor
+    cursorsOf: (results) => {
+      if (results.length === 0) return { next: before || null, previous: after || null };
+
+      const full = results.length === limit;
+      return {
+        next: before || full ? encode(results[results.length - 1]) : null,
+        previous: after || (before ? full : page > 1) ? encode(results[0]) : null,
+      };
+    },
+  };
+};
+
+// The spelling vocabulary of the published entries is rebuilt when older than this
+const VOCABULARY_TTL_MS = 10 * 60 * 1000;
+let vocabulary = null;
+
+// Autocomplete index of the published headwords and English equivalents. Built at
+// startup, then entries are re-indexed one by one as they change.
+const suggestions = new PrefixIndex();
+let suggestionsBuilt = false;
+const SUGGESTED_PATHS = ['hungarian', 'senses', 'status', 'isActive'];
+
+/**
+ * Derive the flat summary fields from the ordered sense list
+ * @param {Array} senses - Entry senses
+ * @returns {object} Summary with the joined English equivalents and the primary field
+ */
+const summarizeSenses = (senses = []) => ({
+  english: [...new Set(senses.flatMap((sense) => sense.english || []))].join('; '),
+  fieldOfExpertise: senses[0]?.fieldOfExpertise,
+});
 
 const EntrySchema = mongoose.Schema(
   {
@@ -9,6 +265,30 @@ const EntrySchema = mongoose.Schema(
       maxlength: 500,
       index: 'text', // Text index for full-text search
     },
+    // Hungarian alphabetical position of the headword, derived from it
+    sortKey: {
+      type: String,
+      select: false,
+    },
+    // Lowercase headword without accents for accent-insensitive search, derived from it
+    hungarianFolded: {
+      type: String,
+      select: false,
+    },
+    // Words of the headword with their suffix-stripped forms, so inflected
+    // searches find the dictionary form; derived from the headword
+    hungarianStems: {
+      type: [String],
+      select: false,
+    },
+    senses: {
+      type: [SenseSchema],
+      validate: {
+        validator: (value) => Array.isArray(value) && value.length > 0,
+        message: 'An entry needs at least one sense',
+      },
+    },
+    // Primary field of expertise, derived from the first sense
     fieldOfExpertise: {
       type: String,
       required: true,
@@ -16,19 +296,74 @@ const EntrySchema = mongoose.Schema(
       maxlength: 200,
       index: true, // Regular index for filtering
     },
+    // Word type codes from the managed vocabulary (see models/wordType.js)
     wordType: {
-      type: String,
-      trim: true,
-      maxlength: 100,
+      type: [{ type: String, trim: true, lowercase: true, maxlength: 50 }],
+      default: undefined,
       index: true, // Index for word type filtering
+      validate: {
+        validator: (value) => !value || value.every((code) => WordType.isKnownCode(code)),
+        message: (props) => `Unknown word type: ${props.value}`,
+      },
     },
+    // All English equivalents of every sense, derived from the senses
     english: {
       type: String,
       required: true,
       trim: true,
-      maxlength: 500,
+      maxlength: 2000,
       index: 'text', // Text index for full-text search
     },
+    // Usage examples and citations, kept in the order set by the editor
+    examples: {
+      type: [ExampleSchema],
+      default: [],
+    },
+    sources: {
+      type: [SourceSchema],
+      default: [],
+    },
+    relations: {
+      type: [RelationSchema],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: ENTRY_STATUSES,
+      default: 'draft',
+      index: true,
+    },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    submittedAt: {
+      type: Date,
+    },
+    // Outcome of the last review, either a comment of the approval or a reason of the rejection
+    review: {
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      reviewedAt: {
+        type: Date,
+      },
+      comment: {
+        type: String,
+        trim: true,
+        maxlength: 1000,
+      },
+      reason: {
+        type: String,
+        trim: true,
+        maxlength: 1000,
+      },
+    },
+    publishedAt: {
+      type: Date,
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -53,6 +388,26 @@ const EntrySchema = mongoose.Schema(
       default: true,
       index: true,
     },
+    // Set while the entry is in the trash, the retention sweep purges it after a while
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // Entries merged into this one, and the entry a deactivated duplicate was merged into
+    merges: {
+      type: [MergeSchema],
+      default: [],
+    },
+    mergedInto: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Entry',
+      default: null,
+    },
   },
   {
     timestamps: true, // Automatically manage createdAt and updatedAt
@@ -65,18 +420,22 @@ const EntrySchema = mongoose.Schema(
 EntrySchema.index(
   { hungarian: 'text', english: 'text' },
   {
-    weights: {
-      hungarian: 10,
-      english: 5,
-    },
+    weights: SEARCH_WEIGHTS,
     name: 'search_index',
   }
 );
 
 EntrySchema.index({ fieldOfExpertise: 1, wordType: 1 });
+EntrySchema.index({ 'senses.fieldOfExpertise': 1 });
+EntrySchema.index({ 'senses.english': 1 });
+EntrySchema.index({ 'relations.target': 1 }); // For finding links to an entry
 EntrySchema.index({ createdAt: -1 }); // For sorting by creation date
 EntrySchema.index({ views: -1 }); // For popular entries
 EntrySchema.index({ isActive: 1, createdAt: -1 }); // Active entries sorted by date
+EntrySchema.index({ isActive: 1, deletedAt: -1 }); // Trash sorted by deletion date
+EntrySchema.index({ isActive: 1, sortKey: 1 }); // Alphabetical listings
+EntrySchema.index({ hungarianFolded: 1 }); // Accent-insensitive search
+EntrySchema.index({ hungarianStems: 1 }); // Inflected search
 
 // Virtual for word count
 EntrySchema.virtual('wordCount').get(function () {
@@ -85,19 +444,108 @@ EntrySchema.virtual('wordCount').get(function () {
   return { hungarian: hunWords, english: engWords };
 });
 
-// Pre-save middleware
+// Pre-validate middleware: fold legacy flat input into a sense, refresh the summary fields
+// and the headword keys, and map word type abbreviations or labels to vocabulary codes
+EntrySchema.pre('validate', function (next) {
+  if ((!this.senses || this.senses.length === 0) && this.english) {
+    this.senses = [{ english: [this.english], fieldOfExpertise: this.fieldOfExpertise }];
+  }
+
+  if (this.senses && this.senses.length > 0) {
+    const { english, fieldOfExpertise } = summarizeSenses(this.senses);
+    this.english = english;
+    this.fieldOfExpertise = fieldOfExpertise;
+  }
+
+  if (this.isModified('hungarian')) {
+    this.sortKey = sortKey(this.hungarian);
+    this.hungarianFolded = foldText(this.hungarian);
+    this.hungarianStems = stemsOf(this.hungarian);
+  }
+
+  if (this.wordType && this.isModified('wordType')) {
+    this.wordType = WordType.normalizeCodes(this.wordType);
+  }
+  next();
+});
+
+// Query middleware: keep the derived fields in sync when entries are updated in place
+EntrySchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function (next) {
+  const update = this.getUpdate() || {};
+  const targetOf = (field) =>
+    update.$set && update.$set[field] !== undefined ? update.$set : update;
+
+  const senses = targetOf('senses');
+  if (Array.isArray(senses.senses) && senses.senses.length > 0) {
+    Object.assign(senses, summarizeSenses(senses.senses));
+  }
+
+  const headword = targetOf('hungarian');
+  if (typeof headword.hungarian === 'string') {
+    headword.sortKey = sortKey(headword.hungarian);
+    headword.hungarianFolded = foldText(headword.hungarian.trim());
+    headword.hungarianStems = stemsOf(headword.hungarian);
+  }
+
+  const wordTypes = targetOf('wordType');
+  if (wordTypes.wordType) {
+    wordTypes.wordType = WordType.normalizeCodes(wordTypes.wordType);
+  }
+
+  this.setUpdate(update);
+  next();
+});
+
+// Pre-save middleware. Views do not count as changes.
+const VIEW_PATHS = ['views', 'lastViewed'];
+
 EntrySchema.pre('save', function (next) {
-  if (this.isModified() && !this.isNew) {
+  if (!this.isNew && this.modifiedPaths().some((path) => !VIEW_PATHS.includes(path))) {
     this.updatedAt = new Date();
   }
   next();
 });
 
+// Re-index the suggestions of saved and updated entries. Updates that do not touch
+// the suggested terms or the visibility of entries, like view counts, are skipped.
+const touchesSuggestions = (update = {}) =>
+  Object.keys({ ...update, ...update.$set, ...update.$unset, ...update.$push, ...update.$pull })
+    .map((path) => path.split('.')[0])
+    .some((field) => SUGGESTED_PATHS.includes(field));
+
+const reindexFailed = (error) =>
+  logger.warn('Failed to update the suggestion index', { error: error.message });
+
+EntrySchema.post('save', function (doc) {
+  if (!suggestionsBuilt) return;
+  if (doc.isActive && doc.status === 'published') suggestions.set(doc._id, termsOf(doc));
+  else suggestions.remove(doc._id);
+});
+
+EntrySchema.post('findOneAndUpdate', function (doc) {
+  if (!suggestionsBuilt || !doc || !touchesSuggestions(this.getUpdate())) return;
+  return this.model.reindexSuggestions([doc._id]).catch(reindexFailed);
+});
+
+// Entries updated in bulk are looked up first, as the update may take them out of the filter
+EntrySchema.pre(['updateOne', 'updateMany'], async function () {
+  if (!suggestionsBuilt || !touchesSuggestions(this.getUpdate())) return;
+  this.suggestionIds = await this.model
+    .distinct('_id', this.getFilter())
+    .session(this.getOptions().session || null);
+});
+
+EntrySchema.post(['updateOne', 'updateMany'], function () {
+  if (!this.suggestionIds) return;
+  return this.model.reindexSuggestions(this.suggestionIds).catch(reindexFailed);
+});
+
 // Instance methods
+// Views leave updatedAt alone, it tells when the content changed
 EntrySchema.methods.incrementViews = function () {
   this.views += 1;
   this.lastViewed = new Date();
-  return this.save();
+  return this.save({ timestamps: false });
 };
 
 EntrySchema.methods.toSearchResult = function () {
@@ -106,13 +554,66 @@ EntrySchema.methods.toSearchResult = function () {
     hungarian: this.hungarian,
     english: this.english,
     fieldOfExpertise: this.fieldOfExpertise,
-    wordType: this.wordType,
+    senses: this.senses.map((sense) => ({
+      _id: sense._id,
+      english: [...sense.english],
+      definition: sense.definition,
+      fieldOfExpertise: sense.fieldOfExpertise,
+    })),
+    wordType: this.wordType ? [...this.wordType] : [],
     views: this.views,
     createdAt: this.createdAt,
     updatedAt: this.updatedAt,
   };
 };
 
+// Characters that end a word when telling whole-word matches apart
+const WORD_SEPARATOR = '[\\s.,;:!?/()\'"-]';
+
+/**
+ * Aggregation expression of how well a text matches a search term
+ * @param {*} input - Expression of the lowercase text
+ * @param {string} term - Lowercase search term
+ * @param {*} fallback - Level index, or expression of it, when the term does not occur in the text
+ * @returns {object} Expression of the index of the level in MATCH_LEVELS
+ */
+const matchLevelOf = (input, term, fallback = MATCH_LEVELS.indexOf('none')) => {
+  const text = { $ifNull: [input, ''] };
+  const position = { $indexOfCP: [text, term] };
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const word = `(^|${WORD_SEPARATOR})${escaped}($|${WORD_SEPARATOR})`;
+  const level = (name) => MATCH_LEVELS.indexOf(name);
+
+  return {
+    $switch: {
+      branches: [
+        { case: { $eq: [text, term] }, then: level('exact') },
+        { case: { $eq: [position, 0] }, then: level('prefix') },
+        { case: { $regexMatch: { input: text, regex: word } }, then: level('word') },
+        { case: { $gte: [position, 0] }, then: level('substring') },
+      ],
+      default: fallback,
+    },
+  };
+};
+
+// Helper function to create safe regex
+const createRegex = (term) => {
+  if (!term || typeof term !== 'string' || !term.trim()) return null;
+  try {
+    const escaped = term.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(escaped, 'i');
+  } catch (e) {
+    return null;
+  }
+};
+
+// A known field matches its whole subtree, anything else is a partial name match
+const fieldCondition = (term) => {
+  const subtree = Field.subtreeNames(term);
+  return subtree ? { $in: subtree } : createRegex(term);
+};
+
 // Static methods for optimized queries
 EntrySchema.statics.searchEntries = function (searchTerm, options = {}) {
   const {
@@ -123,56 +624,141 @@ EntrySchema.statics.searchEntries = function (searchTerm, options = {}) {
     fieldOfExpertise,
     wordType,
     sortBy = 'relevance',
+    status = 'published',
+    explain = false,
+    language,
+    scope = 'terms',
+    advanced,
+    facets = false,
+    facetFilters = {},
+    after,
+    before,
+    expansions = [],
   } = options;
 
   const query = { isActive: true };
 
-  // Helper function to create safe regex
-  const createRegex = (term) => {
-    if (!term || typeof term !== 'string' || !term.trim()) return null;
-    try {
-      const escaped = term.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      return new RegExp(escaped, 'i');
-    } catch (e) {
-      return null;
+  // Public searches see published entries only, editors may ask for a status or 'all'
+  if (status !== 'all') {
+    query.status = ENTRY_STATUSES.includes(status) ? status : 'published';
+  }
+
+  // Headwords match without accents on the precomputed folded form, or when every
+  // searched word is an inflected form of a headword word. The typed spelling is
+  // kept to rank exact-accent matches first.
+  let headwordRegex = null;
+  let foldedRegex = null;
+  let headwordTerm = null;
+  let headwordStems = [];
+  const headwordConditions = (term) => {
+    foldedRegex = createRegex(foldText(term));
+    if (!foldedRegex) return [];
+
+    headwordRegex = createRegex(term);
+    headwordTerm = foldText(term.trim());
+    headwordStems = wordStems(term);
+    const conditions = [{ hungarianFolded: foldedRegex }];
+    if (headwordStems.length > 0) {
+      conditions.push({ $and: headwordStems.map((forms) => ({ hungarianStems: { $in: forms } })) });
     }
+    return conditions;
+  };
+
+  let englishTerm = null;
+  const englishConditions = (term) => {
+    const regex = createRegex(term);
+    if (!regex) return [];
+
+    englishTerm = term.trim().toLowerCase();
+    return [{ 'senses.english': regex }];
   };
 
+  // The searched text with synonyms of the editors, as { text, language } of
+  // SynonymSet.expand. Entries found only through them are not scored.
+  const expandedConditions = (...languages) =>
+    expansions
+      .filter((expansion) => languages.includes(expansion.language))
+      .map(({ text, language }) =>
+        language === 'hu'
+          ? { hungarianFolded: createRegex(foldText(text)) }
+          : { 'senses.english': createRegex(text) }
+      )
+      .filter((condition) => Object.values(condition)[0]);
+
   // Check if any column-specific filter is provided
   const hasColumnFilter = hungarian || english || fieldOfExpertise || wordType;
 
+  // Direction of the search: the language of the searched column, or of the query
+  let queryLanguage = null;
+
   if (hasColumnFilter) {
     // Column-specific filtering (like the original filter pipe with key)
     if (hungarian) {
-      const regex = createRegex(hungarian);
-      if (regex) query.hungarian = regex;
+      const conditions = headwordConditions(hungarian);
+      if (conditions.length > 0) query.$or = [...conditions, ...expandedConditions('hu')];
     }
     if (english) {
-      const regex = createRegex(english);
-      if (regex) query.english = regex;
+      const conditions = englishConditions(english);
+      const expanded = conditions.length > 0 ? expandedConditions('en') : [];
+      if (expanded.length > 0) {
+        query.$and = [{ $or: [...conditions, ...expanded] }];
+      } else {
+        Object.assign(query, ...conditions);
+      }
     }
     if (fieldOfExpertise) {
-      const regex = createRegex(fieldOfExpertise);
-      if (regex) query.fieldOfExpertise = regex;
+      const condition = fieldCondition(fieldOfExpertise);
+      if (condition) query['senses.fieldOfExpertise'] = condition;
     }
     if (wordType) {
-      const regex = createRegex(wordType);
-      if (regex) query.wordType = regex;
+      // Matches codes, abbreviations and labels of the vocabulary
+      query.wordType = { $in: WordType.matchCodes(wordType) };
     }
+    if (headwordTerm || englishTerm) queryLanguage = headwordTerm ? 'hu' : 'en';
   } else if (searchTerm) {
-    // Default search in Hungarian column only
-    const regex = createRegex(searchTerm);
-    if (regex) {
-      query.hungarian = regex;
+    // Any language: headwords and English equivalents, with the 'all' scope field
+    // names and word types as well
+    const conditions = [...headwordConditions(searchTerm), ...englishConditions(searchTerm)];
+    if (conditions.length > 0) conditions.push(...expandedConditions('hu', 'en'));
+    if (scope === 'all') {
+      const field = fieldCondition(searchTerm);
+      const wordTypes = WordType.matchCodes(searchTerm);
+      if (field) conditions.push({ 'senses.fieldOfExpertise': field });
+      if (wordTypes.length > 0) conditions.push({ wordType: { $in: wordTypes } });
     }
+    if (conditions.length > 0) query.$or = conditions;
+    queryLanguage = ['hu', 'en'].includes(language) ? language : detectLanguage(searchTerm);
+  }
+
+  // A query in the search syntax, parsed by parseQuery, narrows the other filters
+  if (advanced) {
+    const filter = compileQuery(advanced, {
+      fieldNames: (term) => Field.subtreeNames(term),
+      wordTypeCodes: (term) => WordType.matchCodes(term),
+    });
+    query.$and = [...(query.$and || []), filter];
   }
 
+  // Results are narrowed by the selected facet values, the facets are counted without
+  // their own selection
+  const filter = narrowed(query, facetConditions(facetFilters));
+  const facetQuery = facets ? this.countFacets(query, facetFilters) : null;
+
+  const direction = queryLanguage && directionOf(queryLanguage);
+
+  // The field in the language of the query weighs most
+  const weights =
+    queryLanguage === 'en'
+      ? { hungarian: SEARCH_WEIGHTS.english, english: SEARCH_WEIGHTS.hungarian }
+      : SEARCH_WEIGHTS;
+
   // Sorting
   let sort = {};
   switch (sortBy) {
+    // Without a searched text there is nothing to score, relevance is alphabetical
     case 'relevance':
     case 'alphabetical':
-      sort = { hungarian: 1 };
+      sort = { sortKey: 1 };
       break;
     case 'newest':
       sort = { createdAt: -1 };
@@ -184,57 +770,856 @@ EntrySchema.statics.searchEntries = function (searchTerm, options = {}) {
       sort = { views: -1 };
       break;
     default:
-      sort = { hungarian: 1 };
+      sort = { sortKey: 1 };
   }
 
   const pageNum = parseInt(page, 10) || 1;
   const limitNum = parseInt(limit, 10) || 20;
-  const skip = (pageNum - 1) * limitNum;
+  // Ties are broken by _id, so every entry has its own place for the cursors
+  const order = {
+    ...((headwordTerm || englishTerm) && sortBy === 'relevance' ? { score: -1, sortKey: 1 } : sort),
+    _id: 1,
+  };
+  const paging = pageOf(order, { page: pageNum, limit: limitNum, after, before });
+  const fields =
+    'hungarian english fieldOfExpertise senses wordType status views createdAt updatedAt';
+
+  // Searches in the headwords or English equivalents are scored, and by relevance
+  // the best scores come first. Headword matches also tell how the headword matched.
+  if (headwordTerm || englishTerm) {
+    const none = MATCH_LEVELS.indexOf('none');
+    const matchType = {
+      $switch: {
+        branches: [
+          { case: { $regexMatch: { input: '$hungarian', regex: headwordRegex } }, then: 'exact' },
+          {
+            case: {
+              $regexMatch: { input: { $ifNull: ['$hungarianFolded', ''] }, regex: foldedRegex },
+            },
+            then: 'folded',
+          },
+        ],
+        // Entries found through another field have no match type
+        default: '$$REMOVE',
+      },
+    };
+    if (headwordStems.length > 0) {
+      const stemsMatch = headwordStems.map((forms) => ({
+        $gt: [{ $size: { $setIntersection: [{ $ifNull: ['$hungarianStems', []] }, forms] } }, 0],
+      }));
+      matchType.$switch.branches.push({ case: { $allElementsTrue: [stemsMatch] }, then: 'lemma' });
+    }
+
+    const levels = {
+      hungarianLevel: headwordTerm
+        ? matchLevelOf('$hungarianFolded', headwordTerm, {
+            $cond: [{ $eq: ['$matchType', 'lemma'] }, MATCH_LEVELS.indexOf('lemma'), none],
+          })
+        : none,
+      englishLevel: englishTerm
+        ? {
+            $ifNull: [
+              {
+                $min: {
+                  $map: {
+                    input: {
+                      $reduce: {
+                        input: { $ifNull: ['$senses', []] },
+                        initialValue: [],
+                        in: { $concatArrays: ['$$value', { $ifNull: ['$$this.english', []] }] },
+                      },
+                    },
+                    as: 'english',
+                    in: matchLevelOf({ $toLower: '$$english' }, englishTerm),
+                  },
+                },
+              },
+              none,
+            ],
+          }
+        : none,
+    };
+
+    const pointsOf = (level, weight) => ({
+      $multiply: [weight, { $arrayElemAt: [MATCH_POINTS, level] }],
+    });
+    const relevance = {
+      hungarian: {
+        $multiply: [
+          pointsOf('$hungarianLevel', weights.hungarian),
+          { $cond: [{ $eq: ['$matchType', 'exact'] }, 1, FOLDED_FACTOR] },
+        ],
+      },
+      english: pointsOf('$englishLevel', weights.english),
+      views: {
+        $multiply: [
+          VIEWS_BOOST,
+          { $log10: { $add: [{ $max: [{ $ifNull: ['$views', 0] }, 0] }, 1] } },
+        ],
+      },
+    };
+
+    const projection = Object.fromEntries(
+      [...fields.split(' '), 'matchType', 'score'].map((field) => [field, 1])
+    );
+    if (explain) {
+      const explanation = (field) => ({
+        match: { $arrayElemAt: [MATCH_LEVELS, `$${field}Level`] },
+        points: { $round: [`$relevance.${field}`, 3] },
+      });
+      projection.explanation = {
+        hungarian: explanation('hungarian'),
+        english: explanation('english'),
+        views: { $round: ['$relevance.views', 3] },
+      };
+    }
+
+    return {
+      query: this.aggregate([
+        { $match: filter },
+        ...(headwordRegex ? [{ $addFields: { matchType } }] : []),
+        { $addFields: levels },
+        { $addFields: { relevance } },
+        {
+          $addFields: {
+            score: {
+              $round: [
+                { $add: ['$relevance.hungarian', '$relevance.english', '$relevance.views'] },
+                3,
+              ],
+            },
+          },
+        },
+        ...(paging.condition ? [{ $match: paging.condition }] : []),
+        { $sort: paging.sort },
+        { $skip: paging.skip },
+        { $limit: limitNum },
+        ...(paging.backwards ? [{ $sort: order }] : []),
+        { $project: projection },
+      ]),
+      countQuery: this.countDocuments(filter),
+      facetQuery,
+      cursorsOf: paging.cursorsOf,
+      direction,
+    };
+  }
+
+  let entries = this.find(paging.condition ? narrowed(filter, [paging.condition]) : filter)
+    .select(fields)
+    .sort(paging.sort)
+    .skip(paging.skip)
+    .limit(limitNum)
+    .lean();
+  if (paging.backwards) entries = entries.transform((results) => results.reverse());
 
   return {
-    query: this.find(query)
-      .select('hungarian english fieldOfExpertise wordType views createdAt updatedAt')
-      .sort(sort)
-      .skip(skip)
-      .limit(limitNum)
-      .lean(),
-    countQuery: this.countDocuments(query),
+    query: entries,
+    countQuery: this.countDocuments(filter),
+    facetQuery,
+    cursorsOf: paging.cursorsOf,
+    direction,
   };
 };
 
-EntrySchema.statics.getPopularEntries = function (limit = 10) {
-  return this.find({ isActive: true })
-    .select('hungarian english fieldOfExpertise views')
-    .sort({ views: -1 })
-    .limit(limit)
+/**
+ * Number of entries of each facet value among the results of a search. Each
+ * facet is counted under the selections of the others only, so the counts of
+ * its values tell how many results choosing one more would add.
+ * @param {object} query - Filter of the search, without facet selections
+ * @param {object} selected - Selected values of each facet
+ * @returns {Promise<object>} Values of each facet as { value, count, selected },
+ *   most entries first, selected values included even without entries
+ */
+EntrySchema.statics.countFacets = async function (query, selected = {}) {
+  const pipelines = Object.fromEntries(
+    Object.entries(FACET_PATHS).map(([facet, path]) => {
+      const others = facetConditions(selected, facet);
+      return [
+        facet,
+        [
+          ...(others.length > 0 ? [{ $match: { $and: others } }] : []),
+          // An entry counts once for a value, however many senses have it
+          { $project: { value: { $setUnion: [{ $ifNull: [`$${path}`, []] }] } } },
+          { $unwind: '$value' },
+          { $group: { _id: '$value', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: FACET_LIMIT },
+        ],
+      ];
+    })
+  );
+
+  const [counts] = await this.aggregate([{ $match: query }, { $facet: pipelines }]);
+
+  return Object.fromEntries(
+    Object.keys(FACET_PATHS).map((facet) => {
+      const chosen = selected[facet] || [];
+      const values = counts[facet].map(({ _id, count }) => ({
+        value: _id,
+        count,
+        selected: chosen.includes(_id),
+      }));
+      chosen
+        .filter((value) => !values.some((item) => item.value === value))
+        .forEach((value) => values.push({ value, count: 0, selected: true }));
+
+      values.sort((a, b) => b.count - a.count || compareHungarian(a.value, b.value));
+      return [facet, values];
+    })
+  );
+};
+
+/**
+ * Spelling suggestions for a search term from the headwords and English
+ * equivalents of the published entries
+ * @param {string} term - Search term
+ * @param {number} limit - Number of suggestions
+ * @returns {Promise<Array>} Suggestions as { term, language, distance }, closest first
+ */
+EntrySchema.statics.didYouMean = async function (term, limit = 5) {
+  if (!vocabulary || Date.now() - vocabulary.builtAt > VOCABULARY_TTL_MS) {
+    vocabulary = {
+      builtAt: Date.now(),
+      terms: this.find({ isActive: true, status: 'published' })
+        .select('hungarian senses.english')
+        .lean()
+        .then(buildVocabulary),
+    };
+  }
+
+  try {
+    return suggestSpellings(term, await vocabulary.terms, limit);
+  } catch (error) {
+    vocabulary = null;
+    throw error;
+  }
+};
+
+/**
+ * Rebuild the autocomplete index from the published entries
+ * @returns {Promise<number>} Number of indexed terms
+ */
+EntrySchema.statics.refreshSuggestions = async function () {
+  const entries = await this.find({ isActive: true, status: 'published' })
+    .select('hungarian senses.english')
     .lean();
+  suggestions.rebuild(entries.map((entry) => ({ id: entry._id, terms: termsOf(entry) })));
+  suggestionsBuilt = true;
+  return suggestions.size;
 };
 
-EntrySchema.statics.getRecentEntries = function (limit = 10) {
-  return this.find({ isActive: true })
-    .select('hungarian english fieldOfExpertise createdAt')
-    .sort({ createdAt: -1 })
+/**
+ * Re-index changed entries: published ones with their current terms, the others removed
+ * @param {Array} ids - Entry IDs
+ * @returns {Promise<void>}
+ */
+EntrySchema.statics.reindexSuggestions = async function (ids) {
+  const entries = await this.find({ _id: { $in: ids } })
+    .select('hungarian senses.english status isActive')
+    .lean();
+  const found = new Map(entries.map((entry) => [String(entry._id), entry]));
+
+  for (const id of ids) {
+    const entry = found.get(String(id));
+    if (entry && entry.isActive && entry.status === 'published') {
+      suggestions.set(id, termsOf(entry));
+    } else {
+      suggestions.remove(id);
+    }
+  }
+};
+
+/**
+ * Autocomplete suggestions for a typed prefix, from the in-memory index
+ * @param {string} prefix - Typed text
+ * @param {object} options - { language: 'hu' or 'en', limit }
+ * @returns {Array} Suggestions as { term, language, entries }
+ */
+EntrySchema.statics.suggest = function (prefix, options = {}) {
+  return suggestions.suggest(prefix, options);
+};
+
+/**
+ * Texts of entries for the similarity index: the headword, the English
+ * equivalents, the definitions and the fields of expertise of every sense
+ * @param {object} filter - Entries to include, the published ones by default
+ * @returns {Promise<Array>} Documents as { id, text }
+ */
+EntrySchema.statics.similarityCorpus = async function (
+  filter = { isActive: true, status: 'published' }
+) {
+  const entries = await this.find(filter).select('hungarian senses').sort({ _id: 1 }).lean();
+  return entries.map((entry) => ({
+    id: String(entry._id),
+    text: [
+      entry.hungarian,
+      ...(entry.senses || []).flatMap((sense) => [
+        ...(sense.english || []),
+        sense.definition,
+        sense.fieldOfExpertise,
+      ]),
+    ]
+      .filter(Boolean)
+      .join('\n'),
+  }));
+};
+
+/**
+ * Version of the published entries, changing whenever one is published,
+ * changed or withdrawn
+ * @returns {Promise<string>} Number of published entries and their last change
+ */
+EntrySchema.statics.similarityVersion = async function () {
+  const [version] = await this.aggregate([
+    { $match: { isActive: true, status: 'published' } },
+    { $group: { _id: null, count: { $sum: 1 }, updatedAt: { $max: '$updatedAt' } } },
+  ]);
+  return version ? `${version.count}:${new Date(version.updatedAt).toISOString()}` : '0';
+};
+
+/**
+ * Count a view of an entry without marking the entry changed
+ * @param {string} id - Entry ID
+ * @returns {Promise} Update
+ */
+EntrySchema.statics.recordView = function (id) {
+  return this.updateOne(
+    { _id: id },
+    { $inc: { views: 1 }, $set: { lastViewed: new Date() } },
+    { timestamps: false }
+  );
+};
+
+EntrySchema.statics.relationTypes = function () {
+  return Object.keys(RELATION_INVERSES);
+};
+
+EntrySchema.statics.statuses = function () {
+  return [...ENTRY_STATUSES];
+};
+
+/**
+ * Workflow transition of an action
+ * @param {string} action - submit, approve, reject or publish
+ * @returns {object|undefined} { from, to, event }
+ */
+EntrySchema.statics.statusTransition = function (action) {
+  return STATUS_TRANSITIONS[action];
+};
+
+/**
+ * Move an entry along the editorial workflow. The update only applies when the
+ * entry is in one of the statuses the action starts from.
+ * @param {ObjectId} id - Entry ID
+ * @param {string} action - submit, approve, reject or publish
+ * @param {object} changes - Additional fields to set
+ * @returns {Promise<Document|null>} Updated entry, or null when the transition is not allowed
+ */
+EntrySchema.statics.changeStatus = function (id, action, changes = {}) {
+  const { from, to } = STATUS_TRANSITIONS[action];
+
+  return this.findOneAndUpdate(
+    { _id: id, isActive: true, status: { $in: from } },
+    { $set: { ...changes, status: to } },
+    { new: true, runValidators: true }
+  );
+};
+
+/**
+ * Link an entry to another one, optionally adding the inverse link as well.
+ * Existing links of the same type to the same target are left untouched.
+ * @param {ObjectId} sourceId - Entry the link starts from
+ * @param {object} relation - { type, target, createdBy }
+ * @param {boolean} bidirectional - Also link the target back to the source
+ * @returns {Promise<object>} { added, inverseAdded }
+ */
+EntrySchema.statics.addRelation = async function (sourceId, relation, bidirectional = false) {
+  const toId = (id) => new mongoose.Types.ObjectId(String(id));
+  const link = (from, type, target) =>
+    this.updateOne(
+      { _id: from, relations: { $not: { $elemMatch: { type, target } } } },
+      { $push: { relations: { type, target, createdBy: relation.createdBy || null } } }
+    );
+
+  const added = await link(toId(sourceId), relation.type, toId(relation.target));
+  const inverseAdded = bidirectional
+    ? await link(toId(relation.target), RELATION_INVERSES[relation.type], toId(sourceId))
+    : null;
+
+  return {
+    added: added.modifiedCount > 0,
+    inverseAdded: inverseAdded ? inverseAdded.modifiedCount > 0 : false,
+  };
+};
+
+/**
+ * Remove a link, optionally together with its inverse on the target entry
+ * @param {ObjectId} sourceId - Entry the link starts from
+ * @param {ObjectId} relationId - Relation subdocument ID
+ * @param {boolean} bidirectional - Also remove the inverse link
+ * @returns {Promise<object|null>} Removed relation, or null when it does not exist
+ */
+EntrySchema.statics.removeRelation = async function (sourceId, relationId, bidirectional = true) {
+  const entry = await this.findOne({ _id: sourceId, 'relations._id': relationId })
+    .select('relations')
+    .lean();
+  const relation = entry?.relations.find((r) => String(r._id) === String(relationId));
+  if (!relation) return null;
+
+  await this.updateOne({ _id: sourceId }, { $pull: { relations: { _id: relationId } } });
+
+  if (bidirectional) {
+    await this.updateOne(
+      { _id: relation.target },
+      {
+        $pull: {
+          relations: {
+            type: RELATION_INVERSES[relation.type],
+            target: new mongoose.Types.ObjectId(String(sourceId)),
+          },
+        },
+      }
+    );
+  }
+  return relation;
+};
+
+/**
+ * Remove every link pointing to the given entries
+ * @param {Array} targetIds - Entries that are no longer available
+ * @returns {Promise<Array>} Entries that lost links: { _id, hungarian }
+ */
+EntrySchema.statics.removeRelationsTo = async function (targetIds) {
+  const ids = targetIds.map((id) => new mongoose.Types.ObjectId(String(id)));
+  const filter = { 'relations.target': { $in: ids } };
+  const affected = await this.find(filter).select('hungarian').lean();
+
+  if (affected.length > 0) {
+    await this.updateMany(filter, { $pull: { relations: { target: { $in: ids } } } });
+  }
+  return affected;
+};
+
+/**
+ * Permanently remove entries from the trash together with the links to them and their comments
+ * @param {object} filter - Additional conditions, only inactive entries are removed
+ * @returns {Promise<Array>} Removed entries: { _id, hungarian, english, deletedAt }
+ */
+EntrySchema.statics.purgeDeleted = async function (filter = {}) {
+  const purged = await this.find({ ...filter, isActive: false })
+    .select('hungarian english deletedAt')
+    .lean();
+  const ids = purged.map((entry) => entry._id);
+
+  if (ids.length > 0) {
+    await this.deleteMany({ _id: { $in: ids }, isActive: false });
+    await this.removeRelationsTo(ids);
+    await Comment.deleteMany({ entry: { $in: ids } });
+  }
+  return purged;
+};
+
+/**
+ * Related published entries of an entry grouped by relation type
+ * @param {Array} relations - Relations of the entry
+ * @returns {Promise<object>} { [type]: [{ relationId, _id, hungarian, english, fieldOfExpertise }] }
+ */
+EntrySchema.statics.getRelated = async function (relations = []) {
+  const targets = await this.find({
+    _id: { $in: relations.map((relation) => relation.target) },
+    isActive: true,
+    status: 'published',
+  })
+    .select('hungarian english fieldOfExpertise')
+    .lean();
+  const byId = new Map(targets.map((target) => [String(target._id), target]));
+
+  return relations.reduce((related, relation) => {
+    const target = byId.get(String(relation.target));
+    if (target) {
+      related[relation.type] = related[relation.type] || [];
+      related[relation.type].push({ relationId: relation._id, ...target });
+    }
+    return related;
+  }, {});
+};
+
+// Fields the duplicate finder compares
+const DUPLICATE_FIELDS = 'hungarian english senses.english status';
+
+/**
+ * Active entries that are likely duplicates of an entry. Only the entries sharing a
+ * block of the duplicate report are compared, found by index: headwords with the
+ * same first two letters, and English equivalents written the same.
+ * @param {object} entry - Entry or entry payload with hungarian and senses
+ * @returns {Promise<Array>} { entry, score, reasons }, best match first
+ */
+EntrySchema.statics.findLikelyDuplicates = async function (entry) {
+  const block = headwordBlockOf(keysOf(entry).folded);
+  const english = (
+    entry.senses?.length ? entry.senses.flatMap((sense) => sense.english || []) : [entry.english]
+  )
+    .filter((value) => typeof value === 'string' && value.trim())
+    .flatMap((value) => [value.trim(), value.trim().toLowerCase()]);
+
+  // The block has letters and digits only, nothing to escape
+  const blocks = [];
+  if (block) blocks.push({ hungarianFolded: new RegExp(`^${block}`) });
+  if (english.length > 0) blocks.push({ 'senses.english': { $in: [...new Set(english)] } });
+  if (blocks.length === 0) return [];
+
+  const pool = await this.find({ isActive: true, $or: blocks }).select(DUPLICATE_FIELDS).lean();
+  return findDuplicatesOf(entry, pool);
+};
+
+/**
+ * Clusters of active entries that are likely duplicates of each other
+ * @param {number} minScore - Lowest pair score that links two entries
+ * @returns {Promise<Array>} Clusters as { score, entries, pairs }
+ */
+EntrySchema.statics.findDuplicateClusters = async function (minScore) {
+  const entries = await this.find({ isActive: true }).select(DUPLICATE_FIELDS).lean();
+  return findClusters(entries, minScore);
+};
+
+/**
+ * Add items of a list that the list does not have yet
+ * @param {Array} items - Items to extend
+ * @param {Array} additions - Items to add
+ * @param {Function} keyOf - Comparison key of an item
+ * @returns {Array} Combined items
+ */
+const unionBy = (items, additions, keyOf) => {
+  const keys = new Set(items.map(keyOf));
+  return [...items, ...additions.filter((item) => !keys.has(keyOf(item)))];
+};
+
+/**
+ * Copy the content of a duplicate into the entry it is merged into. Senses of
+ * the same field are combined, the other senses, word types, examples and
+ * sources are added when the entry does not have them yet.
+ * @param {Document} target - Entry that is kept
+ * @param {Document} source - Duplicate being merged
+ */
+const mergeContent = (target, source) => {
+  const senses = target.senses.map((sense) => sense.toObject());
+  source.senses.forEach(({ english, definition, fieldOfExpertise }) => {
+    const same = senses.find((sense) => sense.fieldOfExpertise === fieldOfExpertise);
+    if (same) {
+      same.english = unionBy(same.english, english, (value) => termKey(value, true));
+      same.definition = same.definition || definition;
+    } else {
+      senses.push({ english: [...english], definition, fieldOfExpertise });
+    }
+  });
+  target.senses = senses;
+
+  target.wordType = unionBy(target.wordType || [], source.wordType || [], (code) => code);
+  target.examples = unionBy(
+    target.examples.map((example) => example.toObject()),
+    source.examples.map(({ hungarian, english }) => ({ hungarian, english })),
+    (example) => termKey(example.hungarian)
+  );
+  target.sources = unionBy(
+    target.sources.map((item) => item.toObject()),
+    source.sources.map(({ author, title, year, page, url }) => ({
+      author,
+      title,
+      year,
+      page,
+      url,
+    })),
+    (item) => `${termKey(item.author)}|${termKey(item.title)}`
+  );
+  target.views += source.views;
+};
+
+/**
+ * Point links of an entry that lead to a merged duplicate to the entry it was
+ * merged into. Links to the entry itself and repeated links are dropped.
+ * @param {Document} entry - Entry with links
+ * @param {Document} source - Merged duplicate
+ * @param {Document} target - Entry the duplicate was merged into
+ * @param {Array} extra - Links to add as well
+ */
+const retargetRelations = (entry, source, target, extra = []) => {
+  const relations = [...entry.relations.map((relation) => relation.toObject()), ...extra]
+    .map((relation) =>
+      relation.target.equals(source._id) ? { ...relation, target: target._id } : relation
+    )
+    .filter((relation) => !relation.target.equals(entry._id));
+  entry.relations = unionBy([], relations, (relation) => `${relation.type}|${relation.target}`);
+};
+
+/**
+ * Merge a duplicate into another entry, in a transaction where the server runs
+ * them. The content and links of the duplicate move to the kept entry, which
+ * records the merge; the duplicate is deactivated last and points to the kept entry.
+ * @param {ObjectId} targetId - Entry that is kept
+ * @param {ObjectId} sourceId - Duplicate being merged
+ * @param {ObjectId} userId - User merging the entries
+ * @returns {Promise<object>} { entry, merged, entriesRelinked }
+ */
+EntrySchema.statics.mergeEntries = function (targetId, sourceId, userId = null) {
+  return withTransaction(async (session) => {
+    const [target, source] = await Promise.all([
+      this.findById(targetId).session(session),
+      this.findById(sourceId).session(session),
+    ]);
+
+    mergeContent(target, source);
+    retargetRelations(
+      target,
+      source,
+      target,
+      source.relations.map(({ type, target: to, createdBy }) => ({ type, target: to, createdBy }))
+    );
+    target.merges.push({
+      entry: source._id,
+      hungarian: source.hungarian,
+      english: source.english,
+      mergedBy: userId,
+    });
+    target.updatedBy = userId;
+    await target.save({ session });
+
+    const linking = await this.find({
+      _id: { $nin: [target._id, source._id] },
+      'relations.target': source._id,
+    }).session(session);
+    for (const entry of linking) {
+      retargetRelations(entry, source, target);
+      await entry.save({ session });
+    }
+
+    source.isActive = false;
+    source.deletedAt = new Date();
+    source.deletedBy = userId;
+    source.mergedInto = target._id;
+    source.updatedBy = userId;
+    await source.save({ session });
+
+    return { entry: target, merged: source, entriesRelinked: linking.length };
+  });
+};
+
+// Listings of the published entries by their order and fields
+const LISTINGS = {
+  popular: { sort: { views: -1 }, fields: 'hungarian english fieldOfExpertise views' },
+  recent: { sort: { createdAt: -1 }, fields: 'hungarian english fieldOfExpertise createdAt' },
+};
+
+/**
+ * One page of a listing of the published entries
+ * @param {string} name - 'popular' or 'recent'
+ * @param {object} options - { limit, after, before: cursors }
+ * @returns {object} { query, cursorsOf(results) } as searchEntries
+ * @throws {CursorError} When a cursor is malformed or of another sort order
+ */
+EntrySchema.statics.listingPage = function (name, { limit = 10, after, before } = {}) {
+  const { sort, fields } = LISTINGS[name];
+  // Ties are broken by _id, so every entry has its own place for the cursors
+  const order = { ...sort, _id: 1 };
+  const paging = pageOf(order, { limit, after, before });
+  const published = { isActive: true, status: 'published' };
+
+  let query = this.find(paging.condition ? { ...published, ...paging.condition } : published)
+    .select(fields)
+    .sort(paging.sort)
     .limit(limit)
     .lean();
+  if (paging.backwards) query = query.transform((results) => results.reverse());
+
+  return { query, cursorsOf: paging.cursorsOf };
+};
+
+EntrySchema.statics.getPopularEntries = function (limit = 10) {
+  return this.listingPage('popular', { limit }).query;
+};
+
+EntrySchema.statics.getRecentEntries = function (limit = 10) {
+  return this.listingPage('recent', { limit }).query;
+};
+
+// Letters of the browse index: Hungarian headwords by the Hungarian alphabet,
+// English equivalents by the English one
+const BROWSE_ALPHABETS = {
+  hu: ALPHABET,
+  en: 'abcdefghijklmnopqrstuvwxyz'.split(''),
+};
+const BROWSE_FIELDS = 'hungarian english fieldOfExpertise wordType';
+
+// Pairs of a published entry and each of its distinct English equivalents
+const englishTermsOf = (match) => [
+  { $match: { isActive: true, status: 'published', ...match } },
+  { $project: { hungarian: 1, english: 1, fieldOfExpertise: 1, wordType: 1, senses: 1 } },
+  { $unwind: '$senses' },
+  { $unwind: '$senses.english' },
+  {
+    $group: {
+      _id: { entry: '$_id', term: '$senses.english' },
+      hungarian: { $first: '$hungarian' },
+      english: { $first: '$english' },
+      fieldOfExpertise: { $first: '$fieldOfExpertise' },
+      wordType: { $first: '$wordType' },
+    },
+  },
+];
+
+/**
+ * Letters that can be browsed in a language
+ * @param {string} language - 'hu' or 'en'
+ * @returns {Array} Lowercase letters in alphabetical order
+ */
+EntrySchema.statics.browseLetters = function (language = 'hu') {
+  return BROWSE_ALPHABETS[language] || [];
+};
+
+/**
+ * Number of published headwords starting with each letter
+ * @param {string} language - 'hu' for the Hungarian headwords, 'en' for the English equivalents
+ * @returns {Promise<object>} { letters: [{ letter, count }] of the whole alphabet,
+ *   other: headwords starting with a digit or another character }
+ */
+EntrySchema.statics.letterCounts = async function (language = 'hu') {
+  const counts =
+    language === 'en'
+      ? await this.aggregate([
+          ...englishTermsOf({}),
+          { $group: { _id: { $toLower: { $substrCP: ['$_id.term', 0, 1] } }, count: { $sum: 1 } } },
+        ])
+      : await this.aggregate([
+          { $match: { isActive: true, status: 'published' } },
+          { $group: { _id: { $substrCP: ['$sortKey', 0, 1] }, count: { $sum: 1 } } },
+        ]);
+
+  const letters = this.browseLetters(language);
+  const byLetter = new Map(letters.map((letter) => [letter, 0]));
+  let other = 0;
+  counts.forEach(({ _id, count }) => {
+    const letter = language === 'en' ? _id : initialOf(_id);
+    if (byLetter.has(letter)) byLetter.set(letter, byLetter.get(letter) + count);
+    else other += count;
+  });
+
+  return { letters: letters.map((letter) => ({ letter, count: byLetter.get(letter) })), other };
+};
+
+/**
+ * One page of the published headwords starting with a letter, in alphabetical order.
+ * Hungarian digraphs are letters of their own: "c" lists "cukor" but not "csak".
+ * @param {string} letter - Letter of browseLetters
+ * @param {object} options - { language: 'hu' or 'en', page, limit }
+ * @returns {Promise<object>} { data: entries with the browsed headword as term, total }
+ */
+EntrySchema.statics.browse = async function (
+  letter,
+  { language = 'hu', page = 1, limit = 50 } = {}
+) {
+  const skip = (page - 1) * limit;
+
+  if (language === 'en') {
+    // Index-friendly prefix patterns instead of a case-insensitive one
+    const initial = { $in: [new RegExp(`^${letter}`), new RegExp(`^${letter.toUpperCase()}`)] };
+    const [{ rows, total }] = await this.aggregate([
+      ...englishTermsOf({ 'senses.english': initial }),
+      { $match: { '_id.term': initial } },
+      { $addFields: { termKey: { $toLower: '$_id.term' } } },
+      {
+        $facet: {
+          rows: [
+            { $sort: { termKey: 1, '_id.entry': 1 } },
+            { $skip: skip },
+            { $limit: limit },
+            { $project: { termKey: 0 } },
+          ],
+          total: [{ $count: 'count' }],
+        },
+      },
+    ]);
+    return {
+      data: rows.map(({ _id, ...entry }) => ({
+        _id: _id.entry,
+        term: _id.term,
+        ...entry,
+      })),
+      total: total.length > 0 ? total[0].count : 0,
+    };
+  }
+
+  const { from, to } = initialRange(letter);
+  const filter = { isActive: true, status: 'published', sortKey: { $gte: from, $lt: to } };
+  const [entries, total] = await Promise.all([
+    this.find(filter)
+      .select(BROWSE_FIELDS)
+      .sort({ sortKey: 1, _id: 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    this.countDocuments(filter),
+  ]);
+  return { data: entries.map((entry) => ({ term: entry.hungarian, ...entry })), total };
+};
+
+/**
+ * A published entry picked at random
+ * @param {object} filters - { fieldOfExpertise, wordType } as in searchEntries
+ * @returns {Promise<object|null>} Entry, null when no entry matches the filters
+ */
+EntrySchema.statics.randomEntry = async function ({ fieldOfExpertise, wordType } = {}) {
+  const match = { isActive: true, status: 'published' };
+  if (fieldOfExpertise) {
+    const condition = fieldCondition(fieldOfExpertise);
+    if (condition) match['senses.fieldOfExpertise'] = condition;
+  }
+  if (wordType) match.wordType = { $in: WordType.matchCodes(wordType) };
+
+  const [entry] = await this.aggregate([
+    { $match: match },
+    { $sample: { size: 1 } },
+    { $project: { hungarian: 1, english: 1, fieldOfExpertise: 1, senses: 1, wordType: 1 } },
+  ]);
+  return entry || null;
 };
 
 EntrySchema.statics.getStatistics = function () {
+  const published = { isActive: true, status: 'published' };
+
   return Promise.all([
-    this.countDocuments({ isActive: true }),
-    this.distinct('fieldOfExpertise', { isActive: true }),
-    this.distinct('wordType', { isActive: true }),
+    this.countDocuments(published),
+    this.distinct('senses.fieldOfExpertise', published),
+    this.aggregate([
+      { $match: published },
+      { $unwind: '$wordType' },
+      { $group: { _id: '$wordType', count: { $sum: 1 } } },
+    ]),
     this.aggregate([
-      { $match: { isActive: true } },
+      { $match: published },
       { $group: { _id: null, totalViews: { $sum: '$views' } } },
     ]),
-  ]).then(([totalEntries, fields, wordTypes, viewsResult]) => ({
-    totalEntries,
-    totalFields: fields.length,
-    totalWordTypes: wordTypes.length,
-    totalViews: viewsResult[0]?.totalViews || 0,
-    fields: fields.sort(),
-    wordTypes: wordTypes.sort(),
-  }));
+  ]).then(([totalEntries, fields, wordTypeCounts, viewsResult]) => {
+    const counts = new Map(wordTypeCounts.map(({ _id, count }) => [_id, count]));
+
+    // Word types in vocabulary order with their labels, unused ones left out
+    const wordTypes = WordType.getVocabulary()
+      .filter((wordType) => counts.has(wordType.code))
+      .map(({ code, labelHu, labelEn, abbreviation }) => ({
+        code,
+        labelHu,
+        labelEn,
+        abbreviation,
+        count: counts.get(code),
+      }));
+
+    return {
+      totalEntries,
+      totalFields: fields.length,
+      totalWordTypes: wordTypes.length,
+      totalViews: viewsResult[0]?.totalViews || 0,
+      fields: fields.sort(compareHungarian),
+      wordTypes,
+    };
+  });
 };
 
 module.exports = mongoose.model('Entry', EntrySchema);
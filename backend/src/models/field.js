@@ -0,0 +1,268 @@
+const mongoose = require('mongoose');
+const { compareHungarian } = require('../search/collation');
+const { withTransaction } = require('./transaction');
+
+// A node of the subject field taxonomy. Entry senses refer to fields by their
+// Hungarian name, so renaming or merging a field rewrites the referencing entries.
+const FieldSchema = mongoose.Schema(
+  {
+    nameHu: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+      index: {
+        unique: true,
+      },
+    },
+    nameEn: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Field',
+      default: null,
+      index: true,
+    },
+    // Materialized path from the root down to the parent, for subtree queries
+    ancestors: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Field' }],
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// New fields inherit the path of their parent
+FieldSchema.pre('save', async function () {
+  if (this.isNew && this.parent) {
+    const parent = await this.constructor.findById(this.parent).session(this.$session());
+    this.ancestors = parent ? [...parent.ancestors, parent._id] : [];
+  }
+});
+
+// In-memory copy of the taxonomy so entry search can expand fields synchronously
+let taxonomy = [];
+
+const toKey = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : '');
+
+/**
+ * Replace every occurrence of a field name on entry senses and summaries
+ * @param {Model} Entry - Entry model
+ * @param {string} from - Old field name
+ * @param {string} to - New field name
+ * @param {ClientSession} session - Transaction session
+ * @returns {Promise<number>} Number of entries changed
+ */
+const replaceFieldName = async (Entry, from, to, session) => {
+  const result = await Entry.updateMany(
+    { 'senses.fieldOfExpertise': from },
+    { $set: { 'senses.$[sense].fieldOfExpertise': to } },
+    { arrayFilters: [{ 'sense.fieldOfExpertise': from }], session }
+  );
+  await Entry.updateMany(
+    { fieldOfExpertise: from },
+    { $set: { fieldOfExpertise: to } },
+    { session }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Reload the in-memory taxonomy from the database
+ * @returns {Promise<Array>} Flat list of fields
+ */
+FieldSchema.statics.refreshTaxonomy = async function () {
+  const fields = await this.find().lean();
+  taxonomy = fields.sort((a, b) => compareHungarian(a.nameHu, b.nameHu));
+  return taxonomy;
+};
+
+FieldSchema.statics.getTaxonomy = function () {
+  return taxonomy;
+};
+
+/**
+ * Find a field by ID or by its Hungarian or English name
+ * @param {string} term - Field ID or name
+ * @returns {object|undefined} Field
+ */
+FieldSchema.statics.findNode = function (term) {
+  const key = toKey(term);
+  if (!key) return undefined;
+
+  return taxonomy.find(
+    (field) =>
+      String(field._id) === key || toKey(field.nameHu) === key || toKey(field.nameEn) === key
+  );
+};
+
+/**
+ * Fields below the given field, at any depth
+ * @param {object} field - Field
+ * @returns {Array} Descendant fields
+ */
+FieldSchema.statics.descendantsOf = function (field) {
+  const id = String(field._id);
+  return taxonomy.filter((node) => (node.ancestors || []).some((a) => String(a) === id));
+};
+
+/**
+ * Names to match when filtering entries by a field, including its descendants
+ * @param {string} term - Field ID or name
+ * @returns {Array|null} Hungarian names, or null when the term is not a known field
+ */
+FieldSchema.statics.subtreeNames = function (term) {
+  const field = this.findNode(term);
+  if (!field) return null;
+
+  return [field, ...this.descendantsOf(field)].map((node) => node.nameHu);
+};
+
+/**
+ * Build the nested tree with the number of entries per node.
+ * `entryCount` counts entries with a sense in the field itself, `totalCount`
+ * counts entries with a sense anywhere in its subtree (each entry once).
+ * @param {object} options - { includeUnpublished: also count the active entries not published yet }
+ * @returns {Promise<Array>} Root fields with nested children
+ */
+FieldSchema.statics.getTree = async function ({ includeUnpublished = false } = {}) {
+  const Entry = mongoose.model('Entry');
+  const fields = await this.refreshTaxonomy();
+
+  // Entries grouped by the set of fields their senses use: few groups, exact counts
+  const fieldSets = await Entry.aggregate([
+    { $match: includeUnpublished ? { isActive: true } : { isActive: true, status: 'published' } },
+    { $group: { _id: { $setUnion: ['$senses.fieldOfExpertise', []] }, count: { $sum: 1 } } },
+  ]);
+
+  const nodes = new Map(
+    fields.map((field) => [
+      String(field._id),
+      { ...field, entryCount: 0, totalCount: 0, children: [] },
+    ])
+  );
+  const byName = new Map(fields.map((field) => [field.nameHu, nodes.get(String(field._id))]));
+
+  for (const { _id: names, count } of fieldSets) {
+    const covered = new Set();
+    for (const name of names || []) {
+      const node = byName.get(name);
+      if (!node) continue;
+
+      node.entryCount += count;
+      [node._id, ...(node.ancestors || [])].forEach((id) => covered.add(String(id)));
+    }
+    covered.forEach((id) => {
+      nodes.get(id).totalCount += count;
+    });
+  }
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(String(node.parent));
+    (parent ? parent.children : roots).push(node);
+  }
+  return roots;
+};
+
+/**
+ * Move a field under a new parent and update the path of its whole subtree
+ * @param {ObjectId} id - Field ID
+ * @param {ObjectId|null} parentId - New parent, null for a root field
+ * @param {ClientSession} session - Optional transaction session
+ */
+FieldSchema.statics.moveField = async function (id, parentId, session = null) {
+  const parent = parentId ? await this.findById(parentId).session(session) : null;
+  const ancestors = parent ? [...parent.ancestors, parent._id] : [];
+
+  const update = { $set: { parent: parent ? parent._id : null, ancestors } };
+  await this.updateOne({ _id: id }, update, { session });
+
+  const descendants = await this.find({ ancestors: id }).session(session);
+  for (const descendant of descendants) {
+    const index = descendant.ancestors.findIndex((a) => a.equals(id));
+    descendant.ancestors = [...ancestors, id, ...descendant.ancestors.slice(index + 1)];
+    await descendant.save({ session });
+  }
+};
+
+/**
+ * Rename a field and every entry sense referring to it, in one transaction where
+ * the server runs them
+ * @param {ObjectId} id - Field ID
+ * @param {object} changes - nameHu, nameEn, description, parent
+ * @returns {Promise<object>} { field, entriesUpdated }
+ */
+FieldSchema.statics.updateField = async function (id, changes) {
+  const Entry = mongoose.model('Entry');
+
+  const outcome = await withTransaction(async (session) => {
+    const field = await this.findById(id).session(session);
+    if (!field) {
+      return { field: null, entriesUpdated: 0 };
+    }
+
+    const { parent, ...attributes } = changes;
+    const previousName = field.nameHu;
+
+    field.set(attributes);
+    await field.save({ session });
+
+    if (parent !== undefined) {
+      await this.moveField(field._id, parent, session);
+    }
+
+    const entriesUpdated =
+      field.nameHu !== previousName
+        ? await replaceFieldName(Entry, previousName, field.nameHu, session)
+        : 0;
+
+    return { field: await this.findById(id).session(session), entriesUpdated };
+  });
+
+  await this.refreshTaxonomy();
+  return outcome;
+};
+
+/**
+ * Merge a field into another one, in one transaction where the server runs them:
+ * entries and child fields move to the target, then the merged field is removed
+ * @param {ObjectId} sourceId - Field to merge
+ * @param {ObjectId} targetId - Field that remains
+ * @returns {Promise<object>} { field, entriesUpdated, childrenMoved }
+ */
+FieldSchema.statics.mergeFields = async function (sourceId, targetId) {
+  const Entry = mongoose.model('Entry');
+
+  const outcome = await withTransaction(async (session) => {
+    const [source, target] = await Promise.all([
+      this.findById(sourceId).session(session),
+      this.findById(targetId).session(session),
+    ]);
+
+    const children = await this.find({ parent: source._id }).session(session);
+    for (const child of children) {
+      await this.moveField(child._id, target._id, session);
+    }
+
+    const entriesUpdated = await replaceFieldName(Entry, source.nameHu, target.nameHu, session);
+    await this.deleteOne({ _id: source._id }, { session });
+
+    return { field: target, entriesUpdated, childrenMoved: children.length };
+  });
+
+  await this.refreshTaxonomy();
+  return outcome;
+};
+
+module.exports = mongoose.model('Field', FieldSchema);
@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const {
+  RETENTION_DAYS,
+  INTERVALS,
+  normalizeQuery,
+  filtersKey,
+  hourOf,
+  timeline,
+} = require('../search/analytics');
+
+const SEARCH_COLUMNS = ['all', 'hungarian', 'english', 'syntax'];
+
+// Searches of one hour with the same normalized query, column, filters and language.
+// Only counts are kept: no IP addresses, users or exact times.
+const SearchStatSchema = mongoose.Schema({
+  hour: {
+    type: Date,
+    required: true,
+  },
+  query: {
+    type: String,
+    required: true,
+    maxlength: 100,
+  },
+  // Column the query was searched in, 'all' for any language, 'syntax' for the search syntax
+  column: {
+    type: String,
+    enum: SEARCH_COLUMNS,
+    default: 'all',
+  },
+  // Key of the field and word type filters of filtersKey, empty without filters
+  filters: {
+    type: String,
+    default: '',
+  },
+  // Language the query was searched in
+  language: {
+    type: String,
+    enum: ['hu', 'en', null],
+    default: null,
+  },
+  searches: {
+    type: Number,
+    default: 0,
+  },
+  // Searches that found nothing
+  zeroResults: {
+    type: Number,
+    default: 0,
+  },
+  // Sum of the result counts, for the average
+  results: {
+    type: Number,
+    default: 0,
+  },
+});
+
+SearchStatSchema.index({ hour: 1, query: 1, column: 1, filters: 1, language: 1 }, { unique: true });
+SearchStatSchema.index({ hour: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+/**
+ * Count a search. Queries that look like personal data are left out.
+ * @param {object} search - { query, column, filters: { name: values }, language, resultCount, at }
+ * @returns {Promise<boolean>} Whether the search was counted
+ */
+SearchStatSchema.statics.record = async function ({
+  query,
+  column = 'all',
+  filters = {},
+  language = null,
+  resultCount = 0,
+  at = new Date(),
+}) {
+  const normalized = normalizeQuery(query);
+  if (!normalized) return false;
+
+  await this.updateOne(
+    {
+      hour: hourOf(at),
+      query: normalized,
+      column,
+      filters: filtersKey(filters),
+      language: language || null,
+    },
+    { $inc: { searches: 1, zeroResults: resultCount === 0 ? 1 : 0, results: resultCount } },
+    { upsert: true }
+  );
+  return true;
+};
+
+/**
+ * Counts of each query since a moment
+ * @param {object} options - { since, language }
+ * @returns {Array} Aggregation stages up to grouping by query
+ */
+const byQuery = ({ since, language }) => [
+  { $match: { hour: { $gte: hourOf(since) }, ...(language && { language }) } },
+  {
+    $group: {
+      _id: '$query',
+      searches: { $sum: '$searches' },
+      zeroResults: { $sum: '$zeroResults' },
+      results: { $sum: '$results' },
+      lastSearched: { $max: '$hour' },
+    },
+  },
+];
+
+// Report row of a query
+const toQueryReport = ({ _id, searches, zeroResults, results, lastSearched }) => ({
+  query: _id,
+  searches,
+  zeroResults,
+  averageResults: searches > 0 ? Math.round((results / searches) * 10) / 10 : 0,
+  lastSearched,
+});
+
+/**
+ * Most searched queries
+ * @param {object} options - { since, limit, language }
+ * @returns {Promise<Array>} Queries as { query, searches, zeroResults, averageResults, lastSearched }
+ */
+SearchStatSchema.statics.topQueries = async function ({ since, limit = 20, language }) {
+  const rows = await this.aggregate([
+    ...byQuery({ since, language }),
+    { $sort: { searches: -1, _id: 1 } },
+    { $limit: limit },
+  ]);
+  return rows.map(toQueryReport);
+};
+
+/**
+ * Queries that found nothing, the most often failing first
+ * @param {object} options - { since, limit, language }
+ * @returns {Promise<Array>} Queries as topQueries
+ */
+SearchStatSchema.statics.zeroResultQueries = async function ({ since, limit = 20, language }) {
+  const rows = await this.aggregate([
+    ...byQuery({ since, language }),
+    { $match: { zeroResults: { $gt: 0 } } },
+    { $sort: { zeroResults: -1, lastSearched: -1, _id: 1 } },
+    { $limit: limit },
+  ]);
+  return rows.map(toQueryReport);
+};
+
+/**
+ * Number of searches per day or hour
+ * @param {object} options - { since, until, interval: 'day' or 'hour' }
+ * @returns {Promise<Array>} Periods as { period, searches, zeroResults }, oldest first
+ */
+SearchStatSchema.statics.volume = async function ({ since, until = new Date(), interval = 'day' }) {
+  const counts = await this.aggregate([
+    { $match: { hour: { $gte: hourOf(since), $lte: until } } },
+    {
+      $group: {
+        _id: { $dateToString: { date: '$hour', format: INTERVALS[interval].format } },
+        searches: { $sum: '$searches' },
+        zeroResults: { $sum: '$zeroResults' },
+      },
+    },
+  ]);
+  return timeline(since, until, interval, counts);
+};
+
+module.exports = mongoose.model('SearchStat', SearchStatSchema);
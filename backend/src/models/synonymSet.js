@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const { SynonymIndex, phraseKey } = require('../search/synonyms');
+
+// The index is reloaded when older than this, so changes made through another
+// server instance or the search service reach every search
+const INDEX_TTL_MS = 60 * 1000;
+
+const termList = {
+  type: [
+    {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+  ],
+  default: [],
+};
+
+// Terms used to expand searches. The terms of an equivalent set expand to each
+// other, the source terms of a one-way set expand to its terms only.
+const SynonymSetSchema = mongoose.Schema(
+  {
+    language: {
+      type: String,
+      required: true,
+      enum: ['hu', 'en'],
+    },
+    type: {
+      type: String,
+      enum: ['equivalent', 'oneWay'],
+      default: 'equivalent',
+    },
+    terms: termList,
+    // Source terms of a one-way set
+    from: termList,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+SynonymSetSchema.index({ language: 1, terms: 1 });
+
+// Terms differing only in case, accents or punctuation count once
+const distinctTerms = (terms) => {
+  const keys = new Set();
+  return terms.filter((term) => {
+    const key = phraseKey(term);
+    if (!key || keys.has(key)) return false;
+    keys.add(key);
+    return true;
+  });
+};
+
+SynonymSetSchema.pre('validate', function (next) {
+  this.terms = distinctTerms(this.terms);
+  this.from = this.type === 'oneWay' ? distinctTerms(this.from) : [];
+
+  if (this.type === 'equivalent' && this.terms.length < 2) {
+    this.invalidate('terms', 'An equivalent set needs at least two different terms');
+  }
+  if (this.type === 'oneWay') {
+    if (this.from.length === 0) {
+      this.invalidate('from', 'A one-way set needs at least one source term');
+    }
+    if (this.terms.length === 0) {
+      this.invalidate('terms', 'A one-way set needs at least one term to expand to');
+    }
+  }
+  next();
+});
+
+// In-memory index so searches expand without a database round trip
+let index = new SynonymIndex();
+let loadedAt = 0;
+
+/**
+ * Reload the in-memory index from the database
+ * @returns {Promise<number>} Number of indexed terms
+ */
+SynonymSetSchema.statics.refreshIndex = async function () {
+  const sets = await this.find().select('language type terms from').lean();
+  index = new SynonymIndex(sets);
+  loadedAt = Date.now();
+  return index.size;
+};
+
+/**
+ * Expand the words and phrases of a search that have synonyms
+ * @param {string} text - Searched text
+ * @param {Array} languages - Languages of the sets to use
+ * @returns {Promise<object>} { applied, queries } of SynonymIndex.expand
+ */
+SynonymSetSchema.statics.expand = async function (text, languages = ['hu', 'en']) {
+  if (Date.now() - loadedAt > INDEX_TTL_MS) {
+    await this.refreshIndex();
+  }
+  return index.expand(text, languages);
+};
+
+module.exports = mongoose.model('SynonymSet', SynonymSetSchema);
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Entry = require('./entry');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days before and after a term of the day in which it is not chosen again, 0 allows repeats
+const windowSetting = parseInt(process.env.TERM_OF_THE_DAY_WINDOW_DAYS, 10);
+const WINDOW_DAYS = Number.isNaN(windowSetting) || windowSetting < 0 ? 365 : windowSetting;
+
+// Time zone of the calendar days
+const TIME_ZONE = process.env.TERM_OF_THE_DAY_TIMEZONE || 'Europe/Budapest';
+
+const ENTRY_FIELDS = 'hungarian english fieldOfExpertise senses wordType';
+
+// The entry of a calendar day. Today's chosen entry is kept, so the day keeps its
+// term and later days can skip the recent ones; pinned entries were set by an editor.
+const TermOfTheDaySchema = mongoose.Schema(
+  {
+    // Calendar day as YYYY-MM-DD
+    date: {
+      type: String,
+      required: true,
+      unique: true,
+      match: /^\d{4}-\d{2}-\d{2}$/,
+    },
+    entry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Entry',
+      required: true,
+    },
+    pinned: {
+      type: Boolean,
+      default: false,
+    },
+    pinnedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// The day some days before or after another
+const shiftDay = (day, days) =>
+  new Date(new Date(`${day}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+
+// Position of the entry of a day among the candidates, the same for the same day
+const positionOf = (day, count) =>
+  crypto.createHash('sha256').update(day).digest().readUIntBE(0, 6) % count;
+
+/**
+ * Choose the entry of a day: the candidate at a position derived from the day, among
+ * the published entries that were not the term of an earlier day within the window
+ * and are not pinned for a later one. Later days that were only requested do not count,
+ * so the choice does not depend on the order of requests.
+ * @param {string} day - Day as YYYY-MM-DD
+ * @returns {Promise<ObjectId|null>} Entry ID, null without published entries
+ */
+TermOfTheDaySchema.statics.choose = async function (day) {
+  const recent = await this.distinct('entry', {
+    $or: [
+      { date: { $gte: shiftDay(day, -WINDOW_DAYS), $lt: day } },
+      { date: { $gt: day, $lte: shiftDay(day, WINDOW_DAYS) }, pinned: true },
+    ],
+  });
+  const published = { isActive: true, status: 'published' };
+
+  // Every entry was a recent term: the window is longer than the dictionary
+  let candidates = { ...published, _id: { $nin: recent } };
+  let count = await Entry.countDocuments(candidates);
+  if (count === 0) {
+    candidates = published;
+    count = await Entry.countDocuments(candidates);
+  }
+  if (count === 0) return null;
+
+  const [entry] = await Entry.find(candidates)
+    .select('_id')
+    .sort({ _id: 1 })
+    .skip(positionOf(day, count))
+    .limit(1)
+    .lean();
+  return entry ? entry._id : null;
+};
+
+/**
+ * The term of a day. Today's term is stored on its first request, other days are
+ * chosen on each request, so anyone may ask for any day without adding to the
+ * stored days. A pinned term that is no longer published is replaced by a chosen
+ * one while it is not, the pin is kept.
+ * @param {string} day - Day as YYYY-MM-DD
+ * @returns {Promise<object|null>} { date, entry, pinned }, null without published entries
+ */
+TermOfTheDaySchema.statics.forDay = async function (day) {
+  const stored = await this.findOne({ date: day }).populate({
+    path: 'entry',
+    select: ENTRY_FIELDS,
+    match: { isActive: true, status: 'published' },
+  });
+  if (stored && stored.entry) {
+    return { date: day, entry: stored.entry.toObject(), pinned: stored.pinned };
+  }
+
+  const chosen = await this.choose(day);
+  if (!chosen) return null;
+
+  if (day === this.today() && !(stored && stored.pinned)) {
+    // The first of concurrent requests stores the day, the others read it
+    const update = stored ? { $set: { entry: chosen } } : { $setOnInsert: { entry: chosen } };
+    await this.updateOne({ date: day, pinned: false }, update, { upsert: !stored });
+    return this.forDay(day);
+  }
+
+  const entry = await Entry.findById(chosen).select(ENTRY_FIELDS).lean();
+  return entry && { date: day, entry, pinned: false };
+};
+
+/**
+ * Pin an entry as the term of a day, replacing the chosen one
+ * @param {string} day - Day as YYYY-MM-DD
+ * @param {string} entryId - Published entry
+ * @param {string} userId - Editor pinning it
+ * @returns {Promise<object>} Stored term of the day
+ */
+TermOfTheDaySchema.statics.pin = function (day, entryId, userId) {
+  return this.findOneAndUpdate(
+    { date: day },
+    { entry: entryId, pinned: true, pinnedBy: userId },
+    { upsert: true, new: true, runValidators: true }
+  );
+};
+
+/**
+ * The current calendar day in the dictionary's time zone
+ * @returns {string} Day as YYYY-MM-DD
+ */
+TermOfTheDaySchema.statics.today = function () {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(new Date());
+};
+
+module.exports = mongoose.model('TermOfTheDay', TermOfTheDaySchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Whether the connected server runs transactions, asked once per connection
+let supported = null;
+mongoose.connection.on('connected', () => {
+  supported = null;
+});
+
+/**
+ * Whether the connected server is a replica set member or a sharded cluster,
+ * the deployments that run transactions
+ * @returns {Promise<boolean>} Transactions supported
+ */
+const supportsTransactions = async () => {
+  if (supported === null) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    supported = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+  }
+  return supported;
+};
+
+/**
+ * Run writes in a transaction where the server supports one. A standalone server,
+ * like the one of docker-compose and the tests, runs them one by one with a null
+ * session; the work should then be ordered so an interruption leaves consistent data.
+ * @param {Function} work - Async function of the session, null without a transaction
+ * @returns {Promise<*>} Result of the work
+ */
+const withTransaction = async (work) => {
+  if (!(await supportsTransactions())) {
+    return work(null);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  supportsTransactions,
+  withTransaction,
+};
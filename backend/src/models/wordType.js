@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const defaultWordTypes = require('../seed/wordTypes.json');
+
+const WordTypeSchema = mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      maxlength: 50,
+      match: [/^[a-z][a-z0-9-]*$/, 'Word type code can only contain letters, digits and hyphens'],
+      index: {
+        unique: true,
+      },
+    },
+    labelHu: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    labelEn: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    abbreviation: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 20,
+    },
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// In-memory copy of the vocabulary so validation and search stay synchronous.
+// Holds the built-in defaults until the stored vocabulary has been loaded.
+let vocabulary = defaultWordTypes;
+
+const toKey = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : '');
+
+const labelsOf = (wordType) => [
+  wordType.code,
+  wordType.abbreviation,
+  wordType.labelHu,
+  wordType.labelEn,
+];
+
+/**
+ * Reload the in-memory vocabulary from the database
+ * @returns {Promise<Array>} Current vocabulary
+ */
+WordTypeSchema.statics.refreshVocabulary = async function () {
+  const stored = await this.find().sort({ sortOrder: 1, code: 1 }).lean();
+  vocabulary = stored.length > 0 ? stored : defaultWordTypes;
+  return vocabulary;
+};
+
+WordTypeSchema.statics.getVocabulary = function () {
+  return vocabulary;
+};
+
+WordTypeSchema.statics.isKnownCode = function (code) {
+  return vocabulary.some((wordType) => wordType.code === code);
+};
+
+/**
+ * Resolve a code, abbreviation or label (either language) to a word type code
+ * @param {string} value - Raw word type
+ * @returns {string|null} Code, or null when the value is not in the vocabulary
+ */
+WordTypeSchema.statics.resolveCode = function (value) {
+  const key = toKey(value);
+  const match = vocabulary.find((wordType) =>
+    labelsOf(wordType).some((label) => toKey(label) === key)
+  );
+  return match ? match.code : null;
+};
+
+/**
+ * Normalize free-form word types ("fn, mn", ["főnév"], ...) to a list of codes.
+ * Unknown values are kept so that validation can report them.
+ * @param {string|Array} values - Raw word types
+ * @returns {Array} Unique codes in input order
+ */
+WordTypeSchema.statics.normalizeCodes = function (values) {
+  const raw = (Array.isArray(values) ? values : [values])
+    .flatMap((value) => (typeof value === 'string' ? value.split(',') : []))
+    .map((value) => value.trim())
+    .filter(Boolean);
+
+  return [...new Set(raw.map((value) => this.resolveCode(value) || value.toLowerCase()))];
+};
+
+/**
+ * Codes whose code, abbreviation or labels contain the search term
+ * @param {string} term - Search term
+ * @returns {Array} Matching codes (an exact match wins over partial ones)
+ */
+WordTypeSchema.statics.matchCodes = function (term) {
+  const exact = this.resolveCode(term);
+  if (exact) return [exact];
+
+  const key = toKey(term);
+  if (!key) return [];
+
+  return vocabulary
+    .filter((wordType) => labelsOf(wordType).some((label) => toKey(label).includes(key)))
+    .map((wordType) => wordType.code);
+};
+
+module.exports = mongoose.model('WordType', WordTypeSchema);
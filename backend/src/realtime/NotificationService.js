@@ -1,6 +1,6 @@
 const EventEmitter = require('events');
 const logger = require('../logger/logger');
-const { EventStore } = require('../cqrs/events/EventStore');
+const { eventStore } = require('../cqrs/events/EventStore');
 
 /**
  * STATE-OF-THE-ART PUSH NOTIFICATION SERVICE
@@ -19,14 +19,14 @@ class NotificationService extends EventEmitter {
     super();
 
     this.webSocketManager = webSocketManager;
-    this.eventStore = new EventStore();
+    this.eventStore = eventStore;
     this.deliveryQueue = new Map();
     this.deliveryHistory = new Map();
     this.userPreferences = new Map();
     this.rateLimiter = new Map();
     this.templates = new Map();
     this.channels = {
-      websocket: new WebSocketChannel(webSocketManager),
+      websocket: new WebSocketChannel(this),
       email: new EmailChannel(),
       sms: new SMSChannel(),
     };
@@ -433,6 +433,17 @@ class NotificationService extends EventEmitter {
     });
 
     // Collaboration notifications
+    this.templates.set('comment_mention', {
+      websocket: {
+        type: 'comment_mention',
+        title: 'You Were Mentioned',
+        message: '{{user.name}} mentioned you on "{{entry.title}}": {{comment.excerpt}}',
+        icon: 'message-circle',
+        category: 'collaboration',
+        entryId: '{{entry._id}}',
+      },
+    });
+
     this.templates.set('collaborative_edit', {
       websocket: {
         type: 'collaborative_edit',
@@ -520,6 +531,12 @@ class NotificationService extends EventEmitter {
         }
         break;
 
+      case 'EntryRejected':
+        if (aggregateType === 'Entry') {
+          await this.notifyEntryRejected(eventData);
+        }
+        break;
+
       case 'UserRegistered':
         if (aggregateType === 'User') {
           await this.notifyUserWelcome(eventData);
@@ -554,9 +571,29 @@ class NotificationService extends EventEmitter {
     }
   }
 
+  async notifyEntryUpdated(eventData) {
+    const { entry, user } = eventData;
+
+    // Notify subscribers/followers
+    const subscribers = await this.getEntrySubscribers(entry._id);
+
+    if (subscribers.length > 0) {
+      await this.sendNotification({
+        recipients: subscribers,
+        template: 'entry_updated',
+        data: { entry, user },
+        channels: ['websocket'],
+        context: { event: 'entry_updated' },
+      });
+    }
+  }
+
   async notifyEntryApproved(eventData) {
     const { entry, approver } = eventData;
 
+    // Imported entries have no author to notify
+    if (!entry.authorId) return;
+
     // Notify entry author
     await this.sendNotification({
       recipients: [{ userId: entry.authorId }],
@@ -568,6 +605,23 @@ class NotificationService extends EventEmitter {
     });
   }
 
+  async notifyEntryRejected(eventData) {
+    const { entry, reviewer, reason } = eventData;
+
+    // Imported entries have no author to notify
+    if (!entry.authorId) return;
+
+    // Notify entry author
+    await this.sendNotification({
+      recipients: [{ userId: entry.authorId }],
+      template: 'entry_rejected',
+      data: { entry, reviewer, reason },
+      channels: ['websocket'],
+      priority: 'high',
+      context: { event: 'entry_rejected' },
+    });
+  }
+
   async notifyUserWelcome(eventData) {
     const { user } = eventData;
 
@@ -744,8 +798,9 @@ class NotificationService extends EventEmitter {
  * WebSocket notification channel
  */
 class WebSocketChannel {
-  constructor(webSocketManager) {
-    this.webSocketManager = webSocketManager;
+  // Delivers through the service, which knows the sessions of each user
+  constructor(notificationService) {
+    this.notificationService = notificationService;
   }
 
   // eslint-disable-next-line no-unused-vars
@@ -756,7 +811,7 @@ class WebSocketChannel {
         return { success: false, error: 'No WebSocket template' };
       }
 
-      const success = await this.webSocketManager.sendRealTimeNotification(
+      const success = await this.notificationService.sendRealTimeNotification(
         recipient.userId,
         notification
       );
@@ -2,7 +2,8 @@ const WebSocket = require('ws');
 const jwt = require('jsonwebtoken');
 const { EventEmitter } = require('events');
 const logger = require('../logger/logger');
-const { EventStore } = require('../cqrs/events/EventStore');
+const { eventStore } = require('../cqrs/events/EventStore');
+const { FEW_RESULTS } = require('../search/spelling');
 
 /**
  * STATE-OF-THE-ART REAL-TIME WEBSOCKET MANAGER
@@ -27,7 +28,7 @@ class WebSocketManager extends EventEmitter {
     this.userSessions = new Map(); // userId -> Set of clientIds
     this.messageQueue = new Map(); // clientId -> Array of messages
     this.heartbeatInterval = null;
-    this.eventStore = new EventStore();
+    this.eventStore = eventStore;
 
     this.initialize();
   }
@@ -295,12 +296,15 @@ class WebSocketManager extends EventEmitter {
     const subscriptions = [];
 
     for (const channel of channels) {
-      if (allowedChannels.includes(channel)) {
+      if (this.isChannelAllowed(channel, allowedChannels)) {
         client.subscriptions.add(channel);
         subscriptions.push(channel);
 
-        // Subscribe to Event Store events for this channel
-        if (channel.startsWith('entries:')) {
+        // Subscribe to Event Store events for this channel, once for all clients
+        if (
+          channel.startsWith('entries:') &&
+          this.eventStore.listenerCount(`stream:${channel}`) === 0
+        ) {
           this.eventStore.subscribeToStream(channel, (event) => {
             this.broadcastToSubscribers(channel, {
               type: 'event',
@@ -340,6 +344,7 @@ class WebSocketManager extends EventEmitter {
             query,
             results: [],
             suggestions: [],
+            didYouMean: [],
           },
         });
         return;
@@ -359,12 +364,17 @@ class WebSocketManager extends EventEmitter {
       // Get search suggestions
       const suggestions = await this.getSearchSuggestions(query, context);
 
+      // Spelling suggestions when the query finds little
+      const didYouMean =
+        searchResults.length < FEW_RESULTS ? await this.getSpellingSuggestions(query) : [];
+
       this.sendToClient(clientId, {
         type: 'search_results',
         payload: {
           query,
           results: searchResults.slice(0, 10), // Limit real-time results
           suggestions: suggestions.slice(0, 5),
+          didYouMean,
           metadata: {
             totalResults: searchResults.length,
             processingTime: new Date().toISOString(),
@@ -873,8 +883,8 @@ class WebSocketManager extends EventEmitter {
     const baseChannels = ['entries:public', 'search:suggestions'];
 
     if (role >= 2) {
-      // Editor+
-      baseChannels.push('entries:editing', 'collaboration:*');
+      // Editor+, entries:<id> carries the comments of an entry
+      baseChannels.push('entries:*', 'collaboration:*');
     }
 
     if (role >= 3) {
@@ -885,6 +895,15 @@ class WebSocketManager extends EventEmitter {
     return baseChannels;
   }
 
+  /**
+   * Whether a channel matches one of the allowed channels, "name:*" allows every "name:..." channel
+   */
+  isChannelAllowed(channel, allowedChannels) {
+    return allowedChannels.some((allowed) =>
+      allowed.endsWith('*') ? channel.startsWith(allowed.slice(0, -1)) : allowed === channel
+    );
+  }
+
   getFeaturesForRole(role) {
     return {
       realTimeSearch: true,
@@ -898,14 +917,25 @@ class WebSocketManager extends EventEmitter {
     // This would integrate with the AI Search Service
     // For now, return mock results
     const Entry = require('../models/entry');
-    const { query: searchQuery } = Entry.searchEntries(query, { ...options, limit: 10 });
+    // Real-time search is public, only published entries are returned
+    const { query: searchQuery } = Entry.searchEntries(query, {
+      ...options,
+      limit: 10,
+      status: 'published',
+    });
     return await searchQuery;
   }
 
+  async getSpellingSuggestions(query) {
+    const Entry = require('../models/entry');
+    return Entry.didYouMean(query);
+  }
+
   // eslint-disable-next-line no-unused-vars
-  async getSearchSuggestions(_query, _context) {
-    // Implementation for real-time search suggestions
-    return [];
+  async getSearchSuggestions(query, _context) {
+    // Headwords and English equivalents starting with the query, as GET /entries/suggest
+    const Entry = require('../models/entry');
+    return Entry.suggest(query, { limit: 5 });
   }
 
   handleServerError(error) {
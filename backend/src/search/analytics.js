@@ -0,0 +1,108 @@
+/**
+ * Search analytics without personal data.
+ *
+ * Searches are not stored one by one: they are counted per hour, normalized
+ * query, searched column, filters and language, so nothing tells who searched
+ * or when exactly. Queries that look like personal data, such as e-mail
+ * addresses or phone and ID numbers, are not kept at all.
+ */
+
+const MAX_QUERY_LENGTH = 100;
+
+// How long the hourly counts are kept
+const RETENTION_DAYS = 365;
+
+const PERSONAL_DATA = [
+  // E-mail addresses
+  /[^\s@]+@[^\s@]+\.[^\s@]+/,
+  // Phone, ID and card numbers: seven digits or more, maybe grouped
+  /\d(?:[\s./-]?\d){6,}/,
+];
+
+// Periods of the search volume: their key as $dateToString format, which is the
+// start of the ISO date string of that length, and their duration
+const INTERVALS = {
+  day: { format: '%Y-%m-%d', length: 10, step: 24 * 60 * 60 * 1000 },
+  hour: { format: '%Y-%m-%dT%H', length: 13, step: 60 * 60 * 1000 },
+};
+
+/**
+ * Query as counted: lowercase, single spaces, at most 100 characters
+ * @param {string} text - Query as searched
+ * @returns {string|null} Normalized query, null when empty or personal-looking
+ */
+const normalizeQuery = (text) => {
+  const query = String(text ?? '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!query || PERSONAL_DATA.some((pattern) => pattern.test(query))) return null;
+  return query.slice(0, MAX_QUERY_LENGTH);
+};
+
+/**
+ * Filters of a search as one key, the same for the same filters in any order
+ * @param {object} filters - Filter names and their value or values
+ * @returns {string} Key like "fieldOfExpertise=hangtan;wordType=adjective,noun", empty without filters
+ */
+const filtersKey = (filters = {}) =>
+  Object.keys(filters)
+    .sort()
+    .map((name) => {
+      const values = []
+        .concat(filters[name] ?? [])
+        .map((value) => String(value).trim().toLowerCase())
+        .filter(Boolean)
+        .sort();
+      return values.length > 0 ? `${name}=${values.join(',')}` : null;
+    })
+    .filter(Boolean)
+    .join(';');
+
+/**
+ * Start of the hour of a moment, the time resolution of the counts
+ * @param {Date} date - Moment of a search
+ * @returns {Date} Start of its UTC hour
+ */
+const hourOf = (date) => {
+  const hour = new Date(date);
+  hour.setUTCMinutes(0, 0, 0);
+  return hour;
+};
+
+/**
+ * Periods of a time range with their counts, periods without searches included
+ * @param {Date} since - Start of the range
+ * @param {Date} until - End of the range
+ * @param {string} interval - 'day' or 'hour'
+ * @param {Array} counts - Counted periods as { _id: period key, searches, zeroResults }
+ * @returns {Array} Periods as { period: start as ISO string, searches, zeroResults }, oldest first
+ */
+const timeline = (since, until, interval, counts) => {
+  const { length, step } = INTERVALS[interval];
+  const byPeriod = new Map(counts.map((count) => [count._id, count]));
+  const start = hourOf(since);
+  if (interval === 'day') start.setUTCHours(0);
+
+  const periods = [];
+  for (let time = start.getTime(); time <= until.getTime(); time += step) {
+    const period = new Date(time).toISOString();
+    const count = byPeriod.get(period.slice(0, length));
+    periods.push({
+      period,
+      searches: count?.searches || 0,
+      zeroResults: count?.zeroResults || 0,
+    });
+  }
+  return periods;
+};
+
+module.exports = {
+  RETENTION_DAYS,
+  INTERVALS,
+  normalizeQuery,
+  filtersKey,
+  hourOf,
+  timeline,
+};
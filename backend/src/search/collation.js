@@ -0,0 +1,148 @@
+/**
+ * Hungarian alphabetical order
+ *
+ * The digraphs cs, dz, gy, ly, ny, sz, ty, zs and the trigraph dzs are single
+ * letters with their own place in the alphabet, and a doubled one is written
+ * shortened ("ssz" is sz + sz). Long vowels sort with their short pair and only
+ * break ties: kor < kór < korom. Letters of other languages sort with their
+ * unaccented form, and a run of spaces or punctuation sorts before any letter.
+ */
+
+const { foldText } = require('./text');
+
+// prettier-ignore
+const ALPHABET = [
+  'a', 'b', 'c', 'cs', 'd', 'dz', 'dzs', 'e', 'f', 'g', 'gy', 'h', 'i', 'j', 'k', 'l', 'ly',
+  'm', 'n', 'ny', 'o', 'ö', 'p', 'q', 'r', 's', 'sz', 't', 'ty', 'u', 'ü', 'v', 'w', 'x',
+  'y', 'z', 'zs',
+];
+
+const LONG_VOWELS = { á: 'a', é: 'e', í: 'i', ó: 'o', ő: 'ö', ú: 'u', ű: 'ü' };
+
+// Multi-letter letters, longest first so "dzs" wins over "dz"
+const MULTIGRAPHS = ALPHABET.filter((letter) => letter.length > 1).sort(
+  (a, b) => b.length - a.length
+);
+
+// One character per letter: digits keep their own code and the alphabet follows
+// them, so plain code point order of the keys is the alphabetical order
+const CODES = new Map(ALPHABET.map((letter, index) => [letter, String.fromCharCode(0x3a + index)]));
+const SEPARATOR = ' ';
+CODES.set(SEPARATOR, '!');
+const isLetter = (char) => char !== SEPARATOR && CODES.has(char);
+
+/**
+ * Split a text into Hungarian letters
+ * @param {string} value - Text
+ * @returns {Array} Letters as { letter, long, upper }, letter being the
+ *   lowercase alphabet letter or digit the character sorts as, or a space
+ *   standing for a run of other characters
+ */
+const lettersOf = (value) => {
+  const text = String(value ?? '').normalize('NFC');
+  const lower = text.toLowerCase();
+  const letters = [];
+
+  let index = 0;
+  while (index < lower.length) {
+    const upper = text[index] !== lower[index];
+    const char = lower[index];
+
+    // Doubled multigraph written shortened: ccs, ddzs, ggy, lly, nny, ssz, tty, zzs
+    const doubled = MULTIGRAPHS.find(
+      (letter) => letter[0] === char && lower.startsWith(letter, index + 1)
+    );
+    if (doubled) {
+      letters.push(
+        { letter: doubled, long: false, upper },
+        { letter: doubled, long: false, upper: false }
+      );
+      index += doubled.length + 1;
+      continue;
+    }
+
+    const multigraph = MULTIGRAPHS.find((letter) => lower.startsWith(letter, index));
+    if (multigraph) {
+      letters.push({ letter: multigraph, long: false, upper });
+      index += multigraph.length;
+      continue;
+    }
+
+    index += 1;
+    if (LONG_VOWELS[char]) {
+      letters.push({ letter: LONG_VOWELS[char], long: true, upper });
+    } else if (isLetter(char)) {
+      letters.push({ letter: char, long: false, upper });
+    } else if (/[\p{L}\p{N}]/u.test(char)) {
+      // Foreign letters sort as their base letter
+      const base = foldText(char);
+      letters.push({ letter: isLetter(base) ? base : char, long: false, upper });
+    } else if (letters.length && letters[letters.length - 1].letter !== SEPARATOR) {
+      letters.push({ letter: SEPARATOR, long: false, upper: false });
+    }
+  }
+
+  if (letters.length && letters[letters.length - 1].letter === SEPARATOR) letters.pop();
+  return letters;
+};
+
+/**
+ * Sort key of a text: comparing keys as plain strings (as MongoDB does) gives
+ * the Hungarian alphabetical order of the texts
+ * @param {string} value - Text
+ * @returns {string} Letters, then the long vowel marks, then the capitals
+ */
+const sortKey = (value) => {
+  const letters = lettersOf(value);
+  const primary = letters.map(({ letter }) => CODES.get(letter) || letter).join('');
+  const vowels = letters.map(({ long }) => (long ? '1' : '0')).join('');
+  const capitals = letters.map(({ upper }) => (upper ? '1' : '0')).join('');
+  return `${primary} ${vowels} ${capitals}`;
+};
+
+/**
+ * Compare two texts in Hungarian alphabetical order
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} Negative, zero or positive like Array.prototype.sort expects
+ */
+const compareHungarian = (a, b) => {
+  const first = sortKey(a);
+  const second = sortKey(b);
+  if (first === second) return 0;
+  return first < second ? -1 : 1;
+};
+
+// Letter of each first character of a sort key
+const LETTERS = new Map([...CODES].map(([letter, code]) => [code, letter]));
+
+/**
+ * Range of the sort keys of the texts starting with a letter, e.g. "c" covers
+ * "cukor" but not "csak", which starts with "cs"
+ * @param {string} letter - Letter of the alphabet
+ * @returns {object|null} { from, to }: keys from inclusive to exclusive, null for other letters
+ */
+const initialRange = (letter) => {
+  const code = isLetter(letter) && CODES.get(letter);
+  if (!code) return null;
+  return { from: code, to: String.fromCharCode(code.charCodeAt(0) + 1) };
+};
+
+/**
+ * First letter of the text of a sort key
+ * @param {string} key - Sort key of sortKey
+ * @returns {string|null} Letter of the alphabet, null for digits and other characters
+ */
+const initialOf = (key) => {
+  const letter = LETTERS.get(String(key ?? '').charAt(0));
+  return letter && isLetter(letter) ? letter : null;
+};
+
+module.exports = {
+  ALPHABET,
+  lettersOf,
+  sortKey,
+  compareHungarian,
+  initialRange,
+  initialOf,
+};
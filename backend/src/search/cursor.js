@@ -0,0 +1,96 @@
+/**
+ * Opaque cursors of keyset pagination.
+ *
+ * A cursor holds the sort values of the entry a page starts after or ends
+ * before, `_id` last to break ties. The page is then read with a condition on
+ * those values instead of skipping the entries before it, which stays fast on
+ * deep pages and does not shift when entries are added meanwhile.
+ */
+
+/**
+ * A cursor that is malformed or belongs to another sort order
+ */
+class CursorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+// Identity of a sort order, so cursors are only used with the order they come from
+const signatureOf = (sort) =>
+  Object.entries(sort)
+    .map(([field, direction]) => `${field}:${direction}`)
+    .join(',');
+
+/**
+ * Encode the sort values of an entry
+ * @param {object} sort - Sort order, e.g. { sortKey: 1, _id: 1 }
+ * @param {Array} values - Values of the sort fields in order
+ * @returns {string} Cursor
+ */
+const encodeCursor = (sort, values) => {
+  const encoded = values.map((value) => (value instanceof Date ? { $date: value } : value));
+  return Buffer.from(JSON.stringify({ s: signatureOf(sort), v: encoded })).toString('base64url');
+};
+
+/**
+ * Decode the sort values of a cursor
+ * @param {string} cursor - Cursor of encodeCursor
+ * @param {object} sort - Sort order the cursor is used with
+ * @returns {Array} Values of the sort fields in order
+ * @throws {CursorError} When the cursor is malformed or of another sort order
+ */
+const decodeCursor = (cursor, sort) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'), (key, value) =>
+      value && typeof value === 'object' && typeof value.$date === 'string'
+        ? new Date(value.$date)
+        : value
+    );
+  } catch (error) {
+    throw new CursorError('Malformed cursor');
+  }
+
+  if (!decoded || !Array.isArray(decoded.v) || decoded.v.length !== Object.keys(sort).length) {
+    throw new CursorError('Malformed cursor');
+  }
+  if (decoded.s !== signatureOf(sort)) {
+    throw new CursorError('Cursor of another sort order');
+  }
+  return decoded.v;
+};
+
+/**
+ * Condition of the entries after a position in a sort order, or before it
+ * @param {object} sort - Sort order
+ * @param {Array} values - Sort values of the position
+ * @param {boolean} before - Entries before the position instead
+ * @returns {object} MongoDB condition
+ */
+const keysetCondition = (sort, values, before = false) => {
+  const fields = Object.keys(sort);
+  return {
+    $or: fields.map((field, index) => ({
+      ...Object.fromEntries(fields.slice(0, index).map((equal, at) => [equal, values[at]])),
+      [field]: { [(sort[field] === 1) !== before ? '$gt' : '$lt']: values[index] },
+    })),
+  };
+};
+
+/**
+ * The opposite of a sort order, for reading the entries before a position
+ * @param {object} sort - Sort order
+ * @returns {object} Reversed order
+ */
+const reversed = (sort) =>
+  Object.fromEntries(Object.entries(sort).map(([field, direction]) => [field, -direction]));
+
+module.exports = {
+  CursorError,
+  encodeCursor,
+  decodeCursor,
+  keysetCondition,
+  reversed,
+};
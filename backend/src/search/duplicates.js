@@ -0,0 +1,220 @@
+const { termKey, editDistance } = require('./text');
+
+/**
+ * Duplicate detection for entries. A pair of entries is scored by how close
+ * their headwords are (normalized exact match, accent and case insensitive
+ * match, small edit distance) and by the English equivalents they share.
+ */
+
+// Pairs scoring at least this much are likely duplicates
+const LIKELY_DUPLICATE = 0.75;
+
+const SCORES = {
+  hungarianExact: 1,
+  hungarianFolded: 0.95,
+  hungarianSimilar: [0, 0.7, 0.6], // by edit distance
+  englishSame: 0.6,
+  englishShared: 0.4,
+  // Added when both the headword and the English equivalents agree
+  bothAgree: 0.1,
+};
+
+/**
+ * Largest edit distance that still counts as the same word; short words
+ * differing in one letter are usually different words
+ * @param {string} key - Folded term key
+ * @returns {number} Distance limit
+ */
+const distanceLimit = (key) => {
+  if (key.length < 5) return 0;
+  return key.length <= 8 ? 1 : 2;
+};
+
+/**
+ * Whether one headword only adds a suffix to the other (jelnyelv, jelnyelvi);
+ * derived words are related entries rather than duplicates
+ * @param {string} a - Folded term key
+ * @param {string} b - Folded term key
+ * @returns {boolean} Whether the longer key extends the shorter one
+ */
+const isDerivation = (a, b) => (a.length < b.length ? b.startsWith(a) : a.startsWith(b));
+
+/**
+ * Block of a headword for comparing it with similar ones: the first two letters of
+ * its folded key. Headwords within the edit distance limit nearly always share it.
+ * @param {string} folded - Folded term key
+ * @returns {string} Block, empty without a headword
+ */
+const headwordBlockOf = (folded) => folded.slice(0, 2);
+
+/**
+ * Comparison keys of an entry or of an entry payload
+ * @param {object} entry - Entry with hungarian and senses (or a flat english)
+ * @returns {object} { exact, folded, english }
+ */
+const keysOf = (entry) => {
+  const english = entry.senses?.length
+    ? entry.senses.flatMap((sense) => sense.english || [])
+    : [entry.english];
+
+  return {
+    exact: termKey(entry.hungarian),
+    folded: termKey(entry.hungarian, true),
+    english: [...new Set(english.map((value) => termKey(value, true)).filter(Boolean))],
+  };
+};
+
+/**
+ * Score a candidate pair from their comparison keys
+ * @param {object} a - Keys of the first entry
+ * @param {object} b - Keys of the second entry
+ * @returns {object} { score, reasons }
+ */
+const scoreKeys = (a, b) => {
+  const reasons = [];
+
+  let hungarian = 0;
+  if (a.exact && a.exact === b.exact) {
+    hungarian = SCORES.hungarianExact;
+    reasons.push('hungarianExact');
+  } else if (a.folded && a.folded === b.folded) {
+    hungarian = SCORES.hungarianFolded;
+    reasons.push('hungarianFolded');
+  } else {
+    const limit = Math.min(distanceLimit(a.folded), distanceLimit(b.folded));
+    const distance =
+      limit > 0 && !isDerivation(a.folded, b.folded)
+        ? editDistance(a.folded, b.folded, limit)
+        : Infinity;
+    if (distance <= limit) {
+      hungarian = SCORES.hungarianSimilar[distance];
+      reasons.push('hungarianSimilar');
+    }
+  }
+
+  const shared = a.english.filter((key) => b.english.includes(key)).length;
+  let english = 0;
+  if (shared > 0 && shared === a.english.length && shared === b.english.length) {
+    english = SCORES.englishSame;
+    reasons.push('englishSame');
+  } else if (shared > 0) {
+    english = SCORES.englishShared;
+    reasons.push('englishShared');
+  }
+
+  let score = Math.max(hungarian, english);
+  if (hungarian && english) {
+    score = Math.min(1, score + SCORES.bothAgree);
+  }
+  return { score: Math.round(score * 100) / 100, reasons };
+};
+
+/**
+ * Score two entries
+ * @param {object} a - Entry
+ * @param {object} b - Entry
+ * @returns {object} { score, reasons }
+ */
+const scorePair = (a, b) => scoreKeys(keysOf(a), keysOf(b));
+
+/**
+ * Entries of a pool that are likely duplicates of an entry
+ * @param {object} entry - Entry or entry payload
+ * @param {Array} pool - Entries to compare with
+ * @param {number} minScore - Lowest score to report
+ * @returns {Array} { entry, score, reasons }, best match first
+ */
+const findDuplicatesOf = (entry, pool, minScore = LIKELY_DUPLICATE) => {
+  const keys = keysOf(entry);
+
+  return pool
+    .filter((candidate) => !entry._id || String(candidate._id) !== String(entry._id))
+    .map((candidate) => ({ entry: candidate, ...scoreKeys(keys, keysOf(candidate)) }))
+    .filter((match) => match.score >= minScore)
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Group entries into clusters of likely duplicates. Only entries sharing a
+ * block are compared: the folded headword, an English equivalent or the
+ * first two letters of the headword (for edit distance), which keeps the
+ * report fast on the whole dictionary.
+ * @param {Array} entries - Entries to check
+ * @param {number} minScore - Lowest pair score that links two entries
+ * @returns {Array} Clusters as { score, entries, pairs }, best first
+ */
+const findClusters = (entries, minScore = LIKELY_DUPLICATE) => {
+  const keys = entries.map(keysOf);
+
+  const blocks = new Map();
+  const addToBlock = (block, index, byHeadword = false) => {
+    if (!blocks.has(block)) blocks.set(block, { byHeadword, members: [] });
+    blocks.get(block).members.push(index);
+  };
+  keys.forEach((key, index) => {
+    if (key.folded) addToBlock(`h:${headwordBlockOf(key.folded)}`, index, true);
+    key.english.forEach((english) => addToBlock(`e:${english}`, index));
+  });
+
+  // Union-find over the indexes of linked entries
+  const parents = entries.map((_, index) => index);
+  const rootOf = (index) => {
+    while (parents[index] !== index) {
+      parents[index] = parents[parents[index]];
+      index = parents[index];
+    }
+    return index;
+  };
+
+  const compared = new Set();
+  const pairs = [];
+  for (const { byHeadword, members } of blocks.values()) {
+    for (let i = 0; i < members.length; i += 1) {
+      for (let j = i + 1; j < members.length; j += 1) {
+        const [a, b] = [members[i], members[j]];
+        // Headwords further apart in length than any edit distance limit cannot match
+        if (byHeadword && Math.abs(keys[a].folded.length - keys[b].folded.length) > 2) continue;
+
+        const pairKey = a < b ? `${a}:${b}` : `${b}:${a}`;
+        if (compared.has(pairKey)) continue;
+        compared.add(pairKey);
+
+        const { score, reasons } = scoreKeys(keys[a], keys[b]);
+        if (score >= minScore) {
+          pairs.push({ a, b, score, reasons });
+          parents[rootOf(a)] = rootOf(b);
+        }
+      }
+    }
+  }
+
+  const clusters = new Map();
+  for (const pair of pairs) {
+    const root = rootOf(pair.a);
+    if (!clusters.has(root)) clusters.set(root, { members: new Set(), pairs: [] });
+    const cluster = clusters.get(root);
+    cluster.members.add(pair.a).add(pair.b);
+    cluster.pairs.push(pair);
+  }
+
+  return [...clusters.values()]
+    .map(({ members, pairs: clusterPairs }) => ({
+      score: Math.max(...clusterPairs.map((pair) => pair.score)),
+      entries: [...members].map((index) => entries[index]),
+      pairs: clusterPairs.map(({ a, b, score, reasons }) => ({
+        entries: [entries[a]._id, entries[b]._id],
+        score,
+        reasons,
+      })),
+    }))
+    .sort((a, b) => b.score - a.score || b.entries.length - a.entries.length);
+};
+
+module.exports = {
+  LIKELY_DUPLICATE,
+  headwordBlockOf,
+  keysOf,
+  scorePair,
+  findDuplicatesOf,
+  findClusters,
+};
@@ -0,0 +1,88 @@
+const { foldText } = require('./text');
+
+/**
+ * Language of a search query, Hungarian or English.
+ *
+ * Hungarian accents decide on their own. Queries typed without accents are
+ * scored word by word on spelling patterns the other language rarely has: the
+ * Hungarian digraphs and suffixes ("nyelvtanban"), English letter clusters
+ * and endings ("phonetics"), and the common short words of each language.
+ * A tie counts as Hungarian, the language of the headwords.
+ */
+
+const HUNGARIAN_ACCENTS = /[áéíóöőúüű]/i;
+
+// prettier-ignore
+const HUNGARIAN_WORDS = new Set([
+  'az', 'es', 'egy', 'nem', 'vagy', 'hogy', 'ami', 'ez', 'mint', 'meg', 'is', 'van', 'nelkul',
+]);
+
+// prettier-ignore
+const ENGLISH_WORDS = new Set([
+  'the', 'of', 'and', 'to', 'in', 'for', 'with', 'on', 'by', 'an', 'or', 'from', 'as', 'at',
+]);
+
+const HUNGARIAN_PATTERNS = [
+  /sz|zs|cs|gy|ny/,
+  /(sag|seg|ban|ben|nak|nek|bol|rol|tol|hoz|hez|kent|zat|zet|tan|tani|cio|ika|izmus|ko|os|us)$/,
+  /[lrtzdvkg](as|es)$/,
+  /^(meg|el|ki|be|fel|le|at|ossze|vissza)(?=[^aeiou])/,
+];
+
+const ENGLISH_PATTERNS = [
+  /[qwx]|th|ph|ck|wh|sh|ght/,
+  // Hungarian writes k for the sound, c is ts there
+  /c(?![eiszy])/,
+  /^(st|sp|sc|sk|pr|tr|br|cr|dr|fr|gr|pl|bl|cl|fl|gl|sl|sm|sn)/,
+  /ou|ea|ee|oo|ie$/,
+  /(tion|sion|ing|ness|ment|ity|ous|ive|able|ible|ical|ism|ist|ology)$/,
+  /(ed|ure|ance|ence|ate|ial|ual|ize|ics|age)$/,
+  // Hungarian has y only in the digraphs gy, ly, ny and ty
+  /(^|[aeiou]|[^aeioulgnty])y/,
+];
+
+/**
+ * Points of each language for one word
+ * @param {string} word - Folded word
+ * @returns {object} { hu, en }
+ */
+const wordScores = (word) => {
+  if (HUNGARIAN_WORDS.has(word)) return { hu: 2, en: 0 };
+  if (ENGLISH_WORDS.has(word)) return { hu: 0, en: 2 };
+
+  return {
+    hu: HUNGARIAN_PATTERNS.filter((pattern) => pattern.test(word)).length,
+    en: ENGLISH_PATTERNS.filter((pattern) => pattern.test(word)).length,
+  };
+};
+
+/**
+ * Detect the language of a query
+ * @param {string} text - Query
+ * @returns {string} 'hu' or 'en'
+ */
+const detectLanguage = (text) => {
+  const value = String(text ?? '');
+  if (HUNGARIAN_ACCENTS.test(value)) return 'hu';
+
+  const words = foldText(value).match(/[a-z]+/g) || [];
+  const score = words
+    .map(wordScores)
+    .reduce((total, points) => ({ hu: total.hu + points.hu, en: total.en + points.en }), {
+      hu: 0,
+      en: 0,
+    });
+  return score.en > score.hu ? 'en' : 'hu';
+};
+
+/**
+ * Translation direction of a query language
+ * @param {string} language - 'hu' or 'en'
+ * @returns {string} 'hu-en' or 'en-hu'
+ */
+const directionOf = (language) => (language === 'en' ? 'en-hu' : 'hu-en');
+
+module.exports = {
+  detectLanguage,
+  directionOf,
+};
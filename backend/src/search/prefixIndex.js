@@ -0,0 +1,205 @@
+const { foldText } = require('./text');
+const { sortKey } = require('./collation');
+
+/**
+ * In-memory prefix index of the dictionary's terms for autocomplete.
+ *
+ * Terms are kept in one array sorted by their accent-folded key, so the terms
+ * starting with a prefix are a contiguous run found by binary search. Each term
+ * remembers the entries it comes from, which lets entries be added, changed
+ * and removed one at a time.
+ */
+
+/**
+ * Search key of a term or prefix: lowercase, without accents, single spaces
+ * @param {string} value - Term
+ * @returns {string} Key
+ */
+const keyOf = (value) => foldText(value).replace(/\s+/g, ' ').trimStart();
+
+// Index order: by key, then by the language and lowercase term identifying a record
+const compareRecords = (a, b) => {
+  if (a.key !== b.key) return a.key < b.key ? -1 : 1;
+  if (a.id !== b.id) return a.id < b.id ? -1 : 1;
+  return 0;
+};
+
+class PrefixIndex {
+  constructor() {
+    // Records sorted by key: { id, key, term, language, order, entries: Set of IDs }
+    this.records = [];
+    // Record of each language and lowercase term
+    this.byTerm = new Map();
+    // Records of each entry
+    this.byEntry = new Map();
+  }
+
+  get size() {
+    return this.records.length;
+  }
+
+  /**
+   * Position of the first record not before the given one
+   * @param {object} target - Record, or { key, id: '' } for the first record of a key
+   * @returns {number} Index
+   */
+  lowerBound(target) {
+    let low = 0;
+    let high = this.records.length;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (compareRecords(this.records[middle], target) < 0) low = middle + 1;
+      else high = middle;
+    }
+    return low;
+  }
+
+  /**
+   * Replace the whole index
+   * @param {Array} entries - Entries as { id, terms: [{ term, language }] }
+   * @returns {PrefixIndex} The index
+   */
+  rebuild(entries) {
+    this.records = [];
+    this.byTerm.clear();
+    this.byEntry.clear();
+
+    for (const { id, terms } of entries) {
+      const records = terms.map(({ term, language }) => this.recordOf(term, language));
+      records.forEach((record) => {
+        if (record.entries.size === 0) this.records.push(record);
+        record.entries.add(String(id));
+      });
+      this.byEntry.set(String(id), records);
+    }
+
+    this.records.sort(compareRecords);
+    return this;
+  }
+
+  /**
+   * Record of a term, created when new but not inserted yet
+   * @param {string} term - Term as written
+   * @param {string} language - 'hu' or 'en'
+   * @returns {object} Record
+   */
+  recordOf(term, language) {
+    const id = `${language}:${term.toLowerCase()}`;
+    if (!this.byTerm.has(id)) {
+      this.byTerm.set(id, {
+        id,
+        key: keyOf(term),
+        term,
+        language,
+        order: sortKey(term),
+        entries: new Set(),
+      });
+    }
+    return this.byTerm.get(id);
+  }
+
+  /**
+   * Index the terms of an entry, replacing those it had
+   * @param {string} id - Entry ID
+   * @param {Array} terms - Terms as { term, language }
+   */
+  set(id, terms) {
+    this.remove(id);
+
+    const records = [];
+    for (const { term, language } of terms) {
+      const record = this.recordOf(term, language);
+      if (record.entries.size === 0) {
+        this.records.splice(this.lowerBound(record), 0, record);
+      }
+      record.entries.add(String(id));
+      records.push(record);
+    }
+    this.byEntry.set(String(id), records);
+  }
+
+  /**
+   * Remove the terms of an entry; terms no other entry has are dropped
+   * @param {string} id - Entry ID
+   */
+  remove(id) {
+    const records = this.byEntry.get(String(id));
+    if (!records) return;
+
+    for (const record of records) {
+      record.entries.delete(String(id));
+      if (record.entries.size === 0) {
+        this.records.splice(this.lowerBound(record), 1);
+        this.byTerm.delete(record.id);
+      }
+    }
+    this.byEntry.delete(String(id));
+  }
+
+  /**
+   * Terms starting with a prefix, accent and case insensitively. A term equal
+   * to the prefix comes first, then terms with the accents typed, if any, then
+   * the terms of more entries, shorter terms and alphabetical order.
+   * @param {string} prefix - Typed text
+   * @param {object} options - { language: 'hu' or 'en' to restrict, limit }
+   * @returns {Array} Suggestions as { term, language, entries }
+   */
+  suggest(prefix, { language, limit = 10 } = {}) {
+    const key = keyOf(prefix);
+    if (!key) return [];
+
+    // Accents typed are taken as meant: "foné" puts "fonéma" before "fonema"
+    const typed = String(prefix).toLowerCase().replace(/\s+/g, ' ').trimStart();
+    const accented = typed !== key;
+    const matches = [];
+    for (let index = this.lowerBound({ key, id: '' }); index < this.records.length; index += 1) {
+      const record = this.records[index];
+      if (!record.key.startsWith(key)) break;
+      if (!language || record.language === language) matches.push(record);
+    }
+
+    const rank = (record) => [
+      record.key === key ? 0 : 1,
+      accented && !record.term.toLowerCase().startsWith(typed) ? 1 : 0,
+      -record.entries.size,
+      record.key.length,
+    ];
+    const ranked = matches.map((record) => ({ record, rank: rank(record) }));
+    ranked.sort((a, b) => {
+      const difference = a.rank.findIndex((value, index) => value !== b.rank[index]);
+      if (difference !== -1) return a.rank[difference] - b.rank[difference];
+      if (a.record.order === b.record.order) return 0;
+      return a.record.order < b.record.order ? -1 : 1;
+    });
+
+    return ranked.slice(0, limit).map(({ record }) => ({
+      term: record.term,
+      language: record.language,
+      entries: record.entries.size,
+    }));
+  }
+}
+
+/**
+ * Terms of an entry to suggest: its headword and English equivalents
+ * @param {object} entry - Entry with hungarian and senses
+ * @returns {Array} Terms as { term, language }, without duplicates
+ */
+const termsOf = (entry) => {
+  const terms = new Map();
+  const add = (value, language) => {
+    const term = String(value ?? '').trim();
+    if (term) terms.set(`${language}:${term.toLowerCase()}`, { term, language });
+  };
+
+  add(entry.hungarian, 'hu');
+  for (const sense of entry.senses || []) {
+    (sense.english || []).forEach((english) => add(english, 'en'));
+  }
+  return [...terms.values()];
+};
+
+module.exports = {
+  PrefixIndex,
+  termsOf,
+};
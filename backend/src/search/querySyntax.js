@@ -0,0 +1,269 @@
+const { foldText } = require('./text');
+
+/**
+ * Query language of the entries search, for queries like
+ *
+ *   hungarian:"beszéd*" field:hangtan -english:speech wordType:mn
+ *
+ * - Terms are separated by spaces and all must match; `OR` (or `|`) between
+ *   terms matches either, and parentheses group terms.
+ * - `field:value` searches one field: hungarian (hu), english (en),
+ *   field (fieldOfExpertise) or wordType (type). A term without a field
+ *   searches the headwords and English equivalents.
+ * - "Quoted phrases" keep their spaces.
+ * - A value contains the text unless it has `*` wildcards, which make it a
+ *   pattern of the whole term: "beszéd*" starts with beszéd. A term can
+ *   have at most three wildcards.
+ * - `-term` or `NOT term` excludes the entries matching the term.
+ *
+ * Parsing gives a syntax tree, compiling it gives a MongoDB filter. Values
+ * only ever become escaped regular expressions.
+ */
+
+const MAX_QUERY_LENGTH = 500;
+const MAX_TERMS = 20;
+// Each wildcard becomes a `.*`, which makes the regular expression slower
+const MAX_WILDCARDS = 3;
+
+const FIELD_ALIASES = {
+  hungarian: 'hungarian',
+  hu: 'hungarian',
+  english: 'english',
+  en: 'english',
+  field: 'fieldOfExpertise',
+  fieldofexpertise: 'fieldOfExpertise',
+  wordtype: 'wordType',
+  type: 'wordType',
+};
+
+/**
+ * A query the parser cannot read, with the position of the problem
+ */
+class QuerySyntaxError extends Error {
+  /**
+   * @param {string} message - What is wrong
+   * @param {number} position - Character offset in the query, from 0
+   */
+  constructor(message, position) {
+    super(`${message} at position ${position}`);
+    this.name = this.constructor.name;
+    this.reason = message;
+    this.position = position;
+  }
+}
+
+/**
+ * Split a query into tokens
+ * @param {string} text - Query
+ * @returns {Array} Tokens as { type, value, position }
+ */
+const tokenize = (text) => {
+  const tokens = [];
+  let index = 0;
+
+  while (index < text.length) {
+    const char = text[index];
+    const position = index;
+
+    if (/\s/.test(char)) {
+      index += 1;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position });
+      index += 1;
+    } else if (char === '|') {
+      tokens.push({ type: 'or', position });
+      index += 1;
+    } else if (char === '"') {
+      const end = text.indexOf('"', index + 1);
+      if (end === -1) throw new QuerySyntaxError('Unterminated phrase', position);
+      tokens.push({ type: 'value', value: text.slice(index + 1, end), position });
+      index = end + 1;
+    } else if (char === '-' && (index === 0 || /[\s(]/.test(text[index - 1]))) {
+      tokens.push({ type: 'not', position });
+      index += 1;
+    } else {
+      let end = index;
+      while (end < text.length && !/[\s()"|]/.test(text[end])) end += 1;
+      const word = text.slice(index, end);
+      const colon = word.indexOf(':');
+
+      if (word === 'OR') {
+        tokens.push({ type: 'or', position });
+      } else if (word === 'NOT') {
+        tokens.push({ type: 'not', position });
+      } else if (word === 'AND') {
+        // Terms are joined with AND anyway
+      } else if (colon > 0) {
+        tokens.push({ type: 'field', value: word.slice(0, colon), position });
+        if (colon < word.length - 1) {
+          tokens.push({ type: 'value', value: word.slice(colon + 1), position: index + colon + 1 });
+        }
+      } else {
+        tokens.push({ type: 'value', value: word, position });
+      }
+      index = end;
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Parse a query into a syntax tree
+ * @param {string} text - Query
+ * @returns {object} Nodes { type: 'or' | 'and', nodes }, { type: 'not', node }
+ *   and { type: 'term', field, value, position }, field being null for any field
+ * @throws {QuerySyntaxError} When the query cannot be read
+ */
+const parseQuery = (text) => {
+  const query = String(text ?? '');
+  if (query.length > MAX_QUERY_LENGTH) {
+    throw new QuerySyntaxError(
+      `Query is longer than ${MAX_QUERY_LENGTH} characters`,
+      MAX_QUERY_LENGTH
+    );
+  }
+
+  const tokens = tokenize(query);
+  let current = 0;
+  let terms = 0;
+  const peek = () => tokens[current];
+  const positionOf = (token) => (token ? token.position : query.length);
+
+  const parseTerm = (field, token) => {
+    if (!token || token.type !== 'value') {
+      throw new QuerySyntaxError('Expected a search term', positionOf(token));
+    }
+    if (!/[\p{L}\p{N}]/u.test(token.value)) {
+      throw new QuerySyntaxError('A search term needs a letter or digit', token.position);
+    }
+    if ((token.value.match(/\*+/g) || []).length > MAX_WILDCARDS) {
+      throw new QuerySyntaxError(
+        `A search term can have at most ${MAX_WILDCARDS} wildcards`,
+        token.position
+      );
+    }
+    terms += 1;
+    if (terms > MAX_TERMS) {
+      throw new QuerySyntaxError(`A query can have at most ${MAX_TERMS} terms`, token.position);
+    }
+    current += 1;
+    return { type: 'term', field, value: token.value, position: token.position };
+  };
+
+  // Declared before use by the mutually recursive rules below
+  let parseOr;
+
+  const parseUnary = () => {
+    const token = peek();
+    if (!token) throw new QuerySyntaxError('Expected a search term', query.length);
+
+    if (token.type === 'not') {
+      current += 1;
+      return { type: 'not', node: parseUnary() };
+    }
+    if (token.type === '(') {
+      current += 1;
+      const node = parseOr();
+      if (!peek() || peek().type !== ')') {
+        throw new QuerySyntaxError('Missing closing parenthesis', token.position);
+      }
+      current += 1;
+      return node;
+    }
+    if (token.type === 'field') {
+      const field = FIELD_ALIASES[token.value.toLowerCase()];
+      if (!field) throw new QuerySyntaxError(`Unknown field "${token.value}"`, token.position);
+      current += 1;
+
+      // The value follows the colon directly
+      const valuePosition = token.position + token.value.length + 1;
+      if (!peek() || peek().type !== 'value' || peek().position !== valuePosition) {
+        throw new QuerySyntaxError(`Expected a value after "${token.value}:"`, valuePosition);
+      }
+      return parseTerm(field, peek());
+    }
+    return parseTerm(null, token);
+  };
+
+  const parseAnd = () => {
+    const nodes = [];
+    while (peek() && peek().type !== 'or' && peek().type !== ')') {
+      nodes.push(parseUnary());
+    }
+    if (nodes.length === 0)
+      throw new QuerySyntaxError('Expected a search term', positionOf(peek()));
+    return nodes.length === 1 ? nodes[0] : { type: 'and', nodes };
+  };
+
+  parseOr = () => {
+    const nodes = [parseAnd()];
+    while (peek() && peek().type === 'or') {
+      current += 1;
+      nodes.push(parseAnd());
+    }
+    return nodes.length === 1 ? nodes[0] : { type: 'or', nodes };
+  };
+
+  const tree = parseOr();
+  if (peek()) throw new QuerySyntaxError(`Unexpected "${peek().type}"`, peek().position);
+  return tree;
+};
+
+/**
+ * Regular expression of a value: contained text, or with wildcards a pattern of the whole term
+ * @param {string} value - Value as typed
+ * @returns {RegExp} Case-insensitive expression
+ */
+const valueRegex = (value) => {
+  const parts = value
+    .trim()
+    .split(/\*+/)
+    .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(parts.length > 1 ? `^${parts.join('.*')}$` : parts[0], 'i');
+};
+
+/**
+ * Compile a syntax tree into a MongoDB filter of entries
+ * @param {object} node - Tree from parseQuery
+ * @param {object} resolvers - { fieldNames(term): names of a known field and its
+ *   subfields or null, wordTypeCodes(term): matching word type codes }
+ * @returns {object} Filter
+ */
+const compileQuery = (node, resolvers) => {
+  switch (node.type) {
+    case 'or':
+      return { $or: node.nodes.map((child) => compileQuery(child, resolvers)) };
+    case 'and':
+      return { $and: node.nodes.map((child) => compileQuery(child, resolvers)) };
+    case 'not':
+      return { $nor: [compileQuery(node.node, resolvers)] };
+    default:
+      break;
+  }
+
+  const { field, value } = node;
+  const headword = { hungarianFolded: valueRegex(foldText(value)) };
+  const english = { 'senses.english': valueRegex(value) };
+
+  switch (field) {
+    case 'hungarian':
+      return headword;
+    case 'english':
+      return english;
+    case 'fieldOfExpertise': {
+      const names = value.includes('*') ? null : resolvers.fieldNames(value);
+      return { 'senses.fieldOfExpertise': names ? { $in: names } : valueRegex(value) };
+    }
+    case 'wordType':
+      return { wordType: { $in: resolvers.wordTypeCodes(value) } };
+    default:
+      return { $or: [headword, english] };
+  }
+};
+
+module.exports = {
+  QuerySyntaxError,
+  parseQuery,
+  compileQuery,
+};
@@ -0,0 +1,143 @@
+const { termKey, editDistance } = require('./text');
+
+/**
+ * Spelling suggestions from the dictionary's own vocabulary: the Hungarian
+ * headwords and English equivalents, and the words they are made of. A search
+ * term that is not in the vocabulary is compared to the terms of about the
+ * same length by edit distance, accent and case insensitively.
+ */
+
+// Searches with fewer hits than this get spelling suggestions
+const FEW_RESULTS = 3;
+
+// Words shorter than this are not added on their own
+const MIN_WORD_LENGTH = 4;
+
+/**
+ * Number of typos tolerated in a term; short terms are too easily another word
+ * @param {string} key - Folded term key
+ * @returns {number} Largest edit distance of a suggestion
+ */
+const typoLimit = (key) => {
+  if (key.length < 4) return 0;
+  return key.length <= 7 ? 1 : 2;
+};
+
+/**
+ * Build the vocabulary of a set of entries
+ * @param {Array} entries - Entries with hungarian and senses
+ * @returns {object} { terms: Map of key -> { term, language, count }, byLength: Map of key length -> keys }
+ */
+const buildVocabulary = (entries) => {
+  const terms = new Map();
+
+  const add = (value, language) => {
+    const key = termKey(value, true);
+    if (!key) return;
+
+    const known = terms.get(key);
+    if (known) {
+      known.count += 1;
+    } else {
+      terms.set(key, { term: String(value).trim(), language, count: 1 });
+    }
+  };
+
+  const addWithWords = (value, language) => {
+    add(value, language);
+    const words = String(value ?? '')
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu);
+    if (words && words.length > 1) {
+      words.filter((word) => word.length >= MIN_WORD_LENGTH).forEach((word) => add(word, language));
+    }
+  };
+
+  for (const entry of entries) {
+    addWithWords(entry.hungarian, 'hu');
+    for (const sense of entry.senses || []) {
+      (sense.english || []).forEach((english) => addWithWords(english, 'en'));
+    }
+  }
+
+  const byLength = new Map();
+  for (const key of terms.keys()) {
+    if (!byLength.has(key.length)) byLength.set(key.length, []);
+    byLength.get(key.length).push(key);
+  }
+
+  return { terms, byLength };
+};
+
+/**
+ * Closest vocabulary terms of a term within its typo limit
+ * @param {string} key - Folded term key
+ * @param {object} vocabulary - Built by buildVocabulary
+ * @returns {Array} { key, distance } closest first
+ */
+const closestKeys = (key, vocabulary) => {
+  const limit = typoLimit(key);
+  const matches = [];
+
+  for (let length = key.length - limit; length <= key.length + limit; length += 1) {
+    for (const candidate of vocabulary.byLength.get(length) || []) {
+      const distance = editDistance(key, candidate, limit);
+      if (distance <= limit) matches.push({ key: candidate, distance });
+    }
+  }
+
+  return matches.sort(
+    (a, b) =>
+      a.distance - b.distance ||
+      vocabulary.terms.get(b.key).count - vocabulary.terms.get(a.key).count
+  );
+};
+
+/**
+ * Suggest spellings for a search term that is not in the vocabulary. Whole
+ * terms are tried first; failing that, each unknown word of a longer search
+ * is corrected on its own.
+ * @param {string} query - Search term
+ * @param {object} vocabulary - Built by buildVocabulary
+ * @param {number} limit - Number of suggestions
+ * @returns {Array} Suggestions as { term, language, distance }, closest first
+ */
+const suggestSpellings = (query, vocabulary, limit = 5) => {
+  const key = termKey(query, true);
+  if (!key || vocabulary.terms.has(key)) return [];
+
+  const suggestions = closestKeys(key, vocabulary)
+    .slice(0, limit)
+    .map(({ key: match, distance }) => {
+      const { term, language } = vocabulary.terms.get(match);
+      return { term, language, distance };
+    });
+  if (suggestions.length > 0) return suggestions;
+
+  // Word by word: "nyelvi jelensegg" → "nyelvi jelenség"
+  const words = String(query).trim().split(/\s+/);
+  if (words.length < 2) return [];
+
+  let distance = 0;
+  let language = null;
+  const corrected = words.map((word) => {
+    const wordKey = termKey(word, true);
+    if (!wordKey || vocabulary.terms.has(wordKey)) return word;
+
+    const [closest] = closestKeys(wordKey, vocabulary);
+    if (!closest) return word;
+
+    const match = vocabulary.terms.get(closest.key);
+    distance += closest.distance;
+    language = language || match.language;
+    return match.term.toLowerCase();
+  });
+
+  return distance > 0 ? [{ term: corrected.join(' '), language, distance }] : [];
+};
+
+module.exports = {
+  FEW_RESULTS,
+  buildVocabulary,
+  suggestSpellings,
+};
@@ -0,0 +1,194 @@
+const { foldText } = require('./text');
+
+/**
+ * Rule-based Hungarian stemmer, after the Snowball algorithm for Hungarian.
+ *
+ * Case endings, possessive and plural suffixes are stripped from the end of
+ * the word in a fixed order ("mondatokban" → "mondatok" → "mondat"), and a
+ * long final vowel left behind goes back to its dictionary form ("almát" →
+ * "almá" → "alma"). No dictionary is needed, so a stem is not always a real
+ * word; it only has to be the same for the forms of one word.
+ */
+
+const VOWELS = 'aáeéiíoóöőuúüű';
+const DIGRAPHS = ['dzs', 'cs', 'gy', 'ly', 'ny', 'sz', 'ty', 'zs'];
+// prettier-ignore
+const DOUBLES = [
+  'bb', 'cc', 'ccs', 'dd', 'ff', 'gg', 'ggy', 'jj', 'kk', 'll', 'lly', 'mm', 'nn', 'nny', 'pp',
+  'rr', 'ss', 'ssz', 'tt', 'tty', 'vv', 'zz', 'zzs',
+];
+
+const isVowel = (char) => VOWELS.includes(char);
+
+// Suffix tables of the steps: suffix -> replacement, or '' to delete it
+const table = (deleted, replaced = {}) => ({
+  ...Object.fromEntries(deleted.map((suffix) => [suffix, ''])),
+  ...replaced,
+});
+
+// Instrumental -al/-el assimilated to a doubled consonant: "kézzel" → "kéz"
+const INSTRUMENTAL = table(['al', 'el']);
+
+// prettier-ignore
+const CASES = table([
+  'ban', 'ben', 'ba', 'be', 'ra', 're', 'nak', 'nek', 'val', 'vel', 'tól', 'től', 'ról', 'ről',
+  'ból', 'ből', 'hoz', 'hez', 'höz', 'nál', 'nél', 'ig', 'at', 'et', 'ot', 'öt', 'ért', 'képp',
+  'képpen', 'kor', 'ul', 'ül', 'vá', 'vé', 'onként', 'enként', 'anként', 'ként', 'en', 'on', 'an',
+  'ön', 'n', 't',
+]);
+
+const LONG_ENDINGS = { á: 'a', é: 'e' };
+
+const SPECIAL_CASES = table([], { én: 'e', án: 'a', ánként: 'a' });
+
+const OTHER_CASES = table(['astul', 'estül', 'stul', 'stül'], { ástul: 'a', éstül: 'e' });
+
+// Translative -vá/-vé assimilated to a doubled consonant: "vízzé" → "víz"
+const FACTIVE = table(['á', 'é']);
+
+const OWNED = table(['oké', 'öké', 'aké', 'eké', 'ké', 'éi', 'é'], {
+  éké: 'e',
+  áké: 'a',
+  ééi: 'e',
+  áéi: 'a',
+  éé: 'e',
+});
+
+// prettier-ignore
+const SINGULAR_OWNER = table(
+  [
+    'ünk', 'unk', 'nk', 'juk', 'jük', 'uk', 'ük', 'em', 'om', 'am', 'm', 'od', 'ed', 'ad', 'öd',
+    'd', 'ja', 'je', 'a', 'e', 'o',
+  ],
+  { ánk: 'a', énk: 'e', ájuk: 'a', éjük: 'e', ám: 'a', ém: 'e', ád: 'a', éd: 'e', á: 'a', é: 'e' }
+);
+
+// prettier-ignore
+const PLURAL_OWNER = table(
+  [
+    'jaim', 'jeim', 'aim', 'eim', 'im', 'jaid', 'jeid', 'aid', 'eid', 'id', 'jai', 'jei', 'ai',
+    'ei', 'i', 'jaink', 'jeink', 'aink', 'eink', 'ink', 'jaitok', 'jeitek', 'aitok', 'eitek',
+    'itek', 'jaik', 'jeik', 'aik', 'eik', 'ik',
+  ],
+  {
+    áim: 'a', éim: 'e', áid: 'a', éid: 'e', ái: 'a', éi: 'e', áink: 'a', éink: 'e',
+    áitok: 'a', éitek: 'e', áik: 'a', éik: 'e',
+  }
+);
+
+const PLURAL = table(['ök', 'ak', 'ok', 'ek', 'k'], { ák: 'a', ék: 'e' });
+
+/**
+ * Start of the region suffixes may be removed from: after the first consonant
+ * of a word starting with a vowel, after the first vowel otherwise
+ * @param {string} word - Lowercase word
+ * @returns {number} Index
+ */
+const regionStart = (word) => {
+  if (isVowel(word[0])) {
+    const consonant = [...word].findIndex((char) => !isVowel(char));
+    if (consonant === -1) return word.length;
+    const digraph = DIGRAPHS.find((letters) => word.startsWith(letters, consonant));
+    return consonant + (digraph ? digraph.length : 1);
+  }
+  const vowel = [...word].findIndex(isVowel);
+  return vowel === -1 ? word.length : vowel + 1;
+};
+
+/**
+ * Apply the longest suffix of a table found at the end of the word
+ * @param {string} word - Word
+ * @param {number} start - Region start, the suffix may not begin before it
+ * @param {object} suffixes - Suffix table
+ * @param {boolean} doubled - Only when the suffix follows a doubled consonant,
+ *   which is then shortened
+ * @returns {string|null} Stripped word, null when no suffix applies
+ */
+const strip = (word, start, suffixes, doubled = false) => {
+  let suffix = '';
+  for (const candidate of Object.keys(suffixes)) {
+    if (candidate.length > suffix.length && word.endsWith(candidate)) suffix = candidate;
+  }
+  if (!suffix || word.length - suffix.length < start) return null;
+
+  const rest = word.slice(0, -suffix.length);
+  if (doubled) {
+    if (!DOUBLES.some((letters) => rest.endsWith(letters))) return null;
+    return rest.slice(0, -2) + rest.slice(-1);
+  }
+  return rest + suffixes[suffix];
+};
+
+/**
+ * Forms of a word as its suffixes are stripped one step after the other
+ * @param {string} word - Word
+ * @returns {Array} The lowercase word followed by each shorter form, the last one being the stem
+ */
+const stemForms = (word) => {
+  const start = regionStart(String(word).toLowerCase());
+  const forms = [String(word).toLowerCase()];
+  const current = () => forms[forms.length - 1];
+  const step = (suffixes, doubled) => {
+    const stripped = strip(current(), start, suffixes, doubled);
+    if (stripped !== null && stripped !== current()) forms.push(stripped);
+    return stripped !== null;
+  };
+
+  step(INSTRUMENTAL, true);
+  if (step(CASES)) step(LONG_ENDINGS);
+  step(SPECIAL_CASES);
+  step(OTHER_CASES);
+  step(FACTIVE, true);
+  step(OWNED);
+  step(SINGULAR_OWNER);
+  step(PLURAL_OWNER);
+  step(PLURAL);
+
+  return forms;
+};
+
+/**
+ * Stem of a Hungarian word
+ * @param {string} word - Word
+ * @returns {string} Lowercase stem
+ */
+const stem = (word) => {
+  const forms = stemForms(word);
+  return forms[forms.length - 1];
+};
+
+/**
+ * Search keys of the words of a text: each word with its stripped forms,
+ * accent-folded. Two texts share a key when a word of one is an inflected
+ * form of a word of the other.
+ * @param {string} text - Text
+ * @returns {Array} Keys of each word, in word order
+ */
+const wordStems = (text) =>
+  (
+    String(text ?? '')
+      .normalize('NFC')
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu) || []
+  ).map((word) => [
+    ...new Set(
+      // Stripped forms shorter than three letters would match too much
+      (word.length < 3 ? [word] : stemForms(word))
+        .map(foldText)
+        .filter((form, index) => index === 0 || form.length > 2)
+    ),
+  ]);
+
+/**
+ * Search keys of a text, all words together
+ * @param {string} text - Text
+ * @returns {Array} Unique keys
+ */
+const stemsOf = (text) => [...new Set(wordStems(text).flat())];
+
+module.exports = {
+  stem,
+  stemForms,
+  wordStems,
+  stemsOf,
+};
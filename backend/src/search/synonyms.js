@@ -0,0 +1,148 @@
+/**
+ * Query expansion with the synonym sets of the editors.
+ *
+ * An equivalent set lists terms that mean the same, each expands to the others.
+ * A one-way set expands its source terms to its terms but not back, like
+ * "NLP" → "natural language processing". Terms may be phrases: the longest
+ * phrase of the query with a set wins, and its words are not expanded again.
+ * Terms match without case or accents and with any punctuation between the words.
+ */
+
+const { foldText } = require('./text');
+
+// Longest term of a set, in words
+const MAX_PHRASE_WORDS = 5;
+
+// Expanded queries of one search
+const MAX_EXPANSIONS = 10;
+
+// Words of a text with their place in it
+const wordsOf = (text) => {
+  const words = String(text ?? '')
+    .normalize('NFC')
+    .matchAll(/[\p{L}\p{N}]+/gu);
+  return [...words].map((match) => ({
+    key: foldText(match[0]).normalize('NFC'),
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+};
+
+/**
+ * Comparison key of a term: its folded words separated by single spaces
+ * @param {string} term - Term or phrase
+ * @returns {string} Key, empty without words
+ */
+const phraseKey = (term) =>
+  wordsOf(term)
+    .map((word) => word.key)
+    .join(' ');
+
+class SynonymIndex {
+  /**
+   * @param {Array} sets - Synonym sets as { language, type: 'equivalent' or 'oneWay', terms, from }
+   */
+  constructor(sets = []) {
+    // Key of a term → language → expansions of the term
+    this.terms = new Map();
+    for (const set of sets) this.add(set);
+  }
+
+  /**
+   * Index the source terms of a set with the terms they expand to
+   * @param {object} set - Synonym set
+   */
+  add({ language, type = 'equivalent', terms = [], from = [] }) {
+    const sources = type === 'oneWay' ? from : terms;
+    for (const source of sources) {
+      const key = phraseKey(source);
+      if (!key) continue;
+
+      const byLanguage = this.terms.get(key) || new Map();
+      const expansions = byLanguage.get(language) || new Map();
+      for (const term of terms) {
+        const termKey = phraseKey(term);
+        if (termKey && termKey !== key && !expansions.has(termKey)) {
+          expansions.set(termKey, { term: term.trim(), type });
+        }
+      }
+      byLanguage.set(language, expansions);
+      this.terms.set(key, byLanguage);
+    }
+  }
+
+  get size() {
+    return this.terms.size;
+  }
+
+  /**
+   * Expand the words and phrases of a text that have synonyms
+   * @param {string} text - Searched text
+   * @param {Array} languages - Languages of the sets to use, 'hu' and 'en'
+   * @returns {object} { applied, queries }: applied expansions as
+   *   { term, language, type, expansions }, the term as written in the text, and
+   *   the expanded queries as { text, language }, the text with a term replaced
+   */
+  expand(text, languages = ['hu', 'en']) {
+    const source = String(text ?? '').normalize('NFC');
+    const words = wordsOf(source);
+    const applied = [];
+    const queries = [];
+    const seen = new Set();
+
+    let index = 0;
+    while (index < words.length) {
+      let match = null;
+      for (let length = Math.min(MAX_PHRASE_WORDS, words.length - index); length > 0; length -= 1) {
+        const key = words
+          .slice(index, index + length)
+          .map((word) => word.key)
+          .join(' ');
+        const byLanguage = this.terms.get(key);
+        if (byLanguage && languages.some((language) => byLanguage.get(language)?.size > 0)) {
+          match = { byLanguage, start: words[index].start, end: words[index + length - 1].end };
+          index += length;
+          break;
+        }
+      }
+      if (!match) {
+        index += 1;
+        continue;
+      }
+
+      const term = source.slice(match.start, match.end);
+      const before = source.slice(0, match.start);
+      const after = source.slice(match.end);
+      for (const language of languages) {
+        const expansions = [...(match.byLanguage.get(language)?.values() || [])];
+        if (expansions.length === 0) continue;
+
+        applied.push({
+          term,
+          language,
+          type: expansions.some((expansion) => expansion.type === 'oneWay')
+            ? 'oneWay'
+            : 'equivalent',
+          expansions: expansions.map((expansion) => expansion.term),
+        });
+        for (const expansion of expansions) {
+          const query = `${before}${expansion.term}${after}`;
+          const key = `${language}:${phraseKey(query)}`;
+          if (queries.length < MAX_EXPANSIONS && !seen.has(key)) {
+            seen.add(key);
+            queries.push({ text: query.trim(), language });
+          }
+        }
+      }
+    }
+
+    return { applied, queries };
+  }
+}
+
+module.exports = {
+  MAX_PHRASE_WORDS,
+  MAX_EXPANSIONS,
+  phraseKey,
+  SynonymIndex,
+};
@@ -0,0 +1,59 @@
+/**
+ * Text helpers shared by the search and data quality features
+ */
+
+/**
+ * Lowercase a text and strip its accents (á → a, ő → o)
+ * @param {string} value - Text
+ * @returns {string} Folded text
+ */
+const foldText = (value) =>
+  String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+
+/**
+ * Comparison key of a term: lowercase letters and digits only, so spacing,
+ * punctuation and line-break hyphens ("Lan-guage") do not matter
+ * @param {string} value - Term
+ * @param {boolean} fold - Also strip the accents
+ * @returns {string} Key
+ */
+const termKey = (value, fold = false) => {
+  const text = fold ? foldText(value) : String(value ?? '').toLowerCase();
+  return text.normalize('NFC').replace(/[^\p{L}\p{N}]+/gu, '');
+};
+
+/**
+ * Levenshtein distance of two strings. Stops early once the distance is
+ * known to exceed the limit and returns limit + 1 in that case.
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} limit - Largest distance of interest
+ * @returns {number} Edit distance
+ */
+const editDistance = (a, b, limit = Infinity) => {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMinimum = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMinimum = Math.min(rowMinimum, current[j]);
+    }
+    if (rowMinimum > limit) return limit + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+module.exports = {
+  foldText,
+  termKey,
+  editDistance,
+};
@@ -0,0 +1,194 @@
+/**
+ * Similarity of texts without a language model.
+ *
+ * A text is a TF-IDF vector of its words and of the character trigrams of its
+ * words, in any language. Words find the same terms, trigrams the inflected,
+ * compound and misspelled forms ("fonémák", "phonemic"). The two parts are
+ * normalized apart and weighted, so the cosine similarity of two texts is
+ * WORD_WEIGHT times the similarity of their words plus the rest times that of
+ * their trigrams.
+ */
+
+const { foldText } = require('./text');
+
+// Format of the features and of the saved index, a saved index of another version is rebuilt
+const VERSION = 1;
+
+// Share of the whole words in the similarity, the trigrams have the rest
+const WORD_WEIGHT = 0.6;
+
+const GRAM_SIZE = 3;
+
+// Weights are saved with this many decimals
+const PRECISION = 5;
+
+/**
+ * Features of a text: its words as "w:word" and the trigrams of its words as
+ * "c:gram", the words lowercase and unaccented and padded with a space for the trigrams
+ * @param {string} text - Text
+ * @returns {Array} Features, repeated as often as they occur
+ */
+const featuresOf = (text) => {
+  const folded = foldText(text).normalize('NFC');
+  const words = folded.match(/[\p{L}\p{N}]+/gu) || [];
+  const features = [];
+  for (const word of words) {
+    features.push(`w:${word}`);
+    const padded = ` ${word} `;
+    for (let index = 0; index + GRAM_SIZE <= padded.length; index += 1) {
+      features.push(`c:${padded.slice(index, index + GRAM_SIZE)}`);
+    }
+  }
+  return features;
+};
+
+// Occurrences of each feature
+const countsOf = (features) => {
+  const counts = new Map();
+  for (const feature of features) counts.set(feature, (counts.get(feature) || 0) + 1);
+  return counts;
+};
+
+const round = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Weighted, normalized vector of feature counts; unknown features are left out
+ * @param {Map} counts - Occurrences of each feature
+ * @param {Map} features - Index of each known feature
+ * @param {Array} idf - Inverse document frequency of each known feature
+ * @param {number} decimals - Rounding of the weights, none by default
+ * @returns {Array} [feature indices, weights]
+ */
+const vectorOf = (counts, features, idf, decimals = null) => {
+  const parts = { w: [], c: [] };
+  for (const [feature, count] of counts) {
+    const index = features.get(feature);
+    if (index === undefined) continue;
+    parts[feature[0]].push([index, (1 + Math.log(count)) * idf[index]]);
+  }
+
+  const indices = [];
+  const weights = [];
+  for (const [kind, share] of [
+    ['w', WORD_WEIGHT],
+    ['c', 1 - WORD_WEIGHT],
+  ]) {
+    const norm = Math.sqrt(parts[kind].reduce((sum, [, weight]) => sum + weight * weight, 0));
+    if (norm === 0) continue;
+    for (const [index, weight] of parts[kind]) {
+      const value = (weight / norm) * Math.sqrt(share);
+      indices.push(index);
+      weights.push(decimals === null ? value : round(value, decimals));
+    }
+  }
+  return [indices, weights];
+};
+
+class VectorIndex {
+  /**
+   * Use VectorIndex.build or VectorIndex.fromJSON
+   * @param {object} data - { features, idf, ids, vectors, signature }
+   */
+  constructor({ features = [], idf = [], ids = [], vectors = [], signature = null } = {}) {
+    this.features = new Map(features.map((feature, index) => [feature, index]));
+    this.featureNames = features;
+    this.idf = idf;
+    this.ids = ids;
+    this.vectors = vectors;
+    this.signature = signature;
+
+    // Documents of each feature with its weight in them
+    this.postings = features.map(() => []);
+    vectors.forEach(([indices, weights], document) => {
+      indices.forEach((feature, position) =>
+        this.postings[feature].push([document, weights[position]])
+      );
+    });
+  }
+
+  /**
+   * Index documents
+   * @param {Array} documents - Documents as { id, text }
+   * @param {string} signature - Version of the documents, to tell when to rebuild
+   * @returns {VectorIndex} Index
+   */
+  static build(documents, signature = null) {
+    const counted = documents.map((document) => countsOf(featuresOf(document.text)));
+
+    // Document frequency of each feature, in order of appearance
+    const frequency = new Map();
+    for (const counts of counted) {
+      for (const feature of counts.keys()) {
+        frequency.set(feature, (frequency.get(feature) || 0) + 1);
+      }
+    }
+    const features = [...frequency.keys()];
+    const idf = features.map((feature) =>
+      round(Math.log((1 + documents.length) / (1 + frequency.get(feature))) + 1, PRECISION)
+    );
+
+    const known = new Map(features.map((feature, index) => [feature, index]));
+    return new VectorIndex({
+      features,
+      idf,
+      ids: documents.map((document) => String(document.id)),
+      vectors: counted.map((counts) => vectorOf(counts, known, idf, PRECISION)),
+      signature,
+    });
+  }
+
+  /**
+   * Index saved with toJSON
+   * @param {object} json - Saved index
+   * @returns {VectorIndex|null} Index, null when saved in another format
+   */
+  static fromJSON(json) {
+    if (!json || json.version !== VERSION) return null;
+    return new VectorIndex(json);
+  }
+
+  toJSON() {
+    return {
+      version: VERSION,
+      signature: this.signature,
+      features: this.featureNames,
+      idf: this.idf,
+      ids: this.ids,
+      vectors: this.vectors,
+    };
+  }
+
+  get size() {
+    return this.ids.length;
+  }
+
+  /**
+   * Documents most similar to a text
+   * @param {string} text - Text
+   * @param {object} options - { limit, minScore, exclude: IDs to leave out }
+   * @returns {Array} Documents as { id, score }, most similar first
+   */
+  search(text, { limit = 20, minScore = 0.1, exclude = [] } = {}) {
+    const [indices, weights] = vectorOf(countsOf(featuresOf(text)), this.features, this.idf);
+    const scores = new Map();
+    indices.forEach((feature, position) => {
+      for (const [document, weight] of this.postings[feature]) {
+        scores.set(document, (scores.get(document) || 0) + weight * weights[position]);
+      }
+    });
+
+    const excluded = new Set(exclude.map(String));
+    return [...scores]
+      .filter(([document, score]) => score >= minScore && !excluded.has(this.ids[document]))
+      .sort(([a, scoreA], [b, scoreB]) => scoreB - scoreA || a - b)
+      .slice(0, limit)
+      .map(([document, score]) => ({ id: this.ids[document], score: round(score, 3) }));
+  }
+}
+
+module.exports = {
+  VERSION,
+  WORD_WEIGHT,
+  featuresOf,
+  VectorIndex,
+};
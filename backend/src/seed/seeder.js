@@ -2,14 +2,16 @@ const fsp = require('fs').promises;
 const path = require('path');
 const User = require('../models/user');
 const Entry = require('../models/entry');
+const WordType = require('../models/wordType');
 const logger = require('../logger/logger');
 
 /**
  * Upload data from JSON file to MongoDB Atlas
  * @param {Model} model - Mongoose model
  * @param {string} fileName - JSON file name (without extension)
+ * @param {object} defaults - Values for fields the file leaves out
  */
-const AtlasUploader = async (model, fileName) => {
+const AtlasUploader = async (model, fileName, defaults = {}) => {
   try {
     const count = await model.countDocuments();
     if (count > 0) {
@@ -22,7 +24,10 @@ const AtlasUploader = async (model, fileName) => {
     const list = JSON.parse(source);
 
     if (model && model.insertMany && Array.isArray(list) && list.length > 0) {
-      await model.insertMany(list, { ordered: false });
+      await model.insertMany(
+        list.map((doc) => ({ ...defaults, ...doc })),
+        { ordered: false }
+      );
       logger.info(`Successfully seeded ${list.length} documents into ${fileName}`);
     }
   } catch (error) {
@@ -61,8 +66,12 @@ const runSeeder = async () => {
   try {
     logger.info('Starting database seeding...');
 
-    // Seed entries
-    await AtlasUploader(Entry, 'entries');
+    // Seed the word type vocabulary before the entries that reference it
+    await AtlasUploader(WordType, 'wordTypes');
+    await WordType.refreshVocabulary();
+
+    // Seed entries, the imported dictionary is reviewed content
+    await AtlasUploader(Entry, 'entries', { status: 'published' });
 
     // Seed users (with password hashing)
     const usersFilePath = path.join(__dirname, 'users.json');
@@ -95,7 +95,16 @@ if (process.env.NODE_ENV !== 'test') {
       socketTimeoutMS: process.env.DB_SOCKET_TIMEOUT_MS || 45000,
       ...(isAtlas && { retryWrites: true }),
     })
-    .then(() => logger.info(`Connected to MongoDB (${isAtlas ? 'Atlas' : 'Local'})`))
+    .then(() => {
+      logger.info(`Connected to MongoDB (${isAtlas ? 'Atlas' : 'Local'})`);
+      // Load the managed vocabularies used by entry validation and search, and the
+      // autocomplete index
+      return Promise.all([
+        require('./models/wordType').refreshVocabulary(),
+        require('./models/field').refreshTaxonomy(),
+        require('./models/entry').refreshSuggestions(),
+      ]);
+    })
     .catch((err) => {
       logger.error('MongoDB connection error:', err);
       process.exit(1);
@@ -163,6 +172,10 @@ const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 // Routes
 app.use('/health', require('./controllers/health/router'));
 app.use('/entries', require('./controllers/entry/router'));
+app.use('/word-types', require('./controllers/wordType/router'));
+app.use('/fields', require('./controllers/field/router'));
+app.use('/analytics', require('./controllers/analytics/router'));
+app.use('/synonyms', require('./controllers/synonym/router'));
 app.use('/versionhistory', require('./controllers/entry/router'));
 app.use('/contact', require('./controllers/entry/router'));
 app.use('/preface', require('./controllers/entry/router'));
@@ -1,11 +1,34 @@
 const Joi = require('joi');
+const WordType = require('../models/wordType');
+const Entry = require('../models/entry');
+const { LIKELY_DUPLICATE } = require('../search/duplicates');
 
 // Entry validation schemas
-const entrySchema = Joi.object({
-  hungarian: Joi.string().trim().min(1).max(500).required().messages({
-    'string.empty': 'Hungarian term is required',
-    'string.min': 'Hungarian term must be at least 1 character',
-    'string.max': 'Hungarian term cannot exceed 500 characters',
+const senseSchema = Joi.object({
+  _id: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Please provide a valid sense ID',
+    }),
+
+  english: Joi.array()
+    .items(
+      Joi.string().trim().min(1).max(500).messages({
+        'string.empty': 'English equivalent cannot be empty',
+        'string.max': 'English equivalent cannot exceed 500 characters',
+      })
+    )
+    .min(1)
+    .required()
+    .messages({
+      'array.base': 'English equivalents must be a list',
+      'array.min': 'Each sense needs at least one English equivalent',
+      'any.required': 'English equivalents are required',
+    }),
+
+  definition: Joi.string().trim().allow('').max(1000).optional().messages({
+    'string.max': 'Definition cannot exceed 1000 characters',
   }),
 
   fieldOfExpertise: Joi.string().trim().min(1).max(200).required().messages({
@@ -13,17 +36,124 @@ const entrySchema = Joi.object({
     'string.min': 'Field of expertise must be at least 1 character',
     'string.max': 'Field of expertise cannot exceed 200 characters',
   }),
+});
+
+// Word types are given as vocabulary codes; abbreviations and labels are accepted and mapped to codes
+const wordTypeListSchema = Joi.array()
+  .items(
+    Joi.string()
+      .trim()
+      .min(1)
+      .max(100)
+      .custom((value, helpers) => WordType.resolveCode(value) || helpers.error('any.invalid'))
+      .messages({
+        'string.empty': 'Word type cannot be empty',
+        'string.max': 'Word type cannot exceed 100 characters',
+        'any.invalid': 'Unknown word type: {#value}',
+      })
+  )
+  .single()
+  .unique()
+  .messages({
+    'array.base': 'Word types must be a list',
+    'array.unique': 'Word types must not repeat',
+  });
+
+const subdocumentIdSchema = Joi.string()
+  .pattern(/^[0-9a-fA-F]{24}$/)
+  .optional()
+  .messages({
+    'string.pattern.base': 'Please provide a valid ID',
+  });
+
+// Usage examples and source citations, stored in the given order
+const exampleSchema = Joi.object({
+  _id: subdocumentIdSchema,
+
+  hungarian: Joi.string().trim().min(1).max(1000).required().messages({
+    'string.empty': 'Hungarian example is required',
+    'string.max': 'Hungarian example cannot exceed 1000 characters',
+    'any.required': 'Hungarian example is required',
+  }),
+
+  english: Joi.string().trim().min(1).max(1000).required().messages({
+    'string.empty': 'English translation of the example is required',
+    'string.max': 'English translation of the example cannot exceed 1000 characters',
+    'any.required': 'English translation of the example is required',
+  }),
+});
+
+const sourceSchema = Joi.object({
+  _id: subdocumentIdSchema,
+
+  author: Joi.string().trim().allow('').max(300).optional().messages({
+    'string.max': 'Author cannot exceed 300 characters',
+  }),
+
+  title: Joi.string().trim().min(1).max(500).required().messages({
+    'string.empty': 'Source title is required',
+    'string.max': 'Source title cannot exceed 500 characters',
+    'any.required': 'Source title is required',
+  }),
+
+  year: Joi.number()
+    .integer()
+    .min(1000)
+    .max(new Date().getFullYear() + 1)
+    .allow(null)
+    .optional()
+    .messages({
+      'number.base': 'Year must be a number',
+      'number.integer': 'Year must be a whole number',
+      'number.min': 'Year must be 1000 or later',
+      'number.max': 'Year cannot be in the future',
+    }),
+
+  page: Joi.string().trim().allow('').max(50).optional().messages({
+    'string.max': 'Page cannot exceed 50 characters',
+  }),
+
+  url: Joi.string()
+    .trim()
+    .allow('')
+    .max(2000)
+    .uri({ scheme: ['http', 'https'] })
+    .optional()
+    .messages({
+      'string.uri': 'Source URL must be a valid http(s) address',
+      'string.uriCustomScheme': 'Source URL must be a valid http(s) address',
+      'string.max': 'Source URL cannot exceed 2000 characters',
+    }),
+});
+
+const exampleListSchema = Joi.array().items(exampleSchema).max(50).messages({
+  'array.base': 'Examples must be a list',
+  'array.max': 'An entry can have at most 50 examples',
+});
+
+const sourceListSchema = Joi.array().items(sourceSchema).max(50).messages({
+  'array.base': 'Sources must be a list',
+  'array.max': 'An entry can have at most 50 sources',
+});
 
-  wordType: Joi.string().trim().min(1).max(100).optional().messages({
-    'string.min': 'Word type must be at least 1 character',
-    'string.max': 'Word type cannot exceed 100 characters',
+const entrySchema = Joi.object({
+  hungarian: Joi.string().trim().min(1).max(500).required().messages({
+    'string.empty': 'Hungarian term is required',
+    'string.min': 'Hungarian term must be at least 1 character',
+    'string.max': 'Hungarian term cannot exceed 500 characters',
   }),
 
-  english: Joi.string().trim().min(1).max(500).required().messages({
-    'string.empty': 'English term is required',
-    'string.min': 'English term must be at least 1 character',
-    'string.max': 'English term cannot exceed 500 characters',
+  wordType: wordTypeListSchema.optional(),
+
+  senses: Joi.array().items(senseSchema).min(1).required().messages({
+    'array.base': 'Senses must be a list',
+    'array.min': 'An entry needs at least one sense',
+    'any.required': 'At least one sense is required',
   }),
+
+  examples: exampleListSchema.optional(),
+
+  sources: sourceListSchema.optional(),
 });
 
 const entryUpdateSchema = Joi.object({
@@ -32,19 +162,478 @@ const entryUpdateSchema = Joi.object({
     'string.max': 'Hungarian term cannot exceed 500 characters',
   }),
 
-  fieldOfExpertise: Joi.string().trim().min(1).max(200).optional().messages({
-    'string.min': 'Field of expertise must be at least 1 character',
-    'string.max': 'Field of expertise cannot exceed 200 characters',
+  wordType: wordTypeListSchema.optional(),
+
+  senses: Joi.array().items(senseSchema).min(1).optional().messages({
+    'array.base': 'Senses must be a list',
+    'array.min': 'An entry needs at least one sense',
+  }),
+
+  examples: exampleListSchema.optional(),
+
+  sources: sourceListSchema.optional(),
+});
+
+// Entry relation schemas
+const relationSchema = Joi.object({
+  type: Joi.string()
+    .valid(...Entry.relationTypes())
+    .required()
+    .messages({
+      'any.only': `Relation type must be one of: ${Entry.relationTypes().join(', ')}`,
+      'any.required': 'Relation type is required',
+    }),
+
+  target: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Please provide a valid target entry ID',
+      'any.required': 'Target entry is required',
+    }),
+
+  bidirectional: Joi.boolean().default(false),
+});
+
+const relationParamsSchema = Joi.object({
+  id: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Please provide a valid ID',
+    }),
+
+  relationId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Please provide a valid relation ID',
+    }),
+});
+
+// Entry revision schemas
+const revisionParamsSchema = Joi.object({
+  id: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Please provide a valid ID',
+    }),
+
+  rev: Joi.number().integer().min(1).required().messages({
+    'number.base': 'Revision must be a number',
+    'number.integer': 'Revision must be a whole number',
+    'number.min': 'Revision must be at least 1',
+  }),
+});
+
+// Editorial workflow schemas
+const entryApprovalSchema = Joi.object({
+  comment: Joi.string().trim().allow('').max(1000).optional().messages({
+    'string.max': 'Reviewer comment cannot exceed 1000 characters',
+  }),
+});
+
+const entryRejectionSchema = Joi.object({
+  reason: Joi.string().trim().min(1).max(1000).required().messages({
+    'string.empty': 'Reason of the rejection is required',
+    'string.max': 'Reason cannot exceed 1000 characters',
+    'any.required': 'Reason of the rejection is required',
+  }),
+});
+
+// Autocomplete schemas
+const suggestQuerySchema = Joi.object({
+  q: Joi.string().trim().min(1).max(100).required().messages({
+    'string.empty': 'Search prefix is required',
+    'string.max': 'Search prefix cannot exceed 100 characters',
+    'any.required': 'Search prefix is required',
+  }),
+
+  lang: Joi.string().valid('hu', 'en').optional().messages({
+    'any.only': 'Language must be hu or en',
+  }),
+
+  limit: Joi.number().integer().min(1).max(20).default(10).messages({
+    'number.base': 'Limit must be a number',
+    'number.min': 'Limit must be at least 1',
+    'number.max': 'Limit cannot exceed 20',
+  }),
+});
+
+// Browse index schemas
+const browseIndexQuerySchema = Joi.object({
+  lang: Joi.string().valid('hu', 'en').default('hu').messages({
+    'any.only': 'Language must be hu or en',
   }),
+});
+
+const browseQuerySchema = browseIndexQuerySchema.keys({
+  page: Joi.number().integer().min(1).default(1).messages({
+    'number.base': 'Page must be a number',
+    'number.min': 'Page must be at least 1',
+  }),
+
+  limit: Joi.number().integer().min(1).max(100).default(50).messages({
+    'number.base': 'Limit must be a number',
+    'number.min': 'Limit must be at least 1',
+    'number.max': 'Limit cannot exceed 100',
+  }),
+});
+
+const browseParamsSchema = Joi.object({
+  letter: Joi.string().trim().lowercase().min(1).max(3).required().messages({
+    'string.empty': 'Letter is required',
+    'string.max': 'Letter cannot exceed 3 characters',
+    'any.required': 'Letter is required',
+  }),
+});
+
+// Random entry and term of the day schemas
+const randomEntryQuerySchema = Joi.object({
+  fieldOfExpertise: Joi.string().trim().max(100).optional().messages({
+    'string.max': 'Field of expertise cannot exceed 100 characters',
+  }),
+
+  wordType: Joi.string().trim().max(50).optional().messages({
+    'string.max': 'Word type cannot exceed 50 characters',
+  }),
+});
+
+// A calendar day as YYYY-MM-DD that exists, e.g. not 2026-02-30
+const calendarDaySchema = Joi.string()
+  .pattern(/^\d{4}-\d{2}-\d{2}$/)
+  .custom((value, helpers) => {
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value)
+      ? value
+      : helpers.error('any.invalid');
+  })
+  .messages({
+    'string.pattern.base': 'Date must be a day as YYYY-MM-DD',
+    'any.invalid': 'Date must be an existing calendar day',
+  });
+
+const termOfTheDayQuerySchema = Joi.object({
+  date: calendarDaySchema.optional(),
+});
 
-  wordType: Joi.string().trim().min(1).max(100).optional().messages({
-    'string.min': 'Word type must be at least 1 character',
-    'string.max': 'Word type cannot exceed 100 characters',
+const termOfTheDayParamsSchema = Joi.object({
+  date: calendarDaySchema.required().messages({
+    'any.required': 'Date is required',
   }),
+});
+
+const termOfTheDayPinSchema = Joi.object({
+  entryId: subdocumentIdSchema.required().messages({
+    'any.required': 'Entry ID is required',
+  }),
+});
+
+// Duplicate detection schemas
+const duplicateQuerySchema = Joi.object({
+  minScore: Joi.number().min(0.1).max(1).default(LIKELY_DUPLICATE).messages({
+    'number.base': 'Minimum score must be a number',
+    'number.min': 'Minimum score must be at least 0.1',
+    'number.max': 'Minimum score cannot exceed 1',
+  }),
+
+  limit: Joi.number().integer().min(1).max(500).default(100).messages({
+    'number.base': 'Limit must be a number',
+    'number.min': 'Limit must be at least 1',
+    'number.max': 'Limit cannot exceed 500',
+  }),
+});
+
+const entryMergeSchema = Joi.object({
+  from: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.empty': 'Duplicate entry ID is required',
+      'string.pattern.base': 'Please provide a valid duplicate entry ID',
+      'any.required': 'Duplicate entry ID is required',
+    }),
+});
+
+// Similar entries schema
+const similarEntriesQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(50).default(10).messages({
+    'number.base': 'Limit must be a number',
+    'number.min': 'Limit must be at least 1',
+    'number.max': 'Limit cannot exceed 50',
+  }),
+});
+
+// Trash schemas
+const trashQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1).messages({
+    'number.base': 'Page must be a number',
+    'number.min': 'Page must be at least 1',
+  }),
+
+  limit: Joi.number().integer().min(1).max(100).default(20).messages({
+    'number.base': 'Limit must be a number',
+    'number.min': 'Limit must be at least 1',
+    'number.max': 'Limit cannot exceed 100',
+  }),
+});
+
+const trashPurgeSchema = Joi.object({
+  olderThanDays: Joi.number().integer().min(0).default(0).messages({
+    'number.base': 'Age must be a number of days',
+    'number.min': 'Age cannot be negative',
+  }),
+});
+
+// Search analytics schemas
+const searchAnalyticsQuerySchema = Joi.object({
+  days: Joi.number().integer().min(1).max(365).default(30).messages({
+    'number.base': 'Days must be a number',
+    'number.min': 'Days must be at least 1',
+    'number.max': 'Days cannot exceed 365',
+  }),
+
+  limit: Joi.number().integer().min(1).max(100).default(20).messages({
+    'number.base': 'Limit must be a number',
+    'number.min': 'Limit must be at least 1',
+    'number.max': 'Limit cannot exceed 100',
+  }),
+
+  lang: Joi.string().valid('hu', 'en').optional().messages({
+    'any.only': 'Language must be hu or en',
+  }),
+});
+
+// Hourly volume is limited to two weeks of periods
+const searchVolumeQuerySchema = Joi.object({
+  interval: Joi.string().valid('day', 'hour').default('day').messages({
+    'any.only': 'Interval must be day or hour',
+  }),
+
+  days: Joi.number()
+    .integer()
+    .min(1)
+    .max(365)
+    .default(30)
+    .when('interval', { is: 'hour', then: Joi.number().max(14) })
+    .messages({
+      'number.base': 'Days must be a number',
+      'number.min': 'Days must be at least 1',
+      'number.max': 'Days cannot exceed 365, or 14 by the hour',
+    }),
+});
+
+// Entry comment schemas
+const commentSchema = Joi.object({
+  body: Joi.string().trim().min(1).max(2000).required().messages({
+    'string.empty': 'Comment cannot be empty',
+    'string.max': 'Comment cannot exceed 2000 characters',
+    'any.required': 'Comment cannot be empty',
+  }),
+
+  parent: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .allow(null)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Please provide a valid comment ID to reply to',
+    }),
+});
+
+const commentUpdateSchema = Joi.object({
+  body: Joi.string().trim().min(1).max(2000).optional().messages({
+    'string.empty': 'Comment cannot be empty',
+    'string.max': 'Comment cannot exceed 2000 characters',
+  }),
+
+  resolved: Joi.boolean().optional(),
+})
+  .or('body', 'resolved')
+  .messages({
+    'object.missing': 'Either the text or the resolved flag of the comment is required',
+  });
+
+const commentParamsSchema = Joi.object({
+  id: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Please provide a valid ID',
+    }),
+
+  commentId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Please provide a valid comment ID',
+    }),
+});
+
+const commentQuerySchema = Joi.object({
+  resolved: Joi.boolean().optional().messages({
+    'boolean.base': 'Resolved must be true or false',
+  }),
+});
+
+// Word type vocabulary schemas
+const wordTypeSchema = Joi.object({
+  code: Joi.string()
+    .trim()
+    .lowercase()
+    .max(50)
+    .pattern(/^[a-z][a-z0-9-]*$/)
+    .required()
+    .messages({
+      'string.empty': 'Word type code is required',
+      'string.max': 'Word type code cannot exceed 50 characters',
+      'string.pattern.base': 'Word type code can only contain letters, digits and hyphens',
+    }),
+
+  labelHu: Joi.string().trim().min(1).max(100).required().messages({
+    'string.empty': 'Hungarian label is required',
+    'string.max': 'Hungarian label cannot exceed 100 characters',
+  }),
+
+  labelEn: Joi.string().trim().min(1).max(100).required().messages({
+    'string.empty': 'English label is required',
+    'string.max': 'English label cannot exceed 100 characters',
+  }),
+
+  abbreviation: Joi.string().trim().min(1).max(20).required().messages({
+    'string.empty': 'Abbreviation is required',
+    'string.max': 'Abbreviation cannot exceed 20 characters',
+  }),
+
+  sortOrder: Joi.number().integer().min(0).optional().messages({
+    'number.base': 'Sort order must be a number',
+  }),
+});
+
+// The code is the stable reference used by entries, so it cannot be changed
+const wordTypeUpdateSchema = wordTypeSchema
+  .fork(['labelHu', 'labelEn', 'abbreviation'], (schema) => schema.optional())
+  .keys({ code: Joi.forbidden() });
+
+// Synonym set schemas
+const synonymTermsSchema = Joi.array()
+  .items(
+    Joi.string().trim().min(1).max(100).messages({
+      'string.empty': 'Synonym terms cannot be empty',
+      'string.max': 'Synonym terms cannot exceed 100 characters',
+    })
+  )
+  .max(50)
+  .messages({
+    'array.base': 'Synonym terms must be a list',
+    'array.max': 'A synonym set cannot have more than 50 terms',
+  });
+
+// An equivalent set lists at least two terms, a one-way set expands its source terms
+const synonymSetSchema = Joi.object({
+  language: Joi.string().valid('hu', 'en').required().messages({
+    'any.only': 'Language must be hu or en',
+    'any.required': 'Language is required',
+  }),
+
+  type: Joi.string().valid('equivalent', 'oneWay').default('equivalent').messages({
+    'any.only': 'Type must be equivalent or oneWay',
+  }),
+
+  terms: synonymTermsSchema
+    .when('type', { is: 'oneWay', then: Joi.array().min(1), otherwise: Joi.array().min(2) })
+    .required()
+    .messages({
+      'array.min': 'An equivalent set needs two terms, a one-way set one term to expand to',
+      'any.required': 'Synonym terms are required',
+    }),
+
+  from: synonymTermsSchema
+    .when('type', { is: 'oneWay', then: Joi.array().min(1).required(), otherwise: Joi.forbidden() })
+    .messages({
+      'array.min': 'A one-way set needs at least one source term',
+      'any.required': 'A one-way set needs its source terms',
+      'any.unknown': 'Only one-way sets have source terms',
+    }),
+});
+
+const synonymSetUpdateSchema = Joi.object({
+  language: Joi.string().valid('hu', 'en').messages({
+    'any.only': 'Language must be hu or en',
+  }),
+
+  type: Joi.string().valid('equivalent', 'oneWay').messages({
+    'any.only': 'Type must be equivalent or oneWay',
+  }),
+
+  terms: synonymTermsSchema,
+
+  from: synonymTermsSchema,
+})
+  .min(1)
+  .messages({
+    'object.min': 'Nothing to update',
+  });
+
+const synonymQuerySchema = Joi.object({
+  lang: Joi.string().valid('hu', 'en').optional().messages({
+    'any.only': 'Language must be hu or en',
+  }),
+
+  type: Joi.string().valid('equivalent', 'oneWay').optional().messages({
+    'any.only': 'Type must be equivalent or oneWay',
+  }),
+
+  search: Joi.string().trim().max(100).allow('').optional().messages({
+    'string.max': 'Search cannot exceed 100 characters',
+  }),
+
+  page: Joi.number().integer().min(1).default(1).messages({
+    'number.base': 'Page must be a number',
+    'number.min': 'Page must be at least 1',
+  }),
+
+  limit: Joi.number().integer().min(1).max(100).default(20).messages({
+    'number.base': 'Limit must be a number',
+    'number.min': 'Limit must be at least 1',
+    'number.max': 'Limit cannot exceed 100',
+  }),
+});
+
+// Field of expertise taxonomy schemas
+const objectIdPattern = /^[0-9a-fA-F]{24}$/;
+
+const fieldSchema = Joi.object({
+  nameHu: Joi.string().trim().min(1).max(200).required().messages({
+    'string.empty': 'Hungarian name is required',
+    'string.max': 'Hungarian name cannot exceed 200 characters',
+  }),
+
+  nameEn: Joi.string().trim().allow('').max(200).optional().messages({
+    'string.max': 'English name cannot exceed 200 characters',
+  }),
+
+  description: Joi.string().trim().allow('').max(1000).optional().messages({
+    'string.max': 'Description cannot exceed 1000 characters',
+  }),
+
+  parent: Joi.string().pattern(objectIdPattern).allow(null).optional().messages({
+    'string.pattern.base': 'Please provide a valid parent field ID',
+  }),
+});
+
+const fieldUpdateSchema = fieldSchema
+  .fork(['nameHu'], (schema) => schema.optional())
+  .min(1)
+  .messages({
+    'object.min': 'At least one field attribute must be changed',
+  });
 
-  english: Joi.string().trim().min(1).max(500).optional().messages({
-    'string.min': 'English term must be at least 1 character',
-    'string.max': 'English term cannot exceed 500 characters',
+const fieldMergeSchema = Joi.object({
+  into: Joi.string().pattern(objectIdPattern).required().messages({
+    'string.empty': 'Target field ID is required',
+    'string.pattern.base': 'Please provide a valid target field ID',
+    'any.required': 'Target field ID is required',
   }),
 });
 
@@ -194,8 +783,43 @@ const idSchema = Joi.object({
 });
 
 module.exports = {
+  senseSchema,
+  exampleSchema,
+  sourceSchema,
   entrySchema,
   entryUpdateSchema,
+  relationSchema,
+  relationParamsSchema,
+  revisionParamsSchema,
+  entryApprovalSchema,
+  entryRejectionSchema,
+  suggestQuerySchema,
+  browseIndexQuerySchema,
+  browseQuerySchema,
+  browseParamsSchema,
+  randomEntryQuerySchema,
+  termOfTheDayQuerySchema,
+  termOfTheDayParamsSchema,
+  termOfTheDayPinSchema,
+  duplicateQuerySchema,
+  entryMergeSchema,
+  similarEntriesQuerySchema,
+  trashQuerySchema,
+  trashPurgeSchema,
+  searchAnalyticsQuerySchema,
+  searchVolumeQuerySchema,
+  commentSchema,
+  commentUpdateSchema,
+  commentParamsSchema,
+  commentQuerySchema,
+  wordTypeSchema,
+  wordTypeUpdateSchema,
+  synonymSetSchema,
+  synonymSetUpdateSchema,
+  synonymQuerySchema,
+  fieldSchema,
+  fieldUpdateSchema,
+  fieldMergeSchema,
   userSchema,
   userUpdateSchema,
   loginSchema,
@@ -0,0 +1,60 @@
+const request = require('supertest');
+const app = require('../../src/server');
+const Entry = require('../../src/models/entry');
+const jwt = require('jsonwebtoken');
+
+describe('Entry Merge Integration Tests', () => {
+  let admin;
+  let token;
+  let target;
+  let source;
+
+  beforeEach(async () => {
+    admin = await createTestUser({ email: 'admin@example.com', role: 3 });
+    token = jwt.sign(
+      {
+        email: admin.email,
+        role: admin.role,
+        userId: admin._id.toString()
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+
+    target = await createTestEntry({ hungarian: 'fonéma', english: 'phoneme' });
+    source = await createTestEntry({ hungarian: 'fonema', english: 'speech sound' });
+  });
+
+  test('should merge a duplicate and record the revisions of both entries', async () => {
+    const response = await request(app)
+      .post(`/entries/${target._id}/merge`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ from: source._id.toString() })
+      .expect(200);
+
+    expect(response.body.meta.mergedFrom).toBe(source._id.toString());
+    expect((await Entry.findById(source._id)).isActive).toBe(false);
+
+    const kept = await request(app)
+      .get(`/entries/${target._id}/revisions`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(kept.body.data[0].type).toBe('EntryMerged');
+    expect(kept.body.data[0].mergedFrom).toBe(source._id.toString());
+
+    const merged = await request(app)
+      .get(`/entries/${source._id}/revisions`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(merged.body.data[0].type).toBe('EntryDeleted');
+    expect(merged.body.data[0].mergedInto).toBe(target._id.toString());
+  });
+
+  test('should not merge an entry into itself', async () => {
+    await request(app)
+      .post(`/entries/${target._id}/merge`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ from: target._id.toString() })
+      .expect(400);
+  });
+});
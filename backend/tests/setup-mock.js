@@ -87,6 +87,7 @@ global.createTestEntry = async (entryData = {}) => {
     english: 'test word',
     fieldOfExpertise: 'informatika',
     wordType: 'főnév',
+    status: 'published',
     ...entryData
   };
 
@@ -99,6 +100,7 @@ jest.mock('../src/logger/logger', () => ({
   warn: jest.fn(),
   error: jest.fn(),
   debug: jest.fn(),
+  audit: jest.fn(),
   stream: {
     write: jest.fn()
   }
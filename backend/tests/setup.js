@@ -86,6 +86,7 @@ global.createTestEntry = async (entryData = {}) => {
     english: 'test word',
     fieldOfExpertise: 'informatika',
     wordType: 'főnév',
+    status: 'published',
     ...entryData
   };
 
@@ -100,6 +101,8 @@ jest.mock('../src/logger/logger', () => ({
   warn: jest.fn(),
   error: jest.fn(),
   debug: jest.fn(),
+  audit: jest.fn(),
+  performance: jest.fn(),
   logError: jest.fn(),
   stream: {
     write: jest.fn()
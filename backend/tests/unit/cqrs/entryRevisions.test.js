@@ -0,0 +1,108 @@
+const Entry = require('../../../src/models/entry');
+const NotificationService = require('../../../src/realtime/NotificationService');
+const { eventStore } = require('../../../src/cqrs/events/EventStore');
+const {
+  snapshotOf,
+  diffSnapshots,
+  recordRevision,
+  getRevisions,
+  getRevisionEvent,
+} = require('../../../src/cqrs/events/entryRevisions');
+
+describe('Entry revisions', () => {
+  const entry = new Entry({
+    hungarian: 'fonéma',
+    wordType: ['noun'],
+    senses: [{ english: ['phoneme'], fieldOfExpertise: 'hangtan' }],
+  });
+
+  test('should snapshot the recorded fields only', () => {
+    const snapshot = snapshotOf(entry);
+
+    expect(Object.keys(snapshot).sort()).toEqual(
+      ['examples', 'hungarian', 'isActive', 'senses', 'sources', 'status', 'wordType'].sort()
+    );
+    expect(snapshot.senses[0]._id).toBe(String(entry.senses[0]._id));
+    expect(snapshotOf(null)).toBeNull();
+  });
+
+  test('should list only the changed fields', () => {
+    const before = snapshotOf(entry);
+    const after = { ...before, hungarian: 'fonémák', wordType: ['noun', 'adjective'] };
+
+    expect(diffSnapshots(before, after)).toEqual([
+      { field: 'hungarian', before: 'fonéma', after: 'fonémák' },
+      { field: 'wordType', before: ['noun'], after: ['noun', 'adjective'] },
+    ]);
+    expect(diffSnapshots(before, { ...before })).toEqual([]);
+  });
+
+  test('should diff a created entry against nothing', () => {
+    const changes = diffSnapshots(null, snapshotOf(entry));
+
+    expect(changes.find((change) => change.field === 'hungarian')).toEqual({
+      field: 'hungarian',
+      before: null,
+      after: 'fonéma',
+    });
+  });
+});
+
+describe('Recorded entry revisions', () => {
+  const editor = { userId: null, email: 'editor@example.com' };
+
+  test('should store a revision and read it back', async () => {
+    const stored = await createTestEntry({ hungarian: 'fonéma' });
+    const before = snapshotOf(stored);
+    const after = { ...before, hungarian: 'fonémák' };
+
+    const recorded = await recordRevision({
+      eventType: 'EntryUpdated',
+      entry: stored,
+      before,
+      after,
+      user: editor,
+    });
+    const [revision] = await getRevisions(stored._id);
+
+    expect(recorded).toBe(true);
+    expect(revision.revision).toBe(1);
+    expect(revision.type).toBe('EntryUpdated');
+    expect(revision.author.name).toBe('editor@example.com');
+    expect(revision.changes).toEqual([{ field: 'hungarian', before: 'fonéma', after: 'fonémák' }]);
+    expect((await getRevisionEvent(stored._id, 1)).eventData.after.hungarian).toBe('fonémák');
+  });
+
+  test('should notify the author when an entry is approved', async () => {
+    jest
+      .spyOn(NotificationService.prototype, 'startDeliveryProcessor')
+      .mockImplementation(() => {});
+    const notifications = new NotificationService(null);
+    const sendNotification = jest
+      .spyOn(notifications, 'sendNotification')
+      .mockResolvedValue('notification-id');
+    const author = await createTestUser();
+    const stored = await createTestEntry({ createdBy: author._id, status: 'in_review' });
+
+    try {
+      await recordRevision({
+        eventType: 'EntryApproved',
+        entry: stored,
+        before: snapshotOf(stored),
+        after: { ...snapshotOf(stored), status: 'approved' },
+        user: editor,
+        details: { approver: { userId: null, name: editor.email } },
+      });
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(sendNotification).toHaveBeenCalledWith(
+        expect.objectContaining({
+          template: 'entry_approved',
+          recipients: [{ userId: String(author._id) }],
+        })
+      );
+    } finally {
+      eventStore.removeAllListeners('eventAppended');
+    }
+  });
+});
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { foldEntries } = require('../../../src/migrations/001-multi-sense-entries');
+
+const row = (data) => ({ _id: new mongoose.Types.ObjectId(), views: 0, ...data });
+
+describe('Migration 001 - multi-sense entries', () => {
+  test('should group rows sharing the same headword into one entry', () => {
+    const first = row({
+      hungarian: 'a kötetben közölt írások jegyzéke',
+      english: 'list of contributions',
+      fieldOfExpertise: 'szerkesztői-kiadói ismeretek',
+      wordType: 'fn',
+      views: 3,
+    });
+    const second = row({
+      hungarian: 'a kötetben közölt írások jegyzéke ',
+      english: 'table of contents',
+      fieldOfExpertise: 'szerkesztői-kiadói ismeretek',
+      wordType: 'fn',
+      views: 2,
+    });
+
+    const folds = foldEntries([first, second]);
+
+    expect(folds).toHaveLength(1);
+    expect(folds[0].keeperId).toBe(first._id);
+    expect(folds[0].foldedIds).toEqual([second._id]);
+    expect(folds[0].update.senses).toHaveLength(1);
+    expect(folds[0].update.senses[0].english).toEqual([
+      'list of contributions',
+      'table of contents',
+    ]);
+    expect(folds[0].update.views).toBe(5);
+  });
+
+  test('should create a separate sense per field of expertise', () => {
+    const folds = foldEntries([
+      row({ hungarian: 'hang', english: 'sound', fieldOfExpertise: 'hangtan' }),
+      row({ hungarian: 'hang', english: 'voice', fieldOfExpertise: 'mondattan' }),
+    ]);
+
+    expect(folds[0].update.senses.map((s) => s.fieldOfExpertise)).toEqual([
+      'hangtan',
+      'mondattan',
+    ]);
+    expect(folds[0].update.english).toBe('sound; voice');
+    expect(folds[0].update.fieldOfExpertise).toBe('hangtan');
+  });
+
+  test('should keep distinct headwords apart and drop duplicate equivalents', () => {
+    const folds = foldEntries([
+      row({ hungarian: 'hang', english: 'sound', fieldOfExpertise: 'hangtan' }),
+      row({ hungarian: 'hang', english: 'sound', fieldOfExpertise: 'hangtan' }),
+      row({ hungarian: 'hangtan', english: 'phonetics', fieldOfExpertise: 'hangtan' }),
+    ]);
+
+    expect(folds).toHaveLength(2);
+    expect(folds[0].update.senses[0].english).toEqual(['sound']);
+    expect(folds[1].foldedIds).toEqual([]);
+  });
+});
@@ -0,0 +1,34 @@
+const {
+  buildLookup,
+  normalizeWordType,
+} = require('../../../src/migrations/002-word-type-vocabulary');
+const defaultWordTypes = require('../../../src/seed/wordTypes.json');
+
+describe('Migration 002 - word type vocabulary', () => {
+  const lookup = buildLookup(defaultWordTypes);
+
+  test('should map abbreviations to codes', () => {
+    expect(normalizeWordType('fn', lookup).codes).toEqual(['noun']);
+    expect(normalizeWordType('hsz', lookup).codes).toEqual(['adverb']);
+    expect(normalizeWordType('tagadószó', lookup).codes).toEqual(['negation']);
+  });
+
+  test('should split combined values and keep their order', () => {
+    expect(normalizeWordType('fn, mn', lookup).codes).toEqual(['noun', 'adjective']);
+    expect(normalizeWordType('mn, fn', lookup).codes).toEqual(['adjective', 'noun']);
+  });
+
+  test('should fix the known misspellings', () => {
+    expect(normalizeWordType('előptag', lookup).codes).toEqual(['prefix']);
+    expect(normalizeWordType('m', lookup).codes).toEqual(['adjective']);
+  });
+
+  test('should treat empty placeholders as no word type', () => {
+    expect(normalizeWordType('', lookup)).toEqual({ codes: [], unknown: [] });
+    expect(normalizeWordType('None', lookup)).toEqual({ codes: [], unknown: [] });
+  });
+
+  test('should report parts that cannot be mapped', () => {
+    expect(normalizeWordType('fn, xyz', lookup)).toEqual({ codes: ['noun'], unknown: ['xyz'] });
+  });
+});
@@ -0,0 +1,26 @@
+const { flattenTree, aliases } = require('../../../src/migrations/003-field-taxonomy');
+const fieldTree = require('../../../src/seed/fields.json');
+
+describe('Migration 003 - field taxonomy', () => {
+  const fields = flattenTree(fieldTree);
+
+  test('should list parents before their children', () => {
+    const seen = new Set();
+    for (const field of fields) {
+      expect(field.path.every((name) => seen.has(name))).toBe(true);
+      seen.add(field.nameHu);
+    }
+  });
+
+  test('should give every field a unique Hungarian name', () => {
+    const names = fields.map((field) => field.nameHu);
+    expect(new Set(names).size).toBe(names.length);
+  });
+
+  test('should map every spelling variant to a field of the tree', () => {
+    const names = new Set(fields.map((field) => field.nameHu));
+    for (const target of Object.values(aliases)) {
+      expect(names.has(target)).toBe(true);
+    }
+  });
+});
@@ -0,0 +1,47 @@
+const Comment = require('../../../src/models/comment');
+
+describe('Comment Model', () => {
+  describe('Mentions', () => {
+    test('should find handles and full addresses', () => {
+      expect(
+        Comment.mentionHandles('@Anna.Kovacs szerint jó, de kérdezd meg @bela@example.com-ot.')
+      ).toEqual(['anna.kovacs', 'bela@example.com']);
+    });
+
+    test('should ignore e-mail addresses and repeated mentions', () => {
+      expect(Comment.mentionHandles('írj a info@example.com címre, @anna és @anna.')).toEqual([
+        'anna',
+      ]);
+      expect(Comment.mentionHandles('')).toEqual([]);
+    });
+  });
+
+  describe('Threads', () => {
+    test('should group replies below the comment opening the thread', async () => {
+      const user = await createTestUser({ role: 2 });
+      const entry = await createTestEntry();
+
+      const opening = await Comment.create({ entry: entry._id, body: 'Kérdés', author: user._id });
+      await Comment.create({
+        entry: entry._id,
+        parent: opening._id,
+        body: 'Válasz',
+        author: user._id,
+      });
+      await Comment.create({
+        entry: entry._id,
+        body: 'Lezárt',
+        author: user._id,
+        resolved: true,
+      });
+
+      const threads = await Comment.getThreads(entry._id);
+      expect(threads.map((thread) => thread.body)).toEqual(['Kérdés', 'Lezárt']);
+      expect(threads[0].replies.map((reply) => reply.body)).toEqual(['Válasz']);
+      expect(threads[0].author.email).toBe('test@example.com');
+
+      const open = await Comment.getThreads(entry._id, { resolved: false });
+      expect(open).toHaveLength(1);
+    });
+  });
+});
@@ -1,4 +1,6 @@
 const Entry = require('../../../src/models/entry');
+const { sweepTrash, TRASH_RETENTION_DAYS } = require('../../../src/jobs/trashRetention');
+const { parseQuery } = require('../../../src/search/querySyntax');
 
 describe('Entry Model', () => {
   describe('Entry Creation', () => {
@@ -17,7 +19,7 @@ describe('Entry Model', () => {
       expect(savedEntry.hungarian).toBe(entryData.hungarian);
       expect(savedEntry.english).toBe(entryData.english);
       expect(savedEntry.fieldOfExpertise).toBe(entryData.fieldOfExpertise);
-      expect(savedEntry.wordType).toBe(entryData.wordType);
+      expect(savedEntry.wordType).toEqual(['noun']);
       expect(savedEntry.isActive).toBe(true);
       expect(savedEntry.views).toBe(0);
       expect(savedEntry.createdAt).toBeDefined();
@@ -69,7 +71,7 @@ describe('Entry Model', () => {
       expect(savedEntry.hungarian).toBe('fonéma');
       expect(savedEntry.english).toBe('phoneme');
       expect(savedEntry.fieldOfExpertise).toBe('phonology');
-      expect(savedEntry.wordType).toBe('noun');
+      expect(savedEntry.wordType).toEqual(['noun']);
     });
 
     test('should enforce maxlength on hungarian field', async () => {
@@ -83,6 +85,298 @@ describe('Entry Model', () => {
     });
   });
 
+  describe('Entry Senses', () => {
+    test('should fold legacy flat fields into a single sense', async () => {
+      const entry = await createTestEntry({
+        hungarian: 'hang',
+        english: 'sound',
+        fieldOfExpertise: 'hangtan',
+      });
+
+      expect(entry.senses).toHaveLength(1);
+      expect([...entry.senses[0].english]).toEqual(['sound']);
+      expect(entry.senses[0].fieldOfExpertise).toBe('hangtan');
+    });
+
+    test('should derive summary fields from multiple senses', async () => {
+      const entry = new Entry({
+        hungarian: 'hang',
+        senses: [
+          { english: ['sound', 'phone'], fieldOfExpertise: 'hangtan' },
+          { english: ['voice'], definition: 'grammatical voice', fieldOfExpertise: 'mondattan' },
+        ],
+      });
+      const saved = await entry.save();
+
+      expect(saved.english).toBe('sound; phone; voice');
+      expect(saved.fieldOfExpertise).toBe('hangtan');
+      expect(saved.senses[1].definition).toBe('grammatical voice');
+    });
+
+    test('should fail when a sense has no English equivalent', async () => {
+      const entry = new Entry({
+        hungarian: 'hang',
+        senses: [{ english: [], fieldOfExpertise: 'hangtan' }],
+      });
+
+      await expect(entry.save()).rejects.toThrow();
+    });
+
+    test('should refresh summary fields when senses are updated', async () => {
+      const entry = await createTestEntry({ hungarian: 'hang', english: 'sound' });
+
+      const updated = await Entry.findOneAndUpdate(
+        { _id: entry._id },
+        { senses: [{ english: ['voice'], fieldOfExpertise: 'mondattan' }] },
+        { new: true }
+      );
+
+      expect(updated.english).toBe('voice');
+      expect(updated.fieldOfExpertise).toBe('mondattan');
+    });
+
+    test('should match secondary senses when filtering by field', async () => {
+      await createTestEntry({
+        hungarian: 'hang',
+        senses: [
+          { english: ['sound'], fieldOfExpertise: 'hangtan' },
+          { english: ['voice'], fieldOfExpertise: 'mondattan' },
+        ],
+      });
+
+      const { query } = Entry.searchEntries('', { fieldOfExpertise: 'mondattan' });
+      const results = await query;
+
+      expect(results).toHaveLength(1);
+      expect(results[0].senses).toHaveLength(2);
+    });
+  });
+
+  describe('Entry Word Types', () => {
+    test('should store abbreviations and labels as vocabulary codes', async () => {
+      const entry = await createTestEntry({ wordType: 'fn, mn' });
+      const labelled = await createTestEntry({ hungarian: 'fut', wordType: ['ige', 'Főnév'] });
+
+      expect([...entry.wordType]).toEqual(['noun', 'adjective']);
+      expect([...labelled.wordType]).toEqual(['verb', 'noun']);
+    });
+
+    test('should reject word types outside the vocabulary', async () => {
+      const entry = new Entry({
+        hungarian: 'hang',
+        english: 'sound',
+        fieldOfExpertise: 'hangtan',
+        wordType: 'nn',
+      });
+
+      await expect(entry.save()).rejects.toThrow('Unknown word type');
+    });
+
+    test('should normalize word types in updates', async () => {
+      const entry = await createTestEntry();
+
+      const updated = await Entry.findOneAndUpdate(
+        { _id: entry._id },
+        { $set: { wordType: ['mn'] } },
+        { new: true, runValidators: true }
+      );
+
+      expect([...updated.wordType]).toEqual(['adjective']);
+    });
+
+    test('should filter by any word type of an entry', async () => {
+      await createTestEntry({ hungarian: 'kék', wordType: ['adjective', 'noun'] });
+      await createTestEntry({ hungarian: 'fut', wordType: ['verb'] });
+
+      const { query } = Entry.searchEntries('', { wordType: 'melléknév' });
+      const results = await query;
+
+      expect(results).toHaveLength(1);
+      expect(results[0].hungarian).toBe('kék');
+    });
+
+    test('should report labelled word type counts in statistics', async () => {
+      await createTestEntry({ hungarian: 'kék', wordType: ['adjective', 'noun'] });
+      await createTestEntry({ hungarian: 'fut', wordType: ['verb'] });
+
+      const stats = await Entry.getStatistics();
+
+      expect(stats.totalWordTypes).toBe(3);
+      expect(stats.wordTypes).toContainEqual({
+        code: 'adjective',
+        labelHu: 'melléknév',
+        labelEn: 'adjective',
+        abbreviation: 'mn',
+        count: 1,
+      });
+    });
+  });
+
+  describe('Entry Examples and Sources', () => {
+    test('should default to empty lists', async () => {
+      const entry = await createTestEntry();
+
+      expect(entry.examples).toEqual([]);
+      expect(entry.sources).toEqual([]);
+    });
+
+    test('should keep examples and sources in the given order', async () => {
+      const entry = await createTestEntry({
+        examples: [
+          { hungarian: 'A fonéma a legkisebb egység.', english: 'The phoneme is the smallest unit.' },
+          { hungarian: 'Két fonéma különbözik.', english: 'Two phonemes differ.' },
+        ],
+        sources: [
+          { author: 'Kiefer Ferenc', title: 'Strukturális magyar nyelvtan', year: 1994, page: '12' },
+          { title: 'Nyelvészeti lexikon', url: 'https://example.org/lexikon' },
+        ],
+      });
+      const saved = await Entry.findById(entry._id).lean();
+
+      expect(saved.examples.map((example) => example.english)).toEqual([
+        'The phoneme is the smallest unit.',
+        'Two phonemes differ.',
+      ]);
+      expect(saved.sources[0]).toMatchObject({ author: 'Kiefer Ferenc', year: 1994, page: '12' });
+      expect(saved.sources[1].title).toBe('Nyelvészeti lexikon');
+    });
+
+    test('should require both sides of an example', async () => {
+      await expect(
+        createTestEntry({ examples: [{ hungarian: 'Csak magyarul.' }] })
+      ).rejects.toThrow();
+    });
+
+    test('should reject sources without a title or with a non-http URL', async () => {
+      await expect(createTestEntry({ sources: [{ author: 'Névtelen' }] })).rejects.toThrow();
+      await expect(
+        createTestEntry({ sources: [{ title: 'Kézirat', url: 'ftp://example.org/a' }] })
+      ).rejects.toThrow('http(s)');
+    });
+  });
+
+  describe('Entry Workflow', () => {
+    test('should start new entries as drafts', async () => {
+      const entry = await new Entry({
+        hungarian: 'vázlat',
+        senses: [{ english: ['draft'], fieldOfExpertise: 'lexikográfia' }],
+      }).save();
+
+      expect(entry.status).toBe('draft');
+    });
+
+    test('should move an entry through review to published', async () => {
+      const entry = await createTestEntry({ status: 'draft' });
+
+      await Entry.changeStatus(entry._id, 'submit');
+      await Entry.changeStatus(entry._id, 'approve', { review: { comment: 'Rendben.' } });
+      const published = await Entry.changeStatus(entry._id, 'publish');
+
+      expect(published.status).toBe('published');
+      expect(published.review.comment).toBe('Rendben.');
+    });
+
+    test('should refuse transitions from the wrong status', async () => {
+      const entry = await createTestEntry({ status: 'draft' });
+
+      expect(await Entry.changeStatus(entry._id, 'approve')).toBeNull();
+      expect(await Entry.changeStatus(entry._id, 'publish')).toBeNull();
+    });
+
+    test('should allow resubmitting a rejected entry', async () => {
+      const entry = await createTestEntry({ status: 'in_review' });
+
+      await Entry.changeStatus(entry._id, 'reject', { review: { reason: 'Hiányos.' } });
+      const resubmitted = await Entry.changeStatus(entry._id, 'submit');
+
+      expect(resubmitted.status).toBe('in_review');
+    });
+
+    test('should only find published entries in public searches', async () => {
+      await createTestEntry({ hungarian: 'közzétett' });
+      await createTestEntry({ hungarian: 'piszkozat', status: 'draft' });
+
+      const publicResults = await Entry.searchEntries('', {}).query;
+      const draftResults = await Entry.searchEntries('', { status: 'draft' }).query;
+      const allResults = await Entry.searchEntries('', { status: 'all' }).query;
+
+      expect(publicResults.map((entry) => entry.hungarian)).toEqual(['közzétett']);
+      expect(draftResults.map((entry) => entry.hungarian)).toEqual(['piszkozat']);
+      expect(allResults).toHaveLength(2);
+    });
+  });
+
+  describe('Entry Relations', () => {
+    let hangtan;
+    let fonetika;
+
+    beforeEach(async () => {
+      hangtan = await createTestEntry({ hungarian: 'hangtan', english: 'phonology' });
+      fonetika = await createTestEntry({ hungarian: 'fonetika', english: 'phonetics' });
+    });
+
+    test('should add the inverse link for bidirectional relations', async () => {
+      const result = await Entry.addRelation(
+        hangtan._id,
+        { type: 'narrower', target: fonetika._id },
+        true
+      );
+      const target = await Entry.findById(fonetika._id);
+
+      expect(result).toEqual({ added: true, inverseAdded: true });
+      expect(target.relations).toHaveLength(1);
+      expect(target.relations[0].type).toBe('broader');
+      expect(String(target.relations[0].target)).toBe(String(hangtan._id));
+    });
+
+    test('should not add the same relation twice', async () => {
+      await Entry.addRelation(hangtan._id, { type: 'seeAlso', target: fonetika._id });
+      const again = await Entry.addRelation(hangtan._id, { type: 'seeAlso', target: fonetika._id });
+      const source = await Entry.findById(hangtan._id);
+
+      expect(again.added).toBe(false);
+      expect(source.relations).toHaveLength(1);
+    });
+
+    test('should remove a relation together with its inverse', async () => {
+      await Entry.addRelation(hangtan._id, { type: 'synonym', target: fonetika._id }, true);
+      const { relations } = await Entry.findById(hangtan._id);
+
+      const removed = await Entry.removeRelation(hangtan._id, relations[0]._id);
+      const [source, target] = await Promise.all([
+        Entry.findById(hangtan._id),
+        Entry.findById(fonetika._id),
+      ]);
+
+      expect(removed.type).toBe('synonym');
+      expect(source.relations).toHaveLength(0);
+      expect(target.relations).toHaveLength(0);
+    });
+
+    test('should group related entries by type and skip inactive ones', async () => {
+      const inactive = await createTestEntry({ hungarian: 'régi', english: 'old', isActive: false });
+      await Entry.addRelation(hangtan._id, { type: 'narrower', target: fonetika._id });
+      await Entry.addRelation(hangtan._id, { type: 'seeAlso', target: inactive._id });
+      const { relations } = await Entry.findById(hangtan._id).lean();
+
+      const related = await Entry.getRelated(relations);
+
+      expect(Object.keys(related)).toEqual(['narrower']);
+      expect(related.narrower[0].hungarian).toBe('fonetika');
+      expect(related.narrower[0].relationId).toBeDefined();
+    });
+
+    test('should remove and report links to deleted entries', async () => {
+      await Entry.addRelation(hangtan._id, { type: 'narrower', target: fonetika._id }, true);
+
+      const unlinked = await Entry.removeRelationsTo([fonetika._id]);
+      const source = await Entry.findById(hangtan._id);
+
+      expect(unlinked.map((entry) => entry.hungarian)).toEqual(['hangtan']);
+      expect(source.relations).toHaveLength(0);
+    });
+  });
+
   describe('Entry Instance Methods', () => {
     let entry;
 
@@ -112,7 +406,7 @@ describe('Entry Model', () => {
       expect(searchResult.hungarian).toBe('morfém');
       expect(searchResult.english).toBe('morpheme');
       expect(searchResult.fieldOfExpertise).toBe('morphology');
-      expect(searchResult.wordType).toBe('noun');
+      expect(searchResult.wordType).toEqual(['noun']);
       expect(searchResult.views).toBeDefined();
       expect(searchResult.createdAt).toBeDefined();
       expect(searchResult.password).toBeUndefined();
@@ -228,6 +522,280 @@ describe('Entry Model', () => {
       expect(results[0].hungarian.localeCompare(results[1].hungarian)).toBeLessThanOrEqual(0);
     });
 
+    test('should sort in Hungarian alphabetical order', async () => {
+      for (const hungarian of ['zab', 'csont', 'ár', 'cukor']) {
+        await createTestEntry({ hungarian, english: hungarian, fieldOfExpertise: 'general' });
+      }
+      await Entry.findOneAndUpdate({ hungarian: 'szintaxis' }, { hungarian: 'ászok' });
+
+      const { query } = Entry.searchEntries('', { sortBy: 'alphabetical', limit: 10 });
+      const results = await query;
+
+      expect(results.map(e => e.hungarian)).toEqual([
+        'ár',
+        'ászok',
+        'cukor',
+        'csont',
+        'fonéma',
+        'morfém',
+        'zab',
+      ]);
+    });
+
+    test('should match headwords regardless of accents and case', async () => {
+      await createTestEntry({ hungarian: 'beszéd', english: 'speech', fieldOfExpertise: 'general' });
+      await createTestEntry({ hungarian: 'beszed', english: 'collects', fieldOfExpertise: 'general' });
+
+      for (const term of ['beszed', 'beszéd', 'BESZÉD']) {
+        const { countQuery } = Entry.searchEntries(term);
+        expect(await countQuery).toBe(2);
+      }
+
+      const { query } = Entry.searchEntries('BESZÉD');
+      const results = await query;
+      expect(results.map(e => e.hungarian)).toEqual(['beszéd', 'beszed']);
+    });
+
+    test('should find the dictionary form of inflected searches and flag it', async () => {
+      await createTestEntry({ hungarian: 'mondat', english: 'sentence', fieldOfExpertise: 'syntax' });
+      await createTestEntry({ hungarian: 'mondatokban', english: 'in sentences', fieldOfExpertise: 'syntax' });
+
+      const { query } = Entry.searchEntries('mondatokban');
+      const results = await query;
+
+      expect(results.map(e => [e.hungarian, e.matchType])).toEqual([
+        ['mondatokban', 'exact'],
+        ['mondat', 'lemma'],
+      ]);
+    });
+
+    test('should rank by relevance score and explain it', async () => {
+      for (const hungarian of ['nyelvtan', 'nyelv', 'magyar nyelv', 'anyanyelv']) {
+        await createTestEntry({ hungarian, english: 'language', fieldOfExpertise: 'general' });
+      }
+
+      const { query } = Entry.searchEntries('nyelv', { explain: true });
+      const results = await query;
+
+      expect(results.map(e => e.hungarian)).toEqual([
+        'nyelv',
+        'nyelvtan',
+        'magyar nyelv',
+        'anyanyelv',
+      ]);
+      expect(results.map(e => e.score)).toEqual([10, 7.5, 5, 2.5]);
+      expect(results[1].explanation).toEqual({
+        hungarian: { match: 'prefix', points: 7.5 },
+        english: { match: 'none', points: 0 },
+        views: 0,
+      });
+    });
+
+    test('should search both languages and tell the direction', async () => {
+      await createTestEntry({ hungarian: 'beszédhang', english: 'speech sound', fieldOfExpertise: 'phonetics' });
+
+      const english = Entry.searchEntries('speech');
+      expect(english.direction).toBe('en-hu');
+      expect((await english.query).map(e => [e.hungarian, e.matchType])).toEqual([['beszédhang', undefined]]);
+
+      const hungarian = Entry.searchEntries('beszedhang');
+      expect(hungarian.direction).toBe('hu-en');
+      expect((await hungarian.query).map(e => e.hungarian)).toEqual(['beszédhang']);
+
+      expect(Entry.searchEntries('sound', { language: 'hu' }).direction).toBe('hu-en');
+      expect(await Entry.searchEntries('phonetics').countQuery).toBe(0);
+      expect(await Entry.searchEntries('phonetics', { scope: 'all' }).countQuery).toBe(1);
+    });
+
+    test('should narrow searches with a query in the search syntax', async () => {
+      await createTestEntry({ hungarian: 'beszédhang', english: 'speech sound', fieldOfExpertise: 'phonetics' });
+      await createTestEntry({ hungarian: 'beszédtempó', english: 'speech rate', fieldOfExpertise: 'phonetics' });
+      await createTestEntry({ hungarian: 'beszédaktus', english: 'speech act', fieldOfExpertise: 'pragmatics' });
+
+      const search = (text) =>
+        Entry.searchEntries(null, { advanced: parseQuery(text), sortBy: 'alphabetical' }).query;
+
+      expect((await search('hungarian:"beszed*" field:phonetics -english:rate')).map(e => e.hungarian))
+        .toEqual(['beszédhang']);
+      expect((await search('en:act OR hu:*tempo')).map(e => e.hungarian)).toEqual(['beszédaktus', 'beszédtempó']);
+      expect(await Entry.searchEntries(null, { advanced: parseQuery('hu:"beszed.*"') }).countQuery).toBe(0);
+    });
+
+    test('should count combinable facets of the results', async () => {
+      await createTestEntry({ hungarian: 'hangsúly', english: 'stress', fieldOfExpertise: 'hangtan', wordType: 'fn' });
+      await createTestEntry({ hungarian: 'hangos', english: 'voiced', fieldOfExpertise: 'hangtan', wordType: 'mn' });
+      await createTestEntry({
+        hungarian: 'hangutánzó',
+        wordType: 'mn',
+        senses: [
+          { english: ['onomatopoeic'], fieldOfExpertise: 'szótan' },
+          { english: ['imitative'], fieldOfExpertise: 'hangtan' },
+        ],
+      });
+
+      const search = (facetFilters) => Entry.searchEntries('hang', { facets: true, facetFilters });
+
+      const all = search({});
+      expect(await all.countQuery).toBe(3);
+      expect(await all.facetQuery).toEqual({
+        fieldOfExpertise: [
+          { value: 'hangtan', count: 3, selected: false },
+          { value: 'szótan', count: 1, selected: false },
+        ],
+        wordType: [
+          { value: 'adjective', count: 2, selected: false },
+          { value: 'noun', count: 1, selected: false },
+        ],
+      });
+
+      const adjectives = search({ wordType: ['adjective'], fieldOfExpertise: ['mondattan'] });
+      expect(await adjectives.countQuery).toBe(0);
+      expect(await adjectives.facetQuery).toEqual({
+        fieldOfExpertise: [
+          { value: 'hangtan', count: 2, selected: false },
+          { value: 'szótan', count: 1, selected: false },
+          { value: 'mondattan', count: 0, selected: true },
+        ],
+        wordType: [{ value: 'adjective', count: 0, selected: true }],
+      });
+      expect(Entry.searchEntries('hang').facetQuery).toBeNull();
+    });
+
+    test('should keep the autocomplete index in step with entry changes', async () => {
+      await Entry.refreshSuggestions();
+      expect(Entry.suggest('fone').map(s => s.term)).toEqual(['fonéma']);
+
+      const entry = await createTestEntry({ hungarian: 'fonetika', english: 'phonetics', fieldOfExpertise: 'general' });
+      expect(Entry.suggest('fone', { language: 'hu' }).map(s => s.term)).toEqual(['fonéma', 'fonetika']);
+
+      await Entry.findOneAndUpdate({ _id: entry._id }, { status: 'draft' });
+      expect(Entry.suggest('phonet')).toEqual([]);
+
+      await Entry.updateMany({ hungarian: 'fonéma' }, { isActive: false });
+      expect(Entry.suggest('fone')).toEqual([]);
+    });
+
+    test('should keep the folded headword in sync on updates', async () => {
+      await Entry.updateMany({ hungarian: 'fonéma' }, { hungarian: 'Fónéma' });
+
+      const entry = await Entry.findOne({ hungarian: 'Fónéma' }).select('+hungarianFolded');
+      expect(entry.hungarianFolded).toBe('fonema');
+    });
+
+    test('should page by cursor without shifting when entries are added', async () => {
+      await createTestEntry({ hungarian: 'zönge', english: 'voicing', fieldOfExpertise: 'phonology' });
+
+      const page = async (options) => {
+        const { query, cursorsOf } = Entry.searchEntries('', { sortBy: 'alphabetical', limit: 2, ...options });
+        const results = await query;
+        return { headwords: results.map(e => e.hungarian), ...cursorsOf(results) };
+      };
+
+      const first = await page({});
+      expect(first.headwords).toEqual(['fonéma', 'morfém']);
+      expect(first.previous).toBeNull();
+
+      // An entry added before the cursor does not push the next page along
+      await createTestEntry({ hungarian: 'alaktan', english: 'morphology', fieldOfExpertise: 'general' });
+
+      const second = await page({ after: first.next });
+      expect(second.headwords).toEqual(['szintaxis', 'zönge']);
+
+      const back = await page({ before: second.previous });
+      expect(back.headwords).toEqual(['fonéma', 'morfém']);
+      expect((await page({ before: back.previous })).headwords).toEqual(['alaktan']);
+
+      expect(() => Entry.searchEntries('', { sortBy: 'newest', after: first.next })).toThrow(
+        'Cursor of another sort order'
+      );
+    });
+
+    test('should page popular entries by cursor', async () => {
+      const first = Entry.listingPage('popular', { limit: 2 });
+      const results = await first.query;
+      const { next } = first.cursorsOf(results);
+
+      expect(results.map(e => e.views)).toEqual([100, 50]);
+      expect((await Entry.listingPage('popular', { limit: 2, after: next }).query).map(e => e.views)).toEqual([25]);
+    });
+
+    test('should browse headwords by Hungarian letter, digraphs apart', async () => {
+      await createTestEntry({ hungarian: 'cukor', english: 'sugar' });
+      await createTestEntry({ hungarian: 'csak', english: 'only' });
+      await createTestEntry({ hungarian: 'Cél', english: 'Target' });
+
+      const c = await Entry.browse('c', { limit: 1 });
+      expect(c.data.map(e => e.term)).toEqual(['Cél']);
+      expect(c.total).toBe(2);
+      expect((await Entry.browse('cs')).data.map(e => e.term)).toEqual(['csak']);
+
+      const { letters, other } = await Entry.letterCounts('hu');
+      expect(letters.find(({ letter }) => letter === 'cs').count).toBe(1);
+      expect(letters).toHaveLength(Entry.browseLetters('hu').length);
+      expect(other).toBe(0);
+    });
+
+    test('should browse English equivalents by letter', async () => {
+      await createTestEntry({ hungarian: 'cél', english: 'Target' });
+
+      const t = await Entry.browse('t', { language: 'en' });
+      expect(t.data.map(e => [e.term, e.hungarian])).toEqual([['Target', 'cél']]);
+      expect((await Entry.letterCounts('en')).letters.find(({ letter }) => letter === 't').count).toBe(1);
+    });
+
+    test('should find the entries of synonyms after the direct matches', async () => {
+      const expansions = [{ text: 'mondattan', language: 'hu' }, { text: 'phoneme', language: 'en' }];
+      await createTestEntry({ hungarian: 'mondattan', english: 'sentence structure', views: 0 });
+
+      const results = await Entry.searchEntries('szintaxis', { expansions }).query;
+      expect(results.map(e => e.hungarian)).toEqual(['szintaxis', 'fonéma', 'mondattan']);
+
+      const english = await Entry.searchEntries(null, { english: 'morpheme', expansions }).query;
+      expect(english.map(e => e.hungarian).sort()).toEqual(['fonéma', 'morfém']);
+    });
+
+    test('should pick a random published entry matching the filters', async () => {
+      const entry = await Entry.randomEntry({ fieldOfExpertise: 'syntax' });
+
+      expect(entry.hungarian).toBe('szintaxis');
+      expect(await Entry.randomEntry({ fieldOfExpertise: 'semantics' })).toBeNull();
+    });
+
+    test('should give the texts and version of the published entries for similarity', async () => {
+      const corpus = await Entry.similarityCorpus();
+      const version = await Entry.similarityVersion();
+
+      expect(corpus).toHaveLength(3);
+      expect(corpus.find(({ text }) => text.startsWith('fonéma')).text).toContain('phoneme');
+
+      await createTestEntry({ hungarian: 'zönge', english: 'voice' });
+      expect(await Entry.similarityVersion()).not.toBe(version);
+    });
+
+    test('should find likely duplicates of a new entry', async () => {
+      const matches = await Entry.findLikelyDuplicates({
+        hungarian: 'Fonema',
+        senses: [{ english: ['Phoneme'], fieldOfExpertise: 'phonology' }],
+      });
+
+      expect(matches).toHaveLength(1);
+      expect(matches[0].entry.hungarian).toBe('fonéma');
+      expect(await Entry.findLikelyDuplicates({ hungarian: 'zönge', english: 'voice' })).toEqual(
+        []
+      );
+    });
+
+    test('should keep the similarity version when entries are viewed', async () => {
+      const version = await Entry.similarityVersion();
+      const [viewed, other] = await Entry.find({ status: 'published' });
+
+      await Entry.recordView(viewed._id);
+      await other.incrementViews();
+
+      expect(await Entry.similarityVersion()).toBe(version);
+      expect((await Entry.findById(viewed._id)).views).toBe(viewed.views + 1);
+    });
+
     test('should get popular entries', async () => {
       const popular = await Entry.getPopularEntries(2);
 
@@ -255,6 +823,16 @@ describe('Entry Model', () => {
       expect(stats.fields).toContain('morphology');
       expect(stats.fields).toContain('syntax');
     });
+
+    test('should list the fields of the statistics in Hungarian order', async () => {
+      await createTestEntry({ hungarian: 'zönge', fieldOfExpertise: 'zenei' });
+      await createTestEntry({ hungarian: 'ágens', fieldOfExpertise: 'ágazati' });
+
+      const { fields } = await Entry.getStatistics();
+
+      expect(fields.indexOf('ágazati')).toBeLessThan(fields.indexOf('morphology'));
+      expect(fields[fields.length - 1]).toBe('zenei');
+    });
   });
 
   // Skip: mongodb-memory-server does not reliably support index introspection
@@ -324,4 +902,91 @@ describe('Entry Model', () => {
       expect(saved.wordType).toBeUndefined();
     });
   });
+
+  describe('Entry Trash', () => {
+    test('should purge only deleted entries and the links to them', async () => {
+      const kept = await createTestEntry({ hungarian: 'megtartott' });
+      const deleted = await createTestEntry({ hungarian: 'törölt' });
+      await Entry.addRelation(kept._id, { type: 'seeAlso', target: deleted._id });
+      await Entry.updateOne({ _id: deleted._id }, { isActive: false, deletedAt: new Date() });
+
+      const purged = await Entry.purgeDeleted({ _id: { $in: [kept._id, deleted._id] } });
+
+      expect(purged.map((entry) => entry.hungarian)).toEqual(['törölt']);
+      expect(await Entry.exists({ _id: deleted._id })).toBeNull();
+      expect((await Entry.findById(kept._id)).relations).toHaveLength(0);
+    });
+
+    test('should sweep entries past the retention period', async () => {
+      const day = 24 * 60 * 60 * 1000;
+      const expired = await createTestEntry({ hungarian: 'lejárt' });
+      const recent = await createTestEntry({ hungarian: 'friss' });
+      await Entry.updateOne(
+        { _id: expired._id },
+        { isActive: false, deletedAt: new Date(Date.now() - (TRASH_RETENTION_DAYS + 1) * day) }
+      );
+      await Entry.updateOne({ _id: recent._id }, { isActive: false, deletedAt: new Date() });
+
+      const purged = await sweepTrash();
+
+      expect(purged.map((entry) => entry.hungarian)).toEqual(['lejárt']);
+      expect(await Entry.exists({ _id: recent._id })).not.toBeNull();
+    });
+  });
+
+  describe('Entry Merge', () => {
+    let target;
+    let source;
+
+    beforeEach(async () => {
+      target = await createTestEntry({
+        hungarian: 'fonéma',
+        english: 'phoneme',
+        fieldOfExpertise: 'hangtan',
+      });
+      source = await createTestEntry({
+        hungarian: 'fonema',
+        english: 'speech sound',
+        fieldOfExpertise: 'hangtan',
+      });
+    });
+
+    test('should move the content and links of the duplicate to the kept entry', async () => {
+      const hang = await createTestEntry({ hungarian: 'hang', english: 'sound' });
+      const allofon = await createTestEntry({ hungarian: 'allofón', english: 'allophone' });
+      await Entry.addRelation(source._id, { type: 'broader', target: hang._id });
+      await Entry.addRelation(allofon._id, { type: 'seeAlso', target: source._id });
+
+      const outcome = await Entry.mergeEntries(target._id, source._id, null);
+      const [kept, linking] = await Promise.all([
+        Entry.findById(target._id),
+        Entry.findById(allofon._id),
+      ]);
+
+      expect(outcome.entriesRelinked).toBe(1);
+      expect(kept.senses).toHaveLength(1);
+      expect([...kept.senses[0].english]).toEqual(['phoneme', 'speech sound']);
+      expect(kept.relations.map((relation) => [relation.type, String(relation.target)])).toEqual([
+        ['broader', String(hang._id)],
+      ]);
+      expect(kept.merges[0].hungarian).toBe('fonema');
+      expect(String(linking.relations[0].target)).toBe(String(target._id));
+    });
+
+    test('should move the duplicate to the trash pointing to the kept entry', async () => {
+      await Entry.addRelation(source._id, { type: 'synonym', target: target._id }, true);
+
+      await Entry.mergeEntries(target._id, source._id, null);
+      const [kept, merged] = await Promise.all([
+        Entry.findById(target._id),
+        Entry.findById(source._id),
+      ]);
+
+      expect(merged.isActive).toBe(false);
+      expect(merged.deletedAt).toBeInstanceOf(Date);
+      expect(String(merged.mergedInto)).toBe(String(target._id));
+      // Links between the two entries would point the kept entry to itself
+      expect(kept.relations).toHaveLength(0);
+    });
+  });
 });
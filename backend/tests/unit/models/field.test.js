@@ -0,0 +1,142 @@
+const Field = require('../../../src/models/field');
+const Entry = require('../../../src/models/entry');
+
+describe('Field Model', () => {
+  let root;
+  let child;
+  let grandchild;
+
+  beforeEach(async () => {
+    root = await Field.create({ nameHu: 'nyelv és elme', nameEn: 'language and mind' });
+    child = await Field.create({ nameHu: 'pszicholingvisztika', parent: root._id });
+    grandchild = await Field.create({ nameHu: 'nyelvelsajátítás', parent: child._id });
+    await Field.refreshTaxonomy();
+  });
+
+  test('should store the path of ancestors on new fields', () => {
+    expect(child.ancestors.map(String)).toEqual([String(root._id)]);
+    expect(grandchild.ancestors.map(String)).toEqual([String(root._id), String(child._id)]);
+  });
+
+  test('should find fields by ID, Hungarian or English name', () => {
+    expect(Field.findNode('Language and mind').nameHu).toBe('nyelv és elme');
+    expect(Field.findNode(String(child._id)).nameHu).toBe('pszicholingvisztika');
+    expect(Field.findNode('ismeretlen')).toBeUndefined();
+  });
+
+  test('should list the names of a subtree', () => {
+    expect(Field.subtreeNames('pszicholingvisztika')).toEqual([
+      'pszicholingvisztika',
+      'nyelvelsajátítás',
+    ]);
+    expect(Field.subtreeNames('ismeretlen')).toBeNull();
+  });
+
+  test('should update the subtree path when a field is moved', async () => {
+    const other = await Field.create({ nameHu: 'alkalmazott nyelvészet' });
+
+    await Field.moveField(child._id, other._id);
+    const moved = await Field.findById(grandchild._id);
+
+    expect(moved.ancestors.map(String)).toEqual([String(other._id), String(child._id)]);
+  });
+
+  test('should count entries per node and per subtree once', async () => {
+    await createTestEntry({
+      hungarian: 'nyelvi input',
+      senses: [
+        { english: ['input'], fieldOfExpertise: 'pszicholingvisztika' },
+        { english: ['language input'], fieldOfExpertise: 'nyelvelsajátítás' },
+      ],
+    });
+    await createTestEntry({
+      hungarian: 'babanyelv',
+      english: 'baby talk',
+      fieldOfExpertise: 'nyelvelsajátítás',
+    });
+
+    const [tree] = await Field.getTree();
+    const [psycho] = tree.children;
+
+    expect(tree.totalCount).toBe(2);
+    expect(tree.entryCount).toBe(0);
+    expect(psycho.entryCount).toBe(1);
+    expect(psycho.totalCount).toBe(2);
+    expect(psycho.children[0].entryCount).toBe(2);
+  });
+
+  test('should count unpublished entries only when asked', async () => {
+    await createTestEntry({
+      hungarian: 'babanyelv',
+      english: 'baby talk',
+      fieldOfExpertise: 'nyelvelsajátítás',
+      status: 'draft',
+    });
+
+    const [published] = await Field.getTree();
+    const [all] = await Field.getTree({ includeUnpublished: true });
+
+    expect(published.totalCount).toBe(0);
+    expect(all.totalCount).toBe(1);
+  });
+
+  test('should filter entries by a field including its descendants', async () => {
+    await createTestEntry({
+      hungarian: 'babanyelv',
+      english: 'baby talk',
+      fieldOfExpertise: 'nyelvelsajátítás',
+    });
+    await createTestEntry({ hungarian: 'hang', english: 'sound', fieldOfExpertise: 'hangtan' });
+
+    const { query } = Entry.searchEntries('', { fieldOfExpertise: 'nyelv és elme' });
+    const results = await query;
+
+    expect(results).toHaveLength(1);
+    expect(results[0].hungarian).toBe('babanyelv');
+  });
+
+  test('should rename the field in the senses of entries', async () => {
+    const entry = await createTestEntry({
+      hungarian: 'nyelvi input',
+      senses: [
+        { english: ['input'], fieldOfExpertise: 'pszicholingvisztika' },
+        { english: ['language input'], fieldOfExpertise: 'nyelvelsajátítás' },
+      ],
+    });
+
+    const { field, entriesUpdated } = await Field.updateField(child._id, {
+      nameHu: 'nyelvlélektan',
+    });
+    const renamed = await Entry.findById(entry._id);
+
+    expect(field.nameHu).toBe('nyelvlélektan');
+    expect(entriesUpdated).toBe(1);
+    expect(renamed.senses.map((sense) => sense.fieldOfExpertise)).toEqual([
+      'nyelvlélektan',
+      'nyelvelsajátítás',
+    ]);
+    expect(Field.findNode('nyelvlélektan')).toBeDefined();
+  });
+
+  test('should move entries and children to the field a field is merged into', async () => {
+    const other = await Field.create({ nameHu: 'alkalmazott nyelvészet' });
+    const entry = await createTestEntry({
+      hungarian: 'babanyelv',
+      english: 'baby talk',
+      fieldOfExpertise: 'pszicholingvisztika',
+    });
+
+    const outcome = await Field.mergeFields(child._id, other._id);
+    const [merged, moved] = await Promise.all([
+      Entry.findById(entry._id),
+      Field.findById(grandchild._id),
+    ]);
+
+    expect(outcome.entriesUpdated).toBe(1);
+    expect(outcome.childrenMoved).toBe(1);
+    expect(merged.senses[0].fieldOfExpertise).toBe('alkalmazott nyelvészet');
+    expect(merged.fieldOfExpertise).toBe('alkalmazott nyelvészet');
+    expect(moved.ancestors.map(String)).toEqual([String(other._id)]);
+    expect(await Field.exists({ _id: child._id })).toBeNull();
+  });
+});
@@ -0,0 +1,45 @@
+const SearchStat = require('../../../src/models/searchStat');
+
+describe('SearchStat Model', () => {
+  const at = new Date('2026-03-02T09:15:00.000Z');
+  const since = new Date('2026-03-01T00:00:00.000Z');
+
+  beforeEach(async () => {
+    await SearchStat.record({ query: 'Fonéma', resultCount: 3, language: 'hu', at });
+    await SearchStat.record({ query: 'fonéma ', resultCount: 1, language: 'hu', at });
+    await SearchStat.record({ query: 'xyz', resultCount: 0, language: 'en', at });
+  });
+
+  test('should count searches per hour without personal data', async () => {
+    const counted = await SearchStat.record({ query: 'nev@example.com', at });
+    const stat = await SearchStat.findOne({ query: 'fonéma' });
+
+    expect(counted).toBe(false);
+    expect(await SearchStat.countDocuments()).toBe(2);
+    expect(stat.hour.toISOString()).toBe('2026-03-02T09:00:00.000Z');
+    expect(stat.searches).toBe(2);
+    expect(stat.results).toBe(4);
+  });
+
+  test('should report top and zero-result queries', async () => {
+    const top = await SearchStat.topQueries({ since });
+    const failing = await SearchStat.zeroResultQueries({ since });
+
+    expect(top.map((row) => row.query)).toEqual(['fonéma', 'xyz']);
+    expect(top[0]).toMatchObject({ searches: 2, zeroResults: 0, averageResults: 2 });
+    expect(failing.map((row) => row.query)).toEqual(['xyz']);
+    expect(await SearchStat.topQueries({ since, language: 'en' })).toHaveLength(1);
+  });
+
+  test('should report the search volume per day', async () => {
+    const volume = await SearchStat.volume({
+      since,
+      until: new Date('2026-03-02T23:00:00.000Z'),
+    });
+
+    expect(volume).toEqual([
+      { period: '2026-03-01T00:00:00.000Z', searches: 0, zeroResults: 0 },
+      { period: '2026-03-02T00:00:00.000Z', searches: 3, zeroResults: 1 },
+    ]);
+  });
+});
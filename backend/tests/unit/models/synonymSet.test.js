@@ -0,0 +1,44 @@
+const SynonymSet = require('../../../src/models/synonymSet');
+
+describe('SynonymSet Model', () => {
+  test('should require two different terms in an equivalent set', async () => {
+    const set = new SynonymSet({ language: 'hu', terms: ['főnév', 'Fonev'] });
+
+    await expect(set.validate()).rejects.toThrow('at least two different terms');
+    expect(set.terms).toEqual(['főnév']);
+  });
+
+  test('should require source terms in a one-way set only', async () => {
+    const oneWay = new SynonymSet({
+      language: 'en',
+      type: 'oneWay',
+      terms: ['natural language processing'],
+    });
+    const equivalent = new SynonymSet({
+      language: 'en',
+      terms: ['noun', 'substantive'],
+      from: ['n'],
+    });
+
+    await expect(oneWay.validate()).rejects.toThrow('at least one source term');
+    await equivalent.validate();
+    expect(equivalent.from).toEqual([]);
+  });
+
+  test('should expand searches with the stored sets', async () => {
+    await SynonymSet.create({
+      language: 'en',
+      type: 'oneWay',
+      from: ['NLP'],
+      terms: ['natural language processing'],
+    });
+    await SynonymSet.refreshIndex();
+
+    const { applied, queries } = await SynonymSet.expand('NLP tools', ['en']);
+    expect(applied).toEqual([
+      { term: 'NLP', language: 'en', type: 'oneWay', expansions: ['natural language processing'] },
+    ]);
+    expect(queries).toEqual([{ text: 'natural language processing tools', language: 'en' }]);
+    expect((await SynonymSet.expand('NLP', ['hu'])).applied).toEqual([]);
+  });
+});
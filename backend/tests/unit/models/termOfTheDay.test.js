@@ -0,0 +1,83 @@
+const TermOfTheDay = require('../../../src/models/termOfTheDay');
+const Entry = require('../../../src/models/entry');
+
+describe('TermOfTheDay Model', () => {
+  let entries;
+
+  beforeEach(async () => {
+    entries = [];
+    for (const hungarian of ['fonéma', 'morféma', 'szintaxis']) {
+      entries.push(await createTestEntry({ hungarian }));
+    }
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should keep the term chosen for today', async () => {
+    jest.spyOn(TermOfTheDay, 'today').mockReturnValue('2026-03-01');
+    const first = await TermOfTheDay.forDay('2026-03-01');
+    const again = await TermOfTheDay.forDay('2026-03-01');
+
+    expect(first.pinned).toBe(false);
+    expect(String(again.entry._id)).toBe(String(first.entry._id));
+    expect(await TermOfTheDay.countDocuments()).toBe(1);
+  });
+
+  test('should choose the term of another day without storing it', async () => {
+    jest.spyOn(TermOfTheDay, 'today').mockReturnValue('2026-03-01');
+    const past = await TermOfTheDay.forDay('2026-02-01');
+    await TermOfTheDay.forDay('2099-12-31');
+
+    expect(await TermOfTheDay.countDocuments()).toBe(0);
+    expect(String((await TermOfTheDay.forDay('2026-02-01')).entry._id)).toBe(
+      String(past.entry._id)
+    );
+  });
+
+  test('should not let requests for later days change the term of a day', async () => {
+    jest.spyOn(TermOfTheDay, 'today').mockReturnValue('2026-03-01');
+    const chosen = await TermOfTheDay.choose('2026-03-01');
+
+    await TermOfTheDay.forDay('2026-03-02');
+    await TermOfTheDay.forDay('2026-03-03');
+
+    expect(String(await TermOfTheDay.choose('2026-03-01'))).toBe(String(chosen));
+  });
+
+  test('should choose the same term for a day from the same entries', async () => {
+    const chosen = await TermOfTheDay.choose('2026-03-01');
+
+    expect(String(await TermOfTheDay.choose('2026-03-01'))).toBe(String(chosen));
+  });
+
+  test('should not repeat a term within the window', async () => {
+    const days = ['2026-03-01', '2026-03-02', '2026-03-03'];
+    const terms = [];
+    for (const day of days) {
+      jest.spyOn(TermOfTheDay, 'today').mockReturnValue(day);
+      terms.push(String((await TermOfTheDay.forDay(day)).entry._id));
+    }
+
+    expect(new Set(terms).size).toBe(3);
+  });
+
+  test('should prefer a pinned entry and keep the pin while it is unpublished', async () => {
+    jest.spyOn(TermOfTheDay, 'today').mockReturnValue('2026-03-01');
+    await TermOfTheDay.pin('2026-03-01', entries[2]._id, null);
+
+    const pinned = await TermOfTheDay.forDay('2026-03-01');
+    expect(pinned.pinned).toBe(true);
+    expect(pinned.entry.hungarian).toBe('szintaxis');
+
+    await Entry.updateOne({ _id: entries[2]._id }, { status: 'draft' });
+    const chosen = await TermOfTheDay.forDay('2026-03-01');
+    expect(chosen.pinned).toBe(false);
+    expect(chosen.entry.hungarian).not.toBe('szintaxis');
+
+    const pin = await TermOfTheDay.findOne({ date: '2026-03-01' });
+    expect(pin.pinned).toBe(true);
+    expect(String(pin.entry)).toBe(String(entries[2]._id));
+  });
+});
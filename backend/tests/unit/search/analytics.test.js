@@ -0,0 +1,37 @@
+const { normalizeQuery, filtersKey, hourOf, timeline } = require('../../../src/search/analytics');
+
+describe('Search analytics', () => {
+  test('should normalize queries to lowercase with single spaces', () => {
+    expect(normalizeQuery('  Hangtani   Változó ')).toBe('hangtani változó');
+    expect(normalizeQuery('a'.repeat(150))).toHaveLength(100);
+    expect(normalizeQuery('   ')).toBeNull();
+  });
+
+  test('should leave out queries that look like personal data', () => {
+    expect(normalizeQuery('kiss.janos@example.com')).toBeNull();
+    expect(normalizeQuery('+36 30 123 4567')).toBeNull();
+    expect(normalizeQuery('2024 nyelv')).toBe('2024 nyelv');
+  });
+
+  test('should key filters the same in any order', () => {
+    expect(filtersKey({ wordType: ['noun', 'Adjective'], fieldOfExpertise: 'hangtan' })).toBe(
+      'fieldOfExpertise=hangtan;wordType=adjective,noun'
+    );
+    expect(filtersKey({ wordType: [], fieldOfExpertise: undefined })).toBe('');
+  });
+
+  test('should fill the periods without searches', () => {
+    const since = new Date('2026-03-01T10:30:00.000Z');
+    const until = new Date('2026-03-03T08:00:00.000Z');
+
+    expect(hourOf(since).toISOString()).toBe('2026-03-01T10:00:00.000Z');
+    expect(
+      timeline(since, until, 'day', [{ _id: '2026-03-02', searches: 4, zeroResults: 1 }])
+    ).toEqual([
+      { period: '2026-03-01T00:00:00.000Z', searches: 0, zeroResults: 0 },
+      { period: '2026-03-02T00:00:00.000Z', searches: 4, zeroResults: 1 },
+      { period: '2026-03-03T00:00:00.000Z', searches: 0, zeroResults: 0 },
+    ]);
+    expect(timeline(since, new Date('2026-03-01T12:00:00.000Z'), 'hour', [])).toHaveLength(3);
+  });
+});
@@ -0,0 +1,71 @@
+const {
+  lettersOf,
+  sortKey,
+  compareHungarian,
+  initialRange,
+  initialOf,
+} = require('../../../src/search/collation');
+
+const sorted = (...words) => [...words].sort(compareHungarian);
+
+describe('Hungarian collation', () => {
+  test('should treat digraphs and the trigraph as single letters', () => {
+    expect(lettersOf('dzsungel').map(({ letter }) => letter)).toEqual([
+      'dzs',
+      'u',
+      'n',
+      'g',
+      'e',
+      'l',
+    ]);
+    expect(sorted('csak', 'cukor', 'cipő')).toEqual(['cipő', 'cukor', 'csak']);
+    expect(sorted('szem', 'sor', 'sz')).toEqual(['sor', 'sz', 'szem']);
+    expect(sorted('dzsem', 'dzéta', 'dob')).toEqual(['dob', 'dzéta', 'dzsem']);
+    expect(
+      sorted('zsák', 'zab', 'gyár', 'gomba', 'nyúl', 'nap', 'lyuk', 'lom', 'tyúk', 'tor')
+    ).toEqual(['gomba', 'gyár', 'lom', 'lyuk', 'nap', 'nyúl', 'tor', 'tyúk', 'zab', 'zsák']);
+  });
+
+  test('should expand shortened doubled digraphs', () => {
+    expect(lettersOf('meggy').map(({ letter }) => letter)).toEqual(['m', 'e', 'gy', 'gy']);
+    expect(sorted('meggyes', 'megy', 'meggy')).toEqual(['megy', 'meggy', 'meggyes']);
+    expect(sorted('hoszt', 'hosszú')).toEqual(['hosszú', 'hoszt']);
+  });
+
+  test('should sort long vowels with their short pair and only break ties with them', () => {
+    expect(sorted('az', 'ár', 'alma')).toEqual(['alma', 'ár', 'az']);
+    expect(sorted('korom', 'kór', 'kor')).toEqual(['kor', 'kór', 'korom']);
+    expect(sorted('ősz', 'oszt', 'ösz', 'ót')).toEqual(['oszt', 'ót', 'ösz', 'ősz']);
+    expect(sorted('űr', 'uz', 'ül')).toEqual(['uz', 'ül', 'űr']);
+  });
+
+  test('should put lowercase first, digits before letters and ignore foreign accents', () => {
+    expect(sorted('Kor', 'kor')).toEqual(['kor', 'Kor']);
+    expect(sorted('alma', '1alma')).toEqual(['1alma', 'alma']);
+    expect(sorted('nap', 'naïve', 'nagy')).toEqual(['nagy', 'naïve', 'nap']);
+    expect(sorted('ab', 'a b')).toEqual(['a b', 'ab']);
+  });
+
+  test('should compare keys as plain strings', () => {
+    const words = ['zsák', 'ár', 'csak', 'alma', 'cukor'];
+    const byKey = [...words].sort((a, b) => (sortKey(a) < sortKey(b) ? -1 : 1));
+
+    expect(byKey).toEqual(sorted(...words));
+    expect(sortKey('  Alma ')).toBe(sortKey('Alma'));
+  });
+
+  test('should find the initial letter of a key and the key range of a letter', () => {
+    const c = initialRange('c');
+    const inRange = (word) => sortKey(word) >= c.from && sortKey(word) < c.to;
+
+    expect(['Ászok', 'csak', 'dzsungel', '5G'].map((word) => initialOf(sortKey(word)))).toEqual([
+      'a',
+      'cs',
+      'dzs',
+      null,
+    ]);
+    expect(inRange('cukor')).toBe(true);
+    expect(inRange('csak')).toBe(false);
+    expect(initialRange('ő')).toBeNull();
+  });
+});
@@ -0,0 +1,37 @@
+const {
+  CursorError,
+  encodeCursor,
+  decodeCursor,
+  keysetCondition,
+  reversed,
+} = require('../../../src/search/cursor');
+
+const order = { createdAt: -1, _id: 1 };
+
+describe('Pagination cursors', () => {
+  test('should round-trip sort values, dates included', () => {
+    const createdAt = new Date('2026-03-01T10:00:00.000Z');
+    const cursor = encodeCursor(order, [createdAt, '64b000000000000000000001']);
+
+    expect(cursor).toMatch(/^[\w-]+$/);
+    expect(decodeCursor(cursor, order)).toEqual([createdAt, '64b000000000000000000001']);
+  });
+
+  test('should reject malformed cursors and cursors of another order', () => {
+    const cursor = encodeCursor({ sortKey: 1, _id: 1 }, ['a', 'id']);
+
+    expect(() => decodeCursor('not a cursor', order)).toThrow(CursorError);
+    expect(() => decodeCursor(encodeCursor(order, ['x']), order)).toThrow('Malformed cursor');
+    expect(() => decodeCursor(cursor, order)).toThrow('Cursor of another sort order');
+  });
+
+  test('should select the entries after or before a position', () => {
+    expect(keysetCondition(order, [5, 'id'])).toEqual({
+      $or: [{ createdAt: { $lt: 5 } }, { createdAt: 5, _id: { $gt: 'id' } }],
+    });
+    expect(keysetCondition(order, [5, 'id'], true)).toEqual({
+      $or: [{ createdAt: { $gt: 5 } }, { createdAt: 5, _id: { $lt: 'id' } }],
+    });
+    expect(reversed(order)).toEqual({ createdAt: 1, _id: -1 });
+  });
+});
@@ -0,0 +1,79 @@
+const { scorePair, findDuplicatesOf, findClusters } = require('../../../src/search/duplicates');
+const { foldText, termKey, editDistance } = require('../../../src/search/text');
+
+const entry = (_id, hungarian, ...english) => ({ _id, hungarian, senses: [{ english }] });
+
+describe('Text helpers', () => {
+  test('should fold accents and case', () => {
+    expect(foldText('Őrült ÁRVÍZTŰRŐ')).toBe('orult arvizturo');
+    expect(termKey('Lan-guage  change')).toBe('languagechange');
+    expect(termKey('Nyelvjárás', true)).toBe('nyelvjaras');
+  });
+
+  test('should compute edit distances up to a limit', () => {
+    expect(editDistance('kitten', 'sitting')).toBe(3);
+    expect(editDistance('deskriptiv', 'deszkriptiv', 1)).toBe(1);
+    expect(editDistance('fonema', 'morfema', 1)).toBe(2);
+  });
+});
+
+describe('Duplicate detection', () => {
+  test('should score normalized and accent-insensitive matches', () => {
+    expect(scorePair(entry(1, 'fonéma', 'phoneme'), entry(2, 'Fonéma', 'phoneme'))).toEqual({
+      score: 1,
+      reasons: ['hungarianExact', 'englishSame'],
+    });
+    expect(scorePair(entry(1, 'fonéma', 'phoneme'), entry(2, 'fonema', 'sound')).reasons).toEqual([
+      'hungarianFolded',
+    ]);
+  });
+
+  test('should need agreeing equivalents for near spellings', () => {
+    const spelling = scorePair(
+      entry(1, 'deskriptív', 'descriptive'),
+      entry(2, 'deszkriptív', 'descriptive')
+    );
+    expect(spelling.reasons).toEqual(['hungarianSimilar', 'englishSame']);
+    expect(spelling.score).toBeGreaterThanOrEqual(0.75);
+
+    const unrelated = scorePair(entry(1, 'jelölet', 'denotation'), entry(2, 'jelölő', 'marker'));
+    expect(unrelated.score).toBe(0);
+  });
+
+  test('should not treat derived words as duplicates', () => {
+    const { reasons } = scorePair(
+      entry(1, 'jelnyelv', 'sign language'),
+      entry(2, 'jelnyelvi', 'sign language')
+    );
+    expect(reasons).toEqual(['englishSame']);
+  });
+
+  test('should list likely duplicates of an entry, best first', () => {
+    const pool = [
+      entry(1, 'deskriptív', 'descriptive'),
+      entry(2, 'deszkriptív', 'descriptive'),
+      entry(3, 'preskriptív', 'prescriptive'),
+    ];
+
+    const matches = findDuplicatesOf(entry(4, 'Deszkriptiv', 'descriptive'), pool);
+    expect(matches.map((match) => match.entry._id)).toEqual([2, 1]);
+    expect(findDuplicatesOf(pool[2], pool)).toEqual([]);
+  });
+
+  test('should group linked entries into clusters', () => {
+    const clusters = findClusters([
+      entry(1, 'nyelvváltozat', 'variety'),
+      entry(2, 'nyelvi változat', 'variety'),
+      entry(3, 'nyelvváltozat', 'language variety'),
+      entry(4, 'hangtan', 'phonetics'),
+      entry(5, 'Hangtan', 'phonology'),
+      entry(6, 'szótag', 'syllable'),
+    ]);
+
+    expect(clusters.map((cluster) => cluster.entries.map((e) => e._id).sort())).toEqual([
+      [1, 2, 3],
+      [4, 5],
+    ]);
+    expect(clusters[0].pairs.length).toBeGreaterThanOrEqual(2);
+  });
+});
@@ -0,0 +1,29 @@
+const { detectLanguage, directionOf } = require('../../../src/search/language');
+
+describe('Query language detection', () => {
+  test('should take Hungarian accents as Hungarian', () => {
+    expect(detectLanguage('beszéd')).toBe('hu');
+    expect(detectLanguage('FONÉMA')).toBe('hu');
+  });
+
+  test('should recognize Hungarian typed without accents', () => {
+    expect(detectLanguage('beszedhang')).toBe('hu');
+    expect(detectLanguage('mondatokban')).toBe('hu');
+    expect(detectLanguage('nyelvi jelenseg')).toBe('hu');
+    expect(detectLanguage('kozmondas')).toBe('hu');
+  });
+
+  test('should recognize English spelling', () => {
+    expect(detectLanguage('speech sound')).toBe('en');
+    expect(detectLanguage('phonetics')).toBe('en');
+    expect(detectLanguage('language')).toBe('en');
+    expect(detectLanguage('the meaning of words')).toBe('en');
+  });
+
+  test('should default to Hungarian and give the direction', () => {
+    expect(detectLanguage('')).toBe('hu');
+    expect(detectLanguage('data')).toBe('hu');
+    expect(directionOf('hu')).toBe('hu-en');
+    expect(directionOf('en')).toBe('en-hu');
+  });
+});
@@ -0,0 +1,58 @@
+const { PrefixIndex, termsOf } = require('../../../src/search/prefixIndex');
+
+const entries = [
+  { _id: 'e1', hungarian: 'fonéma', senses: [{ english: ['phoneme'] }] },
+  { _id: 'e2', hungarian: 'fonetika', senses: [{ english: ['phonetics'] }] },
+  { _id: 'e3', hungarian: 'fon', senses: [{ english: ['phon'] }] },
+  { _id: 'e4', hungarian: 'fonema', senses: [{ english: ['phoneme', 'speech sound'] }] },
+];
+
+const build = () =>
+  new PrefixIndex().rebuild(entries.map((entry) => ({ id: entry._id, terms: termsOf(entry) })));
+
+describe('Prefix index', () => {
+  test('should suggest terms by prefix regardless of accents and case', () => {
+    const index = build();
+
+    expect(index.suggest('FONE', { language: 'hu' }).map((s) => s.term)).toEqual([
+      'fonema',
+      'fonéma',
+      'fonetika',
+    ]);
+    expect(index.suggest('foné', { language: 'hu' }).map((s) => s.term)).toEqual([
+      'fonéma',
+      'fonema',
+      'fonetika',
+    ]);
+    expect(index.suggest('xyz')).toEqual([]);
+    expect(index.suggest('  ')).toEqual([]);
+  });
+
+  test('should rank exact terms first, then terms of more entries', () => {
+    const index = build();
+
+    expect(index.suggest('phon', { language: 'en' })).toEqual([
+      { term: 'phon', language: 'en', entries: 1 },
+      { term: 'phoneme', language: 'en', entries: 2 },
+      { term: 'phonetics', language: 'en', entries: 1 },
+    ]);
+    expect(index.suggest('fon', { limit: 2 }).map((s) => s.term)).toEqual(['fon', 'fonema']);
+  });
+
+  test('should update entries one at a time', () => {
+    const index = build();
+
+    index.set('e5', [{ term: 'fonológia', language: 'hu' }]);
+    expect(index.suggest('fonol').map((s) => s.term)).toEqual(['fonológia']);
+
+    index.set('e4', [{ term: 'hangtan', language: 'hu' }]);
+    expect(index.suggest('speech')).toEqual([]);
+    expect(index.suggest('phoneme')[0].entries).toBe(1);
+
+    index.remove('e5');
+    index.remove('e1');
+    expect(index.suggest('fonol')).toEqual([]);
+    expect(index.suggest('phoneme')).toEqual([]);
+    expect(index.size).toBe(5);
+  });
+});
@@ -0,0 +1,76 @@
+const { parseQuery, compileQuery, QuerySyntaxError } = require('../../../src/search/querySyntax');
+
+const resolvers = {
+  fieldNames: (term) => (term === 'hangtan' ? ['hangtan', 'fonetika'] : null),
+  wordTypeCodes: (term) => (term === 'mn' ? ['mn'] : []),
+};
+
+const compile = (text) => compileQuery(parseQuery(text), resolvers);
+
+const errorOf = (text) => {
+  try {
+    parseQuery(text);
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+describe('Search query syntax', () => {
+  test('should compile fields, phrases, wildcards and negation', () => {
+    expect(compile('hungarian:"beszéd*" field:hangtan -english:speech wordType:mn')).toEqual({
+      $and: [
+        { hungarianFolded: /^beszed.*$/i },
+        { 'senses.fieldOfExpertise': { $in: ['hangtan', 'fonetika'] } },
+        { $nor: [{ 'senses.english': /speech/i }] },
+        { wordType: { $in: ['mn'] } },
+      ],
+    });
+  });
+
+  test('should search both languages without a field and group OR terms', () => {
+    expect(compile('(hang OR sound) en:"speech sound"')).toEqual({
+      $and: [
+        {
+          $or: [
+            { $or: [{ hungarianFolded: /hang/i }, { 'senses.english': /hang/i }] },
+            { $or: [{ hungarianFolded: /sound/i }, { 'senses.english': /sound/i }] },
+          ],
+        },
+        { 'senses.english': /speech sound/i },
+      ],
+    });
+    expect(compile('hu:hang | NOT field:nyelv*')).toEqual({
+      $or: [{ hungarianFolded: /hang/i }, { $nor: [{ 'senses.fieldOfExpertise': /^nyelv.*$/i }] }],
+    });
+  });
+
+  test('should keep regular expression characters literal', () => {
+    const { hungarianFolded } = compile('hu:"a.b(c)+*"');
+    expect(hungarianFolded.source).toBe('^a\\.b\\(c\\)\\+.*$');
+    expect(hungarianFolded.test('axb(c)+')).toBe(false);
+    expect(compile('self-made')['$or'][1]).toEqual({ 'senses.english': /self-made/i });
+    expect(compile('hu:a**b*c*').hungarianFolded.source).toBe('^a.*b.*c.*$');
+  });
+
+  test('should tell where a malformed query goes wrong', () => {
+    const cases = [
+      ['hang "speech', 5, 'Unterminated phrase'],
+      ['color:red', 0, 'Unknown field "color"'],
+      ['hang field: nyelv', 11, 'Expected a value after "field:"'],
+      ['(hang OR sound', 0, 'Missing closing parenthesis'],
+      ['hang OR', 7, 'Expected a search term'],
+      ['hang) sound', 4, 'Unexpected ")"'],
+      ['hu:*', 3, 'A search term needs a letter or digit'],
+      ['hang en:a*b*c*d*', 8, 'A search term can have at most 3 wildcards'],
+    ];
+
+    for (const [query, position, reason] of cases) {
+      const error = errorOf(query);
+      expect(error).toBeInstanceOf(QuerySyntaxError);
+      expect(error.position).toBe(position);
+      expect(error.reason).toBe(reason);
+      expect(error.message).toBe(`${reason} at position ${position}`);
+    }
+  });
+});
@@ -0,0 +1,41 @@
+const { buildVocabulary, suggestSpellings } = require('../../../src/search/spelling');
+
+const vocabulary = buildVocabulary([
+  { hungarian: 'fonéma', senses: [{ english: ['phoneme'] }] },
+  { hungarian: 'fonetika', senses: [{ english: ['phonetics'] }] },
+  { hungarian: 'nyelvi jelenség', senses: [{ english: ['linguistic phenomenon'] }] },
+  { hungarian: 'hangtan', senses: [{ english: ['phonology'] }] },
+]);
+
+describe('Spelling suggestions', () => {
+  test('should suggest Hungarian and English terms within the typo limit', () => {
+    expect(suggestSpellings('fonémma', vocabulary)).toEqual([
+      { term: 'fonéma', language: 'hu', distance: 1 },
+    ]);
+    expect(suggestSpellings('FONEMMA', vocabulary)[0].term).toBe('fonéma');
+    expect(suggestSpellings('phonetcs', vocabulary)[0]).toEqual({
+      term: 'phonetics',
+      language: 'en',
+      distance: 1,
+    });
+  });
+
+  test('should not suggest anything for known or short terms', () => {
+    expect(suggestSpellings('fonema', vocabulary)).toEqual([]);
+    expect(suggestSpellings('Fonéma', vocabulary)).toEqual([]);
+    expect(suggestSpellings('hng', vocabulary)).toEqual([]);
+    expect(suggestSpellings('morfológia', vocabulary)).toEqual([]);
+  });
+
+  test('should know the words of multi-word terms', () => {
+    expect(suggestSpellings('jelenség', vocabulary)).toEqual([]);
+    expect(suggestSpellings('jelenseg', vocabulary)).toEqual([]);
+    expect(suggestSpellings('linguistc', vocabulary)[0].term).toBe('linguistic');
+  });
+
+  test('should correct longer searches word by word', () => {
+    expect(suggestSpellings('fonémma hangtn', vocabulary)).toEqual([
+      { term: 'fonéma hangtan', language: 'hu', distance: 2 },
+    ]);
+  });
+});
@@ -0,0 +1,37 @@
+const { stem, stemForms, wordStems, stemsOf } = require('../../../src/search/stemmer');
+
+const shareKey = (a, b) => stemsOf(a).some((key) => stemsOf(b).includes(key));
+
+describe('Hungarian stemmer', () => {
+  test('should strip case endings, plurals and possessives', () => {
+    expect(stemForms('mondatokban')).toEqual(['mondatokban', 'mondatok', 'mondat']);
+    expect(stem('könyvekben')).toBe('könyv');
+    expect(stem('házaink')).toBe('ház');
+    expect(stem('szótárban')).toBe('szótár');
+  });
+
+  test('should restore long final vowels and undouble assimilated consonants', () => {
+    expect(stemForms('almát').slice(0, 3)).toEqual(['almát', 'almá', 'alma']);
+    expect(stem('fonémák')).toBe('fonéma');
+    expect(stem('kézzel')).toBe('kéz');
+    expect(stem('vízzé')).toBe('víz');
+  });
+
+  test('should not strip suffixes from the first syllable', () => {
+    expect(stem('ház')).toBe('ház');
+    expect(stem('kéz')).toBe('kéz');
+  });
+
+  test('should give inflected forms and their dictionary form a shared key', () => {
+    expect(shareKey('mondatokban', 'mondat')).toBe(true);
+    expect(shareKey('hangtani', 'hangtan')).toBe(true);
+    expect(shareKey('beszedben', 'beszéd')).toBe(true);
+    expect(shareKey('igéket', 'ige')).toBe(true);
+    expect(shareKey('mondat', 'szótár')).toBe(false);
+  });
+
+  test('should keep the keys of each word apart', () => {
+    expect(wordStems('hangtani elemzés')).toEqual([['hangtani', 'hangtan'], ['elemzes']]);
+    expect(wordStems('  ')).toEqual([]);
+  });
+});
@@ -0,0 +1,46 @@
+const { SynonymIndex, phraseKey, MAX_EXPANSIONS } = require('../../../src/search/synonyms');
+
+describe('Synonym index', () => {
+  const index = new SynonymIndex([
+    { language: 'en', type: 'oneWay', from: ['NLP'], terms: ['natural language processing'] },
+    { language: 'en', terms: ['noun', 'substantive'] },
+    { language: 'hu', terms: ['főnév', 'szubsztantívum'] },
+    { language: 'en', terms: ['part of speech', 'word class'] },
+  ]);
+
+  test('should key terms without case, accents or punctuation', () => {
+    expect(phraseKey('  Főnév--Szó ')).toBe('fonev szo');
+    expect(phraseKey('...')).toBe('');
+  });
+
+  test('should expand equivalent terms to each other', () => {
+    expect(index.expand('substantive').applied).toEqual([
+      { term: 'substantive', language: 'en', type: 'equivalent', expansions: ['noun'] },
+    ]);
+    expect(index.expand('Fonev', ['hu']).queries).toEqual([
+      { text: 'szubsztantívum', language: 'hu' },
+    ]);
+  });
+
+  test('should expand one-way terms in one direction only', () => {
+    expect(index.expand('NLP tools').queries).toEqual([
+      { text: 'natural language processing tools', language: 'en' },
+    ]);
+    expect(index.expand('natural language processing').applied).toEqual([]);
+  });
+
+  test('should prefer the longest phrase and keep to the asked languages', () => {
+    const { applied } = index.expand('Part-of-speech tags');
+
+    expect(applied).toHaveLength(1);
+    expect(applied[0]).toMatchObject({ term: 'Part-of-speech', expansions: ['word class'] });
+    expect(index.expand('noun', ['hu']).applied).toEqual([]);
+  });
+
+  test('should limit the expanded queries', () => {
+    const terms = Array.from({ length: 20 }, (_, i) => `term${i}`);
+    const { queries } = new SynonymIndex([{ language: 'en', terms }]).expand('term0');
+
+    expect(queries).toHaveLength(MAX_EXPANSIONS);
+  });
+});
@@ -0,0 +1,37 @@
+const { VectorIndex, featuresOf } = require('../../../src/search/vectorIndex');
+
+describe('Vector index', () => {
+  const documents = [
+    { id: 'a', text: 'fonéma\nphoneme\nhangtan' },
+    { id: 'b', text: 'morféma\nmorpheme\nalaktan' },
+    { id: 'c', text: 'allofón\nallophone\nhangtan' },
+    { id: 'd', text: 'szintaxis\nsyntax\nmondattan' },
+  ];
+  const index = VectorIndex.build(documents, 'v1');
+
+  test('should take words and trigrams without case or accents', () => {
+    expect(featuresOf('Fón')).toEqual(['w:fon', 'c: fo', 'c:fon', 'c:on ']);
+  });
+
+  test('should find inflected and misspelled forms in either language', () => {
+    expect(index.search('fonémák')[0].id).toBe('a');
+    expect(index.search('morfeme')[0].id).toBe('b');
+    expect(index.search('xyz')).toEqual([]);
+  });
+
+  test('should rank the entries sharing the most with a text', () => {
+    const hits = index.search(documents[0].text, { exclude: ['a'] });
+
+    expect(hits.map((hit) => hit.id)).toEqual(['c']);
+    expect(hits[0].score).toBeGreaterThan(0);
+    expect(hits[0].score).toBeLessThan(1);
+  });
+
+  test('should search the same after saving', () => {
+    const saved = VectorIndex.fromJSON(JSON.parse(JSON.stringify(index)));
+
+    expect(saved.signature).toBe('v1');
+    expect(saved.search('allophones')).toEqual(index.search('allophones'));
+    expect(VectorIndex.fromJSON({ version: 0 })).toBeNull();
+  });
+});
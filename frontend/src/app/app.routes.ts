@@ -3,12 +3,15 @@ import { Routes } from '@angular/router';
 import { ForbiddenComponent } from './page/forbidden/forbidden.component';
 import { LoginComponent } from './page/login/login.component';
 import { EntriesComponent } from './page/entries/entries.component';
+import { BrowseComponent } from './page/browse/browse.component';
 import { EntriesEditorComponent } from './page/entries-editor/entries-editor.component';
 import { UsersComponent } from './page/users/users.component';
 import { UsersEditorComponent } from './page/users-editor/users-editor.component';
 import { PrefaceComponent } from './page/preface/preface.component';
 import { VersionhistoryComponent } from './page/versionhistory/versionhistory.component';
 import { ContactComponent } from './page/contact/contact.component';
+import { SearchAnalyticsComponent } from './page/search-analytics/search-analytics.component';
+import { SynonymsComponent } from './page/synonyms/synonyms.component';
 import { AuthGuardService } from './service/auth-guard.service';
 import { RoleGuardService } from './service/role-guard.service';
 
@@ -17,6 +20,8 @@ export const routes: Routes = [
   { path: 'login', component: LoginComponent },
   { path: 'forbidden', component: ForbiddenComponent },
   { path: 'entries', component: EntriesComponent },
+  { path: 'browse', component: BrowseComponent },
+  { path: 'browse/:letter', component: BrowseComponent },
   {
     path: 'entries/edit/:id',
     component: EntriesEditorComponent,
@@ -35,6 +40,18 @@ export const routes: Routes = [
     canActivate: [AuthGuardService, RoleGuardService],
     data: { expectedRole: 3 },
   },
+  {
+    path: 'analytics',
+    component: SearchAnalyticsComponent,
+    canActivate: [AuthGuardService, RoleGuardService],
+    data: { expectedRole: 3 },
+  },
+  {
+    path: 'synonyms',
+    component: SynonymsComponent,
+    canActivate: [AuthGuardService, RoleGuardService],
+    data: { expectedRole: 2 },
+  },
   { path: 'preface', component: PrefaceComponent },
   { path: 'versionhistory', component: VersionhistoryComponent },
   { path: 'contact', component: ContactComponent },
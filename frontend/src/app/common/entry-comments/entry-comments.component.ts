@@ -0,0 +1,156 @@
+import { CommonModule } from '@angular/common';
+import { Component, Input, OnChanges, OnDestroy } from '@angular/core';
+import { FormsModule } from '@angular/forms';
+import { TranslateModule } from '@ngx-translate/core';
+import { Subject } from 'rxjs';
+import { takeUntil } from 'rxjs/operators';
+import { CommentThread, IEntryComment } from 'src/app/model/comment';
+import { AuthService } from 'src/app/service/auth.service';
+import { CommentService } from 'src/app/service/comment.service';
+import { NotificationService } from 'src/app/service/notification.service';
+
+/**
+ * Discussion threads of the editors on an entry, kept up to date with the
+ * changes other editors make
+ */
+@Component({
+  standalone: true,
+  selector: 'app-entry-comments',
+  imports: [CommonModule, FormsModule, TranslateModule],
+  templateUrl: './entry-comments.component.html',
+})
+export class EntryCommentsComponent implements OnChanges, OnDestroy {
+  @Input() entryId = '';
+
+  threads: CommentThread[] = [];
+  showResolved = false;
+  newComment = '';
+  // Reply being written, by the ID of the thread
+  replies: Record<string, string> = {};
+  // Comment being edited and its new text
+  editing: { id: string; body: string } | null = null;
+
+  private watchedId = '';
+  private readonly unwatch$ = new Subject<void>();
+
+  constructor(
+    private readonly commentService: CommentService,
+    private readonly notifyService: NotificationService,
+    public readonly auth: AuthService
+  ) {}
+
+  ngOnChanges(): void {
+    this.stopWatching();
+    this.threads = [];
+    if (!this.entryId) {
+      return;
+    }
+
+    this.load();
+    this.watchedId = this.entryId;
+    this.commentService
+      .watch(this.entryId)
+      .pipe(takeUntil(this.unwatch$))
+      .subscribe(() => this.load());
+  }
+
+  ngOnDestroy(): void {
+    this.stopWatching();
+  }
+
+  get visibleThreads(): CommentThread[] {
+    return this.showResolved ? this.threads : this.threads.filter(thread => !thread.resolved);
+  }
+
+  get resolvedCount(): number {
+    return this.threads.filter(thread => thread.resolved).length;
+  }
+
+  authorName(comment: IEntryComment): string {
+    return CommentThread.authorName(comment);
+  }
+
+  isOwn(comment: IEntryComment): boolean {
+    return comment.author?._id === this.auth.currentUser?._id;
+  }
+
+  canDelete(comment: IEntryComment): boolean {
+    return this.isOwn(comment) || this.auth.isAdmin;
+  }
+
+  load(): void {
+    this.commentService.list(this.entryId).subscribe({
+      next: threads => (this.threads = threads),
+      error: err => this.showError(err.error?.message || err.message),
+    });
+  }
+
+  addComment(): void {
+    this.commentService.create(this.entryId, this.newComment).subscribe({
+      next: () => {
+        this.newComment = '';
+        this.load();
+      },
+      error: err => this.showError(err.error?.message || err.message),
+    });
+  }
+
+  reply(thread: CommentThread): void {
+    this.commentService
+      .create(this.entryId, this.replies[thread.comment._id], thread.comment._id)
+      .subscribe({
+        next: () => {
+          delete this.replies[thread.comment._id];
+          this.load();
+        },
+        error: err => this.showError(err.error?.message || err.message),
+      });
+  }
+
+  startEdit(comment: IEntryComment): void {
+    this.editing = { id: comment._id, body: comment.body };
+  }
+
+  saveEdit(): void {
+    if (!this.editing) {
+      return;
+    }
+    this.commentService
+      .update(this.entryId, this.editing.id, { body: this.editing.body })
+      .subscribe({
+        next: () => {
+          this.editing = null;
+          this.load();
+        },
+        error: err => this.showError(err.error?.message || err.message),
+      });
+  }
+
+  toggleResolved(thread: CommentThread): void {
+    this.commentService
+      .update(this.entryId, thread.comment._id, { resolved: !thread.resolved })
+      .subscribe({
+        next: () => this.load(),
+        error: err => this.showError(err.error?.message || err.message),
+      });
+  }
+
+  remove(comment: IEntryComment): void {
+    this.commentService.delete(this.entryId, comment._id).subscribe({
+      next: () => this.load(),
+      error: err => this.showError(err.error?.message || err.message),
+    });
+  }
+
+  showError(err: string): void {
+    this.notifyService.showError(`Something went wrong. Details: ${err}`, 'NyelvSzó v.2.0.0');
+  }
+
+  private stopWatching(): void {
+    if (this.watchedId) {
+      this.unwatch$.next();
+      this.commentService.unwatch(this.watchedId);
+      this.watchedId = '';
+    }
+  }
+}
@@ -0,0 +1,38 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { HttpClientTestingModule, HttpTestingController } from '@angular/common/http/testing';
+import { TranslateModule } from '@ngx-translate/core';
+
+import { SimilarEntriesComponent } from './similar-entries.component';
+
+describe('SimilarEntriesComponent', () => {
+  let component: SimilarEntriesComponent;
+  let fixture: ComponentFixture<SimilarEntriesComponent>;
+  let http: HttpTestingController;
+
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [SimilarEntriesComponent, HttpClientTestingModule, TranslateModule.forRoot()],
+    }).compileComponents();
+  });
+
+  beforeEach(() => {
+    fixture = TestBed.createComponent(SimilarEntriesComponent);
+    component = fixture.componentInstance;
+    http = TestBed.inject(HttpTestingController);
+    component.entryId = '1';
+    component.ngOnChanges();
+  });
+
+  it('should create', () => {
+    expect(component).toBeTruthy();
+  });
+
+  it('should list the similar entries of the entry', () => {
+    http
+      .expectOne(req => req.url.endsWith('/entries/1/similar'))
+      .flush({ data: [{ _id: '2', hungarian: 'allofón', english: 'allophone', similarity: 0.4 }] });
+
+    expect(component.similar[0].entry.hungarian).toBe('allofón');
+    expect(component.similar[0].similarity).toBe(0.4);
+  });
+});
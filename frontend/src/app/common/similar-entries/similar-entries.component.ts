@@ -0,0 +1,43 @@
+import { CommonModule } from '@angular/common';
+import { Component, Input, OnChanges, OnDestroy } from '@angular/core';
+import { TranslateModule } from '@ngx-translate/core';
+import { Subject } from 'rxjs';
+import { takeUntil } from 'rxjs/operators';
+import { EntryService, SimilarEntry } from 'src/app/service/entry.service';
+
+/**
+ * Published entries similar to an entry, by the words and spelling of their texts
+ */
+@Component({
+  standalone: true,
+  selector: 'app-similar-entries',
+  imports: [CommonModule, TranslateModule],
+  templateUrl: './similar-entries.component.html',
+})
+export class SimilarEntriesComponent implements OnChanges, OnDestroy {
+  @Input({ required: true }) entryId!: string;
+  @Input() limit = 10;
+
+  similar: SimilarEntry[] = [];
+
+  private readonly destroy$ = new Subject<void>();
+  private readonly changed$ = new Subject<void>();
+
+  constructor(private readonly entryService: EntryService) {}
+
+  ngOnChanges(): void {
+    this.changed$.next();
+    this.entryService
+      .similar(this.entryId, this.limit)
+      .pipe(takeUntil(this.changed$), takeUntil(this.destroy$))
+      .subscribe({
+        next: similar => (this.similar = similar),
+        error: () => (this.similar = []),
+      });
+  }
+
+  ngOnDestroy(): void {
+    this.destroy$.next();
+    this.destroy$.complete();
+  }
+}
@@ -0,0 +1,43 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { HttpClientTestingModule } from '@angular/common/http/testing';
+import { TranslateModule } from '@ngx-translate/core';
+import { ToastrModule } from 'ngx-toastr';
+import { Entry } from 'src/app/model/entry';
+
+import { TermOfTheDayComponent } from './term-of-the-day.component';
+
+describe('TermOfTheDayComponent', () => {
+  let component: TermOfTheDayComponent;
+  let fixture: ComponentFixture<TermOfTheDayComponent>;
+
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [
+        TermOfTheDayComponent,
+        HttpClientTestingModule,
+        TranslateModule.forRoot(),
+        ToastrModule.forRoot(),
+      ],
+    }).compileComponents();
+  });
+
+  beforeEach(() => {
+    fixture = TestBed.createComponent(TermOfTheDayComponent);
+    component = fixture.componentInstance;
+    fixture.detectChanges();
+  });
+
+  it('should create', () => {
+    expect(component).toBeTruthy();
+  });
+
+  it('should show a random entry instead of the term of the day until asked back', () => {
+    const term = new Entry({ hungarian: 'fonéma', english: 'phoneme' });
+    component.termOfTheDay = { entry: term, date: '2026-03-01', pinned: false };
+    component.random = new Entry({ hungarian: 'morféma', english: 'morpheme' });
+
+    expect(component.entry?.hungarian).toBe('morféma');
+    component.showTermOfTheDay();
+    expect(component.entry).toBe(term);
+  });
+});
@@ -0,0 +1,59 @@
+import { CommonModule } from '@angular/common';
+import { Component, OnDestroy, OnInit } from '@angular/core';
+import { TranslateModule } from '@ngx-translate/core';
+import { Subject } from 'rxjs';
+import { takeUntil } from 'rxjs/operators';
+import { IconModule } from 'src/app/icon/icon.module';
+import { Entry } from 'src/app/model/entry';
+import { WordTypeLabelPipe } from 'src/app/pipe/word-type-label.pipe';
+import { EntryService, TermOfTheDay } from 'src/app/service/entry.service';
+
+/**
+ * Card of the term of the day on the landing page, which can show random entries instead
+ */
+@Component({
+  standalone: true,
+  selector: 'app-term-of-the-day',
+  imports: [CommonModule, TranslateModule, IconModule, WordTypeLabelPipe],
+  templateUrl: './term-of-the-day.component.html',
+})
+export class TermOfTheDayComponent implements OnInit, OnDestroy {
+  termOfTheDay: TermOfTheDay | null = null;
+  // Random entry shown instead of the term of the day
+  random: Entry | null = null;
+
+  private readonly destroy$ = new Subject<void>();
+
+  constructor(private readonly entryService: EntryService) {}
+
+  ngOnInit(): void {
+    // Without published entries there is no term, and the card stays hidden
+    this.entryService
+      .termOfTheDay()
+      .pipe(takeUntil(this.destroy$))
+      .subscribe({
+        next: term => (this.termOfTheDay = term),
+        error: () => (this.termOfTheDay = null),
+      });
+  }
+
+  ngOnDestroy(): void {
+    this.destroy$.next();
+    this.destroy$.complete();
+  }
+
+  get entry(): Entry | null {
+    return this.random || this.termOfTheDay?.entry || null;
+  }
+
+  showRandom(): void {
+    this.entryService
+      .random()
+      .pipe(takeUntil(this.destroy$))
+      .subscribe({ next: entry => (this.random = entry), error: () => (this.random = null) });
+  }
+
+  showTermOfTheDay(): void {
+    this.random = null;
+  }
+}
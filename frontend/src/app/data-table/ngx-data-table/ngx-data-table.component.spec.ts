@@ -29,4 +29,20 @@ describe('NgxDataTableComponent', () => {
   it('should create', () => {
     expect(component).toBeTruthy();
   });
+
+  it('should sort a column in Hungarian alphabetical order', () => {
+    component.columns = [{ title: 'hungarian', key: 'hungarian' }];
+    component.list = ['zab', 'csak', 'ár', 'cukor', 'alma'].map(hungarian => ({ hungarian }));
+    component.onColumnSelect('hungarian');
+    fixture.detectChanges();
+
+    const cells = fixture.nativeElement.querySelectorAll('tbody td:first-child');
+    expect(Array.from(cells).map((cell: any) => cell.textContent.trim())).toEqual([
+      'alma',
+      'ár',
+      'cukor',
+      'csak',
+      'zab',
+    ]);
+  });
 });
@@ -25,12 +25,14 @@ export interface INgxTableColumn {
 }
 
 export interface ServerPagination {
-  currentPage: number;
+  currentPage: number | null;
   totalPages: number;
   totalItems: number;
   itemsPerPage: number;
   hasNextPage: boolean;
   hasPrevPage: boolean;
+  // Cursor of the page after the list, for the load more mode
+  nextCursor?: string | null;
 }
 
 @Component({
@@ -46,10 +48,14 @@ export class NgxDataTableComponent<T extends { [x: string]: any }> implements On
   @Input() entity: string = '';
   @Input() serverSideSearch = false;
   @Input() pagination: ServerPagination | null = null;
+  // Server-side lists that grow by a "load more" button instead of page numbers
+  @Input() loadMore = false;
 
   @Output() selectOne: EventEmitter<T> = new EventEmitter<T>();
   @Output() deleteOne: EventEmitter<T> = new EventEmitter<T>();
   @Output() pageChange: EventEmitter<number> = new EventEmitter<number>();
+  // Cursor of the page to add to the list
+  @Output() more: EventEmitter<string> = new EventEmitter<string>();
 
   // Client-side search (only used when serverSideSearch=false)
   phrase: string = '';
@@ -156,9 +162,10 @@ export class NgxDataTableComponent<T extends { [x: string]: any }> implements On
     });
   }
 
+  // A new column starts in alphabetical order, selecting it again reverses it
   onColumnSelect(key: string): void {
+    this.sortDir = key === this.columnKey ? this.sortDir * -1 : 1;
     this.columnKey = key;
-    this.sortDir = this.sortDir * -1;
   }
 
   onSelect(entity: T): void {
@@ -181,6 +188,12 @@ export class NgxDataTableComponent<T extends { [x: string]: any }> implements On
     }
   }
 
+  onLoadMore(): void {
+    if (this.serverSideSearch && this.pagination?.nextCursor) {
+      this.more.emit(this.pagination.nextCursor);
+    }
+  }
+
   showInfoAboutSorting() {
     this.notifyService.showInfo(
       'Click the icons next to the column titles to sort the entire table by this column.',
@@ -20,6 +20,9 @@ import {
   CornerDownRight,
   LogIn,
   LogOut,
+  BarChart2,
+  List,
+  Repeat,
 } from 'angular-feather/icons';
 
 const icons = {
@@ -42,6 +45,9 @@ const icons = {
 
   LogIn,
   LogOut,
+  BarChart2,
+  List,
+  Repeat,
 };
 
 @NgModule({
@@ -0,0 +1,29 @@
+import { CommentThread, IEntryComment } from './comment';
+
+describe('CommentThread', () => {
+  const comment = (body: string, parent: string | null = null): IEntryComment => ({
+    _id: body,
+    entry: 'e1',
+    parent,
+    body,
+    author: { _id: 'u1', firstName: 'Anna', lastName: 'Kovács' },
+    mentions: [],
+    resolved: false,
+    createdAt: '2024-01-01T00:00:00.000Z',
+  });
+
+  it('should split the opening comment from its replies', () => {
+    const thread = new CommentThread({
+      ...comment('first'),
+      replies: [comment('second', 'first')],
+    });
+
+    expect(thread.comment.body).toBe('first');
+    expect(thread.comments.map(c => c.body)).toEqual(['first', 'second']);
+    expect(thread.resolved).toBeFalse();
+  });
+
+  it('should name the author', () => {
+    expect(CommentThread.authorName(comment('first'))).toBe('Anna Kovács');
+  });
+});
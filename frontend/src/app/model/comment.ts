@@ -0,0 +1,55 @@
+export interface ICommentAuthor {
+  _id: string;
+  firstName: string;
+  lastName: string;
+  email?: string;
+}
+
+export interface IEntryComment {
+  _id: string;
+  entry: string;
+  // Comment opening the thread, null for the opening comment itself
+  parent: string | null;
+  body: string;
+  author: ICommentAuthor;
+  mentions: string[];
+  resolved: boolean;
+  resolvedBy?: ICommentAuthor | null;
+  resolvedAt?: string | null;
+  editedAt?: string | null;
+  createdAt: string;
+  updatedAt?: string;
+}
+
+// Messages pushed on the entries:<id> channel when a comment changes
+export type CommentEventType = 'comment_created' | 'comment_updated' | 'comment_deleted';
+
+export interface ICommentEvent {
+  entryId: string;
+  comment?: IEntryComment;
+  commentId?: string;
+}
+
+export class CommentThread {
+  comment: IEntryComment;
+  replies: IEntryComment[];
+
+  constructor(data: IEntryComment & { replies?: IEntryComment[] }) {
+    const { replies = [], ...comment } = data;
+    this.comment = comment;
+    this.replies = replies;
+  }
+
+  get resolved(): boolean {
+    return this.comment.resolved;
+  }
+
+  /** Comments of the thread in reading order */
+  get comments(): IEntryComment[] {
+    return [this.comment, ...this.replies];
+  }
+
+  static authorName(comment: IEntryComment): string {
+    return comment.author ? `${comment.author.firstName} ${comment.author.lastName}` : '';
+  }
+}
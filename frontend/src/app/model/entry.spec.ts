@@ -4,4 +4,45 @@ describe('Entry', () => {
   it('should create an instance', () => {
     expect(new Entry()).toBeTruthy();
   });
+
+  it('should fold legacy flat data into a single sense', () => {
+    const entry = new Entry({ hungarian: 'hang', english: 'sound', fieldOfExpertise: 'hangtan' });
+
+    expect(entry.senses).toEqual([{ english: ['sound'], fieldOfExpertise: 'hangtan' }]);
+  });
+
+  it('should list the English equivalents of every sense once', () => {
+    const entry = new Entry({
+      hungarian: 'hang',
+      senses: [
+        { english: ['sound', 'phone'], fieldOfExpertise: 'hangtan' },
+        { english: ['voice', 'sound'], fieldOfExpertise: 'mondattan' },
+      ],
+    });
+
+    expect(entry.englishEquivalents).toEqual(['sound', 'phone', 'voice']);
+  });
+
+  it('should reorder examples and sources', () => {
+    const entry = new Entry();
+    entry.addExample({ hungarian: 'első', english: 'first' });
+    entry.addExample({ hungarian: 'második', english: 'second' });
+    entry.addSource({ title: 'A' });
+    entry.addSource({ title: 'B' });
+
+    entry.moveExample(1, -1);
+    entry.moveSource(1, 1);
+
+    expect(entry.examples.map(example => example.english)).toEqual(['second', 'first']);
+    expect(entry.sources.map(source => source.title)).toEqual(['A', 'B']);
+  });
+
+  it('should offer the workflow actions of the current status', () => {
+    const entry = new Entry({ _id: '1', status: 'in_review' });
+
+    expect(entry.canTake('approve')).toBeTrue();
+    expect(entry.canTake('reject')).toBeTrue();
+    expect(entry.canTake('publish')).toBeFalse();
+    expect(new Entry().canTake('submit')).toBeFalse();
+  });
 });
@@ -1,46 +1,172 @@
+export interface IEntrySense {
+  _id?: string;
+  english: string[];
+  definition?: string;
+  fieldOfExpertise: string;
+}
+
+export interface IEntryExample {
+  _id?: string;
+  hungarian: string;
+  english: string;
+}
+
+export interface IEntrySource {
+  _id?: string;
+  author?: string;
+  title: string;
+  year?: number | null;
+  page?: string;
+  url?: string;
+}
+
+// Editorial workflow status, only published entries are public
+export type EntryStatus = 'draft' | 'in_review' | 'approved' | 'rejected' | 'published';
+
+export type EntryAction = 'submit' | 'approve' | 'reject' | 'publish';
+
+// Statuses each workflow action starts from
+export const ENTRY_ACTIONS: Record<EntryAction, EntryStatus[]> = {
+  submit: ['draft', 'rejected'],
+  approve: ['in_review'],
+  reject: ['in_review'],
+  publish: ['approved'],
+};
+
+export interface IEntryReview {
+  reviewedBy?: string;
+  reviewedAt?: string;
+  comment?: string;
+  reason?: string;
+}
+
+// How a headword search matched an entry: as typed, without accents or
+// through an inflected form
+export type EntryMatchType = 'exact' | 'folded' | 'lemma';
+
 export interface IEntry {
   _id: string;
   hungarian: string;
+  senses: IEntrySense[];
+  // Summary fields derived from the senses by the API
   fieldOfExpertise: string;
-  wordType: string;
   english: string;
+  // Word type codes from the managed vocabulary
+  wordType: string[];
+  // Usage examples and citations in display order
+  examples: IEntryExample[];
+  sources: IEntrySource[];
+  status?: EntryStatus;
+  review?: IEntryReview;
   views?: number;
   isActive?: boolean;
   createdAt?: string;
   updatedAt?: string;
   createdBy?: string;
   updatedBy?: string;
+  matchType?: EntryMatchType;
+  // Relevance score of a search result
+  score?: number;
 }
 
 export class Entry implements IEntry {
   _id: string = '';
   hungarian: string = '';
+  senses: IEntrySense[] = [];
   fieldOfExpertise: string = '';
-  wordType: string = '';
   english: string = '';
+  wordType: string[] = [];
+  examples: IEntryExample[] = [];
+  sources: IEntrySource[] = [];
+  status: EntryStatus = 'draft';
+  review?: IEntryReview;
   views: number = 0;
   isActive: boolean = true;
   createdAt?: string;
   updatedAt?: string;
   createdBy?: string;
   updatedBy?: string;
+  matchType?: EntryMatchType;
+  score?: number;
 
   constructor(data?: Partial<IEntry>) {
     if (data) {
       Object.assign(this, data);
     }
+    // Legacy flat entries become a single sense
+    if (!this.senses.length && this.english) {
+      this.senses = [{ english: [this.english], fieldOfExpertise: this.fieldOfExpertise }];
+    }
   }
 
   static fromJson(json: Partial<IEntry>): Entry {
     return new Entry(json);
   }
 
+  /** Every English equivalent of every sense, without duplicates */
+  get englishEquivalents(): string[] {
+    return [...new Set(this.senses.flatMap(sense => sense.english))];
+  }
+
+  addSense(sense: Partial<IEntrySense> = {}): void {
+    this.senses.push({ english: [], fieldOfExpertise: '', ...sense });
+  }
+
+  removeSense(index: number): void {
+    this.senses.splice(index, 1);
+  }
+
+  /** Whether the workflow action can be taken in the current status */
+  canTake(action: EntryAction): boolean {
+    return !!this._id && ENTRY_ACTIONS[action].includes(this.status);
+  }
+
+  addExample(example: Partial<IEntryExample> = {}): void {
+    this.examples.push({ hungarian: '', english: '', ...example });
+  }
+
+  removeExample(index: number): void {
+    this.examples.splice(index, 1);
+  }
+
+  /** Move an example up (negative offset) or down (positive offset) */
+  moveExample(index: number, offset: number): void {
+    Entry.move(this.examples, index, offset);
+  }
+
+  addSource(source: Partial<IEntrySource> = {}): void {
+    this.sources.push({ author: '', title: '', year: null, page: '', url: '', ...source });
+  }
+
+  removeSource(index: number): void {
+    this.sources.splice(index, 1);
+  }
+
+  /** Move a source up (negative offset) or down (positive offset) */
+  moveSource(index: number, offset: number): void {
+    Entry.move(this.sources, index, offset);
+  }
+
+  private static move<T>(list: T[], index: number, offset: number): void {
+    const target = index + offset;
+    if (index < 0 || index >= list.length || target < 0 || target >= list.length) {
+      return;
+    }
+    const [item] = list.splice(index, 1);
+    list.splice(target, 0, item);
+  }
+
   toJson(): IEntry {
     return {
       _id: this._id,
       hungarian: this.hungarian,
+      senses: this.senses.map(sense => ({ ...sense, english: [...sense.english] })),
       fieldOfExpertise: this.fieldOfExpertise,
-      wordType: this.wordType,
+      wordType: [...this.wordType],
+      examples: this.examples.map(example => ({ ...example })),
+      sources: this.sources.map(source => ({ ...source })),
+      status: this.status,
+      review: this.review ? { ...this.review } : undefined,
       english: this.english,
       views: this.views,
       isActive: this.isActive,
@@ -0,0 +1,10 @@
+import { WordType } from './word-type';
+
+describe('WordType', () => {
+  it('should pick the label of the UI language', () => {
+    const wordType = new WordType({ code: 'noun', labelHu: 'főnév', labelEn: 'noun' });
+
+    expect(wordType.label('hu')).toBe('főnév');
+    expect(wordType.label('en')).toBe('noun');
+  });
+});
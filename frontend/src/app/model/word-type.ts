@@ -0,0 +1,32 @@
+export interface IWordType {
+  _id: string;
+  code: string;
+  labelHu: string;
+  labelEn: string;
+  abbreviation: string;
+  sortOrder?: number;
+}
+
+export class WordType implements IWordType {
+  _id: string = '';
+  code: string = '';
+  labelHu: string = '';
+  labelEn: string = '';
+  abbreviation: string = '';
+  sortOrder: number = 0;
+
+  constructor(data?: Partial<IWordType>) {
+    if (data) {
+      Object.assign(this, data);
+    }
+  }
+
+  static fromJson(json: Partial<IWordType>): WordType {
+    return new WordType(json);
+  }
+
+  /** Full label in the given UI language (Hungarian is the default) */
+  label(lang: string): string {
+    return lang === 'en' ? this.labelEn : this.labelHu;
+  }
+}
@@ -0,0 +1,135 @@
+import { CommonModule } from '@angular/common';
+import { Component, OnDestroy, OnInit } from '@angular/core';
+import { ActivatedRoute, Router, RouterModule } from '@angular/router';
+import { TranslateModule } from '@ngx-translate/core';
+import { EMPTY, Subject, combineLatest } from 'rxjs';
+import { distinctUntilChanged, map, switchMap, takeUntil, tap } from 'rxjs/operators';
+import { IconModule } from 'src/app/icon/icon.module';
+import { WordTypeLabelPipe } from 'src/app/pipe/word-type-label.pipe';
+import { BrowseItem, EntryService, LetterCount, SearchResult } from 'src/app/service/entry.service';
+import { NotificationService } from 'src/app/service/notification.service';
+import { WordTypeService } from 'src/app/service/word-type.service';
+
+type BrowseLanguage = 'hu' | 'en';
+
+const PAGE_SIZE = 50;
+
+/**
+ * A–Z index of the dictionary: the headwords of a letter page by page. The letter is
+ * part of the route and the language and page are query parameters, so views can be linked.
+ */
+@Component({
+  standalone: true,
+  selector: 'app-browse',
+  imports: [CommonModule, RouterModule, TranslateModule, IconModule, WordTypeLabelPipe],
+  templateUrl: './browse.component.html',
+  styleUrls: ['./browse.component.scss'],
+})
+export class BrowseComponent implements OnInit, OnDestroy {
+  readonly languages: BrowseLanguage[] = ['hu', 'en'];
+
+  language: BrowseLanguage = 'hu';
+  letter: string | null = null;
+  letters: LetterCount[] = [];
+  items: BrowseItem[] = [];
+  pagination: SearchResult<BrowseItem>['pagination'] | null = null;
+  loading = false;
+
+  private readonly destroy$ = new Subject<void>();
+
+  constructor(
+    private readonly entryService: EntryService,
+    private readonly route: ActivatedRoute,
+    private readonly router: Router,
+    private readonly notifyService: NotificationService,
+    private readonly wordTypeService: WordTypeService
+  ) {}
+
+  ngOnInit(): void {
+    // Word types are shown with their full labels
+    this.wordTypeService
+      .load()
+      .pipe(takeUntil(this.destroy$))
+      .subscribe({ error: (err: Error) => this.showError(err.message) });
+
+    const language$ = this.route.queryParamMap.pipe(
+      map(params => (params.get('lang') === 'en' ? 'en' : 'hu') as BrowseLanguage),
+      distinctUntilChanged()
+    );
+
+    language$
+      .pipe(
+        switchMap(language => this.entryService.letterIndex(language)),
+        takeUntil(this.destroy$)
+      )
+      .subscribe({
+        next: letters => (this.letters = letters),
+        error: (err: Error) => this.showError(err.message),
+      });
+
+    combineLatest([this.route.paramMap, this.route.queryParamMap, language$])
+      .pipe(
+        tap(([params, , language]) => {
+          this.language = language;
+          this.letter = params.get('letter');
+          this.items = [];
+          this.pagination = null;
+          this.loading = Boolean(this.letter);
+        }),
+        switchMap(([params, query, language]) =>
+          params.get('letter')
+            ? this.entryService.browse(
+                params.get('letter') as string,
+                language,
+                Math.max(1, Number(query.get('page')) || 1),
+                PAGE_SIZE
+              )
+            : EMPTY
+        ),
+        takeUntil(this.destroy$)
+      )
+      .subscribe({
+        next: result => {
+          this.items = result.data;
+          this.pagination = result.pagination;
+          this.loading = false;
+        },
+        error: (err: Error) => {
+          this.loading = false;
+          this.showError(err.message);
+        },
+      });
+  }
+
+  ngOnDestroy(): void {
+    this.destroy$.next();
+    this.destroy$.complete();
+  }
+
+  get pageList(): number[] {
+    const totalPages = this.pagination?.totalPages ?? 0;
+    return Array.from({ length: totalPages }, (_, index) => index + 1);
+  }
+
+  selectLanguage(language: BrowseLanguage): void {
+    // The letters differ, so the Hungarian "cs" has no English page
+    this.router.navigate(['/browse'], { queryParams: { lang: language } });
+  }
+
+  jumpToPage(page: number): void {
+    this.router.navigate([], {
+      relativeTo: this.route,
+      queryParams: { page },
+      queryParamsHandling: 'merge',
+    });
+  }
+
+  // The term browsed and its translation in the other language
+  translationOf(item: BrowseItem): string {
+    return this.language === 'hu' ? item.english : item.hungarian;
+  }
+
+  private showError(err: string): void {
+    this.notifyService.showError(`Something went wrong. Details: ${err}`, 'NyelvSzó v.2.0.0');
+  }
+}
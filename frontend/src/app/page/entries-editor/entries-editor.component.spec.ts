@@ -37,7 +37,7 @@ describe('EntriesEditorComponent', () => {
       english: 'Test Word',
       hungarian: 'Teszt szó',
       fieldOfExpertise: 'general',
-      wordType: 'noun',
+      wordType: ['noun'],
     });
 
     // @Input előbb:
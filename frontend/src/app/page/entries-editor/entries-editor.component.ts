@@ -5,19 +5,31 @@ import { ActivatedRoute, Router, RouterModule } from '@angular/router';
 import { TranslateModule } from '@ngx-translate/core';
 import { Subject } from 'rxjs';
 import { switchMap, takeUntil } from 'rxjs/operators';
-import { Entry } from 'src/app/model/entry';
+import { EntryCommentsComponent } from 'src/app/common/entry-comments/entry-comments.component';
+import { SimilarEntriesComponent } from 'src/app/common/similar-entries/similar-entries.component';
+import { Entry, EntryAction } from 'src/app/model/entry';
+import { AuthService } from 'src/app/service/auth.service';
 import { EntryService } from 'src/app/service/entry.service';
 import { NotificationService } from 'src/app/service/notification.service';
 
 @Component({
   standalone: true,
   selector: 'app-entries-editor',
-  imports: [CommonModule, FormsModule, RouterModule, TranslateModule],
+  imports: [
+    CommonModule,
+    FormsModule,
+    RouterModule,
+    TranslateModule,
+    EntryCommentsComponent,
+    SimilarEntriesComponent,
+  ],
   templateUrl: './entries-editor.component.html',
 })
 export class EntriesEditorComponent implements OnInit, OnDestroy {
   entry: Entry = new Entry();
   entity = 'Entry';
+  // Comment of an approval or reason of a rejection
+  reviewNote = '';
 
   private readonly destroy$ = new Subject<void>();
 
@@ -25,7 +37,8 @@ export class EntriesEditorComponent implements OnInit, OnDestroy {
     private readonly entryService: EntryService,
     private readonly route: ActivatedRoute,
     private readonly router: Router,
-    private readonly notifyService: NotificationService
+    private readonly notifyService: NotificationService,
+    public readonly auth: AuthService
   ) {}
 
   ngOnInit(): void {
@@ -44,7 +57,8 @@ export class EntriesEditorComponent implements OnInit, OnDestroy {
       .subscribe({
         next: entry => {
           if (entry) {
-            this.entry = entry;
+            // The API returns plain data, the editor needs the model helpers
+            this.entry = new Entry(entry);
           }
         },
         error: err => this.showError(err.message || 'Failed to load entry'),
@@ -80,6 +94,27 @@ export class EntriesEditorComponent implements OnInit, OnDestroy {
     });
   }
 
+  changeStatus(action: EntryAction): void {
+    const body =
+      action === 'approve'
+        ? { comment: this.reviewNote }
+        : action === 'reject'
+          ? { reason: this.reviewNote }
+          : {};
+
+    this.entryService.changeStatus(this.entry._id, action, body).subscribe({
+      next: entry => {
+        this.entry = entry;
+        this.reviewNote = '';
+        this.notifyService.showSuccess(
+          `${this.entity} status changed to ${entry.status}!`,
+          'NyelvSzó v.2.0.0'
+        );
+      },
+      error: err => this.showError(err.error?.message || err.message),
+    });
+  }
+
   showSuccessEdit() {
     this.notifyService.showSuccess(`${this.entity} edited successfully!`, 'NyelvSzó v.2.0.0');
   }
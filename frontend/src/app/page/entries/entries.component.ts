@@ -1,10 +1,26 @@
 import { Component, OnInit, OnDestroy, ViewEncapsulation } from '@angular/core';
 import { Router } from '@angular/router';
-import { Subject } from 'rxjs';
-import { takeUntil, debounceTime, distinctUntilChanged } from 'rxjs/operators';
-import { Entry } from 'src/app/model/entry';
+import { Observable, of, Subject } from 'rxjs';
+import {
+  takeUntil,
+  debounceTime,
+  distinctUntilChanged,
+  switchMap,
+  catchError,
+} from 'rxjs/operators';
+import { Entry, EntryStatus } from 'src/app/model/entry';
 import { ConfigService, TableColumn } from 'src/app/service/config.service';
-import { EntryService, SearchOptions } from 'src/app/service/entry.service';
+import {
+  EntryService,
+  FacetName,
+  FacetValue,
+  SearchDirection,
+  SearchOptions,
+  SpellingSuggestion,
+  TermSuggestion,
+} from 'src/app/service/entry.service';
+import { SynonymExpansion } from 'src/app/service/synonym.service';
+import { WordTypeService } from 'src/app/service/word-type.service';
 import { NotificationService } from 'src/app/service/notification.service';
 import { AuthService } from 'src/app/service/auth.service';
 import { CommonModule } from '@angular/common';
@@ -12,12 +28,35 @@ import { RouterModule } from '@angular/router';
 import { TranslateModule, TranslateService } from '@ngx-translate/core';
 import { FormsModule } from '@angular/forms';
 import { IconModule } from 'src/app/icon/icon.module';
+import { TermOfTheDayComponent } from 'src/app/common/term-of-the-day/term-of-the-day.component';
 import { SorterPipe } from 'src/app/pipe/sorter.pipe';
+import { WordTypeLabelPipe } from 'src/app/pipe/word-type-label.pipe';
+
+// Headwords complete the Hungarian column, English equivalents the English one and
+// both the search in all columns; the other columns have nothing to suggest
+const SUGGESTED_LANGUAGES: Record<string, 'hu' | 'en' | undefined> = {
+  '': undefined,
+  hungarian: 'hu',
+  english: 'en',
+};
+
+// Field prefixes, phrases, wildcards, OR and excluded terms of the search syntax
+const QUERY_SYNTAX =
+  /\b(hungarian|hu|english|en|field|fieldOfExpertise|wordType|type):|["*|]|\sOR\s|\s(-|NOT\s)/i;
 
 @Component({
   standalone: true,
   selector: 'app-entries',
-  imports: [CommonModule, RouterModule, TranslateModule, FormsModule, IconModule, SorterPipe],
+  imports: [
+    CommonModule,
+    RouterModule,
+    TranslateModule,
+    FormsModule,
+    IconModule,
+    SorterPipe,
+    WordTypeLabelPipe,
+    TermOfTheDayComponent,
+  ],
   templateUrl: './entries.component.html',
   styleUrls: ['./entries.component.scss'],
   encapsulation: ViewEncapsulation.None,
@@ -29,6 +68,11 @@ export class EntriesComponent implements OnInit, OnDestroy {
   // Search state
   searchTerm = '';
   filterKey = 'hungarian'; // Default: search Hungarian column
+  // Editors may list entries of other workflow statuses, empty means published
+  statusFilter: EntryStatus | 'all' | '' = '';
+  // Rank by the similarity of the entries to the search term, when searching all columns
+  semantic = false;
+  readonly unpublishedStatuses: EntryStatus[] = ['draft', 'in_review', 'approved', 'rejected'];
   currentPage = 1;
   pageSize = 25;
 
@@ -39,6 +83,16 @@ export class EntriesComponent implements OnInit, OnDestroy {
   // Results
   results: Entry[] = [];
   hasSearched = false;
+  didYouMean: SpellingSuggestion[] = [];
+  expansions: SynonymExpansion[] = [];
+  // English queries list the English column first
+  direction: SearchDirection = 'hu-en';
+  // Autocomplete of the search box
+  suggestions: TermSuggestion[] = [];
+  // Results per field of expertise and word type, and the values chosen to narrow them
+  readonly facetNames: FacetName[] = ['fieldOfExpertise', 'wordType'];
+  facets: Partial<Record<FacetName, FacetValue[]>> = {};
+  selectedFacets: Record<FacetName, string[]> = { fieldOfExpertise: [], wordType: [] };
 
   // Reactive streams
   private readonly searchTerm$ = new Subject<string>();
@@ -47,6 +101,7 @@ export class EntriesComponent implements OnInit, OnDestroy {
   constructor(
     private readonly config: ConfigService,
     readonly entryService: EntryService,
+    private readonly wordTypeService: WordTypeService,
     public readonly auth: AuthService,
     private readonly router: Router,
     private readonly notifyService: NotificationService,
@@ -59,6 +114,7 @@ export class EntriesComponent implements OnInit, OnDestroy {
 
   ngOnInit(): void {
     this.setupSearch();
+    this.loadWordTypes();
   }
 
   ngOnDestroy(): void {
@@ -75,9 +131,37 @@ export class EntriesComponent implements OnInit, OnDestroy {
           this.performSearch();
         } else {
           this.results = [];
+          this.didYouMean = [];
+          this.expansions = [];
           this.hasSearched = false;
         }
       });
+
+    this.searchTerm$
+      .pipe(
+        debounceTime(150),
+        distinctUntilChanged(),
+        switchMap(term => this.loadSuggestions(term)),
+        takeUntil(this.destroy$)
+      )
+      .subscribe(suggestions => (this.suggestions = suggestions));
+  }
+
+  private loadSuggestions(term: string): Observable<TermSuggestion[]> {
+    if (!term.trim() || !(this.filterKey in SUGGESTED_LANGUAGES)) {
+      return of([]);
+    }
+    return this.entryService
+      .suggest(term.trim(), SUGGESTED_LANGUAGES[this.filterKey])
+      .pipe(catchError(() => of([])));
+  }
+
+  // Word types are shown with their full labels, so the vocabulary is needed up front
+  private loadWordTypes(): void {
+    this.wordTypeService
+      .load()
+      .pipe(takeUntil(this.destroy$))
+      .subscribe({ error: err => this.showError(err) });
   }
 
   onSearchChange(): void {
@@ -94,6 +178,8 @@ export class EntriesComponent implements OnInit, OnDestroy {
   performSearch(): void {
     if (!this.searchTerm.trim()) {
       this.results = [];
+      this.didYouMean = [];
+      this.expansions = [];
       this.hasSearched = false;
       return;
     }
@@ -102,8 +188,14 @@ export class EntriesComponent implements OnInit, OnDestroy {
       page: this.currentPage,
       limit: this.pageSize,
       sortBy: 'alphabetical',
+      facets: true,
+      facetFilters: this.selectedFacets,
     };
 
+    if (this.statusFilter && this.auth.isEditor) {
+      options.status = this.statusFilter;
+    }
+
     const term = this.searchTerm.trim();
 
     // If filtering by specific column, use that filter
@@ -122,8 +214,19 @@ export class EntriesComponent implements OnInit, OnDestroy {
         options.wordType = term;
         break;
       default:
-        // Search all columns (hungarian, english, fieldOfExpertise, wordType)
-        options.search = term;
+        // Search all columns (hungarian, english, fieldOfExpertise, wordType),
+        // or send power users' queries in the search syntax as they are
+        if (QUERY_SYNTAX.test(term)) {
+          options.query = term;
+        } else if (this.semantic) {
+          // Ranked by similarity, without facets
+          options.search = term;
+          options.semantic = true;
+          options.facets = false;
+        } else {
+          options.search = term;
+          options.scope = 'all';
+        }
         break;
     }
 
@@ -133,16 +236,55 @@ export class EntriesComponent implements OnInit, OnDestroy {
       .subscribe({
         next: response => {
           this.results = response.data;
+          this.didYouMean = response.didYouMean || [];
+          this.expansions = response.expansions || [];
+          this.facets = response.facets || {};
+          this.direction = response.meta?.direction || 'hu-en';
           this.hasSearched = true;
         },
         error: err => {
           this.showError(err);
           this.results = [];
+          this.didYouMean = [];
+          this.expansions = [];
           this.hasSearched = true;
         },
       });
   }
 
+  // Select or deselect a facet value; the other facets are counted again with the results
+  toggleFacet(facet: FacetName, value: string): void {
+    const selected = this.selectedFacets[facet];
+    this.selectedFacets = {
+      ...this.selectedFacets,
+      [facet]: selected.includes(value)
+        ? selected.filter(item => item !== value)
+        : [...selected, value],
+    };
+    this.currentPage = 1;
+    this.performSearch();
+  }
+
+  // Search the suggested spelling, in the column of its language when a column is chosen
+  useSuggestion(suggestion: SpellingSuggestion): void {
+    if (suggestion.language === 'en' && this.filterKey === 'hungarian') {
+      this.filterKey = 'english';
+    } else if (suggestion.language === 'hu' && this.filterKey === 'english') {
+      this.filterKey = 'hungarian';
+    }
+    this.searchTerm = suggestion.term;
+    this.currentPage = 1;
+    this.performSearch();
+  }
+
+  get displayColumns(): TableColumn[] {
+    if (this.direction === 'hu-en') {
+      return this.columns;
+    }
+    const english = this.columns.filter(col => col.key === 'english');
+    return [...english, ...this.columns.filter(col => col.key !== 'english')];
+  }
+
   onPageChange(page: number): void {
     this.currentPage = page;
     this.performSearch();
@@ -187,12 +329,16 @@ export class EntriesComponent implements OnInit, OnDestroy {
     } else if (err && typeof err === 'object') {
       // Handle HttpErrorResponse
       const httpErr = err as {
-        error?: { message?: string };
+        error?: { message?: string; error?: string };
         message?: string;
         statusText?: string;
       };
       message =
-        httpErr.error?.message || httpErr.message || httpErr.statusText || JSON.stringify(err);
+        httpErr.error?.message ||
+        httpErr.error?.error ||
+        httpErr.message ||
+        httpErr.statusText ||
+        JSON.stringify(err);
     }
     this.notifyService.showError(`Something went wrong. Details: ${message}`, 'NyelvSzó v.2.0.0');
   }
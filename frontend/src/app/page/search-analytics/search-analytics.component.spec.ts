@@ -0,0 +1,39 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { HttpClientTestingModule } from '@angular/common/http/testing';
+import { TranslateModule } from '@ngx-translate/core';
+import { ToastrModule } from 'ngx-toastr';
+
+import { SearchAnalyticsComponent } from './search-analytics.component';
+
+describe('SearchAnalyticsComponent', () => {
+  let component: SearchAnalyticsComponent;
+  let fixture: ComponentFixture<SearchAnalyticsComponent>;
+
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [
+        SearchAnalyticsComponent,
+        HttpClientTestingModule,
+        TranslateModule.forRoot(),
+        ToastrModule.forRoot(),
+      ],
+    }).compileComponents();
+  });
+
+  beforeEach(() => {
+    fixture = TestBed.createComponent(SearchAnalyticsComponent);
+    component = fixture.componentInstance;
+    fixture.detectChanges();
+  });
+
+  it('should create', () => {
+    expect(component).toBeTruthy();
+  });
+
+  it('should only offer hourly volume for short periods', () => {
+    component.days = 90;
+    expect(component.hourlyAvailable).toBeFalse();
+    component.days = 7;
+    expect(component.hourlyAvailable).toBeTrue();
+  });
+});
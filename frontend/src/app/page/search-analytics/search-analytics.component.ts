@@ -0,0 +1,106 @@
+import { CommonModule } from '@angular/common';
+import { Component, OnDestroy, OnInit } from '@angular/core';
+import { FormsModule } from '@angular/forms';
+import { TranslateModule } from '@ngx-translate/core';
+import { Subject, forkJoin } from 'rxjs';
+import { takeUntil } from 'rxjs/operators';
+import {
+  AnalyticsService,
+  QueryReport,
+  SearchVolume,
+  VolumeInterval,
+} from 'src/app/service/analytics.service';
+import { NotificationService } from 'src/app/service/notification.service';
+
+// By the hour the API reports at most this many days
+const MAX_HOURLY_DAYS = 14;
+
+/**
+ * Admin dashboard of the anonymous search statistics
+ */
+@Component({
+  standalone: true,
+  selector: 'app-search-analytics',
+  imports: [CommonModule, FormsModule, TranslateModule],
+  templateUrl: './search-analytics.component.html',
+  styleUrls: ['./search-analytics.component.scss'],
+})
+export class SearchAnalyticsComponent implements OnInit, OnDestroy {
+  readonly dayOptions = [1, 7, 30, 90, 365];
+
+  days = 30;
+  interval: VolumeInterval = 'day';
+  lang: '' | 'hu' | 'en' = '';
+
+  topQueries: QueryReport[] = [];
+  zeroResultQueries: QueryReport[] = [];
+  volume: SearchVolume[] = [];
+  loading = false;
+
+  private readonly destroy$ = new Subject<void>();
+
+  constructor(
+    private readonly analyticsService: AnalyticsService,
+    private readonly notifyService: NotificationService
+  ) {}
+
+  ngOnInit(): void {
+    this.load();
+  }
+
+  ngOnDestroy(): void {
+    this.destroy$.next();
+    this.destroy$.complete();
+  }
+
+  get hourlyAvailable(): boolean {
+    return this.days <= MAX_HOURLY_DAYS;
+  }
+
+  get totalSearches(): number {
+    return this.volume.reduce((total, period) => total + period.searches, 0);
+  }
+
+  get totalZeroResults(): number {
+    return this.volume.reduce((total, period) => total + period.zeroResults, 0);
+  }
+
+  // Largest number of searches of a period, the full height of the chart
+  get peak(): number {
+    return Math.max(1, ...this.volume.map(period => period.searches));
+  }
+
+  load(): void {
+    if (!this.hourlyAvailable) {
+      this.interval = 'day';
+    }
+    const options = { days: this.days, lang: this.lang || undefined };
+
+    this.loading = true;
+    forkJoin({
+      top: this.analyticsService.topQueries(options),
+      zeroResults: this.analyticsService.zeroResultQueries(options),
+      volume: this.analyticsService.volume(this.days, this.interval),
+    })
+      .pipe(takeUntil(this.destroy$))
+      .subscribe({
+        next: ({ top, zeroResults, volume }) => {
+          this.topQueries = top;
+          this.zeroResultQueries = zeroResults;
+          this.volume = volume;
+          this.loading = false;
+        },
+        error: (err: Error) => {
+          this.loading = false;
+          this.notifyService.showError(
+            `Something went wrong. Details: ${err.message}`,
+            'NyelvSzó v.2.0.0'
+          );
+        },
+      });
+  }
+
+  barHeight(period: SearchVolume): number {
+    return Math.round((period.searches / this.peak) * 100);
+  }
+}
@@ -0,0 +1,46 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { HttpClientTestingModule } from '@angular/common/http/testing';
+import { TranslateModule } from '@ngx-translate/core';
+import { ToastrModule } from 'ngx-toastr';
+
+import { SynonymsComponent } from './synonyms.component';
+
+describe('SynonymsComponent', () => {
+  let component: SynonymsComponent;
+  let fixture: ComponentFixture<SynonymsComponent>;
+
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [
+        SynonymsComponent,
+        HttpClientTestingModule,
+        TranslateModule.forRoot(),
+        ToastrModule.forRoot(),
+      ],
+    }).compileComponents();
+  });
+
+  beforeEach(() => {
+    fixture = TestBed.createComponent(SynonymsComponent);
+    component = fixture.componentInstance;
+    fixture.detectChanges();
+  });
+
+  it('should create', () => {
+    expect(component).toBeTruthy();
+  });
+
+  it('should edit the terms of a set one per line', () => {
+    component.edit({
+      _id: '1',
+      language: 'en',
+      type: 'oneWay',
+      terms: ['natural language processing'],
+      from: ['NLP'],
+    });
+
+    expect(component.form.from).toBe('NLP');
+    component.cancel();
+    expect(component.form._id).toBeUndefined();
+  });
+});
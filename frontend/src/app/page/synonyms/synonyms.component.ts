@@ -0,0 +1,151 @@
+import { CommonModule } from '@angular/common';
+import { Component, OnDestroy, OnInit } from '@angular/core';
+import { FormsModule } from '@angular/forms';
+import { TranslateModule } from '@ngx-translate/core';
+import { Subject } from 'rxjs';
+import { takeUntil } from 'rxjs/operators';
+import { ApiResponse } from 'src/app/service/base.service';
+import { NotificationService } from 'src/app/service/notification.service';
+import {
+  SynonymLanguage,
+  SynonymService,
+  SynonymSet,
+  SynonymType,
+} from 'src/app/service/synonym.service';
+
+const PAGE_SIZE = 20;
+
+// Terms are edited one per line
+const linesOf = (text: string): string[] =>
+  text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+
+interface SynonymForm {
+  _id?: string;
+  language: SynonymLanguage;
+  type: SynonymType;
+  terms: string;
+  from: string;
+}
+
+const emptyForm = (): SynonymForm => ({ language: 'hu', type: 'equivalent', terms: '', from: '' });
+
+/**
+ * Editors' list of synonym sets: searches find the entries of the synonyms of the
+ * searched words and phrases as well
+ */
+@Component({
+  standalone: true,
+  selector: 'app-synonyms',
+  imports: [CommonModule, FormsModule, TranslateModule],
+  templateUrl: './synonyms.component.html',
+  styleUrls: ['./synonyms.component.scss'],
+})
+export class SynonymsComponent implements OnInit, OnDestroy {
+  lang: '' | SynonymLanguage = '';
+  search = '';
+  page = 1;
+
+  sets: SynonymSet[] = [];
+  pagination: ApiResponse<SynonymSet[]>['pagination'] | null = null;
+  form: SynonymForm = emptyForm();
+  loading = false;
+  saving = false;
+
+  private readonly destroy$ = new Subject<void>();
+
+  constructor(
+    private readonly synonymService: SynonymService,
+    private readonly notifyService: NotificationService
+  ) {}
+
+  ngOnInit(): void {
+    this.load();
+  }
+
+  ngOnDestroy(): void {
+    this.destroy$.next();
+    this.destroy$.complete();
+  }
+
+  load(page = 1): void {
+    this.page = page;
+    this.loading = true;
+    this.synonymService
+      .list({ lang: this.lang || undefined, search: this.search, page, limit: PAGE_SIZE })
+      .pipe(takeUntil(this.destroy$))
+      .subscribe({
+        next: response => {
+          this.sets = response.data;
+          this.pagination = response.pagination ?? null;
+          this.loading = false;
+        },
+        error: (err: Error) => {
+          this.loading = false;
+          this.showError(err.message);
+        },
+      });
+  }
+
+  edit(set: SynonymSet): void {
+    this.form = {
+      _id: set._id,
+      language: set.language,
+      type: set.type,
+      terms: set.terms.join('\n'),
+      from: (set.from ?? []).join('\n'),
+    };
+  }
+
+  cancel(): void {
+    this.form = emptyForm();
+  }
+
+  save(): void {
+    const set: SynonymSet = {
+      language: this.form.language,
+      type: this.form.type,
+      terms: linesOf(this.form.terms),
+      from: linesOf(this.form.from),
+    };
+    const request = this.form._id
+      ? this.synonymService.update(this.form._id, set)
+      : this.synonymService.create(set);
+
+    this.saving = true;
+    request.pipe(takeUntil(this.destroy$)).subscribe({
+      next: () => {
+        this.saving = false;
+        this.form = emptyForm();
+        this.notifyService.showSuccess('Synonym set saved', 'NyelvSzó v.2.0.0');
+        this.load(this.page);
+      },
+      error: (err: Error) => {
+        this.saving = false;
+        this.showError(err.message);
+      },
+    });
+  }
+
+  remove(set: SynonymSet): void {
+    if (
+      !set._id ||
+      !confirm('Do you really want to delete this record? This process cannot be undone.')
+    ) {
+      return;
+    }
+    this.synonymService
+      .delete(set._id)
+      .pipe(takeUntil(this.destroy$))
+      .subscribe({
+        next: () => this.load(this.sets.length > 1 ? this.page : Math.max(1, this.page - 1)),
+        error: (err: Error) => this.showError(err.message),
+      });
+  }
+
+  private showError(message: string): void {
+    this.notifyService.showError(`Something went wrong. Details: ${message}`, 'NyelvSzó v.2.0.0');
+  }
+}
@@ -1,8 +1,35 @@
 import { SorterPipe } from './sorter.pipe';
 
 describe('SorterPipe', () => {
+  const pipe = new SorterPipe();
+  const sort = (...words: string[]) =>
+    pipe
+      .transform(
+        words.map(hungarian => ({ hungarian })),
+        'hungarian'
+      )
+      ?.map(row => row.hungarian);
+
   it('create an instance', () => {
-    const pipe = new SorterPipe();
     expect(pipe).toBeTruthy();
   });
+
+  it('should sort digraphs as single letters', () => {
+    expect(sort('csak', 'cukor', 'cipő')).toEqual(['cipő', 'cukor', 'csak']);
+    expect(sort('szem', 'sor', 'sz')).toEqual(['sor', 'sz', 'szem']);
+    expect(sort('dzsem', 'dzéta', 'dob')).toEqual(['dob', 'dzéta', 'dzsem']);
+    expect(sort('meggyes', 'megy', 'meggy')).toEqual(['megy', 'meggy', 'meggyes']);
+  });
+
+  it('should sort long vowels with their short pair', () => {
+    expect(sort('zab', 'az', 'ár', 'alma')).toEqual(['alma', 'ár', 'az', 'zab']);
+    expect(sort('korom', 'kór', 'kor')).toEqual(['kor', 'kór', 'korom']);
+    expect(sort('ősz', 'oszt', 'ösz')).toEqual(['oszt', 'ösz', 'ősz']);
+  });
+
+  it('should sort in reverse order', () => {
+    expect(
+      pipe.transform([{ hungarian: 'ár' }, { hungarian: 'zab' }], 'hungarian', -1)?.[0].hungarian
+    ).toBe('zab');
+  });
 });
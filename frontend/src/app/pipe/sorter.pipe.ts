@@ -1,5 +1,9 @@
 import { Pipe, PipeTransform } from '@angular/core';
 
+// Hungarian alphabetical order: digraphs (cs, dzs, gy, sz, ...) are single letters
+// and long vowels sort with their short pair (kor < kór < korom)
+export const hungarianCollator = new Intl.Collator('hu');
+
 @Pipe({
   name: 'sorter',
   standalone: true,
@@ -21,7 +25,7 @@ export class SorterPipe implements PipeTransform {
           second = Object.values(second).join('');
         }
 
-        return ('' + first).toLowerCase().localeCompare(('' + second).toLowerCase()) * dir;
+        return hungarianCollator.compare('' + first, '' + second) * dir;
       }
     });
   }
@@ -0,0 +1,18 @@
+import { TestBed } from '@angular/core/testing';
+import { HttpClientTestingModule } from '@angular/common/http/testing';
+import { TranslateModule, TranslateService } from '@ngx-translate/core';
+import { WordTypeService } from '../service/word-type.service';
+import { WordTypeLabelPipe } from './word-type-label.pipe';
+
+describe('WordTypeLabelPipe', () => {
+  it('create an instance', () => {
+    TestBed.configureTestingModule({
+      imports: [HttpClientTestingModule, TranslateModule.forRoot()],
+    });
+    const pipe = new WordTypeLabelPipe(
+      TestBed.inject(WordTypeService),
+      TestBed.inject(TranslateService)
+    );
+    expect(pipe).toBeTruthy();
+  });
+});
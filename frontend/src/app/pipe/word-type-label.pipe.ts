@@ -0,0 +1,24 @@
+import { Pipe, PipeTransform } from '@angular/core';
+import { TranslateService } from '@ngx-translate/core';
+import { WordTypeService } from '../service/word-type.service';
+
+/**
+ * Shows word type codes with their full label in the current UI language.
+ * Impure, because both the language and the loaded vocabulary can change.
+ */
+@Pipe({
+  name: 'wordTypeLabel',
+  standalone: true,
+  pure: false,
+})
+export class WordTypeLabelPipe implements PipeTransform {
+  constructor(
+    private readonly wordTypeService: WordTypeService,
+    private readonly translate: TranslateService
+  ) {}
+
+  transform(codes: string[] | string | null | undefined): string {
+    const lang = this.translate.currentLang || this.translate.defaultLang || 'hu';
+    return this.wordTypeService.labels(codes, lang);
+  }
+}
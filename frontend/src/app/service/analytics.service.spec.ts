@@ -0,0 +1,30 @@
+import { TestBed } from '@angular/core/testing';
+import { HttpClientTestingModule, HttpTestingController } from '@angular/common/http/testing';
+import { AnalyticsService } from 'src/app/service/analytics.service';
+
+describe('AnalyticsService', () => {
+  let service: AnalyticsService;
+  let http: HttpTestingController;
+
+  beforeEach(() => {
+    TestBed.configureTestingModule({
+      imports: [HttpClientTestingModule],
+      providers: [AnalyticsService],
+    });
+    service = TestBed.inject(AnalyticsService);
+    http = TestBed.inject(HttpTestingController);
+  });
+
+  it('should be created', () => {
+    expect(service).toBeTruthy();
+  });
+
+  it('should request the volume of the given days', () => {
+    service.volume(7, 'hour').subscribe(periods => expect(periods.length).toBe(0));
+
+    const request = http.expectOne(req => req.url.endsWith('/analytics/searches/volume'));
+    expect(request.request.params.get('days')).toBe('7');
+    expect(request.request.params.get('interval')).toBe('hour');
+    request.flush({ data: [] });
+  });
+});
@@ -0,0 +1,81 @@
+import { HttpClient, HttpParams } from '@angular/common/http';
+import { Injectable } from '@angular/core';
+import { Observable } from 'rxjs';
+import { map } from 'rxjs/operators';
+import { environment } from 'src/environments/environment';
+import { ApiResponse } from './base.service';
+
+// Counts of a normalized search query over the reported days
+export interface QueryReport {
+  query: string;
+  searches: number;
+  zeroResults: number;
+  averageResults: number;
+  lastSearched: string;
+}
+
+// Searches of a day or hour, starting at the period
+export interface SearchVolume {
+  period: string;
+  searches: number;
+  zeroResults: number;
+}
+
+export type VolumeInterval = 'day' | 'hour';
+
+export interface ReportOptions {
+  days?: number;
+  limit?: number;
+  lang?: 'hu' | 'en';
+}
+
+/**
+ * Anonymous search statistics, for admins
+ */
+@Injectable({
+  providedIn: 'root',
+})
+export class AnalyticsService {
+  private readonly apiUrl: string = environment.apiUrl;
+
+  constructor(private readonly http: HttpClient) {}
+
+  private endpoint(report: string): string {
+    return `${this.apiUrl}/analytics/searches/${report}`;
+  }
+
+  private paramsOf(options: Record<string, string | number | undefined>): HttpParams {
+    let params = new HttpParams();
+    Object.entries(options).forEach(([name, value]) => {
+      if (value !== undefined && value !== '') {
+        params = params.set(name, String(value));
+      }
+    });
+    return params;
+  }
+
+  topQueries(options: ReportOptions = {}): Observable<QueryReport[]> {
+    return this.http
+      .get<
+        ApiResponse<QueryReport[]>
+      >(this.endpoint('top'), { params: this.paramsOf({ ...options }) })
+      .pipe(map(response => response.data));
+  }
+
+  zeroResultQueries(options: ReportOptions = {}): Observable<QueryReport[]> {
+    return this.http
+      .get<ApiResponse<QueryReport[]>>(this.endpoint('zero-results'), {
+        params: this.paramsOf({ ...options }),
+      })
+      .pipe(map(response => response.data));
+  }
+
+  /** Searches per period; by the hour the API reports at most 14 days */
+  volume(days: number, interval: VolumeInterval = 'day'): Observable<SearchVolume[]> {
+    return this.http
+      .get<ApiResponse<SearchVolume[]>>(this.endpoint('volume'), {
+        params: this.paramsOf({ days, interval }),
+      })
+      .pipe(map(response => response.data));
+  }
+}
@@ -0,0 +1,20 @@
+import { CommentService } from 'src/app/service/comment.service';
+import { TestBed } from '@angular/core/testing';
+import { HttpClientTestingModule } from '@angular/common/http/testing';
+import { ToastrModule } from 'ngx-toastr';
+
+describe('CommentService', () => {
+  let service: CommentService;
+
+  beforeEach(() => {
+    TestBed.configureTestingModule({
+      imports: [HttpClientTestingModule, ToastrModule.forRoot()],
+      providers: [CommentService],
+    });
+    service = TestBed.inject(CommentService);
+  });
+
+  it('should be created', () => {
+    expect(service).toBeTruthy();
+  });
+});
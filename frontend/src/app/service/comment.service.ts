@@ -0,0 +1,83 @@
+import { HttpClient, HttpParams } from '@angular/common/http';
+import { Injectable } from '@angular/core';
+import { Observable, merge } from 'rxjs';
+import { filter, map } from 'rxjs/operators';
+import { environment } from 'src/environments/environment';
+import { CommentEventType, CommentThread, ICommentEvent, IEntryComment } from '../model/comment';
+import { ApiResponse } from './base.service';
+import { WebSocketService } from './websocket.service';
+
+const COMMENT_EVENTS: CommentEventType[] = [
+  'comment_created',
+  'comment_updated',
+  'comment_deleted',
+];
+
+/**
+ * Discussion threads of the editors on an entry
+ */
+@Injectable({
+  providedIn: 'root',
+})
+export class CommentService {
+  private readonly apiUrl: string = environment.apiUrl;
+
+  constructor(
+    private readonly http: HttpClient,
+    private readonly webSocket: WebSocketService
+  ) {}
+
+  private endpoint(entryId: string): string {
+    return `${this.apiUrl}/entries/${entryId}/comments`;
+  }
+
+  list(entryId: string, resolved?: boolean): Observable<CommentThread[]> {
+    let params = new HttpParams();
+    if (resolved !== undefined) {
+      params = params.set('resolved', String(resolved));
+    }
+
+    return this.http
+      .get<ApiResponse<(IEntryComment & { replies: IEntryComment[] })[]>>(this.endpoint(entryId), {
+        params,
+      })
+      .pipe(map(response => response.data.map(thread => new CommentThread(thread))));
+  }
+
+  /** Comment on an entry, or reply to a thread when the parent is given */
+  create(entryId: string, body: string, parent?: string): Observable<IEntryComment> {
+    return this.http
+      .post<ApiResponse<IEntryComment>>(this.endpoint(entryId), { body, parent })
+      .pipe(map(response => response.data));
+  }
+
+  update(
+    entryId: string,
+    commentId: string,
+    changes: { body?: string; resolved?: boolean }
+  ): Observable<IEntryComment> {
+    return this.http
+      .patch<ApiResponse<IEntryComment>>(`${this.endpoint(entryId)}/${commentId}`, changes)
+      .pipe(map(response => response.data));
+  }
+
+  delete(entryId: string, commentId: string): Observable<unknown> {
+    return this.http.delete(`${this.endpoint(entryId)}/${commentId}`);
+  }
+
+  /**
+   * Comment changes of other editors on an entry, pushed on its entries:<id> channel.
+   * Call unwatch when the entry is closed.
+   */
+  watch(entryId: string): Observable<ICommentEvent> {
+    this.webSocket.subscribe([`entries:${entryId}`]);
+
+    return merge(...COMMENT_EVENTS.map(type => this.webSocket.on<ICommentEvent>(type))).pipe(
+      filter(event => event.entryId === entryId)
+    );
+  }
+
+  unwatch(entryId: string): void {
+    this.webSocket.unsubscribe([`entries:${entryId}`]);
+  }
+}
@@ -1,21 +1,89 @@
 import { HttpClient, HttpParams } from '@angular/common/http';
 import { Injectable } from '@angular/core';
-import { BehaviorSubject, Observable, throwError } from 'rxjs';
-import { catchError, tap } from 'rxjs/operators';
-import { Entry } from '../model/entry';
-import { BaseService } from './base.service';
+import { BehaviorSubject, EMPTY, Observable, throwError } from 'rxjs';
+import { catchError, map, tap } from 'rxjs/operators';
+import { Entry, EntryAction, EntryStatus } from '../model/entry';
+import { ApiResponse, BaseService } from './base.service';
 import { ConfigService } from './config.service';
+import { SynonymExpansion } from './synonym.service';
+
+// Spelling suggestion of the API for a search that finds little
+export interface SpellingSuggestion {
+  term: string;
+  language: 'hu' | 'en' | null;
+  distance: number;
+}
+
+// Autocomplete suggestion: a headword or English equivalent starting with the typed text
+export interface TermSuggestion {
+  term: string;
+  language: 'hu' | 'en';
+  entries: number;
+}
+
+// Initial letter of the browse index with the number of its headwords
+export interface LetterCount {
+  letter: string;
+  count: number;
+}
+
+// Headword of the browse index: the entry with the browsed Hungarian or English term
+export interface BrowseItem {
+  _id: string;
+  term: string;
+  hungarian: string;
+  english: string;
+  fieldOfExpertise?: string;
+  wordType?: string[];
+}
+
+// Entry of a calendar day, and whether an editor pinned it for the day
+export interface TermOfTheDay {
+  entry: Entry;
+  date: string;
+  pinned: boolean;
+}
+
+// Published entry similar to another, with the similarity from 0 to 1
+export interface SimilarEntry {
+  entry: Entry;
+  similarity: number;
+}
+
+// Which way a text search translates, from the language of the query
+export type SearchDirection = 'hu-en' | 'en-hu';
+
+// Facets narrowing the search results
+export type FacetName = 'fieldOfExpertise' | 'wordType';
+
+// Number of results with a facet value, and whether the value is selected
+export interface FacetValue {
+  value: string;
+  count: number;
+  selected: boolean;
+}
 
 export interface SearchResult<T> {
   data: T[];
   pagination: {
-    currentPage: number;
+    // Null for pages read by cursor
+    currentPage: number | null;
     totalPages: number;
     totalItems: number;
     itemsPerPage: number;
     hasNextPage: boolean;
     hasPrevPage: boolean;
+    // Opaque cursors of the pages around the results, for the after and before options
+    nextCursor?: string | null;
+    prevCursor?: string | null;
   };
+  meta?: {
+    direction?: SearchDirection | null;
+  };
+  didYouMean?: SpellingSuggestion[];
+  // Synonyms the search was expanded with
+  expansions?: SynonymExpansion[];
+  facets?: Record<FacetName, FacetValue[]>;
 }
 
 export interface SearchOptions {
@@ -27,6 +95,19 @@ export interface SearchOptions {
   english?: string;
   fieldOfExpertise?: string;
   wordType?: string;
+  status?: EntryStatus | 'all';
+  // Search term matched in headwords and equivalents only, or in fields and word types too
+  scope?: 'terms' | 'all';
+  // Query in the search syntax, e.g. hungarian:"beszéd*" field:hangtan -english:speech
+  query?: string;
+  // Count the results per facet value, and narrow them to the selected values
+  facets?: boolean;
+  facetFilters?: Partial<Record<FacetName, string[]>>;
+  // Read the page after or before a cursor of the pagination instead of a page number
+  after?: string;
+  before?: string;
+  // Rank the entries by the similarity of their texts to the search term instead
+  semantic?: boolean;
 }
 
 @Injectable({
@@ -72,6 +153,34 @@ export class EntryService extends BaseService<Entry> {
     if (options.wordType) {
       params = params.set('wordType', options.wordType);
     }
+    if (options.status) {
+      params = params.set('status', options.status);
+    }
+    if (options.scope) {
+      params = params.set('scope', options.scope);
+    }
+    if (options.query) {
+      params = params.set('q', options.query);
+    }
+    if (options.facets) {
+      params = params.set('facets', 'true');
+    }
+    // Field names may contain commas, so each selected value is a parameter of its own
+    for (const value of options.facetFilters?.fieldOfExpertise ?? []) {
+      params = params.append('facetField', value);
+    }
+    for (const value of options.facetFilters?.wordType ?? []) {
+      params = params.append('facetWordType', value);
+    }
+    if (options.after) {
+      params = params.set('after', options.after);
+    }
+    if (options.before) {
+      params = params.set('before', options.before);
+    }
+    if (options.semantic) {
+      params = params.set('semantic', 'true');
+    }
 
     return this.http.get<SearchResult<Entry>>(this.endpoint, { params }).pipe(
       tap(response => {
@@ -87,6 +196,121 @@ export class EntryService extends BaseService<Entry> {
     );
   }
 
+  /**
+   * "Load more": read the page after the current results by their cursor and add it
+   * to them. Completes without a request when there is nothing more.
+   */
+  loadMore(options: SearchOptions = {}): Observable<SearchResult<Entry>> {
+    const after = this.pagination$.value?.nextCursor;
+    if (!after) {
+      return EMPTY;
+    }
+
+    const loaded = this.searchResults$.value;
+    return this.search({ ...options, page: undefined, before: undefined, after }).pipe(
+      tap(response => this.searchResults$.next([...loaded, ...response.data]))
+    );
+  }
+
+  /** Headwords and English equivalents starting with the typed text, best first */
+  suggest(prefix: string, language?: 'hu' | 'en', limit = 10): Observable<TermSuggestion[]> {
+    let params = new HttpParams().set('q', prefix).set('limit', limit.toString());
+    if (language) {
+      params = params.set('lang', language);
+    }
+    return this.http
+      .get<ApiResponse<TermSuggestion[]>>(`${this.endpoint}/suggest`, { params })
+      .pipe(map(response => response.data));
+  }
+
+  /** Letters of the alphabet with the number of headwords starting with them */
+  letterIndex(language: 'hu' | 'en' = 'hu'): Observable<LetterCount[]> {
+    const params = new HttpParams().set('lang', language);
+    return this.http
+      .get<ApiResponse<LetterCount[]>>(`${this.endpoint}/browse`, { params })
+      .pipe(map(response => response.data));
+  }
+
+  /**
+   * One page of the headwords starting with a letter, in alphabetical order. Hungarian
+   * digraphs are letters of their own, so "c" does not list the words starting with "cs".
+   */
+  browse(
+    letter: string,
+    language: 'hu' | 'en' = 'hu',
+    page = 1,
+    limit = 50
+  ): Observable<SearchResult<BrowseItem>> {
+    const params = new HttpParams()
+      .set('lang', language)
+      .set('page', page.toString())
+      .set('limit', limit.toString());
+    return this.http.get<SearchResult<BrowseItem>>(
+      `${this.endpoint}/browse/${encodeURIComponent(letter)}`,
+      { params }
+    );
+  }
+
+  /** Published entries most similar to an entry, most similar first */
+  similar(id: string, limit = 10): Observable<SimilarEntry[]> {
+    return this.http
+      .get<ApiResponse<(Entry & { similarity: number })[]>>(`${this.endpoint}/${id}/similar`, {
+        params: new HttpParams().set('limit', limit.toString()),
+      })
+      .pipe(
+        map(response =>
+          response.data.map(({ similarity, ...entry }) => ({
+            entry: new Entry(entry),
+            similarity,
+          }))
+        )
+      );
+  }
+
+  /** A published entry at random, optionally of a field of expertise and a word type */
+  random(filters: { fieldOfExpertise?: string; wordType?: string } = {}): Observable<Entry> {
+    let params = new HttpParams();
+    if (filters.fieldOfExpertise) {
+      params = params.set('fieldOfExpertise', filters.fieldOfExpertise);
+    }
+    if (filters.wordType) {
+      params = params.set('wordType', filters.wordType);
+    }
+    return this.http
+      .get<ApiResponse<Entry>>(`${this.endpoint}/random`, { params })
+      .pipe(map(response => new Entry(response.data)));
+  }
+
+  /** The entry of a calendar day (YYYY-MM-DD), today by default */
+  termOfTheDay(date?: string): Observable<TermOfTheDay> {
+    const params = date ? new HttpParams().set('date', date) : new HttpParams();
+    return this.http
+      .get<
+        ApiResponse<Entry> & { meta: { date: string; pinned: boolean } }
+      >(`${this.endpoint}/term-of-the-day`, { params })
+      .pipe(
+        map(response => ({
+          entry: new Entry(response.data),
+          date: response.meta.date,
+          pinned: response.meta.pinned,
+        }))
+      );
+  }
+
+  /**
+   * Move an entry along the editorial workflow. Approvals take an optional
+   * comment, rejections a required reason.
+   */
+  changeStatus(
+    id: string,
+    action: EntryAction,
+    body: { comment?: string; reason?: string } = {}
+  ): Observable<Entry> {
+    return this.http
+      .post<ApiResponse<Entry>>(`${this.endpoint}/${id}/${action}`, body)
+      .pipe(map(response => new Entry(response.data)));
+  }
+
   clearSearch(): void {
     this.searchResults$.next([]);
     this.pagination$.next(null);
@@ -0,0 +1,31 @@
+import { TestBed } from '@angular/core/testing';
+import { HttpClientTestingModule, HttpTestingController } from '@angular/common/http/testing';
+import { SynonymService } from 'src/app/service/synonym.service';
+
+describe('SynonymService', () => {
+  let service: SynonymService;
+  let http: HttpTestingController;
+
+  beforeEach(() => {
+    TestBed.configureTestingModule({
+      imports: [HttpClientTestingModule],
+      providers: [SynonymService],
+    });
+    service = TestBed.inject(SynonymService);
+    http = TestBed.inject(HttpTestingController);
+  });
+
+  it('should be created', () => {
+    expect(service).toBeTruthy();
+  });
+
+  it('should send source terms of one-way sets only', () => {
+    service
+      .create({ language: 'en', type: 'equivalent', terms: ['noun', 'substantive'], from: ['n'] })
+      .subscribe();
+
+    const request = http.expectOne(req => req.url.endsWith('/synonyms'));
+    expect(request.request.body.from).toBeUndefined();
+    request.flush({ data: {} });
+  });
+});
@@ -0,0 +1,80 @@
+import { HttpClient, HttpParams } from '@angular/common/http';
+import { Injectable } from '@angular/core';
+import { Observable } from 'rxjs';
+import { map } from 'rxjs/operators';
+import { environment } from 'src/environments/environment';
+import { ApiResponse } from './base.service';
+
+export type SynonymLanguage = 'hu' | 'en';
+
+// Terms of an equivalent set expand to each other, the source terms of a one-way
+// set expand to its terms only
+export type SynonymType = 'equivalent' | 'oneWay';
+
+export interface SynonymSet {
+  _id?: string;
+  language: SynonymLanguage;
+  type: SynonymType;
+  terms: string[];
+  from?: string[];
+  updatedAt?: string;
+}
+
+// Synonyms a search was expanded with
+export interface SynonymExpansion {
+  term: string;
+  language: SynonymLanguage;
+  type: SynonymType;
+  expansions: string[];
+}
+
+export interface SynonymQuery {
+  lang?: SynonymLanguage;
+  type?: SynonymType;
+  search?: string;
+  page?: number;
+  limit?: number;
+}
+
+/**
+ * Synonym sets of the editors, used to expand searches
+ */
+@Injectable({
+  providedIn: 'root',
+})
+export class SynonymService {
+  private readonly endpoint = `${environment.apiUrl}/synonyms`;
+
+  constructor(private readonly http: HttpClient) {}
+
+  list(query: SynonymQuery = {}): Observable<ApiResponse<SynonymSet[]>> {
+    let params = new HttpParams();
+    Object.entries(query).forEach(([name, value]) => {
+      if (value !== undefined && value !== '') {
+        params = params.set(name, String(value));
+      }
+    });
+    return this.http.get<ApiResponse<SynonymSet[]>>(this.endpoint, { params });
+  }
+
+  create(set: SynonymSet): Observable<SynonymSet> {
+    return this.http
+      .post<ApiResponse<SynonymSet>>(this.endpoint, this.payloadOf(set))
+      .pipe(map(response => response.data));
+  }
+
+  update(id: string, set: SynonymSet): Observable<SynonymSet> {
+    return this.http
+      .put<ApiResponse<SynonymSet>>(`${this.endpoint}/${id}`, this.payloadOf(set))
+      .pipe(map(response => response.data));
+  }
+
+  delete(id: string): Observable<void> {
+    return this.http.delete<void>(`${this.endpoint}/${id}`);
+  }
+
+  // Only one-way sets have source terms
+  private payloadOf({ language, type, terms, from }: SynonymSet): SynonymSet {
+    return type === 'oneWay' ? { language, type, terms, from } : { language, type, terms };
+  }
+}
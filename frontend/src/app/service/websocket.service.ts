@@ -54,6 +54,8 @@ export class WebSocketService implements OnDestroy {
   private readonly messages$ = new Subject<WebSocketMessage>();
   private readonly searchResults$ = new Subject<RealTimeSearchResult>();
   private readonly notifications$ = new Subject<WebSocketMessage>();
+  // Channels to subscribe to again after reconnecting
+  private readonly channels = new Set<string>();
 
   constructor(private readonly authService: AuthService) {
     this.authService.user$.pipe(takeUntil(this.destroy$)).subscribe(user => {
@@ -161,10 +163,12 @@ export class WebSocketService implements OnDestroy {
   }
 
   subscribe(channels: string[]): void {
+    channels.forEach(channel => this.channels.add(channel));
     this.send('subscribe', { channels });
   }
 
   unsubscribe(channels: string[]): void {
+    channels.forEach(channel => this.channels.delete(channel));
     this.send('unsubscribe', { channels });
   }
 
@@ -208,7 +212,7 @@ export class WebSocketService implements OnDestroy {
 
       case 'auth_success':
         this.updateConnectionState({ authenticated: true });
-        this.subscribe(['entries:public', 'search:suggestions']);
+        this.subscribe(['entries:public', 'search:suggestions', ...this.channels]);
         break;
 
       case 'auth_failed':
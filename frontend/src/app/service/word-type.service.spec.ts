@@ -0,0 +1,30 @@
+import { TestBed } from '@angular/core/testing';
+import { HttpClientTestingModule } from '@angular/common/http/testing';
+import { WordType } from 'src/app/model/word-type';
+import { WordTypeService } from 'src/app/service/word-type.service';
+
+describe('WordTypeService', () => {
+  let service: WordTypeService;
+
+  beforeEach(() => {
+    TestBed.configureTestingModule({
+      imports: [HttpClientTestingModule],
+      providers: [WordTypeService],
+    });
+    service = TestBed.inject(WordTypeService);
+  });
+
+  it('should be created', () => {
+    expect(service).toBeTruthy();
+  });
+
+  it('should label known codes and keep unknown ones', () => {
+    service.list$.next([
+      new WordType({ code: 'noun', labelHu: 'főnév', labelEn: 'noun' }),
+      new WordType({ code: 'adjective', labelHu: 'melléknév', labelEn: 'adjective' }),
+    ]);
+
+    expect(service.labels(['noun', 'adjective'], 'hu')).toBe('főnév, melléknév');
+    expect(service.labels(['noun', 'other'], 'en')).toBe('noun, other');
+  });
+});
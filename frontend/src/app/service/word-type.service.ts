@@ -0,0 +1,43 @@
+import { HttpClient } from '@angular/common/http';
+import { Injectable } from '@angular/core';
+import { Observable, of } from 'rxjs';
+import { map } from 'rxjs/operators';
+import { WordType } from '../model/word-type';
+import { BaseService } from './base.service';
+import { ConfigService } from './config.service';
+
+@Injectable({
+  providedIn: 'root',
+})
+export class WordTypeService extends BaseService<WordType> {
+  constructor(http: HttpClient, config: ConfigService) {
+    super(http, config);
+    this.entity = 'word-types';
+  }
+
+  /**
+   * Load the vocabulary once, later calls reuse the cached list
+   */
+  load(): Observable<WordType[]> {
+    if (this.list$.value.length) {
+      return of(this.list$.value);
+    }
+    return this.getAll().pipe(
+      map(list => {
+        const wordTypes = list.map(item => WordType.fromJson(item));
+        this.list$.next(wordTypes);
+        return wordTypes;
+      })
+    );
+  }
+
+  /**
+   * Full labels of the given codes in the UI language; unknown codes are shown as they are
+   */
+  labels(codes: string[] | string | null | undefined, lang: string): string {
+    const list = Array.isArray(codes) ? codes : codes ? [codes] : [];
+    return list
+      .map(code => this.list$.value.find(wordType => wordType.code === code)?.label(lang) || code)
+      .join(', ');
+  }
+}
@@ -3,6 +3,10 @@ const natural = require('natural');
 const compromise = require('compromise');
 const axios = require('axios');
 const logger = require('../../backend/src/logger/logger');
+const { stem: stemHungarian, wordStems } = require('../../backend/src/search/stemmer');
+const { detectLanguage: detectQueryLanguage } = require('../../backend/src/search/language');
+const SynonymSet = require('../../backend/src/models/synonymSet');
+const { similarityIndex } = require('../../backend/src/jobs/similarityIndex');
 
 /**
  * STATE-OF-THE-ART AI/ML POWERED SEARCH ENGINE
@@ -181,7 +185,7 @@ class SmartSearchEngine {
     const corpus = await this.getCorpusFromDatabase();
     
     // Create vocabulary
-    corpus.forEach(text => {
+    corpus.forEach(({ text }) => {
       const tokens = this.tokenizer.tokenize(text.toLowerCase());
       tokens.forEach(token => {
         if (!this.vocabulary.has(token)) {
@@ -206,7 +210,7 @@ class SmartSearchEngine {
     // Load dictionary entries for TF-IDF training
     const entries = await this.getCorpusFromDatabase();
     entries.forEach(entry => {
-      this.tfidf.addDocument(entry);
+      this.tfidf.addDocument(entry.text);
     });
   }
 
@@ -295,13 +299,15 @@ class SmartSearchEngine {
           intent: intent,
           entities: entities,
           expandedTerms: expandedQuery.expandedTerms,
+          expansions: expandedQuery.expansions,
           processingTime,
           resultCount: personalizedResults.length,
           aiEnhancements: {
             semanticMatching: true,
             mlRanking: true,
             personalization: context.userId ? true : false,
-            queryExpansion: expandedQuery.expandedTerms.length > 0
+            queryExpansion: expandedQuery.expandedTerms.length > 0,
+            lemmaMatching: personalizedResults.some(result => result.lemmaMatch)
           }
         }
       };
@@ -325,22 +331,29 @@ class SmartSearchEngine {
     // Clean and normalize query
     let processedText = query.toLowerCase().trim();
     
-    // Remove special characters but keep linguistic notation
-    processedText = processedText.replace(/[^\w\s\-'\.]/g, ' ');
+    // Remove special characters but keep accented letters and linguistic notation
+    processedText = processedText.replace(/[^\p{L}\p{N}\s\-'\.]/gu, ' ');
     
-    // Tokenization
-    const tokens = this.tokenizer.tokenize(processedText);
+    // Language detection
+    const detectedLanguage = this.detectLanguage(processedText);
+    
+    // Tokenization (the word tokenizer splits words at accented letters)
+    const tokens = detectedLanguage === 'hu'
+      ? processedText.match(/[\p{L}\p{N}]+/gu) || []
+      : this.tokenizer.tokenize(processedText);
     
-    // Stemming
-    const stems = tokens.map(token => this.stemmer.stem(token));
+    // Stemming: Hungarian suffix stripping or the English Porter stemmer
+    const stems = tokens.map(token =>
+      detectedLanguage === 'hu' ? stemHungarian(token) : this.stemmer.stem(token));
+    
+    // Hungarian stems of every word whatever the detected language, unaccented
+    // inflected forms ("mondatokban") look English to the detection
+    const hungarianStems = wordStems(processedText);
     
     // POS tagging using Compromise
     const doc = compromise(query);
     const pos = doc.out('tags');
     
-    // Language detection
-    const detectedLanguage = this.detectLanguage(processedText);
-    
     // Spell correction
     const correctedTokens = await this.spellCorrection(tokens);
     
@@ -349,13 +362,14 @@ class SmartSearchEngine {
       text: processedText,
       tokens: tokens,
       stems: stems,
+      hungarianStems: hungarianStems,
       pos: pos,
       language: detectedLanguage,
       corrected: correctedTokens,
       metadata: {
         tokenCount: tokens.length,
         hasNumbers: /\d/.test(processedText),
-        hasSpecialChars: processedText !== processedText.replace(/[^\w\s]/g, ''),
+        hasSpecialChars: /[^\p{L}\p{N}\s]/u.test(processedText),
         avgWordLength: tokens.reduce((sum, token) => sum + token.length, 0) / tokens.length
       }
     };
@@ -480,21 +494,15 @@ class SmartSearchEngine {
    */
   async expandQuery(processedQuery, entities, context) {
     const expandedTerms = [];
-    const { tokens, stems } = processedQuery;
     
-    // Add synonyms for key terms
-    for (const token of tokens) {
-      const synonyms = await this.getSynonyms(token);
-      expandedTerms.push(...synonyms);
-    }
-    
-    // Add related linguistic terms
-    for (const entity of entities) {
-      if (entity.type === 'LINGUISTIC_TERM') {
-        const relatedTerms = await this.getRelatedLinguisticTerms(entity.text);
-        expandedTerms.push(...relatedTerms);
-      }
-    }
+    // Synonyms of the words and phrases of the query, then the terms the editors
+    // expand them to, like "NLP" to "natural language processing"
+    const { applied } = await SynonymSet.expand(processedQuery.original);
+    const expansions = [
+      ...this.getSynonyms(applied),
+      ...this.getRelatedLinguisticTerms(applied)
+    ];
+    expansions.forEach(expansion => expandedTerms.push(...expansion.expansions));
     
     // Add terms from user's search history
     if (context.searchHistory) {
@@ -505,6 +513,7 @@ class SmartSearchEngine {
     return {
       original: processedQuery,
       expandedTerms: [...new Set(expandedTerms)], // Remove duplicates
+      expansions,
       metadata: {
         expansionCount: expandedTerms.length,
         sources: ['synonyms', 'related_terms', 'history']
@@ -542,6 +551,48 @@ class SmartSearchEngine {
     }
   }
 
+  /**
+   * Search by the TF-IDF similarity of words and character trigrams, the
+   * semantic matching that runs without the language models. Entries whose
+   * headword shares a Hungarian stem with every word of the query are lemma
+   * matches: they are found even when not similar enough and flagged.
+   */
+  async textBasedSearch(expandedQuery, options = {}) {
+    const { limit = 50 } = options;
+    const Entry = require('../../backend/src/models/entry');
+    const { text: queryText, hungarianStems = [] } = expandedQuery.original;
+    const text = [queryText, ...expandedQuery.expandedTerms].join('\n');
+    const published = { isActive: true, status: 'published' };
+
+    const index = await similarityIndex();
+    const hits = index.search(text, { limit: limit * 2 });
+    const [entries, lemmaEntries] = await Promise.all([
+      Entry.find({ _id: { $in: hits.map(hit => hit.id) }, ...published }).lean(),
+      hungarianStems.length > 0
+        ? Entry.find({
+          ...published,
+          $and: hungarianStems.map(forms => ({ hungarianStems: { $in: forms } }))
+        }).limit(limit).lean()
+        : []
+    ]);
+    const byId = new Map(entries.map(entry => [String(entry._id), entry]));
+    const lemmaIds = new Set(lemmaEntries.map(entry => String(entry._id)));
+
+    const results = hits
+      .filter(hit => byId.has(hit.id))
+      .map(hit => ({
+        ...byId.get(hit.id),
+        similarity: hit.score,
+        textScore: lemmaIds.has(hit.id) ? 1 : hit.score,
+        lemmaMatch: lemmaIds.has(hit.id)
+      }));
+    const found = new Set(results.map(result => String(result._id)));
+    lemmaEntries
+      .filter(entry => !found.has(String(entry._id)))
+      .forEach(entry => results.push({ ...entry, similarity: 0, textScore: 1, lemmaMatch: true }));
+    return results;
+  }
+
   /**
    * Rank results using machine learning model
    */
@@ -738,7 +789,11 @@ class SmartSearchEngine {
     
     // Use existing traditional search logic
     const Entry = require('../../backend/src/models/entry');
-    const { query: searchQuery, countQuery } = Entry.searchEntries(query, options);
+    const expansions = await SynonymSet.expand(query);
+    const { query: searchQuery, countQuery } = Entry.searchEntries(query, {
+      ...options,
+      expansions: expansions.queries
+    });
     
     const [results, totalCount] = await Promise.all([
       searchQuery,
@@ -755,12 +810,13 @@ class SmartSearchEngine {
         originalQuery: query,
         resultCount: results.length,
         totalCount,
+        expansions: expansions.applied,
         fallbackUsed: true,
         aiEnhancements: {
           semanticMatching: false,
           mlRanking: false,
           personalization: false,
-          queryExpansion: false
+          queryExpansion: expansions.applied.length > 0
         }
       }
     };
@@ -768,15 +824,15 @@ class SmartSearchEngine {
 
   // Helper methods would continue...
   
-  async getSynonyms(word) {
-    // Implementation for synonym lookup
-    // Could use WordNet, custom thesaurus, or API
-    return [];
+  getSynonyms(applied) {
+    // Expansions of SynonymSet.expand by an equivalent synonym set of the editors
+    return applied.filter(expansion => expansion.type === 'equivalent');
   }
 
-  async getRelatedLinguisticTerms(term) {
-    // Implementation for getting related linguistic terms
-    return [];
+  getRelatedLinguisticTerms(applied) {
+    // Expansions of SynonymSet.expand by a one-way set, like an abbreviation
+    // to its full form
+    return applied.filter(expansion => expansion.type === 'oneWay');
   }
 
   calculateTextSimilarity(text1, text2) {
@@ -784,29 +840,24 @@ class SmartSearchEngine {
   }
 
   detectLanguage(text) {
-    // Simple language detection logic
-    const hungarianChars = /[áéíóöőúüű]/g;
-    const hungarianMatches = (text.match(hungarianChars) || []).length;
-    return hungarianMatches > 0 ? 'hu' : 'en';
+    // Accents, or the spelling patterns of each language when typed without them
+    return detectQueryLanguage(text);
   }
 
   async spellCorrection(tokens) {
-    // Implementation for spell correction
-    return tokens;
+    // Unknown tokens are replaced by the closest term of the dictionary's vocabulary
+    const Entry = require('../../backend/src/models/entry');
+    return Promise.all(tokens.map(async token => {
+      const [closest] = await Entry.didYouMean(token, 1);
+      return closest ? closest.term.toLowerCase() : token;
+    }));
   }
 
   async getCorpusFromDatabase() {
-    // Get dictionary entries for training
+    // Texts of the published entries as { id, text }, the corpus of the
+    // similarity index of the API as well
     const Entry = require('../../backend/src/models/entry');
-    const entries = await Entry.find({ isActive: true })
-      .select('hungarian english fieldOfExpertise')
-      .lean();
-    
-    return entries.flatMap(entry => [
-      entry.hungarian,
-      entry.english,
-      `${entry.hungarian} ${entry.english} ${entry.fieldOfExpertise}`
-    ]);
+    return Entry.similarityCorpus();
   }
 }
 